@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const { analyzeJobText, extractTextFromUrl, extractTextFromFile } = require('../services/jobAnalyzer');
+const { extractTextFromUrl, extractTextFromFile } = require('../services/jobAnalyzer');
+const { getScoringPipeline, runScoringPipeline } = require('../services/scoringPipelines');
 const { generateJsonLd } = require('../services/schemaGenerator');
 const { saveJobPosting } = require('../services/databaseService');
 const { callLLM } = require('../utils/llmHelpers');
+const { renderPrompt } = require('../services/promptRegistry');
 
 /**
  * POST /api/analyze-job
@@ -13,10 +15,13 @@ const { callLLM } = require('../utils/llmHelpers');
  * 2. Generates job visibility score and JSON-LD
  * 3. Stores original + score + JSON-LD in the database
  * 4. Returns all data in a single JSON response
+ *
+ * Body: { inputType, inputData, mimeType?, forceRefresh?, pipeline? } where pipeline is a
+ * scoring pipeline id (services/scoringPipelines.js, default 'legacy').
  */
 router.post('/', async (req, res) => {
   try {
-    const { inputType, inputData } = req.body;
+    const { inputType, inputData, mimeType, forceRefresh, pipeline = 'legacy' } = req.body;
     
     if (!inputType || !inputData) {
       return res.status(400).json({ 
@@ -24,6 +29,12 @@ router.post('/', async (req, res) => {
         details: 'Both inputType and inputData are required' 
       });
     }
+
+    try {
+      getScoringPipeline(pipeline);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid scoring pipeline', details: error.message });
+    }
     
     // 1. Extract text based on input type
     let jobText;
@@ -31,9 +42,9 @@ router.post('/', async (req, res) => {
       if (inputType === 'text') {
         jobText = inputData;
       } else if (inputType === 'url') {
-        jobText = await extractTextFromUrl(inputData);
+        jobText = await extractTextFromUrl(inputData, { forceRefresh: !!forceRefresh });
       } else if (inputType === 'file') {
-        jobText = await extractTextFromFile(inputData);
+        jobText = await extractTextFromFile(inputData, mimeType);
       } else {
         return res.status(400).json({ error: 'Invalid input type', details: 'Input type must be text, url, or file' });
       }
@@ -45,7 +56,7 @@ router.post('/', async (req, res) => {
     // 2. Generate analysis and visibility score
     let analysisResult;
     try {
-      analysisResult = await analyzeJobText(jobText);
+      analysisResult = await runScoringPipeline(pipeline, { job_title: 'Job Posting', job_body: jobText });
     } catch (error) {
       console.error('Error analyzing job text:', error);
       return res.status(500).json({ error: 'Failed to analyze job', details: error.message });
@@ -62,14 +73,9 @@ router.post('/', async (req, res) => {
     // }
     
     try {
-      const prompt = 
-        `You are to output only the improved job posting text with no commentary, preamble, or explanation.\n\n` +
-        `Improve this job posting based on the following recommendations.\n\n` +
-        `Original:\n${jobText}\n\n` +
-        `Recommendations:\n${analysisResult.recommendations.join('\n')}\n\n` +
-        `Improved Version (output only the rewritten posting, nothing else):`;
+      const prompt = renderPrompt('analyze.improve', { jobText, recommendations: analysisResult.recommendations.join('\n') });
       
-      improvedText = await callLLM(prompt);
+      improvedText = await callLLM(prompt.text, null, { systemMessage: prompt.system });
     } catch (error) {
       console.error('Error improving job text:', error);
       improvedText = ''; // Continue even if improvement fails
@@ -78,7 +84,7 @@ router.post('/', async (req, res) => {
     // 4. Generate JSON-LD
     let json_ld;
     try {
-      json_ld = await generateJsonLd(jobText, analysisResult);
+      json_ld = await generateJsonLd(jobText, { score: analysisResult.total_score, job_title: 'Job Posting' });
     } catch (error) {
       console.error('Error generating JSON-LD:', error);
       return res.status(500).json({ error: 'Failed to generate JSON-LD', details: error.message });
@@ -89,13 +95,15 @@ router.post('/', async (req, res) => {
     try {
       storedJob = await saveJobPosting({
         original_text: jobText,
-        total_score: analysisResult.score,
+        visibilityScore: analysisResult.total_score,
         feedback: analysisResult.feedback,
         json_ld: json_ld,
-        job_title: analysisResult.job_title || 'Job Posting',
-        red_flags: analysisResult.red_flags || [],
-        recommendations: analysisResult.recommendations || [],
-        categories: analysisResult.categories || {},
+        job_title: 'Job Posting',
+        red_flags: analysisResult.red_flags,
+        recommendations: analysisResult.recommendations,
+        categories: analysisResult.categories,
+        scoring_pipeline: pipeline,
+        result_schema_version: analysisResult.schema_version,
         improved_text: improvedText
       });
     } catch (error) {
@@ -106,14 +114,10 @@ router.post('/', async (req, res) => {
     // 6. Return complete data in single response
     res.json({
       id: storedJob.id,
+      ...analysisResult,
       original_text: jobText,
-      total_score: analysisResult.score,
-      breakdown: analysisResult.breakdown,
-      feedback: analysisResult.feedback,
       json_ld: json_ld,
       improved_text: storedJob.improved_text,
-      recommendations: analysisResult.recommendations || [],
-      red_flags: analysisResult.red_flags || [],
       original_report: { text: jobText },
       created_at: storedJob.savedat
     });
@@ -3,8 +3,16 @@ const stealth = require('puppeteer-extra-plugin-stealth')();
 chromium.use(stealth);
 const { execSync } = require('child_process');
 const { supabase } = require('../utils/supabase');
-const { scoreJob7Category } = require('../services/scoringService');
-const { scoreJobEnhanced } = require('../services/scoringServiceV2');
+const { getScoringPipeline, runScoringPipeline } = require('../services/scoringPipelines');
+const { withLLMUsage, recordLLMUsage } = require('../services/llmUsage');
+const { extractDocument } = require('../services/documentIngestion');
+const { enqueueAuditJob, serializeJob } = require('../services/auditJobQueue');
+const { getOrCapture, validatorsFromHeaders } = require('../services/pageCaptureCache');
+const { findExtractorForUrl, locateEmbeddedPosting, extractFromHtml, fetchPostingFromApi } = require('../services/extractors');
+const { getRubricProfile, describeProfile } = require('../services/rubricProfiles');
+const { resolveLanguage } = require('../services/languageSupport');
+const { resolveScoringMode } = require('../services/deterministicScoring');
+const { trackPrompts, promptExperimentUnit } = require('../services/promptRegistry');
 
 // Browser instance pooling for performance
 let browserInstance = null;
@@ -71,260 +79,306 @@ try {
 // --- END 7-Category, 100-Point Rubric Implementation ---
 
 
-// Express handler
-module.exports = async function(req, res) {
-  // --- CORS logic ---
-  // --- CORS logic: allow all origins for dev ---
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization');
-  if (req.method === 'OPTIONS') {
-    res.status(204).end();
-    return;
+/**
+ * Build an Error that carries the HTTP status and JSON body the handler should respond with.
+ */
+function auditError(status, body) {
+  const error = new Error(body.message || body.details || body.error);
+  error.status = status;
+  error.body = body;
+  return error;
+}
+
+/**
+ * Resolve the requested rubric profile (default when none was given).
+ * @throws {Error} auditError(400) for an unknown profile id.
+ */
+function resolveAuditProfile(input) {
+  try {
+    return getRubricProfile(input.rubricProfile);
+  } catch (error) {
+    throw auditError(400, { error: 'Invalid rubric profile', details: error.message });
   }
-  // --- END CORS logic ---
-  // --- END CORS logic ---
+}
 
-  console.log('Received request to /api/audit-job-post');
-  console.log('Environment variables status:', {
-    hasOpenAI: !!process.env.OPENAI_API_KEY || !!process.env.VITE_OPENAI
-  });
+/**
+ * Validate the requested posting language (null = detect from the posting).
+ * @returns {string|null} The normalized language code.
+ * @throws {Error} auditError(400) for an unsupported language.
+ */
+function resolveAuditLanguage(input) {
+  if (!input.language) return null;
+  try {
+    return resolveLanguage('', input.language).code;
+  } catch (error) {
+    throw auditError(400, { error: 'Unsupported language', details: error.message });
+  }
+}
 
-  // Your existing handler logic but with standard Playwright
-  const { url, text, useV2Pipeline = false } = req.body;
-  
-  if (!url && !text) {
-    return res.status(400).json({
-      error: 'Missing input',
-      message: 'Please provide either url or text in the request body'
+/**
+ * Resolve the scoring mode ('llm' or 'deterministic'). See resolveAuditPipeline() for the pipeline it selects.
+ * @throws {Error} auditError(400) for an unknown mode.
+ */
+function resolveAuditScoringMode(input) {
+  try {
+    return resolveScoringMode(input.scoringMode);
+  } catch (error) {
+    throw auditError(400, { error: 'Invalid scoring mode', details: error.message });
+  }
+}
+
+/**
+ * Pick the scoring pipeline for an audit: `pipeline` when given, otherwise V2 with `useV2Pipeline`
+ * and V1 without. The default runs as `v2-deterministic` in deterministic mode; an explicitly
+ * requested LLM pipeline is never swapped for another one.
+ * @returns {string} A registered pipeline id.
+ * @throws {Error} auditError(400) for an unknown pipeline or scoring mode, or an LLM pipeline
+ *   requested with `scoringMode: 'deterministic'`; auditError(503) for an LLM pipeline when the
+ *   server scores deterministically (SCORING_MODE or no LLM API key).
+ */
+function resolveAuditPipeline(input) {
+  const scoringMode = resolveAuditScoringMode(input);
+  if (!input.pipeline) {
+    if (scoringMode === 'deterministic') return 'v2-deterministic';
+    return input.useV2Pipeline ? 'v2' : 'v1';
+  }
+  let pipeline;
+  try {
+    pipeline = getScoringPipeline(input.pipeline);
+  } catch (error) {
+    throw auditError(400, { error: 'Invalid scoring pipeline', details: error.message });
+  }
+  if (pipeline.llm && scoringMode === 'deterministic') {
+    if (/^deterministic$/i.test(String(input.scoringMode || '').trim())) {
+      throw auditError(400, {
+        error: 'Invalid scoring pipeline',
+        details: `Pipeline "${input.pipeline}" needs LLM calls and cannot run with scoringMode "deterministic"; use "v2-deterministic"`
+      });
+    }
+    throw auditError(503, {
+      error: 'LLM scoring unavailable',
+      details: `Pipeline "${input.pipeline}" needs LLM calls, but this server scores deterministically (SCORING_MODE or no LLM API key)`
     });
   }
+  return input.pipeline;
+}
+
+/**
+ * Normalize audit input from a JSON or multipart request body.
+ */
+function parseAuditInput(req) {
+  const { url, text } = req.body || {};
+  // Multipart form fields arrive as strings, so "false" must not enable V2
+  const parseFlag = value => (typeof value === 'string'
+    ? /^(1|true|yes|on)$/i.test(value.trim())
+    : !!value);
+  return {
+    url: url || null,
+    text: text || null,
+    file: req.file || null,
+    useV2Pipeline: parseFlag(req.body?.useV2Pipeline),
+    runAsync: parseFlag(req.body?.async),
+    forceRefresh: parseFlag(req.body?.forceRefresh),
+    rubricProfile: req.body?.rubricProfile || null,
+    language: req.body?.language || null,
+    scoringMode: req.body?.scoringMode || null,
+    pipeline: req.body?.pipeline || null,
+    webhookUrl: req.body?.webhookUrl || null
+  };
+}
 
+async function resolveUserId(authHeader) {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  try {
+    const token = authHeader.substring(7);
+    const { data: userData, error: authError } = await supabase.auth.getUser(token);
+    if (!authError && userData && userData.user) {
+      console.log('Authenticated user ID:', userData.user.id);
+      return userData.user.id;
+    }
+  } catch (authErr) {
+    console.error('Error checking auth token:', authErr);
+  }
+  return null;
+}
+
+/**
+ * Capture a job posting URL: from the ATS's public JSON API when the URL shape allows it,
+ * otherwise by scraping with the pooled Chromium instance.
+ * Resolves to { job_title, job_body, job_html, ats, structured, validators }; ats/structured are
+ * null when no ATS extractor recognised the page. Failures are thrown via auditError().
+ */
+async function captureJobUrl(url) {
   let job_title = null;
   let job_body = null;
   let job_html = null;
+  let ats = null;
+  let structured = null;
+  let validators = {};
+  // Already normalized by the page cache (escaped \?gh_jid fixed, tracking params dropped)
+  const navUrl = url;
 
-  if (url) {
-    try {
-      console.log('Launching Chromium for URL scraping - START');
-      const isDebug = process.env.PW_DEBUG === '1';
-      const headlessOpt = isDebug ? false : (process.env.PW_HEADLESS ? !/^(0|false)$/i.test(process.env.PW_HEADLESS) : true);
-      const launchArgs = [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-blink-features=AutomationControlled'
-      ];
-      console.log('Chromium launch options:', { args: launchArgs, headless: headlessOpt, timeout: 60000 });
+  // HTTP-first: ATS postings with a public JSON API don't need a browser at all
+  const apiPosting = await fetchPostingFromApi(navUrl);
+  if (apiPosting && apiPosting.body.length >= 100) {
+    console.log(`Using ${apiPosting.ats} API posting (${apiPosting.body.length} characters), skipping Chromium`);
+    return {
+      job_title: apiPosting.title,
+      job_body: apiPosting.body,
+      job_html: apiPosting.pageHtml || apiPosting.html,
+      ats: apiPosting.ats,
+      structured: apiPosting.structured,
+      validators: validatorsFromHeaders(apiPosting.pageHeaders)
+    };
+  }
+
+  try {
+    console.log('Launching Chromium for URL scraping - START');
+    const isDebug = process.env.PW_DEBUG === '1';
+    const headlessOpt = isDebug ? false : (process.env.PW_HEADLESS ? !/^(0|false)$/i.test(process.env.PW_HEADLESS) : true);
+    const launchArgs = [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-blink-features=AutomationControlled'
+    ];
+    console.log('Chromium launch options:', { args: launchArgs, headless: headlessOpt, timeout: 60000 });
 
+    try {
+      // Use browser pooling for performance
+      let browser;
       try {
-        // Use browser pooling for performance
-        let browser;
+        browser = await getOrCreateBrowser(launchArgs, headlessOpt);
+        console.log('Browser ready (pooled or new)');
+      } catch (err) {
+        console.log('Browser pool failed, trying fresh launch:', err.message);
         try {
-          browser = await getOrCreateBrowser(launchArgs, headlessOpt);
-          console.log('Browser ready (pooled or new)');
-        } catch (err) {
-          console.log('Browser pool failed, trying fresh launch:', err.message);
-          try {
-            // Fallback: try fresh launch with optional reinstall
-            const allowRuntimeInstall = process.env.NODE_ENV !== 'production' && !/^(0|false|off)$/i.test(String(process.env.PW_ALLOW_RUNTIME_INSTALL ?? '0'));
-            if (!allowRuntimeInstall) {
-              throw new Error('Runtime browser installation is disabled');
-            }
-            execSync('npx playwright install chromium', { stdio: 'inherit' });
-            browser = await chromium.launch({ args: launchArgs, headless: headlessOpt, timeout: 60000 });
-            browserInstance = browser; // Update pool
-            console.log('Chromium launched successfully after reinstall');
-          } catch (secondErr) {
-            throw new Error(`Browser launch failed after installation attempt: ${secondErr.message}`);
+          // Fallback: try fresh launch with optional reinstall
+          const allowRuntimeInstall = process.env.NODE_ENV !== 'production' && !/^(0|false|off)$/i.test(String(process.env.PW_ALLOW_RUNTIME_INSTALL ?? '0'));
+          if (!allowRuntimeInstall) {
+            throw new Error('Runtime browser installation is disabled');
           }
+          execSync('npx playwright install chromium', { stdio: 'inherit' });
+          browser = await chromium.launch({ args: launchArgs, headless: headlessOpt, timeout: 60000 });
+          browserInstance = browser; // Update pool
+          console.log('Chromium launched successfully after reinstall');
+        } catch (secondErr) {
+          throw new Error(`Browser launch failed after installation attempt: ${secondErr.message}`);
         }
+      }
 
-        // Rotate/override user agent and realistic headers
-        const uaPool = [
-          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
-          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
-          'Mozilla/5.0 (Macintosh; Intel Mac OS X 13_5) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
-          'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
-          'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
-          'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36'
-        ];
-        function hashStr(s) { let h = 0; for (let i = 0; i < s.length; i++) { h = ((h << 5) - h) + s.charCodeAt(i); h |= 0; } return Math.abs(h); }
-        let uaIndexSeed = Math.floor(Math.random() * 1e6);
-        try {
-          uaIndexSeed = url ? hashStr(new URL(url).hostname + ':' + new Date().getUTCHours()) : uaIndexSeed;
-        } catch {}
-        const userAgent = process.env.PLAYWRIGHT_UA || uaPool[uaIndexSeed % uaPool.length];
-
-        console.log('Creating browser context with realistic settings - START');
-        const context = await browser.newContext({
-          userAgent,
-          locale: process.env.PLAYWRIGHT_LOCALE || 'en-US',
-          timezoneId: process.env.PLAYWRIGHT_TZ || 'UTC',
-          viewport: { width: 1366, height: 900 },
-          deviceScaleFactor: 1.25,
-          javaScriptEnabled: true,
-          colorScheme: 'light',
-          extraHTTPHeaders: {
-            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
-            'Accept-Language': 'en-US,en;q=0.9',
-            'Upgrade-Insecure-Requests': '1',
-            'Sec-Fetch-Dest': 'document',
-            'Sec-Fetch-Mode': 'navigate',
-            'Sec-Fetch-Site': 'none',
-            'Sec-Fetch-User': '?1'
-          }
-        });
-        await context.addInitScript(() => {
-          // Mild stealth: make navigator.webdriver undefined
-          Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
-        });
-        console.log('Creating new page - START');
-        const page = await context.newPage();
-        console.log('Creating new page - END');
+      // Rotate/override user agent and realistic headers
+      const uaPool = [
+        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
+        'Mozilla/5.0 (Macintosh; Intel Mac OS X 13_5) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+        'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
+        'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+        'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36'
+      ];
+      function hashStr(s) { let h = 0; for (let i = 0; i < s.length; i++) { h = ((h << 5) - h) + s.charCodeAt(i); h |= 0; } return Math.abs(h); }
+      let uaIndexSeed = Math.floor(Math.random() * 1e6);
+      try {
+        uaIndexSeed = url ? hashStr(new URL(url).hostname + ':' + new Date().getUTCHours()) : uaIndexSeed;
+      } catch {}
+      const userAgent = process.env.PLAYWRIGHT_UA || uaPool[uaIndexSeed % uaPool.length];
 
-        // Normalize accidentally escaped query chars from shell (e.g., \?gh_jid\=...)
-        let navUrl = url;
+      console.log('Creating browser context with realistic settings - START');
+      const context = await browser.newContext({
+        userAgent,
+        locale: process.env.PLAYWRIGHT_LOCALE || 'en-US',
+        timezoneId: process.env.PLAYWRIGHT_TZ || 'UTC',
+        viewport: { width: 1366, height: 900 },
+        deviceScaleFactor: 1.25,
+        javaScriptEnabled: true,
+        colorScheme: 'light',
+        extraHTTPHeaders: {
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
+          'Accept-Language': 'en-US,en;q=0.9',
+          'Upgrade-Insecure-Requests': '1',
+          'Sec-Fetch-Dest': 'document',
+          'Sec-Fetch-Mode': 'navigate',
+          'Sec-Fetch-Site': 'none',
+          'Sec-Fetch-User': '?1'
+        }
+      });
+      await context.addInitScript(() => {
+        // Mild stealth: make navigator.webdriver undefined
+        Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
+      });
+      console.log('Creating new page - START');
+      const page = await context.newPage();
+      console.log('Creating new page - END');
+
+      // Track request URLs while navigating so embed detection can spot ATS traffic
+      const requestedUrls = [];
+      page.on('request', (req) => {
         try {
-          if (navUrl && navUrl.includes('\\')) {
-            const cleaned = navUrl.replace(/\\(?=[?=&])/g, '');
-            if (cleaned !== navUrl) {
-              console.log('Normalized URL:', cleaned);
-              navUrl = cleaned;
-            }
-          }
+          if (requestedUrls.length < 500) requestedUrls.push(req.url());
         } catch {}
+      });
 
-        // Track any Greenhouse network requests while navigating/interaction
-        const ghRequests = new Set();
-        const ghDomainRegex = /greenhouse\.io|boards\.greenhouse\.io|job-boards\.greenhouse\.io/i;
-        page.on('request', (req) => {
-          try {
-            const u = req.url();
-            if (ghDomainRegex.test(u)) ghRequests.add(u);
-          } catch {}
-        });
+      console.log(`Navigating to URL: ${navUrl} - START`);
+      const navResponse = await page.goto(navUrl, { waitUntil: 'domcontentloaded', timeout: 45000 });
+      validators = validatorsFromHeaders(navResponse ? navResponse.headers() : {});
+      // Reduced networkidle timeout for faster response (most content loads in 10s)
+      await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {
+        console.log('[Optimization] Network idle timeout - proceeding with available content');
+      });
+      console.log('Navigation complete');
+
+      console.log('Getting page title - START');
+      job_title = await page.title();
+      console.log(`Page title: ${job_title}`);
 
-        console.log(`Navigating to URL: ${navUrl} - START`);
-        await page.goto(navUrl, { waitUntil: 'domcontentloaded', timeout: 45000 });
-        // Reduced networkidle timeout for faster response (most content loads in 10s)
-        await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {
-          console.log('[Optimization] Network idle timeout - proceeding with available content');
+      // Detect anti-bot/CF interstitials by title/body snippet
+      const antiBotSignals = [
+        /just a moment/i,
+        /attention required/i,
+        /cloudflare/i,
+        /verify you are human/i,
+        /checking your browser/i
+      ];
+      let bodySnippet = '';
+      try {
+        bodySnippet = await page.evaluate(() => (document.body?.innerText || '').slice(0, 1000));
+      } catch {}
+      if (antiBotSignals.some(rx => rx.test(job_title || '')) || antiBotSignals.some(rx => rx.test(bodySnippet))) {
+        console.log('Anti-bot page detected', { title: job_title });
+        try { await context.close(); } catch {}
+        try { await browser.close(); } catch {}
+        throw auditError(403, {
+          error: 'site_protected',
+          message: 'The target site appears protected by anti-bot (e.g., Cloudflare). Please paste the job description or upload a file instead.'
         });
-        console.log('Navigation complete');
-
-        console.log('Getting page title - START');
-        job_title = await page.title();
-        console.log(`Page title: ${job_title}`);
-
-        // Detect anti-bot/CF interstitials by title/body snippet
-        const antiBotSignals = [
-          /just a moment/i,
-          /attention required/i,
-          /cloudflare/i,
-          /verify you are human/i,
-          /checking your browser/i
-        ];
-        let bodySnippet = '';
-        try {
-          bodySnippet = await page.evaluate(() => (document.body?.innerText || '').slice(0, 1000));
-        } catch {}
-        if (antiBotSignals.some(rx => rx.test(job_title || '')) || antiBotSignals.some(rx => rx.test(bodySnippet))) {
-          console.log('Anti-bot page detected', { title: job_title });
-          try { await context.close(); } catch {}
-          try { await browser.close(); } catch {}
-          return res.status(403).json({
-            error: 'site_protected',
-            message: 'The target site appears protected by anti-bot (e.g., Cloudflare). Please paste the job description or upload a file instead.'
-          });
-        }
+      }
 
-        // Try to access Greenhouse iframe if present
-        let frameUsed = null;
-        let ghFrame = null;
-        try {
-          // Allow iframes to attach (not necessarily visible)
-          await page.waitForSelector('iframe', { timeout: 20000, state: 'attached' }).catch(() => {});
-
-          // Poll for a Greenhouse iframe by URL or DOM handle (optimized timeout)
-          console.log('Checking for Greenhouse iframes - START');
-          const ghRegex = /greenhouse\.io|boards\.greenhouse\.io|job-boards\.greenhouse\.io/i;
-          const deadline = Date.now() + 1000; // Optimized: 1s instead of 3s (most iframes load immediately)
-          const ghId = (() => { try { return new URL(navUrl).searchParams.get('gh_jid'); } catch { return null; } })();
-          console.log('Greenhouse detection URL param gh_jid:', ghId);
-          while (!ghFrame && Date.now() < deadline) {
-            // Check existing frames by URL
-            const frames = page.frames();
-            ghFrame = frames.find(f => ghRegex.test(f.url())) || null;
-            if (ghFrame) { console.log('[api] Found Greenhouse frame by URL:', ghFrame.url()); break; }
-
-            // Check DOM for iframe elements and resolve contentFrame
-            const ghHandle = await page.$('iframe[src*="greenhouse.io"], iframe[src*="boards.greenhouse.io"], iframe[src*="job-boards.greenhouse.io"]');
-            if (ghHandle) {
-              const frame = await ghHandle.contentFrame();
-              if (frame) { console.log('[api] Found Greenhouse frame via handle:', frame.url()); ghFrame = frame; break; }
-            }
-
-            // If URL includes gh_jid, try to click a matching link to trigger embed
-            if (ghId) {
-              const clicked = await page.evaluate((jid) => {
-                try {
-                  const anchors = Array.from(document.querySelectorAll('a[href*="gh_jid="]'));
-                  const target = anchors.find(a => {
-                    try { return new URL(a.getAttribute('href'), location.href).searchParams.get('gh_jid') === jid; } catch { return false; }
-                  });
-                  if (target) {
-                    target.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
-                    return true;
-                  }
-                } catch {}
-                return false;
-              }, ghId).catch(() => false);
-              if (clicked) { console.log('[api] Clicked link for gh_jid:', ghId); await page.waitForTimeout(1000); }
-            }
-
-            await page.waitForTimeout(500);
-          }
+      // Resolve the ATS extractor: either the URL is an ATS page itself, or a careers page embedding one
+      let extractor = findExtractorForUrl(navUrl);
+      let target = extractor ? page : null;
+      if (!extractor) {
+        const embedded = await locateEmbeddedPosting({ page, context, navUrl, requestedUrls });
+        if (embedded) ({ extractor, target } = embedded);
+      }
 
-          if (ghFrame) {
-            frameUsed = ghFrame;
-            console.log('[api] Using Greenhouse iframe content from:', ghFrame.url());
-            await ghFrame.waitForSelector('h1, .app-title, .job-title, main, #content', { timeout: 15000 }).catch(() => {});
-          } else {
-            // No iframe detected: log frames and try to navigate directly to a GH URL if present
-            const allFrames = page.frames();
-            console.log(`[api] No Greenhouse iframe found. Frames(${allFrames.length}):`, allFrames.map(f => f.url()).slice(0, 10));
-            const ghHref = await page.evaluate(() => {
-              const sel = 'a[href*="greenhouse.io"], a[href*="boards.greenhouse.io"], a[href*="job-boards.greenhouse.io"]';
-              const a = document.querySelector(sel);
-              return a ? a.href : null;
-            }).catch(() => null);
-            const ghEmbedFor = await page.evaluate(() => {
-              const s = document.querySelector('script[src*="boards.greenhouse.io/embed/job_board/js?for="]');
-              if (!s) return null;
-              try { return new URL(s.src, location.href).searchParams.get('for'); } catch { return null; }
-            }).catch(() => null);
-            const navigateTo = (ghId && ghEmbedFor)
-              ? `https://boards.greenhouse.io/embed/job_app?for=${encodeURIComponent(ghEmbedFor)}&token=${encodeURIComponent(ghId)}`
-              : (ghHref || Array.from(ghRequests)[0] || null);
-            if (navigateTo) {
-              console.log('[api] Navigating directly to Greenhouse URL:', navigateTo);
-              const ghPage = await context.newPage();
-              await ghPage.goto(navigateTo, { waitUntil: 'domcontentloaded', timeout: 45000 });
-              await ghPage.waitForLoadState('networkidle', { timeout: 20000 }).catch(() => {});
-              frameUsed = ghPage;
-            } else if (ghRequests.size) {
-              console.log('[api] Observed GH requests but no navigable link found:', Array.from(ghRequests).slice(0, 3));
-            }
-          }
-        } catch (err) {
-          console.warn('[api] Greenhouse iframe extraction failed:', err?.message || err);
+      console.log('Extracting page content - START');
+      if (extractor && target) {
+        console.log(`[api] Using ${extractor.name} extractor for ${target.url()}`);
+        if (extractor.readySelector) {
+          await target.waitForSelector(extractor.readySelector, { timeout: 15000 }).catch(() => {});
         }
-
-        console.log('Extracting page content - START');
-        if (frameUsed) {
+        const targetHtml = await target.content().catch(() => null);
+        const extracted = extractFromHtml(targetHtml, target.url(), extractor.name);
+        if (extracted && extracted.body.length >= 100) {
+          job_title = extracted.title || job_title;
+          job_body = extracted.body;
+          job_html = targetHtml;
+          ats = extracted.ats;
+          structured = extracted.structured;
+        } else {
+          console.log(`[api] ${extractor.name} extractor found no posting markup, falling back to page text`);
           const results = await Promise.race([
-            frameUsed.evaluate(() => ({
+            target.evaluate(() => ({
               title: (document.querySelector('h1, .app-title, .job-title')?.innerText || document.title || '').trim(),
               text: (document.querySelector('main')?.innerText || document.body?.innerText || '').trim()
             })),
@@ -333,33 +387,91 @@ module.exports = async function(req, res) {
           if (results) {
             job_title = results.title || job_title;
             job_body = results.text;
-            job_html = await frameUsed.content();
+            job_html = targetHtml || await target.content();
           }
         }
-        // Fallback to top-level page
-        if (!job_body || !job_html) {
-          console.log('[api] Using top-level document fallback');
-          job_body = await page.evaluate(() => {
-            const main = document.querySelector('main') || document.body;
-            return main.innerText;
-          });
-          job_html = await page.content();
-        }
-        console.log(`Extracted content length: ${job_body.length} characters`);
-        console.log('Page HTML extracted successfully');
-
-        console.log('Closing browser context - START');
-        await context.close();
-        // Don't close browser - keep it warm in the pool for next request
-        console.log('Browser context closed (browser kept warm)');
-      } catch (error) {
-        console.error('Browser error:', error);
-        return res.status(500).json({ error: 'Failed to scrape URL', details: error.message });
       }
+      // Fallback to top-level page
+      if (!job_body || !job_html) {
+        console.log('[api] Using top-level document fallback');
+        job_body = await page.evaluate(() => {
+          const main = document.querySelector('main') || document.body;
+          return main.innerText;
+        });
+        job_html = await page.content();
+      }
+      console.log(`Extracted content length: ${job_body.length} characters`);
+      console.log('Page HTML extracted successfully');
+
+      console.log('Closing browser context - START');
+      await context.close();
+      // Don't close browser - keep it warm in the pool for next request
+      console.log('Browser context closed (browser kept warm)');
     } catch (error) {
+      if (error.status) throw error;
       console.error('Browser error:', error);
-      return res.status(500).json({ error: 'Failed to scrape URL', details: error.message });
+      throw auditError(500, { error: 'Failed to scrape URL', details: error.message });
+    }
+  } catch (error) {
+    if (error.status) throw error;
+    console.error('Browser error:', error);
+    throw auditError(500, { error: 'Failed to scrape URL', details: error.message });
+  }
+
+  return { job_title, job_body, job_html, ats, structured, validators };
+}
+
+/**
+ * Capture a job posting URL through the page cache (see services/pageCaptureCache).
+ * Resolves to the captureJobUrl() fields plus `cache` ('hit' | 'revalidated' | 'miss' | 'refresh')
+ * and `captured_at`.
+ */
+async function scrapeJobUrl(url, { forceRefresh = false } = {}) {
+  const { capture, cache, capturedAt } = await getOrCapture(url, async normalizedUrl => {
+    const { validators, ...page } = await captureJobUrl(normalizedUrl);
+    return { capture: page, validators };
+  }, { forceRefresh });
+  return { ...capture, cache, captured_at: capturedAt };
+}
+
+/**
+ * Capture the posting an audit request describes: extract an uploaded file, scrape a URL (through
+ * the page cache) or take pasted text as-is.
+ * @param {Object} input - { url, text, file, forceRefresh } as returned by parseAuditInput().
+ * @param {Object} [options]
+ * @param {Function} [options.onStage] - Called with 'extracting' or 'scraping'.
+ * @returns {Promise<Object>} { job_title, job_body, job_html, ats, structured, cache, captured_at }
+ */
+async function captureAuditInput(input, { onStage = () => {} } = {}) {
+  const { url, text, file, forceRefresh } = input;
+  let job_title = null;
+  let job_body = null;
+  let job_html = null;
+  let ats = null;
+  let structured = null;
+  let cache = null;
+  let captured_at = null;
+
+  if (file) {
+    onStage('extracting');
+    try {
+      console.log(`Extracting text from uploaded file: ${file.originalname} (${file.mimetype}, ${file.size} bytes)`);
+      const document = await extractDocument({
+        buffer: file.buffer,
+        mimetype: file.mimetype,
+        filename: file.originalname
+      });
+      job_title = document.job_title;
+      job_body = document.job_body;
+      job_html = document.job_html;
+      console.log(`Document extraction completed (${document.format}, ${job_body.length} characters)`);
+    } catch (error) {
+      console.error('File extraction error:', error);
+      throw auditError(422, { error: 'Failed to process uploaded file', details: error.message });
     }
+  } else if (url) {
+    onStage('scraping');
+    ({ job_title, job_body, job_html, ats, structured, cache, captured_at } = await scrapeJobUrl(url, { forceRefresh }));
   } else if (text) {
     try {
       console.log('Starting text analysis');
@@ -369,51 +481,73 @@ module.exports = async function(req, res) {
       console.log('Text analysis completed');
     } catch (error) {
       console.error('Text analysis error:', error);
-      return res.status(500).json({ error: 'Failed to analyze text', details: error.message });
+      throw auditError(500, { error: 'Failed to analyze text', details: error.message });
     }
   }
 
+  return { job_title, job_body, job_html, ats, structured, cache, captured_at };
+}
+
+/**
+ * Run a full audit: capture the posting, score it and save the report.
+ * @param {Object} input - { url, text, file, useV2Pipeline, forceRefresh, rubricProfile, language, scoringMode, pipeline } as returned by parseAuditInput().
+ * @param {Object} [options]
+ * @param {string} [options.authHeader] - Authorization header used to attribute the report.
+ * @param {string} [options.userId] - Pre-resolved user id (skips the auth lookup).
+ * @param {Function} [options.onStage] - Called with 'scraping' | 'extracting' | 'scoring' | 'saving'.
+ * @param {Function} [options.onCategory] - Called with (categoryKey, result) as each scoring category finishes.
+ * @param {AbortSignal} [options.signal] - Aborts the audit between stages (job timeout, client gone).
+ *   An aborted audit rejects with signal.reason and never saves a report.
+ * @returns {Promise<Object>} The audit response payload.
+ */
+async function runAudit(input, { authHeader, userId: knownUserId, onStage: reportStage = () => {}, onCategory, signal } = {}) {
+  const onStage = stage => {
+    signal?.throwIfAborted();
+    reportStage(stage);
+  };
+  const { url, file } = input;
+  const profile = resolveAuditProfile(input);
+  const language = resolveAuditLanguage(input);
+  const pipelineId = resolveAuditPipeline(input);
+
+  const { job_title, job_body, job_html, ats, structured, cache, captured_at } = await captureAuditInput(input, { onStage });
+
   // --- 7-Category Audit ---
   console.log('Starting 7-category audit analysis');
   try {
-    const jobData = { job_title, job_body, job_html };
+    const jobData = { job_title, job_body, job_html, ats, structured };
     
-    let scoringResult;
-    if (useV2Pipeline) {
-      console.log('Routing request to ENHANCED (V2) scoring pipeline.');
-      scoringResult = await scoreJobEnhanced(jobData);
-    } else {
-      console.log('Routing request to STANDARD (V1) scoring pipeline.');
-      scoringResult = await scoreJob7Category(jobData);
-    }
+    onStage('scoring');
+    // Account for every LLM call made while scoring: provider, tokens, latency, cost. Prompt
+    // experiments assign versions per posting, so re-audits of it use the same prompts.
+    const { result: { result: scoringResult, usage }, prompts: renderedPrompts } = await trackPrompts(() => withLLMUsage('audit', () => {
+      console.log(`Routing request to the ${getScoringPipeline(pipelineId).name} scoring pipeline.`);
+      return runScoringPipeline(pipelineId, jobData, { onCategory, profile, language });
+    }), { unit: promptExperimentUnit(url, job_body) });
 
     const {
+      schema_version,
       total_score,
       categories,
       red_flags,
       recommendations,
-      feedback
+      feedback,
+      rubric_profile
     } = scoringResult;
+    // Cached V2 results carry the prompt versions that produced them
+    const prompts = scoringResult.prompts || renderedPrompts;
     console.log('Scoring completed');
     
+    // A timed-out or cancelled audit is not saved; the LLM spend it already caused is still recorded
+    if (signal?.aborted) {
+      await recordLLMUsage(usage, { userId: knownUserId || null });
+      throw signal.reason;
+    }
+
     // Save to database - use service role key to bypass RLS
+    onStage('saving');
     let reportId = null;
-    let userId = null;
-    
-    // Check if we have an auth header with a user token
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      try {
-        const token = authHeader.substring(7);
-        const { data: userData, error: authError } = await supabase.auth.getUser(token);
-        if (!authError && userData && userData.user) {
-          userId = userData.user.id;
-          console.log('Authenticated user ID:', userId);
-        }
-      } catch (authErr) {
-        console.error('Error checking auth token:', authErr);
-      }
-    }
+    const userId = knownUserId !== undefined ? knownUserId : await resolveUserId(authHeader);
     
     // Create database record
     try {
@@ -422,13 +556,23 @@ module.exports = async function(req, res) {
         job_title,
         job_body,
         job_url: url || null, // Save the original URL if provided
+        job_html: job_html || null, // Keep the captured page so the report can be re-scored without scraping
+        captured_at,
         feedback,
         total_score,
         categories,
         recommendations,
         red_flags,
+        rubric_profile: profile.id,
+        rubric_snapshot: rubric_profile || describeProfile(profile, null),
+        scoring_pipeline: pipelineId,
+        result_schema_version: schema_version,
+        scoring_cache_hit: !!scoringResult.details.cache_hit,
+        llm_usage: usage,
+        prompt_versions: prompts.versions,
+        prompt_experiments: prompts.experiments,
         savedat: new Date().toISOString(),
-        source: 'api',
+        source: file ? 'file' : 'api',
         original_text: job_body,
         original_report: JSON.stringify(jobData)
       };
@@ -449,34 +593,111 @@ module.exports = async function(req, res) {
     } catch (dbError) {
       console.error('Exception saving report to database:', dbError);
     }
-    
-    // Return response with ID if available
-    if (res.headersSent) {
-      console.error('Headers already sent before success response; aborting response dispatch.');
-      return;
-    }
+    await recordLLMUsage(usage, { userId, reportId });
 
-    const response = {
+    return {
       id: reportId, // Include the database ID
-      total_score,
-      categories,
-      red_flags,
-      recommendations,
+      ...scoringResult,
       job_title,
       job_body,
       job_url: url || null, // Include URL in response
-      feedback,
+      ats,
+      structured,
+      page_cache: cache,
+      captured_at,
+      usage,
+      prompts,
       saved_at: new Date().toISOString(),
       original_report: {}
     };
-    return res.json(response);
   } catch (error) {
+    if (signal?.aborted) throw signal.reason;
     console.error('Audit error:', error);
+    throw auditError(500, { error: 'Failed to audit job posting', details: error.message });
+  }
+}
+
+// Express handler
+async function auditJobPost(req, res) {
+  // --- CORS logic ---
+  // --- CORS logic: allow all origins for dev ---
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization');
+  if (req.method === 'OPTIONS') {
+    res.status(204).end();
+    return;
+  }
+  // --- END CORS logic ---
+  // --- END CORS logic ---
+
+  console.log('Received request to /api/audit-job-post');
+  console.log('Environment variables status:', {
+    hasOpenAI: !!process.env.OPENAI_API_KEY || !!process.env.VITE_OPENAI
+  });
+
+  const input = parseAuditInput(req);
+  
+  if (!input.url && !input.text && !input.file) {
+    return res.status(400).json({
+      error: 'Missing input',
+      message: 'Please provide either url or text in the request body, or upload a PDF/DOCX file'
+    });
+  }
+
+  try {
+    resolveAuditProfile(input);
+    resolveAuditLanguage(input);
+    resolveAuditPipeline(input);
+  } catch (error) {
+    return res.status(error.status).json(error.body);
+  }
+
+  // Async mode: hand the audit to the background queue and return a job id immediately
+  if (input.runAsync) {
+    try {
+      const userId = await resolveUserId(req.headers.authorization);
+      const job = enqueueAuditJob({
+        run: (onStage, signal) => runAudit(input, { userId, onStage, signal }),
+        webhookUrl: input.webhookUrl,
+        userId
+      });
+      return res.status(202).json({
+        ...serializeJob(job),
+        status_url: `/api/v1/audit-jobs/${job.id}`
+      });
+    } catch (error) {
+      console.error('Failed to queue audit job:', error);
+      return res.status(error.status || 400).json({ error: 'Failed to queue audit job', details: error.message });
+    }
+  }
+
+  try {
+    const response = await runAudit(input, { authHeader: req.headers.authorization });
+
+    // Return response with ID if available
+    if (res.headersSent) {
+      console.error('Headers already sent before success response; aborting response dispatch.');
+      return;
+    }
+    return res.json(response);
+  } catch (error) {
     // Prevent double response if headers already sent
     if (res.headersSent) {
       console.error('Headers already sent, cannot send error response');
       return;
     }
-    res.status(500).json({ error: 'Failed to audit job posting', details: error.message });
+    res.status(error.status || 500).json(error.body || { error: 'Failed to audit job posting', details: error.message });
   }
-};
\ No newline at end of file
+}
+
+module.exports = auditJobPost;
+module.exports.parseAuditInput = parseAuditInput;
+module.exports.resolveAuditProfile = resolveAuditProfile;
+module.exports.resolveAuditLanguage = resolveAuditLanguage;
+module.exports.resolveAuditScoringMode = resolveAuditScoringMode;
+module.exports.resolveAuditPipeline = resolveAuditPipeline;
+module.exports.resolveUserId = resolveUserId;
+module.exports.captureAuditInput = captureAuditInput;
+module.exports.runAudit = runAudit;
+module.exports.scrapeJobUrl = scrapeJobUrl;
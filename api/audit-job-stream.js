@@ -0,0 +1,99 @@
+const { parseAuditInput, resolveAuditProfile, resolveAuditLanguage, resolveAuditPipeline, runAudit } = require('./audit-job-post');
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+// Same budget as the timeout middleware on /api/audit-job-post
+const STREAM_TIMEOUT_MS = 210000;
+
+/**
+ * POST /api/audit-job-stream
+ * Same input as /api/audit-job-post, but streams progress as Server-Sent Events:
+ *   event: stage     data: { stage }
+ *   event: category  data: { category, score, maxScore, suggestions, findings }
+ *   event: complete  data: <full audit response, incl. id and total_score>
+ *   event: error     data: { status, error, details|message }
+ * The audit is aborted when the client disconnects, and after STREAM_TIMEOUT_MS with a 408 error event.
+ */
+module.exports = async function auditJobStream(req, res) {
+  const input = parseAuditInput(req);
+
+  if (!input.url && !input.text && !input.file) {
+    return res.status(400).json({
+      error: 'Missing input',
+      message: 'Please provide either url or text in the request body, or upload a PDF/DOCX file'
+    });
+  }
+
+  try {
+    resolveAuditProfile(input);
+    resolveAuditLanguage(input);
+    resolveAuditPipeline(input);
+  } catch (error) {
+    return res.status(error.status).json(error.body);
+  }
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Disable proxy buffering (nginx / Fly edge) so events arrive as they are written
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  // runAudit stops at its next stage once aborted and never saves the report
+  const controller = new AbortController();
+  let clientClosed = false;
+  res.on('close', () => {
+    clientClosed = true;
+    controller.abort(new Error('Client closed the audit stream'));
+  });
+  const timeout = setTimeout(() => {
+    const error = new Error(`Streaming audit timed out after ${STREAM_TIMEOUT_MS}ms`);
+    error.status = 408;
+    error.body = { error: 'Request timeout', message: 'The request took too long to process. Please try again.' };
+    controller.abort(error);
+  }, STREAM_TIMEOUT_MS);
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+
+  const send = (event, data) => {
+    if (clientClosed || res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const heartbeat = setInterval(() => {
+    if (!clientClosed && !res.writableEnded) res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  console.log('Received streaming request to /api/audit-job-stream');
+
+  try {
+    const audit = runAudit(input, {
+      authHeader: req.headers.authorization,
+      signal: controller.signal,
+      onStage: stage => send('stage', { stage }),
+      onCategory: (category, { score, maxScore, suggestions, findings }) => send('category', {
+        category,
+        score,
+        maxScore,
+        suggestions: Array.isArray(suggestions) ? suggestions : [],
+        findings: Array.isArray(findings) ? findings : []
+      })
+    });
+    // An aborted run settles at its next stage; answer without waiting for it
+    audit.catch(() => {});
+    const result = await Promise.race([audit, aborted]);
+    send('complete', result);
+  } catch (error) {
+    if (clientClosed) console.warn('Streaming audit stopped:', error.message);
+    else console.error('Streaming audit error:', error);
+    send('error', {
+      status: error.status || 500,
+      ...(error.body || { error: 'Failed to audit job posting', details: error.message })
+    });
+  } finally {
+    clearTimeout(timeout);
+    clearInterval(heartbeat);
+    if (!res.writableEnded) res.end();
+  }
+};
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditJob, serializeJob } = require('../services/auditJobQueue');
+const { resolveUserId } = require('./audit-job-post');
+
+/**
+ * GET /api/v1/audit-jobs/:id
+ * Poll the status of an audit queued with `async: true`
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = getAuditJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Audit job not found', details: 'Unknown or expired job id' });
+    }
+
+    // Jobs submitted with a user token are only visible to that user
+    if (job.userId) {
+      const requesterId = await resolveUserId(req.headers.authorization);
+      if (requesterId !== job.userId) {
+        return res.status(404).json({ error: 'Audit job not found', details: 'Unknown or expired job id' });
+      }
+    }
+
+    res.json(serializeJob(job));
+  } catch (error) {
+    console.error('Error fetching audit job status:', error);
+    res.status(500).json({ error: 'Failed to fetch audit job status', details: error.message });
+  }
+});
+
+module.exports = router;
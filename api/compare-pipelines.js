@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../utils/supabase');
+const {
+  parseAuditInput,
+  resolveAuditProfile,
+  resolveAuditLanguage,
+  resolveUserId,
+  captureAuditInput
+} = require('./audit-job-post');
+const { listScoringPipelines, getScoringPipeline, runScoringPipeline } = require('../services/scoringPipelines');
+const { comparePipelineResults, summarizeComparisons } = require('../services/pipelineComparison');
+const { withLLMUsage, recordLLMUsage } = require('../services/llmUsage');
+
+// Postings per batch request; each one is scored by every requested pipeline
+const MAX_BATCH_ITEMS = 10;
+// Pipeline runs (postings x pipelines) per batch request
+const MAX_BATCH_RUNS = 20;
+const DEFAULT_PIPELINES = ['v1', 'v2'];
+
+const parseFlag = value => /^(1|true|yes|on)$/i.test(String(value ?? '').trim());
+
+/**
+ * Pipeline ids to run, in order (the first is the reference for deltas). Defaults to V1 and V2.
+ * @throws {Error} status 400 for unknown ids or fewer than two pipelines.
+ */
+function resolvePipelines(value) {
+  const requested = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : null;
+  const ids = requested
+    ? [...new Set(requested.map(id => String(id).trim()).filter(Boolean))]
+    : DEFAULT_PIPELINES;
+  ids.forEach(getScoringPipeline);
+  if (ids.length < 2) {
+    const error = new Error('Pick at least two pipelines to compare');
+    error.status = 400;
+    throw error;
+  }
+  return ids;
+}
+
+// What a comparison keeps of each pipeline's result
+function condenseResult(result) {
+  return {
+    total_score: result.total_score,
+    categories: Object.fromEntries(
+      Object.entries(result.categories || {}).map(([key, category]) => [key, { score: category.score, maxScore: category.maxScore }])
+    ),
+    red_flags: result.red_flags,
+    mode: result.mode,
+    degraded: result.degraded,
+    ...(result.degraded ? { degradedCategories: result.degradedCategories } : {})
+  };
+}
+
+/**
+ * Score one captured posting with each pipeline and compare the results. A pipeline that fails is
+ * reported with its error and left out of the comparison, except the reference (the first one):
+ * deltas from another pipeline would not compare with the rest, so the posting fails. Stops before
+ * the next pipeline once `signal` is aborted (the response timed out or the client went away).
+ * @returns {Promise<Object>} { results, comparison, usage }
+ */
+async function comparePosting(posting, { pipelineIds, profile, language, userId, signal }) {
+  const jobData = {
+    job_title: posting.job_title,
+    job_body: posting.job_body,
+    job_html: posting.job_html,
+    ats: posting.ats,
+    structured: posting.structured
+  };
+
+  const { result: runs, usage } = await withLLMUsage('compare', async () => {
+    const completed = [];
+    for (const id of pipelineIds) {
+      signal?.throwIfAborted();
+      console.log(`[ComparePipelines] Scoring with ${getScoringPipeline(id).name}`);
+      try {
+        completed.push({ pipeline: id, result: await runScoringPipeline(id, jobData, { profile, language }) });
+      } catch (error) {
+        console.error(`[ComparePipelines] ${id} failed:`, error.message);
+        completed.push({ pipeline: id, error: error.message });
+      }
+    }
+    return completed;
+  });
+  await recordLLMUsage(usage, { userId });
+
+  const [reference] = runs;
+  if (reference.error) {
+    const error = new Error(`Reference pipeline ${reference.pipeline} failed: ${reference.error}`);
+    error.status = 500;
+    throw error;
+  }
+  const scored = runs.filter(run => run.result);
+  if (scored.length < 2) {
+    const error = new Error(`Fewer than two pipelines scored the posting: ${runs.filter(run => run.error).map(run => `${run.pipeline}: ${run.error}`).join('; ')}`);
+    error.status = 500;
+    throw error;
+  }
+
+  const results = Object.fromEntries(runs.map(run => [
+    run.pipeline,
+    { name: getScoringPipeline(run.pipeline).name, ...(run.result ? condenseResult(run.result) : { error: run.error }) }
+  ]));
+  return { results, comparison: comparePipelineResults(scored), usage };
+}
+
+/**
+ * Store a comparison in `pipeline_comparisons`. Failures are logged, never thrown.
+ * @returns {Promise<string|null>} The row id.
+ */
+async function saveComparison(posting, compared, { userId, profile, batchId = null }) {
+  try {
+    const { data, error } = await supabase
+      .from('pipeline_comparisons')
+      .insert([{
+        batch_id: batchId,
+        userid: userId || null,
+        job_url: posting.url || null,
+        job_title: posting.job_title,
+        job_body: posting.job_body,
+        rubric_profile: profile.id,
+        language: posting.language || null,
+        reference_pipeline: compared.comparison.reference,
+        pipelines: compared.comparison.pipelines,
+        results: compared.results,
+        comparison: compared.comparison
+      }])
+      .select('id')
+      .single();
+    if (error) throw error;
+    return data.id;
+  } catch (error) {
+    console.error('[ComparePipelines] Failed to save comparison:', error.message || error);
+    return null;
+  }
+}
+
+// Validation shared by the single and batch endpoints
+function resolveComparisonOptions(req) {
+  const input = parseAuditInput(req);
+  return {
+    input,
+    profile: resolveAuditProfile(input),
+    language: resolveAuditLanguage(input),
+    pipelineIds: resolvePipelines(req.body?.pipelines),
+    persist: parseFlag(req.body?.persist)
+  };
+}
+
+function sendError(res, error, fallback) {
+  if (res.headersSent) return;
+  res.status(error.status || 500).json(error.body || { error: fallback, details: error.message });
+}
+
+// Aborted when the response closes: sent (also by the timeout middleware) or dropped by the client
+function responseSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => controller.abort(new Error('Comparison request closed before it finished')));
+  return controller.signal;
+}
+
+/**
+ * GET /api/v1/compare-pipelines
+ * List the registered scoring pipelines
+ */
+router.get('/', (req, res) => {
+  res.json({ pipelines: listScoringPipelines() });
+});
+
+/**
+ * POST /api/v1/compare-pipelines
+ * Score one posting (url, text or uploaded file) with several pipelines and return aligned
+ * category scores, per-category deltas from the first pipeline and red flag disagreements.
+ * Body: { url | text, pipelines? (default ['v1', 'v2']), rubricProfile?, language?, forceRefresh?, persist? }
+ */
+router.post('/', async (req, res) => {
+  let options;
+  try {
+    options = resolveComparisonOptions(req);
+  } catch (error) {
+    return sendError(res, error, 'Invalid comparison request');
+  }
+  const { input, profile, language, pipelineIds, persist } = options;
+  if (!input.url && !input.text && !input.file) {
+    return res.status(400).json({
+      error: 'Missing input',
+      message: 'Please provide either url or text in the request body, or upload a PDF/DOCX file'
+    });
+  }
+
+  const signal = responseSignal(res);
+  try {
+    const userId = await resolveUserId(req.headers.authorization);
+    const posting = { ...(await captureAuditInput(input)), url: input.url, language };
+    const compared = await comparePosting(posting, { pipelineIds, profile, language, userId, signal });
+    const id = persist ? await saveComparison(posting, compared, { userId, profile }) : null;
+
+    res.json({
+      id,
+      job_title: posting.job_title,
+      job_url: posting.url || null,
+      page_cache: posting.cache,
+      captured_at: posting.captured_at,
+      rubric_profile: profile.id,
+      ...compared
+    });
+  } catch (error) {
+    console.error('Error comparing pipelines:', error);
+    sendError(res, error, 'Failed to compare pipelines');
+  }
+});
+
+/**
+ * POST /api/v1/compare-pipelines/batch
+ * Compare pipelines on several postings and aggregate the deltas and red flag disagreements.
+ * Body: { items: [url | { url } | { text }], pipelines?, rubricProfile?, language?, forceRefresh?, persist? }
+ * Postings that cannot be captured or scored are reported per item and left out of the summary.
+ * At most MAX_BATCH_RUNS pipeline runs (items x pipelines) per request.
+ */
+router.post('/batch', async (req, res) => {
+  let options;
+  try {
+    options = resolveComparisonOptions(req);
+  } catch (error) {
+    return sendError(res, error, 'Invalid comparison request');
+  }
+  const { input, profile, language, pipelineIds, persist } = options;
+  const items = req.body?.items;
+  if (!Array.isArray(items) || !items.length || items.length > MAX_BATCH_ITEMS) {
+    return res.status(400).json({
+      error: 'Invalid items',
+      message: `Provide between 1 and ${MAX_BATCH_ITEMS} items, each a URL or { url } or { text }`
+    });
+  }
+  if (items.length * pipelineIds.length > MAX_BATCH_RUNS) {
+    return res.status(400).json({
+      error: 'Batch too large',
+      message: `${items.length} items x ${pipelineIds.length} pipelines is more than ${MAX_BATCH_RUNS} pipeline runs; send fewer items or pipelines`
+    });
+  }
+
+  const signal = responseSignal(res);
+  const userId = await resolveUserId(req.headers.authorization);
+  const batchId = persist ? crypto.randomUUID() : null;
+  const comparisons = [];
+  for (const item of items) {
+    if (signal.aborted) break;
+    const itemInput = typeof item === 'string'
+      ? { url: item, text: null }
+      : { url: item?.url || null, text: item?.text || null };
+    const label = itemInput.url || 'text';
+    try {
+      if (!itemInput.url && !itemInput.text) throw Object.assign(new Error('Item needs a url or text'), { status: 400 });
+      const posting = { ...(await captureAuditInput({ ...itemInput, file: null, forceRefresh: input.forceRefresh })), url: itemInput.url, language };
+      const compared = await comparePosting(posting, { pipelineIds, profile, language, userId, signal });
+      const id = persist ? await saveComparison(posting, compared, { userId, profile, batchId }) : null;
+      comparisons.push({ id, job_title: posting.job_title, job_url: posting.url || null, ...compared });
+    } catch (error) {
+      console.error(`[ComparePipelines] Batch item ${label} failed:`, error.message);
+      comparisons.push({ job_url: itemInput.url, error: error.body?.details || error.message });
+    }
+  }
+
+  if (signal.aborted) {
+    console.warn(`[ComparePipelines] Batch stopped after ${comparisons.length} of ${items.length} items: ${signal.reason.message}`);
+    return;
+  }
+
+  const succeeded = comparisons.filter(entry => entry.comparison);
+  res.json({
+    batch_id: batchId,
+    rubric_profile: profile.id,
+    reference: pipelineIds[0],
+    pipelines: pipelineIds,
+    failed: comparisons.length - succeeded.length,
+    summary: summarizeComparisons(succeeded.map(entry => entry.comparison), pipelineIds[0]),
+    comparisons
+  });
+});
+
+module.exports = router;
+module.exports.comparePosting = comparePosting;
@@ -1,7 +1,24 @@
 const express = require('express');
 const router = express.Router();
-const { generateJsonLd } = require('../services/schemaGenerator');
+const { generateJsonLdResult } = require('../services/schemaGenerator');
 const { getJobById } = require('../utils/supabase');
+const { withLLMUsage, recordLLMUsage } = require('../services/llmUsage');
+const { resolveUserId } = require('./audit-job-post');
+
+/**
+ * Generate JSON-LD while accounting for its LLM usage. The response body is the JSON-LD itself,
+ * so the usage block (without per-call details) is returned in the X-LLM-Usage header, and the
+ * reason for falling back to minimal JSON-LD in X-JSONLD-Degraded.
+ * @returns {Promise<{jsonLd: Object, degraded: boolean}>}
+ */
+async function generateWithUsage(req, res, jobId, jobText, analysisData) {
+  const { result, usage } = await withLLMUsage('jsonld', () => generateJsonLdResult(jobText, analysisData));
+  const { details, ...summary } = usage;
+  res.setHeader('X-LLM-Usage', JSON.stringify(summary));
+  if (result.degraded) res.setHeader('X-JSONLD-Degraded', result.degradedReason.replace(/[^\x20-\x7e]/g, ' ').slice(0, 300));
+  await recordLLMUsage(usage, { userId: await resolveUserId(req.headers.authorization), reportId: jobId });
+  return result;
+}
 
 /**
  * Generate JSON-LD schema.org/JobPosting data for a job posting
@@ -33,22 +50,24 @@ router.get('/:id', async (req, res) => {
       // If we have the job data but no JSON-LD, generate it on the fly
       if (data && data.job_body) {
         console.log(`[DEBUG] Job data found, but no JSON-LD. Generating it now...`);
-        const json_ld = await generateJsonLd(data.job_body, {
+        const { jsonLd: json_ld, degraded } = await generateWithUsage(req, res, jobId, data.job_body, {
           score: data.total_score || 0,
           feedback: data.feedback || '',
           job_title: data.job_title || 'Job Posting'
         });
         
-        // Save the generated JSON-LD back to the database
-        const { error: updateError } = await supabase
-          .from('reports')
-          .update({ json_ld })
-          .eq('id', jobId);
-          
-        if (updateError) {
-          console.warn(`[WARN] Failed to update report with JSON-LD:`, updateError);
-        } else {
-          console.log(`[DEBUG] Updated report with generated JSON-LD`);
+        // Save the generated JSON-LD back to the database (not the minimal fallback, so it is retried)
+        if (!degraded) {
+          const { error: updateError } = await supabase
+            .from('reports')
+            .update({ json_ld })
+            .eq('id', jobId);
+
+          if (updateError) {
+            console.warn(`[WARN] Failed to update report with JSON-LD:`, updateError);
+          } else {
+            console.log(`[DEBUG] Updated report with generated JSON-LD`);
+          }
         }
         
         return res.json(json_ld);
@@ -82,7 +101,7 @@ router.get('/:id', async (req, res) => {
     
     // Generate JSON-LD schema using the schemaGenerator service
     console.log(`[DEBUG] Generating JSON-LD schema...`);
-    const json_ldData = await generateJsonLd(jobData.jobText, jobData.analysisResult);
+    const { jsonLd: json_ldData } = await generateWithUsage(req, res, jobId, jobData.jobText, jobData.analysisResult);
     
     console.log(`[DEBUG] JSON-LD generation successful`);
     
@@ -1,18 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const { scoreJob7Category } = require('../services/scoringService');
-const { scoreJobEnhanced } = require('../services/scoringServiceV2');
+const { getScoringPipeline, runScoringPipeline } = require('../services/scoringPipelines');
 const { getJobPostingById } = require('../services/databaseService');
-const { callLLM } = require('../utils/llmHelpers');
+const { callLLMStructured } = require('../utils/structuredOutput');
+const { renderPrompt } = require('../services/promptRegistry');
 const { supabase } = require('../utils/supabase');
+const { withLLMUsage, recordLLMUsage } = require('../services/llmUsage');
+const { resolveUserId } = require('./audit-job-post');
 
 /**
  * POST /api/v1/optimize-job
  * Creates an optimized job posting with detailed improvement tracking
+ * Body: { report_id | job_id, text?, pipeline? } where pipeline is the scoring pipeline id that
+ * scores the original and optimized text (services/scoringPipelines.js, default 'v2').
  */
 router.post('/', async (req, res) => {
   try {
-    const { text, job_id, report_id } = req.body;
+    const { text, job_id, report_id, pipeline = 'v2' } = req.body;
     const jobId = report_id || job_id; // Support both field names
     console.log('[DEBUG] optimize-job: Starting optimization for report_id:', jobId);
     
@@ -20,6 +24,13 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'Either job posting text or report_id is required' });
     }
 
+    let scoringPipeline;
+    try {
+      scoringPipeline = getScoringPipeline(pipeline);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid scoring pipeline', details: error.message });
+    }
+
     // Fetch report data if only report_id is provided
     let jobText = text;
     if (!jobText && jobId) {
@@ -40,33 +51,55 @@ router.post('/', async (req, res) => {
     if (!originalReport) {
       return res.status(404).json({ error: 'Report not found' });
     }
-    const originalScore = originalReport.total_score || 0;
 
-    // 1b. Score the original text to extract category-level insights
+    // 1b. Score the original text with the requested pipeline; the optimized text is scored with
+    // the same one, so the improvement check compares scores on one scale
+    // (originalReport.total_score may come from another pipeline)
     console.log('[DEBUG] optimize-job: Scoring original text to capture category deltas');
     const originalJobData = {
       job_title: originalReport.job_title || 'Job Posting',
       job_body: jobText,
       job_html: originalReport.job_html || ''
     };
-    const originalAnalysis = await scoreJobEnhanced(originalJobData);
-    const originalCategories = originalAnalysis?.categories || {};
-    console.log('[DEBUG] optimize-job: Original category scores:', JSON.stringify(originalCategories, null, 2));
+    // Steps 1b-3 make every LLM call of the request; account for them together
+    const { result: { originalAnalysis, optimizationResult, optimizedAnalysis }, usage } = await withLLMUsage('optimize', async () => {
+      const originalAnalysis = await runScoringPipeline(pipeline, originalJobData);
+      const originalCategories = originalAnalysis.categories;
+      console.log('[DEBUG] optimize-job: Original category scores:', JSON.stringify(originalCategories, null, 2));
+
+      // 2. Generate optimized version with LLM (using category insights)
+      console.log('[DEBUG] optimize-job: Generating optimized text with LLM');
+      const optimizationResult = await generateOptimizedJobPost(jobText, originalAnalysis.total_score, originalCategories);
+      if (optimizationResult.degraded) return { originalAnalysis, optimizationResult, optimizedAnalysis: null };
+
+      // 3. Re-score optimized version with the same pipeline
+      console.log(`[DEBUG] optimize-job: Scoring optimized text with ${scoringPipeline.name}`);
+      const optimizedJobData = {
+        job_title: originalReport.job_title || 'Job Posting',
+        job_body: optimizationResult.optimizedText,
+        job_html: '' // Optimized text is plain text, no HTML
+      };
+      const optimizedAnalysis = await runScoringPipeline(pipeline, optimizedJobData);
+      return { originalAnalysis, optimizationResult, optimizedAnalysis };
+    });
+    await recordLLMUsage(usage, { userId: await resolveUserId(req.headers.authorization), reportId: jobId });
+    const originalScore = originalAnalysis.total_score;
 
-    // 2. Generate optimized version with LLM (using category insights)
-    console.log('[DEBUG] optimize-job: Generating optimized text with LLM');
-    const optimizationResult = await generateOptimizedJobPost(jobText, originalScore, originalCategories);
-    
-    // 3. Re-score optimized version using ENHANCED (V2) scoring - same as audit endpoint
-    console.log('[DEBUG] optimize-job: Scoring optimized text with V2 Enhanced scoring');
-    const optimizedJobData = {
-      job_title: originalReport.job_title || 'Job Posting',
-      job_body: optimizationResult.optimizedText,
-      job_html: '' // Optimized text is plain text, no HTML
-    };
-    const optimizedAnalysis = await scoreJobEnhanced(optimizedJobData);
+    if (optimizationResult.degraded) {
+      return res.status(200).json({
+        error: 'Optimization failed',
+        message: 'The optimizer did not return a usable rewrite. Please try again.',
+        degraded: true,
+        degradedReason: optimizationResult.degradedReason,
+        original_score: originalScore,
+        improvement: false,
+        pipeline: originalAnalysis.pipeline,
+        original_result: originalAnalysis,
+        usage
+      });
+    }
     console.log('[DEBUG] optimize-job: Full optimizedAnalysis object:', JSON.stringify(optimizedAnalysis, null, 2));
-    const optimizedScore = optimizedAnalysis.total_score; // Note: property is total_score, not totalScore
+    const optimizedScore = optimizedAnalysis.total_score;
     
     console.log('[DEBUG] optimize-job: Optimized score calculated:', optimizedScore);
     console.log('[DEBUG] optimize-job: Type of optimizedScore:', typeof optimizedScore);
@@ -88,7 +121,11 @@ router.post('/', async (req, res) => {
         message: 'The optimized version scored the same or lower than the original. Please try again or edit manually.',
         original_score: originalScore,
         optimized_score: optimizedScore,
-        improvement: false
+        improvement: false,
+        pipeline: optimizedAnalysis.pipeline,
+        original_result: originalAnalysis,
+        optimized_result: optimizedAnalysis,
+        usage
       });
     }
 
@@ -156,7 +193,12 @@ router.post('/', async (req, res) => {
       original_score: originalScore,
       change_log: optimizationResult.changeLog,
       unaddressed_items: optimizationResult.unaddressedItems,
-      created_at: savedOptimization.created_at
+      created_at: savedOptimization.created_at,
+      schema_version: optimizedAnalysis.schema_version,
+      pipeline: optimizedAnalysis.pipeline,
+      original_result: originalAnalysis,
+      optimized_result: optimizedAnalysis,
+      usage
     });
   } catch (error) {
     console.error('Error optimizing job posting:', error);
@@ -266,6 +308,18 @@ function buildCategoryGuidance(categories = {}) {
     );
   }
 
+  if (categories.inclusivity) {
+    addSection(
+      'Inclusive Language',
+      '🟡',
+      categories.inclusivity.score,
+      categories.inclusivity.maxScore,
+      categories.inclusivity.suggestions || [
+        'Replace gender-coded, age-coded and ableist wording with neutral alternatives.'
+      ]
+    );
+  }
+
   if (!lines.length) {
     lines.push('**✅ Strong Performance:** Build on the solid foundation and polish details to reach 100/100.');
   }
@@ -273,65 +327,40 @@ function buildCategoryGuidance(categories = {}) {
   return lines.join('\n');
 }
 
+// The rewrite may come back as a string or as section objects/arrays; normalizeText flattens them
+const OPTIMIZATION_SCHEMA = {
+  type: 'object',
+  required: ['optimized_text'],
+  properties: {
+    optimized_text: { type: ['string', 'array', 'object'] },
+    change_log: { type: ['array', 'string'] },
+    unaddressed_items: { type: ['array', 'string'] }
+  }
+};
+
 /**
- * Generate optimized job posting with tracked improvements
+ * Generate optimized job posting with tracked improvements. When the LLM gives no usable rewrite
+ * the original text is returned with `degraded: true` and the reason.
  */
 async function generateOptimizedJobPost(originalText, originalScore, categories = {}) {
   const categoryGuidance = buildCategoryGuidance(categories);
 
-  const prompt = `You are an **expert job posting optimizer and copy editor**. Rewrite the job posting below so it reaches a **100/100 score** across clarity, structure, data completeness, keyword coverage, compensation transparency, and formatting.
-
-### Current Performance Snapshot
-**Overall Score:** ${originalScore}/100
-${categoryGuidance}
-
-### Mission
-- Build upon the existing content; do **not** summarize or shorten drastically.
-- Maintain or expand the original length with richer detail.
-- Preserve accurate facts, requirements, and context.
-- Ensure compensation transparency with concrete ranges and benefits whenever possible.
-
-### Output Requirements
-- Produce the **full rewritten post** using Markdown:
-  - \`##\` headings for sections (About the Role, Responsibilities, Requirements, Benefits, Compensation, How to Apply, etc.)
-  - Bullet lists using \`-\` for clarity
-  - **Bold** key items (job title, compensation figures, critical skills)
-- Keep language inclusive, clear, and free of fluff.
-
-### Return JSON Only
-{
-  "optimized_text": "Complete Markdown rewrite",
-  "change_log": ["Specific improvements with measurable impact"],
-  "unaddressed_items": ["Items requiring hiring manager input"]
-}
-
-### Style Reference
-"optimized_text": "## About the Role\\nJoin our **Senior Data Engineer** team...\\n\\n## Responsibilities\\n- Build scalable pipelines...\\n- Partner with cross-functional teams...\\n\\n## Requirements\\n- 5+ years with Python and SQL\\n- Experience with AWS or GCP\\n\\n## Compensation\\n**Salary Range:** $140,000 - $175,000 per year\\n**Benefits:** Medical, dental, vision, 401(k) match, 20 days PTO"
-
----
-
-**Original Job Posting:**
-${originalText}
-
-Think through improvements, then output **only the JSON object** containing the final rewrite.`;
+  const prompt = renderPrompt('optimize.rewrite', { originalScore, categoryGuidance, originalText });
 
   try {
     const ESTIMATED_SIZE_THRESHOLD = 4000; // rough cutoff before Groq JSON mode hits payload limits
-    const estimatedSize = prompt.length;
+    const estimatedSize = prompt.text.length;
     const useJsonMode = estimatedSize <= ESTIMATED_SIZE_THRESHOLD;
 
     console.log('[generateOptimizedJobPost] JSON mode enabled:', useJsonMode, 'size:', estimatedSize);
 
     const callOptions = {
       user: 'services/optimize-job',
-      systemMessage: 'Professional job posting optimizer. Respond with one JSON object containing the Markdown rewrite and supporting arrays.',
-      model: 'openai/gpt-oss-20b'
+      systemMessage: prompt.system,
+      model: 'openai/gpt-oss-20b',
+      response_format: useJsonMode ? { type: 'json_object' } : null
     };
 
-    if (useJsonMode) {
-      callOptions.response_format = { type: 'json_object' };
-    }
-
     // Groq models benefit from explicit creativity/length controls.
     // If this ever runs against GPT-5 (which ignores temperature/top_p), the fields are harmless.
     const groqTunedOptions = {
@@ -342,62 +371,23 @@ Think through improvements, then output **only the JSON object** containing the
       timeout: 120000
     };
 
-    let response;
-    try {
-      response = await callLLM(prompt, null, groqTunedOptions);
-    } catch (jsonError) {
-      console.warn('[optimize-job] JSON response_format failed, retrying without constraint:', jsonError?.message);
-      const fallbackOptions = {
-        ...groqTunedOptions
-      };
-      delete fallbackOptions.response_format;
-      response = await callLLM(prompt, null, fallbackOptions);
+    let structured = await callLLMStructured(prompt.text, { ...groqTunedOptions, schema: OPTIMIZATION_SCHEMA });
+    if (structured.degraded && groqTunedOptions.response_format) {
+      console.warn('[optimize-job] JSON response_format failed, retrying without constraint:', structured.reason);
+      structured = await callLLMStructured(prompt.text, { ...groqTunedOptions, response_format: null, schema: OPTIMIZATION_SCHEMA });
     }
-    
-    // Parse JSON response
-    let parsed;
-    try {
-      let candidate = response?.trim?.() ?? '';
-
-      // Quick strip if the string literally starts with a fence even without closing ```
-      if (candidate.startsWith('```')) {
-        const fenceBreak = candidate.indexOf('\n');
-        if (fenceBreak !== -1) {
-          candidate = candidate.slice(fenceBreak + 1).trim();
-        }
-      }
-
-      // Handle fenced code blocks like ```json ... ``` or ``` ... ```
-      const fencedMatch = candidate.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
-      if (fencedMatch) {
-        candidate = fencedMatch[1].trim();
-      }
-
-      if (!fencedMatch) {
-        // Attempt to isolate the first JSON object in the string
-        const firstBrace = candidate.indexOf('{');
-        const lastBrace = candidate.lastIndexOf('}');
-        if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-          candidate = candidate.slice(firstBrace, lastBrace + 1).trim();
-        }
-      }
-
-      // Strip trailing unmatched fence if present after previous trims
-      if (candidate.endsWith('```')) {
-        candidate = candidate.slice(0, -3).trimEnd();
-      }
 
-      parsed = JSON.parse(candidate);
-    } catch (parseError) {
-      console.error('[DEBUG] optimize-job: Failed to parse LLM response as JSON:', parseError);
-      console.error('[DEBUG] optimize-job: Raw LLM response snippet:', response?.slice?.(0, 400));
-      // Fallback: surface original text so downstream scoring still works
+    if (structured.degraded) {
+      console.error('[DEBUG] optimize-job: No usable optimization from the LLM:', structured.reason);
       return {
         optimizedText: originalText,
-        changeLog: ['Unable to generate optimizations - please try again'],
-        unaddressedItems: []
+        changeLog: [],
+        unaddressedItems: [],
+        degraded: true,
+        degradedReason: structured.reason
       };
     }
+    const parsed = structured.data;
 
     const normalizeText = value => {
       if (value === null || value === undefined) return '';
@@ -420,7 +410,6 @@ Think through improvements, then output **only the JSON object** containing the
     };
 
     const optimizedText = (() => {
-      if (!parsed) return originalText;
       const raw = parsed.optimized_text;
       const normalized = normalizeText(raw);
       const trimmed = normalized.trim();
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../utils/supabase');
+const {
+  listPromptTemplates,
+  listPromptExperiments,
+  getPromptExperiment,
+  summarizeExperiment
+} = require('../services/promptRegistry');
+
+// Reports read per results request; the newest are used when an experiment has more
+const MAX_RESULT_REPORTS = 10000;
+
+/**
+ * GET /api/v1/prompt-experiments
+ * List the prompt templates with their versions, and the configured prompt experiments
+ */
+router.get('/', (req, res) => {
+  res.json({
+    templates: listPromptTemplates(),
+    experiments: listPromptExperiments()
+  });
+});
+
+/**
+ * GET /api/v1/prompt-experiments/:id/results
+ * Per-version report counts, mean total score and score stability (spread of repeated audits of
+ * the same posting) for an experiment
+ */
+router.get('/:id/results', async (req, res) => {
+  let experiment;
+  try {
+    experiment = getPromptExperiment(req.params.id);
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: 'Prompt experiment not found', details: error.message });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('reports')
+      .select('total_score, prompt_experiments, scoring_cache_hit')
+      .contains('prompt_experiments', { [experiment.id]: {} })
+      .order('savedat', { ascending: false })
+      .limit(MAX_RESULT_REPORTS);
+    if (error) throw error;
+
+    res.json({
+      ...summarizeExperiment(experiment, data || []),
+      truncated: (data || []).length >= MAX_RESULT_REPORTS
+    });
+  } catch (error) {
+    console.error('Error fetching prompt experiment results:', error);
+    res.status(500).json({ error: 'Failed to fetch prompt experiment results', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { callLLM } = require('../utils/llmHelpers');
+const { renderPrompt } = require('../services/promptRegistry');
 const { getJobPostingById, updateJobPosting } = require('../services/databaseService');
 const { supabase } = require('../utils/supabase'); // Assuming supabase is initialized here
+const { withLLMUsage, recordLLMUsage } = require('../services/llmUsage');
+const { resolveUserId } = require('./audit-job-post');
 
 /**
  * GET /api/v1/rewrite-job/:id
@@ -117,14 +120,11 @@ router.post('/:id', async (req, res) => {
     //   `Areas Needing Improvement:\n${recommendations.join('\n')}\n\n` +
     //   `Improved Version:`;
     
-    const prompt = `You are to output only the improved job posting text with no extra commentary, preamble, or explanation.\n\n` +
-    `Rewrite this job posting to address the following issues.\n\n` +
-    `Original Posting:\n${originalText}\n\n` +
-    `Areas Needing Improvement:\n${recommendations.join('\n')}\n\n` +
-    `Improved Version (output only the rewritten posting, nothing else):`;
+    const prompt = renderPrompt('rewrite.improve', { originalText, recommendations: recommendations.join('\n') });
     
     // Generate improved text
-    const improvedText = await callLLM(prompt);
+    const { result: improvedText, usage } = await withLLMUsage('rewrite', () => callLLM(prompt.text, null, { user: 'api/rewrite-job', systemMessage: prompt.system }));
+    await recordLLMUsage(usage, { userId: await resolveUserId(req.headers.authorization), reportId: id });
     
     // Save if requested
     if (saveToDatabase) {
@@ -180,6 +180,7 @@ router.post('/:id', async (req, res) => {
       improvedText,
       recommendations,
       score: job.total_score || job.totalscore,
+      usage,
       versionNumber: saveToDatabase ? ((await supabase.from('rewrite_versions').select('version_number', { count: 'exact' }).eq('job_id', id)).count || 0) + 1 : 1
     });
     
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { listRubricProfiles } = require('../services/rubricProfiles');
+
+/**
+ * GET /api/v1/rubric-profiles
+ * List the rubric profiles accepted as `rubricProfile` by the audit and analyze-text endpoints
+ */
+router.get('/', (req, res) => {
+  res.json({
+    profiles: listRubricProfiles().map(({ id, name, description, weights, disabledCategories, thresholds, textWeights }) => ({
+      id,
+      name,
+      description,
+      weights,
+      disabled_categories: disabledCategories || [],
+      thresholds,
+      text_weights: textWeights
+    }))
+  });
+});
+
+module.exports = router;
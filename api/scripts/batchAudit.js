@@ -5,6 +5,8 @@ const path = require('path');
 const BASE = process.env.BASE_URL || 'http://localhost:3000';
 const CONCURRENCY = Number(process.env.CONCURRENCY || 3);
 const AUTH_BEARER = process.env.AUTH_BEARER || '';
+// Scoring pipeline id sent with each audit (services/scoringPipelines.js); the server default when unset
+const PIPELINE = process.env.PIPELINE || '';
 const urlsFile = process.argv[2] || 'tests/urls.txt';
 
 // Use global fetch if available (Node 18+), else try node-fetch (optional).
@@ -26,7 +28,7 @@ async function postAudit(fetchFn, url) {
   const res = await fetchFn(`${BASE}/api/audit-job-post`, {
     method: 'POST',
     headers,
-    body: JSON.stringify({ url }),
+    body: JSON.stringify(PIPELINE ? { url, pipeline: PIPELINE } : { url }),
   });
 
   const text = await res.text();
@@ -42,34 +44,36 @@ function slugify(s) {
   return s.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').slice(0, 80);
 }
 
-// Extract totalScore and per-category scores, tolerating different shapes.
+// Total and per-category scores from an audit response (the scoring result schema,
+// services/scoringPipelines.js).
 function extractScores(obj) {
-  if (!obj || typeof obj !== 'object') return { totalScore: null, categories: {} };
-
-  const totalScore =
-    obj.totalScore ??
-    obj.score ??
-    (typeof obj.overallScore === 'number' ? obj.overallScore : null);
-
-  // Find category container
-  const container =
-    obj.categoryScores ||
-    obj.categories ||
-    obj.breakdown ||
-    obj.scores ||
-    null;
-
-  const categories = {};
-  if (container && typeof container === 'object') {
-    for (const [k, v] of Object.entries(container)) {
-      if (v && typeof v === 'object' && 'score' in v && typeof v.score === 'number') {
-        categories[k] = v.score;
-      } else if (typeof v === 'number') {
-        categories[k] = v;
-      }
-    }
-  }
-  return { totalScore, categories };
+  if (!obj || typeof obj !== 'object' || typeof obj.total_score !== 'number') return { totalScore: null, categories: {} };
+
+  const categories = Object.fromEntries(
+    Object.entries(obj.categories || {}).map(([k, v]) => [k, v.score])
+  );
+  return { totalScore: obj.total_score, categories };
+}
+
+// Annualized pay from the V2 compensation category (services/compensationNormalization), if any.
+function extractCompensation(obj) {
+  const normalized = obj?.categories?.compensation?.breakdown?.normalized;
+  if (!normalized || normalized.midpoint == null) return null;
+  return {
+    currency: normalized.baseCurrency,
+    annualMin: normalized.annualMin,
+    annualMax: normalized.annualMax,
+    midpoint: normalized.midpoint,
+    rangeWidth: normalized.rangeWidth,
+    colAdjustedMidpoint: normalized.costOfLiving?.adjustedMidpoint ?? null,
+  };
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
 }
 
 function csvEscape(val) {
@@ -80,18 +84,22 @@ function csvEscape(val) {
 }
 
 function writeCSV(filePath, rows, dynamicCategoryKeys) {
-  const headers = ['url', 'status', 'elapsedMs', 'totalScore', ...dynamicCategoryKeys, 'suggestionsCount', 'error'];
+  const compHeaders = ['payCurrency', 'annualMin', 'annualMax', 'annualMidpoint', 'rangeWidth', 'colAdjustedMidpoint'];
+  const headers = ['url', 'status', 'elapsedMs', 'totalScore', ...dynamicCategoryKeys, ...compHeaders, 'suggestionsCount', 'error'];
   const lines = [headers.map(csvEscape).join(',')];
 
   for (const r of rows) {
-    const { url, status, elapsedMs, totalScore, categories, suggestionsCount, err } = r;
+    const { url, status, elapsedMs, totalScore, categories, compensation, suggestionsCount, err } = r;
     const catVals = dynamicCategoryKeys.map(k => (k in categories ? categories[k] : ''));
+    const comp = compensation || {};
+    const compVals = [comp.currency, comp.annualMin, comp.annualMax, comp.midpoint, comp.rangeWidth, comp.colAdjustedMidpoint].map(v => v ?? '');
     const cols = [
       url,
       status,
       elapsedMs,
       totalScore ?? '',
       ...catVals,
+      ...compVals,
       suggestionsCount ?? '',
       err ? String(err).slice(0, 300) : '',
     ].map(csvEscape);
@@ -137,7 +145,7 @@ async function main() {
       try {
         const r = await postAudit(fetchFn, url);
         const { totalScore, categories } = extractScores(r.json);
-        const suggestionsCount = Array.isArray(r.json?.suggestions) ? r.json.suggestions.length : '';
+        const suggestionsCount = Array.isArray(r.json?.recommendations) ? r.json.recommendations.length : '';
 
         const row = {
           url: r.url,
@@ -145,6 +153,7 @@ async function main() {
           elapsedMs: r.elapsedMs,
           totalScore,
           categories,
+          compensation: extractCompensation(r.json),
           suggestionsCount,
           err: r.err || (r.status !== 200 ? `HTTP ${r.status}` : ''),
         };
@@ -157,7 +166,7 @@ async function main() {
         );
         console.log(`[${results.length}/${urls.length}] ${url} -> ${r.status} ${r.elapsedMs}ms total=${totalScore ?? 'n/a'}`);
       } catch (e) {
-        const row = { url, status: 0, elapsedMs: 0, totalScore: null, categories: {}, suggestionsCount: '', err: e.message };
+        const row = { url, status: 0, elapsedMs: 0, totalScore: null, categories: {}, compensation: null, suggestionsCount: '', err: e.message };
         results.push(row);
         const slug = slugify(url);
         fs.writeFileSync(path.join(rawDir, `${results.length}-${slug}.json`), JSON.stringify({ meta: row }, null, 2));
@@ -189,12 +198,25 @@ async function main() {
     Object.entries(perCat).map(([k, arr]) => [k, arr.length ? +(arr.reduce((a, b) => a + b, 0) / arr.length).toFixed(2) : null])
   );
 
+  // Pay comparison across postings, in the server's base currency
+  const withPay = ok.filter(r => r.compensation);
+  const compensationSummary = withPay.length ? {
+    currency: withPay[0].compensation.currency,
+    postingsWithPay: withPay.length,
+    medianMidpoint: median(withPay.map(r => r.compensation.midpoint)),
+    minMidpoint: Math.min(...withPay.map(r => r.compensation.midpoint)),
+    maxMidpoint: Math.max(...withPay.map(r => r.compensation.midpoint)),
+    medianRangeWidth: median(withPay.map(r => r.compensation.rangeWidth)),
+    medianColAdjustedMidpoint: median(withPay.map(r => r.compensation.colAdjustedMidpoint).filter(v => v != null)),
+  } : null;
+
   const summary = {
     total: results.length,
     success: ok.length,
     fail: results.length - ok.length,
     avgTotal: ok.length ? +(ok.reduce((a, r) => a + (r.totalScore || 0), 0) / ok.length).toFixed(2) : null,
     perCategoryAvg,
+    compensation: compensationSummary,
     errors: results.filter(r => r.status !== 200 || r.err).map(r => ({ url: r.url, status: r.status, err: r.err })).slice(0, 50),
   };
 
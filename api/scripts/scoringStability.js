@@ -0,0 +1,176 @@
+/* eslint-disable no-console */
+// Scoring stability harness: re-scores a corpus of postings RUNS times through scoring pipelines
+// (PIPELINES, default v2,v1; see services/scoringPipelines.js) and reports, per category, the mean,
+// run-to-run standard deviation and rank agreement (services/scoringStability.js). Categories
+// whose drift exceeds STABILITY_THRESHOLD of their max score are flagged.
+//
+//   node api/scripts/scoringStability.js [corpus...]
+//
+// Corpus entries (default: results/raw tests/urls.txt):
+//   *.txt      - one URL per line
+//   *.json     - a posting { job_title, job_body, job_html?, url? }, an array of them, or a
+//                batchAudit capture ({ meta: { url }, response }) whose response holds the posting
+//   directory  - every *.json file in it
+// URLs without posting text are captured once (through the page cache) and every run scores the
+// same capture, so the spread measured is the scorer's, not the page's. The V2 result cache is
+// bypassed.
+const fs = require('fs');
+const path = require('path');
+const { SCORING_PIPELINES, runScoringPipeline } = require('../../services/scoringPipelines');
+const { DEFAULT_THRESHOLD, summarizeStability } = require('../../services/scoringStability');
+
+const RUNS = Math.max(2, Number(process.env.RUNS || 5));
+const PIPELINES = (process.env.PIPELINES || 'v2,v1').split(',').map(s => s.trim()).filter(Boolean);
+const THRESHOLD = Number(process.env.STABILITY_THRESHOLD || DEFAULT_THRESHOLD);
+const OUTPUT = process.env.OUTPUT || path.join('results', 'stability.json');
+const FAIL_ON_FLAGS = process.env.FAIL_ON_FLAGS === '1';
+const sources = process.argv.slice(2).length ? process.argv.slice(2) : [path.join('results', 'raw'), path.join('tests', 'urls.txt')];
+
+// A corpus entry from a parsed JSON file: a posting with text, or just its URL
+function entryFromJson(obj, file) {
+  if (!obj || typeof obj !== 'object') return null;
+  const posting = obj.response && obj.response.job_body ? obj.response : obj;
+  const url = posting.job_url || posting.url || obj.meta?.url || null;
+  if (posting.job_body) {
+    return {
+      id: url || path.basename(file),
+      url,
+      job_title: posting.job_title || '',
+      job_body: posting.job_body,
+      job_html: posting.job_html || null,
+      structured: posting.structured || null
+    };
+  }
+  return url ? { id: url, url } : null;
+}
+
+function loadSource(source) {
+  if (!fs.existsSync(source)) {
+    console.warn(`Skipping missing corpus source ${source}`);
+    return [];
+  }
+  if (fs.statSync(source).isDirectory()) {
+    return fs.readdirSync(source)
+      .filter(name => name.endsWith('.json'))
+      .sort()
+      .flatMap(name => loadSource(path.join(source, name)));
+  }
+  const text = fs.readFileSync(source, 'utf8');
+  if (!source.endsWith('.json')) {
+    return text.split('\n').map(s => s.trim()).filter(s => /^https?:\/\//i.test(s)).map(url => ({ id: url, url }));
+  }
+  try {
+    const parsed = JSON.parse(text);
+    return (Array.isArray(parsed) ? parsed : [parsed]).map(obj => entryFromJson(obj, source)).filter(Boolean);
+  } catch (e) {
+    console.warn(`Skipping ${source}: ${e.message}`);
+    return [];
+  }
+}
+
+// Entries by id; an entry with posting text wins over a bare URL
+function loadCorpus() {
+  const byId = new Map();
+  for (const entry of sources.flatMap(loadSource)) {
+    const existing = byId.get(entry.id);
+    if (!existing || (!existing.job_body && entry.job_body)) byId.set(entry.id, entry);
+  }
+  return [...byId.values()];
+}
+
+async function capturePostings(entries) {
+  const postings = [];
+  const skipped = [];
+  let scrapeJobUrl = null;
+  for (const entry of entries) {
+    if (entry.job_body) {
+      postings.push(entry);
+      continue;
+    }
+    try {
+      // Loaded lazily: capturing needs Chromium, text-only corpora don't
+      if (!scrapeJobUrl) ({ scrapeJobUrl } = require('../audit-job-post'));
+      const page = await scrapeJobUrl(entry.url);
+      postings.push({ ...entry, job_title: page.job_title, job_body: page.job_body, job_html: page.job_html, structured: page.structured });
+      console.log(`Captured ${entry.url} (${page.cache})`);
+    } catch (e) {
+      skipped.push({ id: entry.id, error: e.message });
+      console.warn(`Could not capture ${entry.url}: ${e.message}`);
+    }
+  }
+  return { postings, skipped };
+}
+
+function printSummary(pipeline, summary) {
+  console.log(`\n${pipeline.toUpperCase()} (${summary.runs} runs, threshold ${summary.threshold} of max score)`);
+  console.log(['category'.padEnd(18), 'max', 'mean', 'stdDev', 'maxStdDev', 'rankAgree', 'degraded', ''].join('\t'));
+  for (const [key, c] of Object.entries(summary.categories)) {
+    console.log([key.padEnd(18), c.maxScore, c.mean, c.stdDev, c.maxStdDev, c.rankAgreement ?? 'n/a', c.degradedRuns, c.flagged ? 'FLAGGED' : ''].join('\t'));
+  }
+}
+
+async function main() {
+  const unknown = PIPELINES.filter(p => !SCORING_PIPELINES[p]);
+  if (unknown.length) {
+    console.error(`Unknown pipeline(s): ${unknown.join(', ')}. Known: ${Object.keys(SCORING_PIPELINES).join(', ')}.`);
+    process.exit(1);
+  }
+
+  const { postings, skipped } = await capturePostings(loadCorpus());
+  if (!postings.length) {
+    console.error('No postings to score. Pass capture files, posting JSON or a URL list.');
+    process.exit(1);
+  }
+
+  console.log(`Running scoring stability harness:
+  - Postings: ${postings.length} (${skipped.length} skipped)
+  - Runs: ${RUNS}
+  - Pipelines: ${PIPELINES.join(', ')}
+  - Threshold: ${THRESHOLD}
+  `);
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    corpus: { sources, postings: postings.map(p => ({ id: p.id, title: p.job_title })), skipped },
+    pipelines: {}
+  };
+
+  for (const pipeline of PIPELINES) {
+    const runsByPosting = [];
+    const modes = new Set();
+    for (const posting of postings) {
+      const jobData = { job_title: posting.job_title, job_body: posting.job_body, job_html: posting.job_html, structured: posting.structured };
+      const runs = [];
+      for (let run = 1; run <= RUNS; run++) {
+        try {
+          const result = await runScoringPipeline(pipeline, jobData, { useCache: false });
+          runs.push(result);
+          modes.add(result.mode || 'llm');
+          console.log(`[${pipeline} ${run}/${RUNS}] ${posting.id} total=${result.total_score}`);
+        } catch (e) {
+          console.warn(`[${pipeline} ${run}/${RUNS}] ${posting.id} failed: ${e.message}`);
+        }
+      }
+      runsByPosting.push({ id: posting.id, runs });
+    }
+    if (modes.has('deterministic')) {
+      console.warn(`${pipeline}: scored deterministically (no LLM configured or SCORING_MODE=deterministic); runs cannot drift.`);
+    }
+    report.pipelines[pipeline] = summarizeStability(runsByPosting, { threshold: THRESHOLD });
+    printSummary(pipeline, report.pipelines[pipeline]);
+  }
+
+  fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+  fs.writeFileSync(OUTPUT, JSON.stringify(report, null, 2));
+  console.log('\nWrote:', OUTPUT);
+
+  const flagged = Object.entries(report.pipelines).flatMap(([pipeline, s]) => s.flagged.map(key => `${pipeline}.${key}`));
+  if (flagged.length) console.warn(`Unstable categories: ${flagged.join(', ')}`);
+  // Exit explicitly: a pooled Chromium instance from URL capture would keep the process alive
+  process.exit(flagged.length && FAIL_ON_FLAGS ? 1 : 0);
+}
+
+main().catch(e => {
+  console.error(e);
+  process.exit(1);
+});
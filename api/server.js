@@ -19,6 +19,13 @@ const jobVersionsRouter = require('./job-versions');
 const analyzeTextRouter = require('./analyze-text');
 const optimizeJobRouter = require('./optimize-job');
 const getOptimizationRoute = require('./get-optimization');
+const auditJobsRouter = require('./audit-jobs');
+const auditJobStream = require('./audit-job-stream');
+const rubricProfilesRouter = require('./rubric-profiles');
+const promptExperimentsRouter = require('./prompt-experiments');
+const comparePipelinesRouter = require('./compare-pipelines');
+const { SUPPORTED_MIME_TYPES } = require('../services/documentIngestion');
+const { getScoringCacheStats } = require('../services/scoringServiceV2');
 
 // Configure file upload
 const upload = multer({
@@ -26,7 +33,7 @@ const upload = multer({
     fileSize: 5 * 1024 * 1024 // 5MB
   },
   fileFilter: (req, file, cb) => {
-    if (['application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'].includes(file.mimetype)) {
+    if (SUPPORTED_MIME_TYPES.includes(file.mimetype)) {
       cb(null, true);
     } else {
       cb(new Error('Only PDF and DOCX files are allowed'), false);
@@ -38,7 +45,8 @@ app.use(express.json());
 app.use(cors({
   origin: '*', // Allow all origins for dev. For prod, use your frontend domain.
   methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['X-LLM-Usage', 'X-JSONLD-Degraded']
 }));
 
 // Lightweight, configurable rate limiting for expensive endpoints
@@ -100,6 +108,8 @@ const timeoutMiddleware = (timeoutMs) => (req, res, next) => {
 app.post('/api/audit-job-post', timeoutMiddleware(210000), expensiveRouteLimiter, auditJobPost);
 // Apply limiter before file upload to prevent unnecessary file processing
 app.post('/api/audit-job-file', expensiveRouteLimiter, upload.single('file'), auditJobPost);
+// SSE variant: streams stage/category events while the audit runs (JSON or multipart input)
+app.post('/api/audit-job-stream', expensiveRouteLimiter, upload.single('file'), auditJobStream);
 app.use('/api/analyze-job', analyzeJob);
 // JSON-LD generator routes (keep unversioned for backward compat; also mount under v1)
 app.use('/api/generate-jsonld', generateJsonLd);
@@ -117,6 +127,13 @@ app.use('/api/v1/job', jobVersionsRouter);
 app.use('/api/v1/analyze-text', analyzeTextRouter);
 app.use('/api/v1/optimize-job', optimizeJobRouter);
 app.get('/api/v1/optimize-job/:id', getOptimizationRoute);
+app.use('/api/v1/audit-jobs', auditJobsRouter);
+app.use('/api/v1/rubric-profiles', rubricProfilesRouter);
+app.use('/api/v1/prompt-experiments', promptExperimentsRouter);
+// Comparisons run several pipelines per posting: time out and rate limit them like audits and accept file uploads
+app.post('/api/v1/compare-pipelines', timeoutMiddleware(210000), expensiveRouteLimiter, upload.single('file'));
+app.post('/api/v1/compare-pipelines/batch', timeoutMiddleware(600000), expensiveRouteLimiter, upload.single('file'));
+app.use('/api/v1/compare-pipelines', comparePipelinesRouter);
 
 // Debug all registered routes
 const routes = [];
@@ -139,6 +156,11 @@ app.get('/health', (req, res) => {
   res.status(200).send('OK');
 });
 
+// Scoring cache hit/miss counters for this machine
+app.get('/health/scoring-cache', (req, res) => {
+  res.status(200).json(getScoringCacheStats());
+});
+
 app.listen(port, () => {
   console.log(`Server running on port ${port}`);
 });
\ No newline at end of file
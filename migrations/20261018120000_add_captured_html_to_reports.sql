@@ -0,0 +1,12 @@
+-- Migration: Store the captured page HTML with each report
+-- Lets a report be re-scored later (e.g. by optimize-job) without scraping the URL again
+
+ALTER TABLE reports
+ADD COLUMN IF NOT EXISTS job_html TEXT;
+
+ALTER TABLE reports
+ADD COLUMN IF NOT EXISTS captured_at TIMESTAMP WITH TIME ZONE;
+
+-- Add comments for documentation
+COMMENT ON COLUMN reports.job_html IS 'Page HTML captured when the report was audited (scraped page, ATS page or converted upload)';
+COMMENT ON COLUMN reports.captured_at IS 'When the job URL was captured; older than savedat when served from the page cache';
@@ -0,0 +1,20 @@
+-- Migration: Shared scoring cache (SCORING_CACHE_BACKEND=supabase)
+-- Keys already embed the pipeline version; the column is kept for inspection and cleanup
+
+CREATE TABLE IF NOT EXISTS public.scoring_cache (
+  cache_key TEXT NOT NULL,
+  pipeline_version TEXT NULL,
+  data JSONB NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  CONSTRAINT scoring_cache_pkey PRIMARY KEY (cache_key)
+);
+
+-- Supports periodic cleanup: DELETE FROM scoring_cache WHERE expires_at < now();
+CREATE INDEX IF NOT EXISTS idx_scoring_cache_expires_at ON public.scoring_cache (expires_at);
+
+-- Only the service role reads or writes the cache
+ALTER TABLE public.scoring_cache ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.scoring_cache IS 'Cached scoring pipeline results shared across API machines';
+COMMENT ON COLUMN public.scoring_cache.pipeline_version IS 'Scoring pipeline version (weights/prompts/model fingerprint) that produced the entry';
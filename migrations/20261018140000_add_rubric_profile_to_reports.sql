@@ -0,0 +1,12 @@
+-- Migration: Record which rubric profile scored each report
+-- Profiles can be edited later, so the weights/thresholds actually used are snapshotted alongside the id
+
+ALTER TABLE reports
+ADD COLUMN IF NOT EXISTS rubric_profile TEXT;
+
+ALTER TABLE reports
+ADD COLUMN IF NOT EXISTS rubric_snapshot JSONB;
+
+-- Add comments for documentation
+COMMENT ON COLUMN reports.rubric_profile IS 'Id of the rubric profile used for scoring (e.g. default, tech, hourly-retail)';
+COMMENT ON COLUMN reports.rubric_snapshot IS 'Category weights, disabled categories and red-flag thresholds in effect when the report was scored';
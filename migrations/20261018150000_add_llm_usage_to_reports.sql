@@ -0,0 +1,8 @@
+-- Migration: Record which LLM provider served each call made while scoring a report
+-- Calls can fall back to another provider, so the per-call provider/model is kept alongside the scores
+
+ALTER TABLE reports
+ADD COLUMN IF NOT EXISTS llm_usage JSONB;
+
+-- Add comments for documentation
+COMMENT ON COLUMN reports.llm_usage IS 'LLM calls made while scoring: { calls: [{ task, provider, model, attempts, latencyMs, fallbackFrom }], providers: { name: count } }';
@@ -0,0 +1,40 @@
+-- Migration: Per-request LLM usage accounting (audit, optimize, rewrite, jsonld, compare)
+-- One row per request that made LLM calls; `details` keeps the per-call breakdown
+
+CREATE TABLE IF NOT EXISTS public.llm_usage_events (
+  id UUID NOT NULL DEFAULT gen_random_uuid(),
+  user_id UUID NULL,
+  endpoint TEXT NOT NULL,
+  report_id UUID NULL,
+  calls INTEGER NOT NULL DEFAULT 0,
+  failed_calls INTEGER NOT NULL DEFAULT 0,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  total_tokens INTEGER NOT NULL DEFAULT 0,
+  latency_ms INTEGER NOT NULL DEFAULT 0,
+  estimated_cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  unpriced_calls INTEGER NOT NULL DEFAULT 0,
+  by_provider JSONB NULL,
+  details JSONB NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  CONSTRAINT llm_usage_events_pkey PRIMARY KEY (id),
+  CONSTRAINT llm_usage_events_user_id_fkey FOREIGN KEY (user_id)
+    REFERENCES auth.users (id) ON DELETE SET NULL
+);
+
+-- Cost per user and per endpoint over time, e.g.
+--   SELECT user_id, endpoint, SUM(estimated_cost_usd) FROM llm_usage_events
+--   WHERE created_at > now() - interval '30 days' GROUP BY 1, 2;
+CREATE INDEX IF NOT EXISTS idx_llm_usage_events_user_id_created_at ON public.llm_usage_events (user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_events_endpoint_created_at ON public.llm_usage_events (endpoint, created_at);
+
+-- Written by the service role only
+ALTER TABLE public.llm_usage_events ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.llm_usage_events IS 'LLM tokens, latency and estimated cost per API request';
+COMMENT ON COLUMN public.llm_usage_events.endpoint IS 'audit | optimize | rewrite | jsonld | compare';
+COMMENT ON COLUMN public.llm_usage_events.estimated_cost_usd IS 'Estimated from the LLM price table (LLM_PRICES_FILE); excludes calls to unpriced models (unpriced_calls)';
+COMMENT ON COLUMN public.llm_usage_events.details IS 'Per-call task, provider, model, attempts, tokens, latency, cost and fallbacks';
+
+-- reports.llm_usage now stores the same usage block as the audit response
+COMMENT ON COLUMN reports.llm_usage IS 'LLM usage of the audit: calls, tokens, latency and estimated cost per provider, with per-call details';
@@ -0,0 +1,16 @@
+-- Migration: Record which prompt template versions scored each report
+-- Prompt templates are versioned (services/promptTemplates.js) and experiments split audits between
+-- versions, so every report keeps the versions it was scored with and its experiment assignments
+
+ALTER TABLE reports
+ADD COLUMN IF NOT EXISTS prompt_versions JSONB;
+
+ALTER TABLE reports
+ADD COLUMN IF NOT EXISTS prompt_experiments JSONB;
+
+-- Experiment results select reports by experiment id (prompt_experiments @> '{"<id>": {}}')
+CREATE INDEX IF NOT EXISTS idx_reports_prompt_experiments ON reports USING GIN (prompt_experiments);
+
+-- Add comments for documentation
+COMMENT ON COLUMN reports.prompt_versions IS 'Prompt template versions rendered while scoring, e.g. {"v2.clarity": 1, "inclusivity.review": 1}';
+COMMENT ON COLUMN reports.prompt_experiments IS 'Prompt experiment assignments: experiment id -> { template, version, unit } where unit is a hash of the audited URL or posting text';
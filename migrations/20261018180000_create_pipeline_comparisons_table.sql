@@ -0,0 +1,34 @@
+-- Migration: Side-by-side scoring pipeline comparisons (POST /api/v1/compare-pipelines)
+-- One row per compared posting when the request sets `persist`; batch comparisons share a batch_id
+
+CREATE TABLE IF NOT EXISTS public.pipeline_comparisons (
+  id UUID NOT NULL DEFAULT gen_random_uuid(),
+  batch_id UUID NULL,
+  userid UUID NULL,
+  job_url TEXT NULL,
+  job_title TEXT NULL,
+  job_body TEXT NULL,
+  rubric_profile TEXT NOT NULL DEFAULT 'default',
+  language TEXT NULL,
+  reference_pipeline TEXT NOT NULL,
+  pipelines TEXT[] NOT NULL,
+  results JSONB NOT NULL,
+  comparison JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  CONSTRAINT pipeline_comparisons_pkey PRIMARY KEY (id),
+  CONSTRAINT pipeline_comparisons_userid_fkey FOREIGN KEY (userid)
+    REFERENCES auth.users (id) ON DELETE SET NULL
+);
+
+-- Category agreement over time, e.g.
+--   SELECT row->>'key', AVG((row->'deltas'->'v2'->>'share')::numeric)
+--   FROM pipeline_comparisons, jsonb_array_elements(comparison->'categories') AS row GROUP BY 1;
+CREATE INDEX IF NOT EXISTS idx_pipeline_comparisons_created_at ON public.pipeline_comparisons (created_at);
+CREATE INDEX IF NOT EXISTS idx_pipeline_comparisons_batch_id ON public.pipeline_comparisons (batch_id);
+
+-- Written by the service role only
+ALTER TABLE public.pipeline_comparisons ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.pipeline_comparisons IS 'The same captured posting scored by several scoring pipelines';
+COMMENT ON COLUMN public.pipeline_comparisons.results IS 'Per pipeline: total score, category scores and max scores, red flags, mode and degraded categories';
+COMMENT ON COLUMN public.pipeline_comparisons.comparison IS 'Aligned category table with deltas from the reference pipeline and red flag disagreements';
@@ -0,0 +1,13 @@
+-- Migration: Record which scoring pipeline produced each report
+-- Every scoring engine is registered in services/scoringPipelines.js and returns one versioned
+-- result schema, so reports keep the pipeline id and the schema version of their scores
+
+ALTER TABLE reports
+ADD COLUMN IF NOT EXISTS scoring_pipeline TEXT;
+
+ALTER TABLE reports
+ADD COLUMN IF NOT EXISTS result_schema_version INTEGER;
+
+-- Add comments for documentation
+COMMENT ON COLUMN reports.scoring_pipeline IS 'Scoring pipeline id: v1 | v2 | v2-deterministic | legacy | text-heuristic (NULL for reports saved before pipelines were recorded)';
+COMMENT ON COLUMN reports.result_schema_version IS 'Version of the scoring result schema that total_score, categories and red_flags follow';
@@ -0,0 +1,9 @@
+-- Migration: Record whether a report's scores came from the V2 scoring cache
+-- Prompt experiment results measure score spread across re-audits of a posting; a cached re-audit
+-- repeats the earlier scores verbatim, so those reports are left out of the stability figures
+
+ALTER TABLE reports
+ADD COLUMN IF NOT EXISTS scoring_cache_hit BOOLEAN NOT NULL DEFAULT false;
+
+-- Add comments for documentation
+COMMENT ON COLUMN reports.scoring_cache_hit IS 'True when the scores were served from the V2 scoring cache instead of being computed for this report';
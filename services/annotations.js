@@ -0,0 +1,157 @@
+// Span-level findings for audit reports. Every category result carries `findings` alongside its
+// free-text `suggestions`:
+//   { rule_id, category, severity, message, excerpt, start, end, source }
+// `start`/`end` are character offsets into the analyzed job_body (end exclusive); they are null for
+// document-level findings such as a missing section, which have nothing in the text to point at.
+// rule_id is `<category>.<rule>` and stable across runs so the editor can group or mute rules.
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2, info: 3 };
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find a quoted excerpt in the body: exact match first, then case- and whitespace-insensitive.
+ * @returns {{start: number, end: number}|null}
+ */
+function locateExcerpt(body, excerpt) {
+  if (typeof body !== 'string' || typeof excerpt !== 'string') return null;
+  const quote = excerpt.trim().replace(/^["'“”‘’]+|["'“”‘’]+$/g, '');
+  if (quote.length < 3) return null;
+  const exact = body.indexOf(quote);
+  if (exact !== -1) return { start: exact, end: exact + quote.length };
+  const words = quote.split(/\s+/).filter(Boolean).map(escapeRegExp);
+  const match = new RegExp(words.join('\\s+'), 'i').exec(body);
+  return match ? { start: match.index, end: match.index + match[0].length } : null;
+}
+
+/**
+ * Build a finding. Pass `start`/`end` when the offsets are known, or `excerpt` + `body` to locate it.
+ */
+function createFinding({ category, rule, severity = 'medium', message, body = null, excerpt = null, start = null, end = null, source = 'rule' }) {
+  let span = Number.isInteger(start) && Number.isInteger(end) ? { start, end } : null;
+  if (!span && excerpt && body) span = locateExcerpt(body, excerpt);
+  return {
+    rule_id: `${category}.${rule}`,
+    category,
+    severity: SEVERITY_ORDER[severity] !== undefined ? severity : 'medium',
+    message,
+    excerpt: span && body ? body.slice(span.start, span.end) : (excerpt || null),
+    start: span ? span.start : null,
+    end: span ? span.end : null,
+    source
+  };
+}
+
+/**
+ * Sentences with their offsets. Text without terminal punctuation is split on line breaks.
+ */
+function splitSentences(body = '') {
+  const sentences = [];
+  const rx = /[^.!?\n]+(?:[.!?]+|\n|$)/g;
+  let match;
+  while ((match = rx.exec(body)) !== null) {
+    if (!match[0]) {
+      rx.lastIndex++;
+      continue;
+    }
+    const leading = match[0].length - match[0].trimStart().length;
+    const text = match[0].trim();
+    if (text) sentences.push({ text, start: match.index + leading, end: match.index + leading + text.length });
+  }
+  return sentences;
+}
+
+/**
+ * One `clarity.long_sentence` finding per sentence over `maxWords` words.
+ */
+function findLongSentences(body, { category = 'clarity', maxWords = 30 } = {}) {
+  return splitSentences(body)
+    .map(sentence => ({ ...sentence, words: sentence.text.split(/\s+/).filter(w => /\w/.test(w)).length }))
+    .filter(sentence => sentence.words > maxWords)
+    .map(sentence => createFinding({
+      category,
+      rule: 'long_sentence',
+      severity: sentence.words > maxWords * 1.5 ? 'medium' : 'low',
+      message: `This sentence is ${sentence.words} words long; split it so each sentence stays under ${maxWords} words.`,
+      body,
+      start: sentence.start,
+      end: sentence.end
+    }));
+}
+
+/**
+ * First match of `pattern` in the body as a finding, or null when it doesn't occur.
+ */
+function findPattern(body, pattern, options) {
+  const rx = new RegExp(pattern.source, pattern.flags.replace('g', ''));
+  const match = typeof body === 'string' ? rx.exec(body) : null;
+  if (!match) return null;
+  return createFinding({ ...options, body, start: match.index, end: match.index + match[0].length });
+}
+
+function severityFromScore(score, maxScore = 10) {
+  const ratio = Number.isFinite(score) ? score / (maxScore || 1) : 0.5;
+  return ratio < 0.4 ? 'high' : ratio < 0.7 ? 'medium' : 'low';
+}
+
+/**
+ * Findings for an LLM JSON response of `{ <rule>: { score, suggestion, excerpt } }` sections.
+ * Sections without a suggestion produce nothing; excerpts the model didn't quote verbatim keep
+ * their text but get null offsets. Deterministic stand-ins for those prompts (services/deterministicScoring)
+ * return the same shape and pass `source: 'rule'`.
+ */
+function findingsFromLLMSections(category, sections, body, maxScore = 10, source = 'llm') {
+  return Object.entries(sections || {})
+    .filter(([, section]) => section && typeof section.suggestion === 'string' && section.suggestion.trim())
+    .map(([rule, section]) => createFinding({
+      category,
+      rule,
+      severity: severityFromScore(section.score, maxScore),
+      message: section.suggestion.trim(),
+      body,
+      excerpt: typeof section.excerpt === 'string' && section.excerpt.trim() ? section.excerpt : null,
+      source
+    }));
+}
+
+/**
+ * Give every suggestion a finding: suggestions no scorer rule produced (fallbacks, older cached
+ * results) become document-level `<category>.suggestion` findings.
+ */
+function ensureFindings(category, result) {
+  if (!result) return result;
+  const findings = Array.isArray(result.findings) ? result.findings : [];
+  const covered = new Set(findings.map(f => f.message));
+  const extra = (Array.isArray(result.suggestions) ? result.suggestions : [])
+    .filter(suggestion => suggestion && !covered.has(suggestion))
+    .map(suggestion => createFinding({ category, rule: 'suggestion', severity: 'low', message: suggestion }));
+  return { ...result, findings: [...findings, ...extra] };
+}
+
+/**
+ * All findings of a scored report in document order (document-level findings last, by severity).
+ */
+function collectAnnotations(categories = {}) {
+  return Object.values(categories)
+    .flatMap(category => (Array.isArray(category?.findings) ? category.findings : []))
+    .sort((a, b) => {
+      if (a.start !== null && b.start !== null) return a.start - b.start || a.end - b.end;
+      if (a.start !== null) return -1;
+      if (b.start !== null) return 1;
+      return SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity];
+    });
+}
+
+module.exports = {
+  locateExcerpt,
+  createFinding,
+  splitSentences,
+  findLongSentences,
+  findPattern,
+  severityFromScore,
+  findingsFromLLMSections,
+  ensureFindings,
+  collectAnnotations
+};
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// In-process audit job queue. Jobs live in memory only, so a restart drops anything
+// still queued; clients should treat a 404 on a known job id as "resubmit".
+
+function readPositiveInt(name, fallback) {
+  const n = Number((process.env[name] ?? '').trim());
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const QUEUE_CONCURRENCY = readPositiveInt('AUDIT_QUEUE_CONCURRENCY', 2);
+const QUEUE_MAX_PENDING = readPositiveInt('AUDIT_QUEUE_MAX_PENDING', 100);
+const JOB_TIMEOUT_MS = readPositiveInt('AUDIT_JOB_TIMEOUT_MS', 210000);
+const JOB_TTL_MS = readPositiveInt('AUDIT_JOB_TTL_MS', 60 * 60 * 1000); // keep finished jobs for 1 hour
+const WEBHOOK_MAX_ATTEMPTS = 3;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const jobs = new Map();
+const pending = [];
+let running = 0;
+
+const PRIVATE_HOST_PATTERN = /^(localhost|127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|169\.254\.|0\.|\[?::1\]?$|\[?f[cd][0-9a-f]{2}:)/i;
+
+/**
+ * Validate a client-supplied webhook URL. Private/loopback hosts are rejected unless
+ * AUDIT_WEBHOOK_ALLOW_PRIVATE=1 (useful for local development).
+ * @returns {string|null} Normalized URL or null when none was supplied.
+ */
+function validateWebhookUrl(value) {
+  if (value === undefined || value === null || value === '') return null;
+  let parsed;
+  try {
+    parsed = new URL(String(value));
+  } catch {
+    throw new Error('webhookUrl must be a valid absolute URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('webhookUrl must use http or https');
+  }
+  const allowPrivate = /^(1|true|on)$/i.test(String(process.env.AUDIT_WEBHOOK_ALLOW_PRIVATE ?? '0').trim());
+  if (!allowPrivate && PRIVATE_HOST_PATTERN.test(parsed.hostname)) {
+    throw new Error('webhookUrl must point to a public host');
+  }
+  return parsed.toString();
+}
+
+function setStage(job, stage) {
+  if (job.stage === stage) return;
+  const at = new Date().toISOString();
+  job.stage = stage;
+  job.stages.push({ stage, at });
+  job.updated_at = at;
+  console.log(`[AuditQueue] Job ${job.id} -> ${stage}`);
+}
+
+// Rejects with the signal's reason once it aborts
+function whenAborted(signal) {
+  return new Promise((_, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+}
+
+/**
+ * Public view of a job (no runner closure, no user id).
+ */
+function serializeJob(job) {
+  if (!job) return null;
+  const position = job.status === 'queued' ? pending.findIndex(entry => entry.job === job) + 1 : 0;
+  return {
+    job_id: job.id,
+    status: job.status,
+    stage: job.stage,
+    stages: job.stages,
+    queue_position: position || null,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    result: job.result,
+    error: job.error,
+    webhook: job.webhook.url
+      ? {
+        delivered: job.webhook.delivered,
+        attempts: job.webhook.attempts,
+        last_error: job.webhook.last_error
+      }
+      : null
+  };
+}
+
+function signWebhookPayload(body, timestamp, secret = process.env.AUDIT_WEBHOOK_SECRET) {
+  if (!secret) return null;
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function deliverWebhook(job) {
+  if (!job.webhook.url) return;
+
+  const payload = serializeJob(job);
+  delete payload.webhook;
+  const body = JSON.stringify({ event: `audit.${job.status}`, ...payload });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = signWebhookPayload(body, timestamp);
+  if (!signature) {
+    console.warn('[AuditQueue] AUDIT_WEBHOOK_SECRET not set; sending unsigned webhook for job', job.id);
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Audit-Job-Id': job.id,
+    'X-Audit-Timestamp': timestamp
+  };
+  if (signature) headers['X-Audit-Signature'] = `sha256=${signature}`;
+
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    job.webhook.attempts = attempt;
+    try {
+      await axios.post(job.webhook.url, body, { headers, timeout: WEBHOOK_TIMEOUT_MS });
+      job.webhook.delivered = true;
+      job.webhook.last_error = null;
+      console.log(`[AuditQueue] Webhook delivered for job ${job.id} (attempt ${attempt})`);
+      return;
+    } catch (error) {
+      job.webhook.last_error = error.response ? `HTTP ${error.response.status}` : error.message;
+      console.warn(`[AuditQueue] Webhook attempt ${attempt}/${WEBHOOK_MAX_ATTEMPTS} failed for job ${job.id}:`, job.webhook.last_error);
+      if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+        await new Promise(r => setTimeout(r, 1000 * Math.pow(2, attempt - 1)));
+      }
+    }
+  }
+}
+
+async function executeJob(job, run) {
+  job.status = 'running';
+  job.started_at = new Date().toISOString();
+  // The job fails as soon as it times out, but run() only stops at its next stage check, so the
+  // slot stays held (QUEUE_CONCURRENCY) until it has actually settled.
+  const controller = new AbortController();
+  const timeoutId = setTimeout(
+    () => controller.abort(new Error(`Audit job timed out after ${JOB_TIMEOUT_MS}ms`)),
+    JOB_TIMEOUT_MS
+  );
+  const execution = Promise.resolve().then(() => run(stage => {
+    if (!job.finished_at) setStage(job, stage);
+  }, controller.signal));
+  try {
+    job.result = await Promise.race([execution, whenAborted(controller.signal)]);
+    job.status = 'completed';
+    setStage(job, 'completed');
+  } catch (error) {
+    console.error(`[AuditQueue] Job ${job.id} failed:`, error.message);
+    job.status = 'failed';
+    job.error = {
+      status: error.status || 500,
+      ...(error.body || { error: 'Failed to audit job posting', details: error.message })
+    };
+    setStage(job, 'failed');
+  } finally {
+    clearTimeout(timeoutId);
+    job.finished_at = new Date().toISOString();
+  }
+  deliverWebhook(job).catch(err => console.error('[AuditQueue] Webhook delivery crashed:', err));
+  await execution.catch(() => {});
+}
+
+function drain() {
+  while (running < QUEUE_CONCURRENCY && pending.length) {
+    const { job, run } = pending.shift();
+    running++;
+    executeJob(job, run).finally(() => {
+      running--;
+      drain();
+    });
+  }
+}
+
+/**
+ * Queue an audit for background execution.
+ * @param {Object} params
+ * @param {Function} params.run - async (onStage, signal) => result; performs the actual audit and
+ *   stops (without saving) once the AbortSignal fires on timeout.
+ * @param {string} [params.webhookUrl] - Callback notified once the job completes or fails.
+ * @param {string} [params.userId] - Owner of the job, used to restrict status lookups.
+ * @returns {Object} The job record.
+ */
+function enqueueAuditJob({ run, webhookUrl = null, userId = null }) {
+  if (typeof run !== 'function') {
+    throw new Error('enqueueAuditJob requires a run function');
+  }
+  if (pending.length >= QUEUE_MAX_PENDING) {
+    const error = new Error('Audit queue is full, please retry shortly');
+    error.status = 503;
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    stage: 'queued',
+    stages: [{ stage: 'queued', at: now }],
+    created_at: now,
+    updated_at: now,
+    started_at: null,
+    finished_at: null,
+    result: null,
+    error: null,
+    userId,
+    webhook: { url: validateWebhookUrl(webhookUrl), attempts: 0, delivered: false, last_error: null }
+  };
+
+  jobs.set(job.id, job);
+  pending.push({ job, run });
+  console.log(`[AuditQueue] Job ${job.id} queued (pending: ${pending.length}, running: ${running})`);
+  drain();
+  return job;
+}
+
+function getAuditJob(id) {
+  return jobs.get(id) || null;
+}
+
+function pruneFinishedJobs(now = Date.now()) {
+  for (const [id, job] of jobs) {
+    if (job.finished_at && now - Date.parse(job.finished_at) > JOB_TTL_MS) {
+      jobs.delete(id);
+    }
+  }
+}
+
+setInterval(pruneFinishedJobs, 5 * 60 * 1000).unref();
+
+module.exports = {
+  enqueueAuditJob,
+  getAuditJob,
+  serializeJob,
+  signWebhookPayload,
+  validateWebhookUrl
+};
@@ -0,0 +1,256 @@
+const fs = require('fs');
+
+// Compensation normalization: turns extractCompensationData() output (any supported currency and
+// pay period) into annualized amounts in one base currency so postings can be compared, plus the
+// range midpoint/width and an optional cost-of-living adjusted midpoint.
+//
+// Everything runs offline from the tables below. Deployments can override any of them with a JSON
+// file named by COMP_NORMALIZATION_FILE:
+//   { "baseCurrency": "USD", "fxRates": { "GBP": 1.27 }, "fxRatesAsOf": "2026-10-01",
+//     "hoursPerYear": 2080, "costOfLiving": { "US-CA-san francisco": 160 }, "minAnnualSalary": { "GBP": 6000 } }
+// fxRates are the value of one unit in USD; costOfLiving is an index where 100 = US national average.
+
+const FX_RATES_AS_OF = '2026-10-01';
+
+// Units of USD per unit of currency
+const DEFAULT_FX_RATES = {
+  USD: 1,
+  GBP: 1.27,
+  EUR: 1.09,
+  CAD: 0.73,
+  AUD: 0.66
+};
+
+// Full-time assumptions used to annualize hourly/daily/weekly/monthly figures
+const DEFAULT_ASSUMPTIONS = {
+  hoursPerYear: 2080,
+  daysPerYear: 260,
+  weeksPerYear: 52,
+  monthsPerYear: 12
+};
+
+// Figures without a stated period: below HOURLY_CEILING they are hourly wages; below the
+// currency's minAnnualSalary they cannot be yearly pay (even part-time) and are read as monthly;
+// anything larger is a yearly salary. Currencies without an entry use the USD figure via fxRates.
+const HOURLY_CEILING = 200;
+const DEFAULT_MIN_ANNUAL_SALARY = {
+  USD: 8000,
+  GBP: 6000,
+  EUR: 7000,
+  CAD: 10000,
+  AUD: 12000
+};
+
+// Keys: country, country-state or country-state-city (lower-case city), most specific wins
+const DEFAULT_COST_OF_LIVING = {
+  US: 100,
+  'US-CA': 138,
+  'US-NY': 125,
+  'US-MA': 135,
+  'US-WA': 115,
+  'US-CO': 105,
+  'US-IL': 93,
+  'US-TX': 92,
+  'US-FL': 101,
+  'US-DC': 148,
+  'US-CA-san francisco': 170,
+  'US-CA-los angeles': 150,
+  'US-NY-new york': 168,
+  'US-WA-seattle': 150,
+  'US-MA-boston': 148,
+  'US-IL-chicago': 107,
+  'US-TX-austin': 103,
+  'US-CO-denver': 111,
+  GB: 98,
+  'GB--london': 128,
+  CA: 88,
+  'CA-ON-toronto': 104,
+  'CA-BC-vancouver': 106,
+  AU: 97,
+  'AU-NSW-sydney': 112,
+  DE: 86,
+  FR: 87,
+  NL: 92,
+  IE: 103,
+  ES: 70
+};
+
+const COUNTRY_ALIASES = {
+  US: /\b(united states|usa|u\.s\.a?\.?)\b/i,
+  GB: /\b(united kingdom|uk|england|scotland|wales|great britain)\b/i,
+  CA: /\bcanada\b/i,
+  AU: /\baustralia\b/i,
+  DE: /\bgermany\b/i,
+  FR: /\bfrance\b/i,
+  NL: /\bnetherlands\b/i,
+  IE: /\bireland\b/i,
+  ES: /\bspain\b/i
+};
+
+let config = null;
+
+function loadConfig() {
+  const loaded = {
+    baseCurrency: 'USD',
+    fxRates: { ...DEFAULT_FX_RATES },
+    fxRatesAsOf: FX_RATES_AS_OF,
+    assumptions: { ...DEFAULT_ASSUMPTIONS },
+    minAnnualSalary: { ...DEFAULT_MIN_ANNUAL_SALARY },
+    costOfLiving: { ...DEFAULT_COST_OF_LIVING }
+  };
+  const file = process.env.COMP_NORMALIZATION_FILE;
+  if (file) {
+    try {
+      const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (overrides.baseCurrency) loaded.baseCurrency = String(overrides.baseCurrency).toUpperCase();
+      Object.assign(loaded.fxRates, overrides.fxRates || {});
+      if (overrides.fxRatesAsOf) loaded.fxRatesAsOf = overrides.fxRatesAsOf;
+      for (const key of Object.keys(DEFAULT_ASSUMPTIONS)) {
+        if (Number(overrides[key]) > 0) loaded.assumptions[key] = Number(overrides[key]);
+      }
+      Object.assign(loaded.costOfLiving, overrides.costOfLiving || {});
+      Object.assign(loaded.minAnnualSalary, overrides.minAnnualSalary || {});
+      console.log(`[CompNormalization] Loaded overrides from ${file}`);
+    } catch (error) {
+      console.error(`[CompNormalization] Failed to load ${file}:`, error.message);
+    }
+  }
+  if (process.env.COMP_BASE_CURRENCY) loaded.baseCurrency = process.env.COMP_BASE_CURRENCY.toUpperCase();
+  return loaded;
+}
+
+function getNormalizationConfig() {
+  if (!config) config = loadConfig();
+  return config;
+}
+
+function toNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Multiplier that turns one `period` amount into a yearly amount, or null for an unknown period.
+ */
+function annualMultiplier(period, assumptions = getNormalizationConfig().assumptions) {
+  switch (String(period || '').toLowerCase()) {
+    case 'year': case 'yearly': case 'annual': case 'annually': return 1;
+    case 'month': case 'monthly': return assumptions.monthsPerYear;
+    case 'week': case 'weekly': return assumptions.weeksPerYear;
+    case 'day': case 'daily': return assumptions.daysPerYear;
+    case 'hour': case 'hourly': return assumptions.hoursPerYear;
+    default: return null;
+  }
+}
+
+/**
+ * Convert an amount between currencies with the offline table. Returns null for unknown currencies.
+ */
+function convertCurrency(amount, from, to, fxRates = getNormalizationConfig().fxRates) {
+  const fromRate = fxRates[String(from || '').toUpperCase()];
+  const toRate = fxRates[String(to || '').toUpperCase()];
+  if (!fromRate || !toRate || !Number.isFinite(amount)) return null;
+  return (amount * fromRate) / toRate;
+}
+
+function guessPeriod(amount, currency, settings = getNormalizationConfig()) {
+  if (amount < HOURLY_CEILING) return 'hour';
+  const floor = Number(settings.minAnnualSalary[currency]) > 0
+    ? Number(settings.minAnnualSalary[currency])
+    : convertCurrency(settings.minAnnualSalary.USD, 'USD', currency, settings.fxRates);
+  return floor !== null && amount < floor ? 'month' : 'year';
+}
+
+function countryCode(location = {}) {
+  const value = String(location.country || '').trim();
+  if (/^[A-Z]{2}$/i.test(value)) return value.toUpperCase();
+  const text = [value, location.summary, location.raw].filter(Boolean).join(' ');
+  for (const [code, pattern] of Object.entries(COUNTRY_ALIASES)) {
+    if (pattern.test(text)) return code;
+  }
+  return location.state && String(location.state).length === 2 ? 'US' : null;
+}
+
+/**
+ * Cost-of-living index for a job location (extractJobLocation() output), most specific entry first.
+ * @returns {{index: number, region: string}|null}
+ */
+function findCostOfLivingIndex(location, costOfLiving = getNormalizationConfig().costOfLiving) {
+  if (!location || (location.remote && !location.city)) return null;
+  const country = countryCode(location);
+  if (!country) return null;
+  const state = location.state ? String(location.state).toUpperCase() : '';
+  const city = location.city ? String(location.city).trim().toLowerCase() : '';
+  const candidates = [city && `${country}-${state}-${city}`, state && `${country}-${state}`, country].filter(Boolean);
+  const region = candidates.find(key => Number(costOfLiving[key]) > 0);
+  return region ? { index: Number(costOfLiving[region]), region } : null;
+}
+
+const round = value => (value === null ? null : Math.round(value));
+
+/**
+ * Normalize extracted compensation to annual amounts in the base currency.
+ * @param {Object} compensation - extractCompensationData() output ({ min, max, amount, currency, payPeriod }).
+ * @param {Object} [options]
+ * @param {string} [options.baseCurrency] - Defaults to COMP_BASE_CURRENCY / the config file / USD.
+ * @param {Object} [options.location] - Job location; enables the cost-of-living adjustment.
+ * @returns {Object|null} null when there is no figure to normalize.
+ */
+function normalizeCompensation(compensation = {}, { baseCurrency, location = null } = {}) {
+  const settings = getNormalizationConfig();
+  const base = String(baseCurrency || settings.baseCurrency).toUpperCase();
+  let min = toNumber(compensation.min);
+  let max = toNumber(compensation.max);
+  if (min === null && max === null) {
+    const amount = toNumber(compensation.amount);
+    if (amount === null) return null;
+    min = amount;
+    max = amount;
+  }
+  if (min === null) min = max;
+  if (max === null) max = min;
+  if (min > max) [min, max] = [max, min];
+
+  const currencyAssumed = !compensation.currency;
+  const currency = String(compensation.currency || base).toUpperCase();
+  const periodAssumed = !compensation.payPeriod;
+  const period = compensation.payPeriod || guessPeriod(max, currency, settings);
+  const multiplier = annualMultiplier(period, settings.assumptions);
+  const annualize = value => (multiplier === null ? null : convertCurrency(value * multiplier, currency, base, settings.fxRates));
+
+  const fxRate = convertCurrency(1, currency, base, settings.fxRates);
+  const annualMin = annualize(min);
+  const annualMax = annualize(max);
+  const midpoint = annualMin === null ? null : (annualMin + annualMax) / 2;
+  const costOfLiving = midpoint === null ? null : findCostOfLivingIndex(location, settings.costOfLiving);
+
+  return {
+    baseCurrency: base,
+    sourceCurrency: currency,
+    sourcePeriod: period,
+    annualMin: round(annualMin),
+    annualMax: round(annualMax),
+    midpoint: round(midpoint),
+    rangeWidth: annualMin === null ? null : round(annualMax - annualMin),
+    rangeWidthPct: midpoint ? Math.round(((annualMax - annualMin) / midpoint) * 1000) / 10 : null,
+    costOfLiving: costOfLiving && {
+      ...costOfLiving,
+      adjustedMidpoint: round((midpoint * 100) / costOfLiving.index)
+    },
+    assumptions: {
+      fxRate: fxRate === null ? null : Math.round(fxRate * 10000) / 10000,
+      fxRatesAsOf: settings.fxRatesAsOf,
+      periodAssumed,
+      currencyAssumed,
+      ...(period === 'hour' ? { hoursPerYear: settings.assumptions.hoursPerYear } : {})
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_FX_RATES,
+  getNormalizationConfig,
+  annualMultiplier,
+  convertCurrency,
+  findCostOfLivingIndex,
+  normalizeCompensation
+};
@@ -26,7 +26,9 @@ async function saveJobPosting(jobData) {
       red_flags = [],
       recommendations = [],
       improved_text = null,
-      categories = {}
+      categories = {},
+      scoring_pipeline = null,
+      result_schema_version = null
     } = jobData;
     
     console.log('[DEBUG] saveJobPosting: Extracted data successfully', { 
@@ -123,6 +125,8 @@ async function saveJobPosting(jobData) {
       json_ld: json_ld,
       recommendations: recommendations,
       red_flags: red_flags,
+      scoring_pipeline: scoring_pipeline,
+      result_schema_version: result_schema_version,
       original_report: original_text,
       savedat: new Date().toISOString()
     };
@@ -199,6 +203,10 @@ async function getJobPostingById(id) {
       red_flags: data.red_flags,
       original_report: data.original_report,
       optimization_data: data.optimization_data,
+      job_html: data.job_html || null,
+      captured_at: data.captured_at || null,
+      rubric_profile: data.rubric_profile || null,
+      rubric_snapshot: data.rubric_snapshot || null,
       updated_at: data.updated_at,
       savedat: data.savedat
     };
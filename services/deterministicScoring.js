@@ -0,0 +1,259 @@
+const { isLLMConfigured } = require('../utils/llmHelpers');
+const {
+  DEFAULT_LANGUAGE,
+  getLocale,
+  languageCode,
+  matchesLexicon,
+  readingEase
+} = require('./languageSupport');
+const { detectOccupation } = require('./skillsTaxonomy');
+
+// Deterministic ("offline") scoring for the V2 pipeline. Each assess* function stands in for one
+// LLM judgement and returns the same shape the prompt asks for ({ score, suggestion, excerpt } per
+// section) so the scorers treat both sources alike. Used when the request or SCORING_MODE asks
+// for `deterministic`, and automatically when no LLM API key is configured: CI, air-gapped
+// deployments and provider outages.
+
+const SCORING_MODES = ['llm', 'deterministic'];
+
+// Buzzwords and filler that say nothing concrete about the job
+const FLUFF_TERMS = /\b(?:rock ?stars?|ninjas?|gurus?|wizards?|unicorns?|superstars?|synerg(?:y|ies)|wear many hats|fast[- ]paced|self[- ]starters?|go[- ]getters?|work hard,? play hard|world[- ]class|cutting[- ]edge|best[- ]in[- ]class|think outside the box|hit the ground running|results[- ]driven|move the needle|game[- ]changer|disruptive|passionate)\b/gi;
+const URGENCY_TERMS = /\b(?:hiring now|now hiring|immediate(?:ly)? (?:start|hire|opening)|start immediately|asap|urgent(?:ly)?|apply by|closing date|application deadline)\b/i;
+const ACTIVE_TERMS = /\b(?:we(?:'re| are) (?:hiring|looking for|seeking)|join our team|apply (?:now|today)|you will|you'll)\b/i;
+const STALE_TERMS = /\b(?:position (?:has been )?filled|no longer accepting|(?:this )?(?:job|posting) (?:has )?expired|applications? (?:are )?closed)\b/i;
+const BOILERPLATE_PARAGRAPH = /(equal opportunity|eeo|affirmative action|without regard to|reasonable accommodation|e-verify|privacy (?:notice|policy)|cookies?|disclaimer|all rights reserved|background check)/i;
+const BULLET_LINE = /^\s*(?:[•\-*▪◦–]|\d+[.)])\s+/;
+
+/**
+ * Pick the scoring mode for a V2 run: the requested one, else SCORING_MODE, else `llm`.
+ * Falls back to `deterministic` when `llm` is wanted but no API key is configured.
+ * @throws {Error} status 400 for an unknown mode.
+ */
+function resolveScoringMode(requested = null) {
+  const mode = String(requested || process.env.SCORING_MODE || 'llm').trim().toLowerCase();
+  if (!SCORING_MODES.includes(mode)) {
+    const error = new Error(`Unknown scoring mode "${requested || mode}". Supported: ${SCORING_MODES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  if (mode === 'llm' && !isLLMConfigured()) {
+    console.warn('[Deterministic] No LLM API key configured; scoring deterministically.');
+    return 'deterministic';
+  }
+  return mode;
+}
+
+const clamp10 = value => Math.max(0, Math.min(10, Math.round(value)));
+
+function distinctMatches(text, pattern) {
+  const seen = new Map();
+  for (const match of text.matchAll(pattern)) {
+    const key = match[0].toLowerCase();
+    if (!seen.has(key)) seen.set(key, match[0]);
+  }
+  return [...seen.values()];
+}
+
+function sectionsFound(text, language) {
+  const localeSections = getLocale(languageCode(language)).sections;
+  const englishSections = getLocale(DEFAULT_LANGUAGE).sections;
+  return Object.keys(englishSections).filter(key => localeSections[key].test(text) || englishSections[key].test(text));
+}
+
+function bulletCount(text) {
+  return text.split(/\r?\n/).filter(line => BULLET_LINE.test(line)).length;
+}
+
+function paragraphsOf(text) {
+  return text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+}
+
+const hasPlace = place => !!(place && (place.city || place.state || place.country || place.remote || place.hybrid || place.onsite));
+
+/**
+ * Clarity sections (title, fluff, readability), each 0-10.
+ */
+function assessClarity({ job_title = '', job_body = '', language }) {
+  const title = String(job_title || '').trim();
+  const titleWords = title.split(/\s+/).filter(Boolean);
+  let titleScore = 0;
+  if (titleWords.length >= 2 && titleWords.length <= 10) titleScore += 3;
+  if (matchesLexicon(language, 'roles', title) || detectOccupation(title)) titleScore += 3;
+  if (matchesLexicon(language, 'levels', title)) titleScore += 1;
+  if (!/\b[A-Z]{5,}\b|!{1,}|[\u{1F300}-\u{1FAFF}]/u.test(title)) titleScore += 2;
+  if (!/(?:#|req[-\s]?|job[-\s]?id[:\s]*)\d{3,}/i.test(title)) titleScore += 1;
+
+  const fluff = distinctMatches(job_body, FLUFF_TERMS);
+  const fluffScore = clamp10(10 - 2 * fluff.length);
+
+  const ease = readingEase(job_body, language).score;
+  const readabilityScore = ease >= 60 ? 10 : ease >= 50 ? 8 : ease >= 40 ? 6 : ease >= 30 ? 4 : 2;
+  const longest = (job_body.match(/[^.!?\n]+[.!?]?/g) || [])
+    .reduce((best, sentence) => (sentence.split(/\s+/).length > best.split(/\s+/).length ? sentence : best), '')
+    .trim();
+
+  return {
+    title: {
+      score: titleScore,
+      suggestion: titleScore < 7 ? 'Use a plain job title that names the role and seniority (e.g., "Senior Data Analyst").' : '',
+      excerpt: ''
+    },
+    fluff: {
+      score: fluffScore,
+      suggestion: fluff.length ? `Replace buzzwords like ${fluff.slice(0, 3).map(t => `"${t}"`).join(', ')} with concrete details about the work.` : '',
+      excerpt: fluff[0] || ''
+    },
+    readability: {
+      score: readabilityScore,
+      suggestion: readabilityScore < 6 ? 'Simplify the wording: shorter sentences and plainer words.' : '',
+      excerpt: readabilityScore < 6 ? longest : ''
+    }
+  };
+}
+
+/**
+ * Prompt-alignment sections (query_match, grouping, structure), each 0-10.
+ */
+function assessAlignment({ job_title = '', job_body = '', language, job_location }) {
+  const opening = job_body.split(/\s+/).slice(0, 150).join(' ');
+  const signals = {
+    role: matchesLexicon(language, 'roles', `${job_title} ${opening}`) || !!detectOccupation(job_title, job_body),
+    level: matchesLexicon(language, 'levels', `${job_title} ${opening}`),
+    location: hasPlace(job_location) || matchesLexicon(language, 'workModes', opening),
+    employment_type: matchesLexicon(language, 'employmentTypes', job_body),
+    pay: matchesLexicon(language, 'compensation', job_body)
+  };
+  const missingSignals = Object.keys(signals).filter(key => !signals[key]).map(key => key.replace('_', ' '));
+  const queryScore = clamp10(Object.values(signals).filter(Boolean).length * 2);
+
+  const sections = sectionsFound(job_body, language);
+  const missingSections = ['responsibilities', 'requirements', 'benefits'].filter(key => !sections.includes(key));
+  const groupingScore = clamp10(sections.length * 2);
+
+  const bullets = bulletCount(job_body);
+  const paragraphs = paragraphsOf(job_body);
+  const avgParagraphWords = paragraphs.length
+    ? paragraphs.reduce((sum, p) => sum + p.split(/\s+/).length, 0) / paragraphs.length
+    : 0;
+  const structureScore = clamp10((bullets >= 6 ? 5 : bullets >= 3 ? 3 : bullets >= 1 ? 1 : 0)
+    + (paragraphs.length >= 3 ? 3 : paragraphs.length === 2 ? 1 : 0)
+    + (avgParagraphWords && avgParagraphWords <= 80 ? 2 : 0));
+
+  return {
+    query_match: {
+      score: queryScore,
+      suggestion: missingSignals.length ? `State the ${missingSignals.join(', ')} near the top so search and AI assistants can match the role.` : '',
+      excerpt: ''
+    },
+    grouping: {
+      score: groupingScore,
+      suggestion: missingSections.length ? `Group the content under headings for ${missingSections.join(', ')}.` : '',
+      excerpt: ''
+    },
+    structure: {
+      score: structureScore,
+      suggestion: structureScore < 7 ? 'Break long paragraphs up and list duties and requirements as bullet points.' : '',
+      excerpt: ''
+    }
+  };
+}
+
+/**
+ * Structured-information completeness when the page has no JSON-LD (0-15), mirroring the LLM rubric:
+ * sections 5, role details 4, organized presentation 3, essential info 3.
+ */
+function assessStructuredInfo({ job_title = '', job_body = '', language, job_location }) {
+  const sections = sectionsFound(job_body, language);
+  const core = ['responsibilities', 'requirements', 'benefits'].filter(key => sections.includes(key));
+  const sectionPoints = Math.round((core.length / 3) * 5);
+
+  const details = {
+    title: matchesLexicon(language, 'roles', job_title) || !!detectOccupation(job_title, job_body),
+    level: matchesLexicon(language, 'levels', `${job_title} ${job_body}`),
+    location: hasPlace(job_location) || matchesLexicon(language, 'workModes', job_body),
+    type: matchesLexicon(language, 'employmentTypes', job_body)
+  };
+  const detailPoints = Object.values(details).filter(Boolean).length;
+
+  const headingLines = job_body.split(/\r?\n/).filter(line => /^\s*[^\s].{0,40}:\s*$/.test(line) || /^\s*#{1,4}\s/.test(line)).length;
+  const organizedPoints = (bulletCount(job_body) >= 3 ? 2 : 0) + (headingLines >= 2 || sections.length >= 3 ? 1 : 0);
+
+  const essentialPoints = ['responsibilities', 'requirements'].filter(key => sections.includes(key)).length
+    + (sections.includes('benefits') || sections.includes('company') ? 1 : 0);
+
+  const missing = [
+    ...['responsibilities', 'requirements', 'benefits'].filter(key => !core.includes(key)),
+    ...Object.keys(details).filter(key => !details[key])
+  ];
+  const score = Math.min(15, sectionPoints + detailPoints + organizedPoints + essentialPoints);
+  return {
+    score,
+    suggestion: missing.length ? `Add the missing information: ${missing.join(', ')}.` : '',
+    excerpt: ''
+  };
+}
+
+/**
+ * Freshness signals when no posting date was found (0-10).
+ */
+function assessFreshness({ job_body = '' }) {
+  const stale = job_body.match(STALE_TERMS);
+  if (stale) {
+    return { score: 2, suggestion: 'The posting reads as closed; remove it or update the status.', excerpt: stale[0] };
+  }
+  const urgent = URGENCY_TERMS.test(job_body);
+  const active = ACTIVE_TERMS.test(job_body);
+  return {
+    score: urgent ? 9 : active ? 7 : 5,
+    suggestion: 'Add a visible posting date or application deadline.',
+    excerpt: ''
+  };
+}
+
+/**
+ * Content quality and focus (0-10): focus 3 (boilerplate share), clarity 3 (buzzwords),
+ * completeness 4 (responsibilities, requirements, benefits, pay).
+ */
+function assessContentQuality({ job_body = '', language }) {
+  const paragraphs = paragraphsOf(job_body);
+  const totalLength = paragraphs.reduce((sum, p) => sum + p.length, 0) || 1;
+  const boilerplate = paragraphs.filter(p => BOILERPLATE_PARAGRAPH.test(p));
+  const boilerplateShare = boilerplate.reduce((sum, p) => sum + p.length, 0) / totalLength;
+  const focusPoints = boilerplateShare < 0.1 ? 3 : boilerplateShare < 0.25 ? 2 : boilerplateShare < 0.4 ? 1 : 0;
+
+  const fluff = distinctMatches(job_body, FLUFF_TERMS);
+  const clarityPoints = Math.max(0, 3 - fluff.length);
+
+  const sections = sectionsFound(job_body, language);
+  const completeness = {
+    responsibilities: sections.includes('responsibilities'),
+    requirements: sections.includes('requirements'),
+    benefits: sections.includes('benefits'),
+    pay: matchesLexicon(language, 'compensation', job_body)
+  };
+  const completenessPoints = Object.values(completeness).filter(Boolean).length;
+
+  const missing = Object.keys(completeness).filter(key => !completeness[key]);
+  let suggestion = '';
+  let excerpt = '';
+  if (focusPoints < 2) {
+    suggestion = 'Trim legal and boilerplate text so the job itself makes up most of the posting.';
+    excerpt = boilerplate[0] || '';
+  } else if (missing.length) {
+    suggestion = `Cover the ${missing.join(', ')} so candidates have the full picture.`;
+  } else if (fluff.length) {
+    suggestion = `Replace vague phrases like "${fluff[0]}" with specifics.`;
+    excerpt = fluff[0];
+  }
+  return { score: Math.min(10, focusPoints + clarityPoints + completenessPoints), suggestion, excerpt };
+}
+
+module.exports = {
+  SCORING_MODES,
+  resolveScoringMode,
+  assessClarity,
+  assessAlignment,
+  assessStructuredInfo,
+  assessFreshness,
+  assessContentQuality
+};
@@ -0,0 +1,270 @@
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+
+const PDF_MIME = 'application/pdf';
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const SUPPORTED_MIME_TYPES = [PDF_MIME, DOCX_MIME];
+
+// Bullet glyphs commonly emitted by Word/PDF exporters (incl. Symbol-font private use chars)
+const BULLET_PATTERN = /^\s*(?:[•●○◦▪▫■□‣∙·*\-–—]|\uF0B7|\uF0A7|\uF076|\uF0D8)\s+/;
+const NUMBERED_PATTERN = /^\s*(?:\d{1,2}|[a-z])[.)]\s+/i;
+const KNOWN_HEADINGS = /^(about( the (role|company|team|job|position))?|about us|overview|summary|role overview|job description|position summary|responsibilities|key responsibilities|duties|what you('|’)ll do|requirements|qualifications|minimum qualifications|preferred qualifications|skills|nice to have|benefits|perks|what we offer|compensation|salary|pay|location|schedule|how to apply|application process|who we are|our mission)\s*:?$/i;
+
+function normalizeWhitespace(value = '') {
+  return value.replace(/\s+/g, ' ').trim();
+}
+
+function decodeEntities(value = '') {
+  return value
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+function escapeHtml(value = '') {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function detectFormat(buffer, mimetype = '', filename = '') {
+  if (mimetype === PDF_MIME) return 'pdf';
+  if (mimetype === DOCX_MIME) return 'docx';
+  // Sniff magic bytes when the MIME type is missing or generic (e.g. base64 uploads)
+  if (buffer && buffer.length >= 4) {
+    if (buffer.slice(0, 4).toString('latin1') === '%PDF') return 'pdf';
+    if (buffer[0] === 0x50 && buffer[1] === 0x4b) return 'docx';
+  }
+  const ext = path.extname(filename || '').toLowerCase();
+  if (ext === '.pdf') return 'pdf';
+  if (ext === '.docx') return 'docx';
+  return null;
+}
+
+/**
+ * Turn mammoth's HTML into a flat list of blocks ({ type: 'heading'|'bullet'|'paragraph', text, level }).
+ * Walks tags sequentially so nested lists don't swallow their parent item.
+ */
+function htmlToBlocks(html = '') {
+  const blocks = [];
+  const tokenRx = /<(\/?)([a-z0-9]+)[^>]*>|([^<]+)/gi;
+  let current = null;
+  let listDepth = 0;
+  let inRow = false;
+
+  const flush = () => {
+    if (current) {
+      const text = normalizeWhitespace(decodeEntities(current.text)).replace(/\s*\|$/, '');
+      if (text) blocks.push({ ...current, text });
+    }
+    current = null;
+  };
+
+  let match;
+  while ((match = tokenRx.exec(html)) !== null) {
+    const [, closing, rawTag, textChunk] = match;
+    if (textChunk !== undefined) {
+      if (!current) current = { type: 'paragraph', text: '', level: 0 };
+      current.text += textChunk;
+      continue;
+    }
+    const tag = rawTag.toLowerCase();
+    if (tag === 'ul' || tag === 'ol') {
+      flush();
+      listDepth = Math.max(0, listDepth + (closing ? -1 : 1));
+    } else if (/^h[1-6]$/.test(tag)) {
+      flush();
+      if (!closing) current = { type: 'heading', text: '', level: Number(tag[1]) };
+    } else if (tag === 'li') {
+      flush();
+      if (!closing) current = { type: 'bullet', text: '', level: Math.max(0, listDepth - 1) };
+    } else if (tag === 'tr') {
+      // A table row becomes one paragraph, cells separated by " | "
+      flush();
+      inRow = !closing;
+      if (inRow) current = { type: 'paragraph', text: '', level: 0 };
+    } else if (tag === 'p') {
+      // mammoth wraps cell content in <p>, which must not split the row
+      if (!inRow) flush();
+      else if (current) current.text += ' ';
+    } else if (tag === 'br') {
+      if (current) current.text += ' ';
+    } else if (tag === 'td' || tag === 'th') {
+      if (current && closing) current.text += ' | ';
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+function looksLikeHeading(line, nextLine) {
+  if (KNOWN_HEADINGS.test(line)) return true;
+  if (line.length > 60 || /[.;,]$/.test(line)) return false;
+  if (BULLET_PATTERN.test(line) || NUMBERED_PATTERN.test(line)) return false;
+  const letters = line.replace(/[^A-Za-z]/g, '');
+  const isAllCaps = letters.length >= 4 && letters === letters.toUpperCase();
+  const endsWithColon = /:$/.test(line) && line.split(/\s+/).length <= 6;
+  return (isAllCaps || endsWithColon) && !!nextLine;
+}
+
+/**
+ * PDF text carries no semantic markup, so rebuild headings, bullets and paragraphs from line shapes.
+ */
+function pdfTextToBlocks(text = '') {
+  const lines = text
+    .replace(/\r\n?/g, '\n')
+    // Re-join words hyphenated across line breaks ("manage-\nment")
+    .replace(/([a-z])-\n([a-z])/g, '$1$2')
+    .split('\n')
+    .map(line => normalizeWhitespace(line));
+
+  const blocks = [];
+  let paragraph = null;
+
+  const flushParagraph = () => {
+    if (paragraph && paragraph.text) blocks.push(paragraph);
+    paragraph = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line) {
+      flushParagraph();
+      continue;
+    }
+    // Skip bare page numbers and "Page x of y" footers
+    if (/^(page\s+)?\d+(\s+of\s+\d+)?$/i.test(line)) continue;
+
+    const nextLine = lines.slice(i + 1).find(Boolean);
+    if (BULLET_PATTERN.test(line) || NUMBERED_PATTERN.test(line)) {
+      flushParagraph();
+      paragraph = { type: 'bullet', text: line.replace(BULLET_PATTERN, '').replace(NUMBERED_PATTERN, ''), level: 0 };
+    } else if (looksLikeHeading(line, nextLine)) {
+      flushParagraph();
+      blocks.push({ type: 'heading', text: line.replace(/:$/, ''), level: 2 });
+    } else if (paragraph && (/^[a-z(]/.test(line) || (!/[.!?:;]$/.test(paragraph.text) && lines[i - 1].length >= 60))) {
+      // Wrapped continuation of the previous paragraph or bullet (short lines are hard breaks)
+      paragraph.text = `${paragraph.text} ${line}`;
+    } else {
+      flushParagraph();
+      paragraph = { type: 'paragraph', text: line, level: 0 };
+    }
+  }
+  flushParagraph();
+
+  return blocks;
+}
+
+function blocksToText(blocks = []) {
+  const out = [];
+  blocks.forEach((block, index) => {
+    const prev = blocks[index - 1];
+    if (block.type === 'heading') {
+      if (out.length) out.push('');
+      out.push(block.text);
+    } else if (block.type === 'bullet') {
+      out.push(`${'  '.repeat(block.level || 0)}- ${block.text}`);
+    } else {
+      if (prev && prev.type !== 'heading') out.push('');
+      out.push(block.text);
+    }
+  });
+  return out.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function blocksToHtml(blocks = []) {
+  const out = [];
+  let inList = false;
+  for (const block of blocks) {
+    if (block.type === 'bullet' && !inList) {
+      out.push('<ul>');
+      inList = true;
+    } else if (block.type !== 'bullet' && inList) {
+      out.push('</ul>');
+      inList = false;
+    }
+    const text = escapeHtml(block.text);
+    if (block.type === 'heading') out.push(`<h${block.level || 2}>${text}</h${block.level || 2}>`);
+    else if (block.type === 'bullet') out.push(`<li>${text}</li>`);
+    else out.push(`<p>${text}</p>`);
+  }
+  if (inList) out.push('</ul>');
+  return out.join('\n');
+}
+
+function guessTitle(blocks = [], filename = '') {
+  // Postings almost always open with the job title
+  const first = blocks[0];
+  if (first && first.type !== 'bullet' && first.text.length <= 100 && !KNOWN_HEADINGS.test(first.text)) {
+    return first.text.replace(/:$/, '');
+  }
+  const heading = blocks.find(b => b.type === 'heading' && !KNOWN_HEADINGS.test(b.text));
+  if (heading) return heading.text;
+  const stem = path.basename(filename || '', path.extname(filename || ''));
+  return stem ? normalizeWhitespace(stem.replace(/[_-]+/g, ' ')) : 'Uploaded Job Posting';
+}
+
+/**
+ * Extract clean text (plus a lightweight HTML rendering) from an uploaded PDF or DOCX.
+ * @param {Object} params
+ * @param {Buffer} params.buffer - Raw file bytes.
+ * @param {string} [params.mimetype] - MIME type reported by the upload.
+ * @param {string} [params.filename] - Original file name, used for format and title fallbacks.
+ * @returns {Promise<{job_title: string, job_body: string, job_html: string, format: string}>}
+ */
+async function extractDocument({ buffer, mimetype, filename } = {}) {
+  if (!buffer || !buffer.length) {
+    throw new Error('Uploaded file is empty');
+  }
+
+  const format = detectFormat(buffer, mimetype, filename);
+  if (!format) {
+    throw new Error('Unsupported file type. Only PDF and DOCX files are allowed');
+  }
+
+  let blocks;
+  let job_html;
+  if (format === 'pdf') {
+    // pdf.js reads the whole underlying ArrayBuffer, so a small Buffer sliced from Node's shared
+    // pool (byteOffset > 0) is copied first
+    const parsed = await pdfParse(buffer.byteOffset ? new Uint8Array(buffer) : buffer);
+    blocks = pdfTextToBlocks(parsed.text || '');
+    job_html = blocksToHtml(blocks);
+  } else {
+    const { value: html, messages } = await mammoth.convertToHtml({ buffer });
+    if (messages && messages.length) {
+      console.log(`[documentIngestion] mammoth reported ${messages.length} conversion warning(s)`);
+    }
+    blocks = htmlToBlocks(html);
+    job_html = html;
+  }
+
+  const job_body = blocksToText(blocks);
+  if (!job_body || job_body.length < 50) {
+    throw new Error('No extractable text found in document. Scanned or image-only files are not supported');
+  }
+
+  return {
+    job_title: guessTitle(blocks, filename),
+    job_body,
+    job_html,
+    format
+  };
+}
+
+module.exports = {
+  SUPPORTED_MIME_TYPES,
+  extractDocument,
+  htmlToBlocks,
+  pdfTextToBlocks,
+  blocksToText,
+  guessTitle
+};
@@ -0,0 +1,149 @@
+const {
+  loadHtml,
+  hostnameOf,
+  elementToText,
+  htmlFragmentToText,
+  httpGetJson,
+  toIsoDate,
+  detectPayPeriod,
+  firstText,
+  parseCompensationText,
+  readAssignedJson,
+  readJsonLdJobPosting,
+  structuredFromJsonLd,
+  mergeStructured,
+  buildResult
+} = require('./common');
+
+function matchUrl(url) {
+  return /(^|\.)ashbyhq\.com$/.test(hostnameOf(url));
+}
+
+/**
+ * Ashby job pages are a React app bootstrapped from `window.__appData`; the posting record there
+ * is richer than the rendered DOM, so prefer it and fall back to JSON-LD/DOM.
+ */
+function readAppPosting($) {
+  let posting = null;
+  $('script').each((_, el) => {
+    if (posting) return;
+    const source = $(el).contents().text();
+    if (!source.includes('window.__appData')) return;
+    const appData = readAssignedJson(source, 'window.__appData');
+    posting = appData?.posting || null;
+  });
+  return posting;
+}
+
+function extract(html) {
+  const $ = loadHtml(html);
+  const posting = readAppPosting($);
+  const jsonLdRaw = readJsonLdJobPosting($);
+  const jsonLd = structuredFromJsonLd(jsonLdRaw);
+
+  let body = null;
+  let fragment = null;
+  if (posting?.descriptionHtml) {
+    fragment = posting.descriptionHtml;
+    body = htmlFragmentToText(fragment);
+  } else {
+    const container = $('[class*="_descriptionText"], .ashby-job-posting-right-pane').first();
+    if (container.length) {
+      fragment = $.html(container);
+      body = elementToText($, container);
+    } else if (jsonLd.description) {
+      fragment = jsonLdRaw.description;
+      body = jsonLd.description;
+    }
+  }
+  if (!body) return null;
+
+  const compensationText = posting?.scrapeableCompensationSalarySummary || posting?.compensationTierSummary || null;
+  const structured = mergeStructured({
+    title: posting?.title || firstText($, ['h1[class*="_title"]', 'h1']),
+    location: posting?.locationName || null,
+    department: posting?.departmentName || posting?.teamName || null,
+    employmentType: posting?.employmentType || null,
+    datePosted: posting?.publishedDate || null,
+    remote: typeof posting?.isRemote === 'boolean' ? posting.isRemote : null,
+    compensation: parseCompensationText(compensationText)
+  }, jsonLd);
+
+  return buildResult({
+    ats: 'ashby',
+    title: structured.title,
+    body,
+    html: fragment,
+    structured
+  });
+}
+
+/**
+ * jobs.ashbyhq.com/<org>/<job-id>[/application] -> the org's public job-board API. Ashby has no
+ * single-posting endpoint, so the board is fetched and the posting picked out by id.
+ */
+function parseApiUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (parsed.hostname.toLowerCase() !== 'jobs.ashbyhq.com') return null;
+  const [org, jobId] = parsed.pathname.split('/').filter(Boolean);
+  if (!org || !/^[0-9a-f-]{36}$/i.test(jobId || '')) return null;
+  return {
+    org,
+    jobId: jobId.toLowerCase(),
+    apiUrl: `https://api.ashbyhq.com/posting-api/job-board/${encodeURIComponent(org)}?includeCompensation=true`
+  };
+}
+
+function fromApiPosting(board, target) {
+  const job = (board?.jobs || []).find(item => String(item.id).toLowerCase() === target.jobId);
+  if (!job || !job.descriptionHtml) return null;
+
+  const components = job.compensation?.summaryComponents || [];
+  const salary = components.find(c => c.compensationType === 'Salary') || null;
+  const summary = job.compensation?.scrapeableCompensationSalarySummary || job.compensation?.compensationTierSummary || null;
+  const compensation = salary
+    ? {
+      min: Number.isFinite(salary.minValue) ? salary.minValue : null,
+      max: Number.isFinite(salary.maxValue) ? salary.maxValue : null,
+      currency: salary.currencyCode || null,
+      period: detectPayPeriod(salary.interval),
+      text: summary
+    }
+    : parseCompensationText(summary);
+
+  return buildResult({
+    ats: 'ashby',
+    title: job.title,
+    body: htmlFragmentToText(job.descriptionHtml),
+    html: job.descriptionHtml,
+    structured: mergeStructured({
+      title: job.title,
+      location: job.location || null,
+      department: job.department || job.team || null,
+      employmentType: job.employmentType || null,
+      remote: typeof job.isRemote === 'boolean' ? job.isRemote : null,
+      datePosted: toIsoDate(job.publishedAt),
+      updatedAt: toIsoDate(job.updatedAt),
+      compensation
+    })
+  });
+}
+
+async function fetchPosting(target) {
+  return fromApiPosting(await httpGetJson(target.apiUrl), target);
+}
+
+module.exports = {
+  name: 'ashby',
+  matchUrl,
+  readySelector: '[class*="_descriptionText"], .ashby-job-posting-right-pane',
+  extract,
+  parseApiUrl,
+  fetchPosting,
+  fromApiPosting
+};
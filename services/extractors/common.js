@@ -0,0 +1,322 @@
+const cheerio = require('cheerio');
+const axios = require('axios');
+
+const HTTP_TIMEOUT_MS = Number(process.env.ATS_API_TIMEOUT_MS) > 0 ? Number(process.env.ATS_API_TIMEOUT_MS) : 8000;
+const HTTP_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'fieldset', 'figcaption',
+  'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main',
+  'nav', 'ol', 'p', 'pre', 'section', 'table', 'tr', 'ul'
+]);
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'button']);
+
+function loadHtml(html = '') {
+  return cheerio.load(html || '');
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+function cleanText(value = '') {
+  return String(value || '')
+    .replace(/\u00A0/g, ' ')
+    .replace(/[ \t\f\v]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Render an element's text roughly the way innerText would: block elements on their own lines,
+ * list items as "- " bullets, scripts/styles/buttons skipped.
+ */
+function elementToText($, element) {
+  let out = '';
+  const newline = (count = 1) => {
+    out = out.replace(/[ \t]+$/, '');
+    const trailing = out.match(/\n*$/)[0].length;
+    if (out && trailing < count) out += '\n'.repeat(count - trailing);
+  };
+
+  const walk = node => {
+    if (!node) return;
+    if (node.type === 'text') {
+      out += node.data.replace(/\s+/g, ' ');
+      return;
+    }
+    if (node.type !== 'tag') return;
+    const tag = node.name.toLowerCase();
+    if (SKIP_TAGS.has(tag)) return;
+    if (tag === 'br') {
+      out += '\n';
+      return;
+    }
+    // Headings and paragraphs get a blank line around them; other blocks just start a new line
+    const breaks = /^(h[1-6]|p|section|ul|ol|table)$/.test(tag) ? 2 : (BLOCK_TAGS.has(tag) ? 1 : 0);
+    if (breaks) newline(breaks);
+    if (tag === 'li') out += '- ';
+    (node.children || []).forEach(walk);
+    if (breaks) newline(breaks);
+  };
+
+  $(element).each((_, el) => walk(el));
+  return cleanText(out.split('\n').map(line => line.trim()).join('\n'));
+}
+
+/**
+ * Convert an HTML fragment string (e.g. an ATS "descriptionHtml" field) to text.
+ */
+function htmlFragmentToText(fragment = '') {
+  const $ = loadHtml(`<div id="__fragment">${fragment || ''}</div>`);
+  return elementToText($, $('#__fragment'));
+}
+
+function firstText($, selectors = []) {
+  for (const selector of selectors) {
+    const text = cleanText($(selector).first().text());
+    if (text) return text;
+  }
+  return null;
+}
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '£': 'GBP', '€': 'EUR', '¥': 'JPY', '₹': 'INR' };
+
+function parseAmount(raw, suffix) {
+  const n = Number(String(raw).replace(/,/g, ''));
+  if (!Number.isFinite(n)) return null;
+  return /k/i.test(suffix || '') ? n * 1000 : n;
+}
+
+/**
+ * Map pay interval wording ("per-hour-wage", "1 YEAR", "annually") to hour | month | year.
+ */
+function detectPayPeriod(value) {
+  const text = String(value || '').replace(/[-_]/g, ' ');
+  if (/\b(hour|hourly|hr)\b/i.test(text)) return 'hour';
+  if (/\b(month|monthly)\b/i.test(text)) return 'month';
+  if (/\b(year|yearly|annual|annually|yr)\b/i.test(text)) return 'year';
+  return null;
+}
+
+/**
+ * Pull a min/max range out of free-text pay copy such as "$120,000 - $150,000 USD per year" or "£45k–£55k".
+ */
+function parseCompensationText(text) {
+  const value = cleanText(text);
+  if (!value) return null;
+  const rangeRx = /([$£€¥₹])?\s*(\d[\d,]*(?:\.\d+)?)\s*(k)?\s*(?:-|–|—|to)\s*([$£€¥₹])?\s*(\d[\d,]*(?:\.\d+)?)\s*(k)?/i;
+  const singleRx = /([$£€¥₹])\s*(\d[\d,]*(?:\.\d+)?)\s*(k)?/i;
+  const range = value.match(rangeRx);
+  const single = range ? null : value.match(singleRx);
+  if (!range && !single) return null;
+
+  const symbol = range ? (range[1] || range[4]) : single[1];
+  const codeMatch = value.match(/\b(USD|CAD|AUD|GBP|EUR|NZD|SGD|INR|JPY|CHF)\b/);
+  const period = detectPayPeriod(value);
+
+  return {
+    min: range ? parseAmount(range[2], range[3]) : parseAmount(single[2], single[3]),
+    max: range ? parseAmount(range[5], range[6] || range[3]) : null,
+    currency: codeMatch ? codeMatch[1] : (CURRENCY_SYMBOLS[symbol] || null),
+    period,
+    text: value
+  };
+}
+
+/**
+ * Read the JSON object literal that starts at the first "{" after `marker` in a script body.
+ * Used for SPA bootstraps like `window.__appData = {...};` that can't be JSON.parse'd whole.
+ */
+function readAssignedJson(source = '', marker) {
+  const markerIndex = source.indexOf(marker);
+  if (markerIndex === -1) return null;
+  const start = source.indexOf('{', markerIndex);
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = null;
+  for (let i = start; i < source.length; i++) {
+    const ch = source[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === inString) inString = null;
+      continue;
+    }
+    if (ch === '"' || ch === "'") inString = ch;
+    else if (ch === '{') depth++;
+    else if (ch === '}' && --depth === 0) {
+      try {
+        return JSON.parse(source.slice(start, i + 1));
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the first schema.org JobPosting object among the page's JSON-LD blocks.
+ */
+function readJsonLdJobPosting($) {
+  let found = null;
+  $('script[type="application/ld+json"]').each((_, el) => {
+    if (found) return;
+    try {
+      const parsed = JSON.parse($(el).contents().text());
+      const candidates = Array.isArray(parsed) ? parsed : (parsed['@graph'] || [parsed]);
+      found = candidates.find(item => item && (item['@type'] === 'JobPosting'
+        || (Array.isArray(item['@type']) && item['@type'].includes('JobPosting')))) || null;
+    } catch {}
+  });
+  return found;
+}
+
+function formatJsonLdLocation(jobLocation) {
+  const locations = Array.isArray(jobLocation) ? jobLocation : [jobLocation];
+  const labels = locations
+    .map(loc => {
+      const address = loc?.address || loc;
+      if (!address || typeof address !== 'object') return typeof address === 'string' ? address : null;
+      return [address.addressLocality, address.addressRegion, address.addressCountry?.name || address.addressCountry]
+        .filter(part => typeof part === 'string' && part.trim())
+        .join(', ');
+    })
+    .filter(Boolean);
+  return labels.length ? labels.join(' | ') : null;
+}
+
+function readJsonLdSalary(baseSalary) {
+  if (!baseSalary || typeof baseSalary !== 'object') return null;
+  const value = baseSalary.value || {};
+  const toNumber = v => (v === undefined || v === null || v === '' ? null : Number(v));
+  const min = toNumber(value.minValue ?? (typeof value.value !== 'object' ? value.value : null));
+  const max = toNumber(value.maxValue);
+  if (!Number.isFinite(min) && !Number.isFinite(max)) return null;
+  return {
+    min: Number.isFinite(min) ? min : null,
+    max: Number.isFinite(max) ? max : null,
+    currency: baseSalary.currency || null,
+    period: value.unitText ? String(value.unitText).toLowerCase() : null,
+    text: null
+  };
+}
+
+/**
+ * Map a JSON-LD JobPosting onto the structured fields every extractor returns.
+ */
+function structuredFromJsonLd(jobJson) {
+  if (!jobJson) return {};
+  const description = typeof jobJson.description === 'string' ? htmlFragmentToText(jobJson.description) : null;
+  return {
+    title: jobJson.title || null,
+    company: jobJson.hiringOrganization?.name || null,
+    location: formatJsonLdLocation(jobJson.jobLocation),
+    employmentType: Array.isArray(jobJson.employmentType) ? jobJson.employmentType.join(', ') : (jobJson.employmentType || null),
+    datePosted: jobJson.datePosted || null,
+    validThrough: jobJson.validThrough || null,
+    remote: jobJson.jobLocationType === 'TELECOMMUTE' || null,
+    compensation: readJsonLdSalary(jobJson.baseSalary),
+    description
+  };
+}
+
+/**
+ * Decode entity-escaped HTML (Greenhouse returns posting content as "&lt;p&gt;...").
+ */
+function decodeHtmlEntities(value = '') {
+  return cheerio.load(String(value || ''), null, false).text();
+}
+
+async function httpGetJson(url) {
+  const response = await axios.get(url, {
+    timeout: HTTP_TIMEOUT_MS,
+    headers: { 'Accept': 'application/json', 'User-Agent': HTTP_USER_AGENT }
+  });
+  return response.data;
+}
+
+/**
+ * Best-effort plain HTTP fetch of a posting page (no JS). Resolves to { html, headers } or null
+ * instead of throwing.
+ */
+async function fetchPage(url) {
+  try {
+    const response = await axios.get(url, {
+      timeout: HTTP_TIMEOUT_MS,
+      responseType: 'text',
+      maxRedirects: 5,
+      headers: {
+        'Accept': 'text/html,application/xhtml+xml',
+        'Accept-Language': 'en-US,en;q=0.9',
+        'User-Agent': HTTP_USER_AGENT
+      }
+    });
+    if (typeof response.data !== 'string' || !/<html/i.test(response.data)) return null;
+    return { html: response.data, headers: response.headers || {} };
+  } catch {
+    return null;
+  }
+}
+
+function toIsoDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Merge structured field sources, earlier sources win; null/empty values never overwrite.
+ */
+function mergeStructured(...sources) {
+  const merged = {};
+  for (const source of sources) {
+    for (const [key, value] of Object.entries(source || {})) {
+      if (value === null || value === undefined || value === '') continue;
+      if (merged[key] === undefined) merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Standard extractor result.
+ */
+function buildResult({ ats, title, body, html, structured = {} }) {
+  const text = cleanText(body || '');
+  if (!text) return null;
+  const { description, ...rest } = structured;
+  return {
+    ats,
+    title: title || rest.title || null,
+    body: text,
+    html: html || null,
+    structured: rest
+  };
+}
+
+module.exports = {
+  loadHtml,
+  hostnameOf,
+  cleanText,
+  elementToText,
+  htmlFragmentToText,
+  decodeHtmlEntities,
+  httpGetJson,
+  fetchPage,
+  toIsoDate,
+  firstText,
+  detectPayPeriod,
+  parseCompensationText,
+  readAssignedJson,
+  readJsonLdJobPosting,
+  structuredFromJsonLd,
+  mergeStructured,
+  buildResult
+};
@@ -0,0 +1,217 @@
+const {
+  loadHtml,
+  hostnameOf,
+  elementToText,
+  htmlFragmentToText,
+  decodeHtmlEntities,
+  httpGetJson,
+  toIsoDate,
+  detectPayPeriod,
+  firstText,
+  parseCompensationText,
+  readJsonLdJobPosting,
+  structuredFromJsonLd,
+  mergeStructured,
+  buildResult
+} = require('./common');
+
+const GH_DOMAIN_REGEX = /greenhouse\.io|boards\.greenhouse\.io|job-boards\.greenhouse\.io/i;
+
+function matchUrl(url) {
+  return /(^|\.)greenhouse\.io$/.test(hostnameOf(url));
+}
+
+/**
+ * Parse a Greenhouse posting. Handles the current job-boards layout (.job__title/.job__description)
+ * and the legacy boards/embed layout (#header .app-title, #content).
+ */
+function extract(html, url) {
+  const $ = loadHtml(html);
+  const jsonLd = structuredFromJsonLd(readJsonLdJobPosting($));
+
+  const container = $('.job__description').first().length ? $('.job__description').first() : $('#content').first();
+  if (!container.length) return null;
+
+  const payText = $('.pay-range').length
+    ? $('.pay-range').map((_, el) => $(el).text()).get().join(' - ')
+    : null;
+
+  const structured = mergeStructured({
+    title: firstText($, ['.job__title h1', '#header h1.app-title', 'h1.app-title', '.job-title', 'h1']),
+    company: firstText($, ['#header .company-name', '.company-name']),
+    location: firstText($, ['.job__location', '#header .location', '.location']),
+    compensation: parseCompensationText(payText)
+  }, jsonLd);
+
+  return buildResult({
+    ats: 'greenhouse',
+    title: structured.title,
+    body: elementToText($, container),
+    html: $.html(container),
+    structured
+  });
+}
+
+/**
+ * Recognise board/job ids in Greenhouse URLs:
+ *   job-boards.greenhouse.io/<board>/jobs/<id>, boards.greenhouse.io/<board>/jobs/<id>,
+ *   boards.greenhouse.io/embed/job_app?for=<board>&token=<id>, boards.greenhouse.io/<board>?gh_jid=<id>
+ */
+function parseApiUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  const host = parsed.hostname.toLowerCase();
+  if (!/(^|\.)greenhouse\.io$/.test(host)) return null;
+  const apiHost = /(^|\.)eu\.greenhouse\.io$/.test(host) ? 'boards-api.eu.greenhouse.io' : 'boards-api.greenhouse.io';
+
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  let board = parsed.searchParams.get('for');
+  let jobId = parsed.searchParams.get('token') || parsed.searchParams.get('gh_jid');
+  if (segments[1] === 'jobs' && /^\d+$/.test(segments[2] || '')) {
+    board = segments[0];
+    jobId = segments[2];
+  } else if (!board && segments.length === 1 && segments[0] !== 'embed') {
+    board = segments[0];
+  }
+  if (!board || !/^\d+$/.test(jobId || '')) return null;
+  return { board, jobId, apiUrl: `https://${apiHost}/v1/boards/${encodeURIComponent(board)}/jobs/${jobId}?pay_transparency=true` };
+}
+
+/**
+ * Map a boards-api job record onto the extractor result shape.
+ */
+function fromApiPosting(job) {
+  if (!job || !job.content) return null;
+  const html = decodeHtmlEntities(job.content);
+  const range = Array.isArray(job.pay_input_ranges) ? job.pay_input_ranges[0] : null;
+  const compensation = range
+    ? {
+      min: Number.isFinite(range.min_cents) ? range.min_cents / 100 : null,
+      max: Number.isFinite(range.max_cents) ? range.max_cents / 100 : null,
+      currency: range.currency_type || null,
+      period: detectPayPeriod(`${range.title || ''} ${range.blurb || ''}`),
+      text: range.title || null
+    }
+    : null;
+
+  return buildResult({
+    ats: 'greenhouse',
+    title: job.title,
+    body: htmlFragmentToText(html),
+    html,
+    structured: mergeStructured({
+      title: job.title,
+      company: job.company_name || null,
+      location: job.location?.name || null,
+      department: (job.departments || []).map(d => d.name).filter(Boolean).join(', ') || null,
+      datePosted: toIsoDate(job.first_published),
+      updatedAt: toIsoDate(job.updated_at),
+      compensation,
+      requisitionId: job.requisition_id || null
+    })
+  });
+}
+
+async function fetchPosting(target) {
+  return fromApiPosting(await httpGetJson(target.apiUrl));
+}
+
+/**
+ * Find a Greenhouse posting embedded in a company careers page: an iframe pointing at greenhouse.io,
+ * a ?gh_jid= link we can click to trigger the embed, or a direct/embed URL we can open ourselves.
+ * @returns {Promise<Object|null>} A Playwright Frame or Page holding the posting.
+ */
+async function locateEmbed({ page, context, navUrl, requestedUrls = [] }) {
+  // Allow iframes to attach (not necessarily visible)
+  await page.waitForSelector('iframe', { timeout: 20000, state: 'attached' }).catch(() => {});
+
+  // Poll for a Greenhouse iframe by URL or DOM handle (optimized timeout)
+  console.log('Checking for Greenhouse iframes - START');
+  let ghFrame = null;
+  const deadline = Date.now() + 1000; // Optimized: 1s instead of 3s (most iframes load immediately)
+  const ghId = (() => { try { return new URL(navUrl).searchParams.get('gh_jid'); } catch { return null; } })();
+  console.log('Greenhouse detection URL param gh_jid:', ghId);
+  while (!ghFrame && Date.now() < deadline) {
+    // Check existing frames by URL
+    const frames = page.frames();
+    ghFrame = frames.find(f => GH_DOMAIN_REGEX.test(f.url())) || null;
+    if (ghFrame) { console.log('[greenhouse] Found Greenhouse frame by URL:', ghFrame.url()); break; }
+
+    // Check DOM for iframe elements and resolve contentFrame
+    const ghHandle = await page.$('iframe[src*="greenhouse.io"], iframe[src*="boards.greenhouse.io"], iframe[src*="job-boards.greenhouse.io"]');
+    if (ghHandle) {
+      const frame = await ghHandle.contentFrame();
+      if (frame) { console.log('[greenhouse] Found Greenhouse frame via handle:', frame.url()); ghFrame = frame; break; }
+    }
+
+    // If URL includes gh_jid, try to click a matching link to trigger embed
+    if (ghId) {
+      const clicked = await page.evaluate((jid) => {
+        try {
+          const anchors = Array.from(document.querySelectorAll('a[href*="gh_jid="]'));
+          const target = anchors.find(a => {
+            try { return new URL(a.getAttribute('href'), location.href).searchParams.get('gh_jid') === jid; } catch { return false; }
+          });
+          if (target) {
+            target.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+            return true;
+          }
+        } catch {}
+        return false;
+      }, ghId).catch(() => false);
+      if (clicked) { console.log('[greenhouse] Clicked link for gh_jid:', ghId); await page.waitForTimeout(1000); }
+    }
+
+    await page.waitForTimeout(500);
+  }
+
+  if (ghFrame) {
+    console.log('[greenhouse] Using Greenhouse iframe content from:', ghFrame.url());
+    await ghFrame.waitForSelector('h1, .app-title, .job-title, main, #content', { timeout: 15000 }).catch(() => {});
+    return ghFrame;
+  }
+
+  // No iframe detected: log frames and try to navigate directly to a GH URL if present
+  const allFrames = page.frames();
+  console.log(`[greenhouse] No Greenhouse iframe found. Frames(${allFrames.length}):`, allFrames.map(f => f.url()).slice(0, 10));
+  const ghRequests = requestedUrls.filter(u => GH_DOMAIN_REGEX.test(u));
+  const ghHref = await page.evaluate(() => {
+    const sel = 'a[href*="greenhouse.io"], a[href*="boards.greenhouse.io"], a[href*="job-boards.greenhouse.io"]';
+    const a = document.querySelector(sel);
+    return a ? a.href : null;
+  }).catch(() => null);
+  const ghEmbedFor = await page.evaluate(() => {
+    const s = document.querySelector('script[src*="boards.greenhouse.io/embed/job_board/js?for="]');
+    if (!s) return null;
+    try { return new URL(s.src, location.href).searchParams.get('for'); } catch { return null; }
+  }).catch(() => null);
+  const navigateTo = (ghId && ghEmbedFor)
+    ? `https://boards.greenhouse.io/embed/job_app?for=${encodeURIComponent(ghEmbedFor)}&token=${encodeURIComponent(ghId)}`
+    : (ghHref || ghRequests[0] || null);
+  if (navigateTo) {
+    console.log('[greenhouse] Navigating directly to Greenhouse URL:', navigateTo);
+    const ghPage = await context.newPage();
+    await ghPage.goto(navigateTo, { waitUntil: 'domcontentloaded', timeout: 45000 });
+    await ghPage.waitForLoadState('networkidle', { timeout: 20000 }).catch(() => {});
+    return ghPage;
+  }
+  if (ghRequests.length) {
+    console.log('[greenhouse] Observed GH requests but no navigable link found:', ghRequests.slice(0, 3));
+  }
+  return null;
+}
+
+module.exports = {
+  name: 'greenhouse',
+  matchUrl,
+  readySelector: '.job__description, #content',
+  extract,
+  locateEmbed,
+  parseApiUrl,
+  fetchPosting,
+  fromApiPosting
+};
@@ -0,0 +1,104 @@
+const { fetchPage } = require('./common');
+const greenhouse = require('./greenhouse');
+const lever = require('./lever');
+const ashby = require('./ashby');
+const workday = require('./workday');
+const smartrecruiters = require('./smartrecruiters');
+const workable = require('./workable');
+
+// ATS extractor registry. Each extractor module exports:
+//   name          - short ATS identifier stored on reports
+//   matchUrl(url) - true when the URL is served by this ATS
+//   readySelector - optional selector to wait for before reading a rendered page
+//   extract(html, url) - { ats, title, body, html, structured } or null when the page isn't a posting
+//   locateEmbed({ page, context, navUrl, requestedUrls }) - optional; finds the ATS posting embedded
+//                   in a third-party careers page and resolves to the Frame/Page holding it
+//   parseApiUrl(url) / fetchPosting(target) - optional; read the posting from the ATS's public JSON
+//                   API so no browser is needed (see fetchPostingFromApi)
+const EXTRACTORS = [greenhouse, lever, ashby, workday, smartrecruiters, workable];
+
+function findExtractorForUrl(url) {
+  if (!url) return null;
+  return EXTRACTORS.find(extractor => extractor.matchUrl(url)) || null;
+}
+
+function getExtractor(name) {
+  return EXTRACTORS.find(extractor => extractor.name === name) || null;
+}
+
+/**
+ * Ask each extractor that supports embeds whether the page hosts one of its postings.
+ * @returns {Promise<{extractor: Object, target: Object}|null>}
+ */
+async function locateEmbeddedPosting(params) {
+  for (const extractor of EXTRACTORS) {
+    if (typeof extractor.locateEmbed !== 'function') continue;
+    try {
+      const target = await extractor.locateEmbed(params);
+      if (target) return { extractor, target };
+    } catch (err) {
+      console.warn(`[extractors] ${extractor.name} embed detection failed:`, err?.message || err);
+    }
+  }
+  return null;
+}
+
+/**
+ * Run the matching extractor (or an explicitly named one) against saved/rendered HTML.
+ * Never throws; returns null when no extractor applies or the markup isn't recognised.
+ */
+function extractFromHtml(html, url, extractorName = null) {
+  const extractor = extractorName ? getExtractor(extractorName) : findExtractorForUrl(url);
+  if (!extractor || !html) return null;
+  try {
+    return extractor.extract(html, url);
+  } catch (err) {
+    console.warn(`[extractors] ${extractor.name} extraction failed:`, err?.message || err);
+    return null;
+  }
+}
+
+function apiFetchEnabled() {
+  return !/^(0|false|off)$/i.test(String(process.env.ATS_API_FETCH ?? '1').trim());
+}
+
+/**
+ * HTTP-first path: when the URL identifies a posting on an ATS with a public JSON API, fetch it
+ * directly. The hosted page is fetched alongside (plain HTTP, no JS) so scoring still sees its
+ * markup and JSON-LD; if that fails the API's description HTML stands in.
+ * @returns {Promise<Object|null>} Extractor result plus `pageHtml`/`pageHeaders`, or null to fall back to the browser.
+ */
+async function fetchPostingFromApi(url) {
+  if (!apiFetchEnabled()) return null;
+  const extractor = findExtractorForUrl(url);
+  if (!extractor || typeof extractor.parseApiUrl !== 'function') return null;
+  const target = extractor.parseApiUrl(url);
+  if (!target) return null;
+
+  const startedAt = Date.now();
+  const [apiResult, pageResult] = await Promise.allSettled([
+    extractor.fetchPosting(target),
+    fetchPage(url)
+  ]);
+  if (apiResult.status === 'rejected') {
+    const reason = apiResult.reason;
+    console.warn(`[extractors] ${extractor.name} API fetch failed:`, reason?.response ? `HTTP ${reason.response.status}` : (reason?.message || reason));
+    return null;
+  }
+  if (!apiResult.value) {
+    console.warn(`[extractors] ${extractor.name} API returned no posting for ${url}`);
+    return null;
+  }
+  console.log(`[extractors] Fetched ${extractor.name} posting via API in ${Date.now() - startedAt}ms`);
+  const page = pageResult.status === 'fulfilled' ? pageResult.value : null;
+  return { ...apiResult.value, pageHtml: page ? page.html : null, pageHeaders: page ? page.headers : {} };
+}
+
+module.exports = {
+  EXTRACTORS,
+  findExtractorForUrl,
+  getExtractor,
+  locateEmbeddedPosting,
+  extractFromHtml,
+  fetchPostingFromApi
+};
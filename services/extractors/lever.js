@@ -0,0 +1,127 @@
+const {
+  loadHtml,
+  hostnameOf,
+  elementToText,
+  htmlFragmentToText,
+  httpGetJson,
+  toIsoDate,
+  detectPayPeriod,
+  firstText,
+  parseCompensationText,
+  readJsonLdJobPosting,
+  structuredFromJsonLd,
+  mergeStructured,
+  buildResult
+} = require('./common');
+
+function matchUrl(url) {
+  return /(^|\.)lever\.co$/.test(hostnameOf(url));
+}
+
+function extract(html) {
+  const $ = loadHtml(html);
+  const jsonLd = structuredFromJsonLd(readJsonLdJobPosting($));
+
+  // Each posting section is a .section.page-centered block; skip the headline and the apply footer
+  const sections = $('.posting-page .section-wrapper .section, [data-qa="job-description"]')
+    .not('.posting-headline, .last-section-apply')
+    .filter((_, el) => !$(el).find('.postings-btn, .template-btn-submit').length);
+  if (!sections.length) return null;
+
+  const body = sections.map((_, el) => elementToText($, el)).get().filter(Boolean).join('\n\n');
+  const salaryText = firstText($, ['[data-qa="salary-range"] > div', '[data-qa="salary-range"]', '.posting-salary']);
+
+  const structured = mergeStructured({
+    title: firstText($, ['.posting-headline h2', '.posting-header h2']),
+    location: firstText($, ['.posting-categories .location', '.posting-categories .sort-by-location']),
+    department: firstText($, ['.posting-categories .department', '.posting-categories .sort-by-team']),
+    employmentType: firstText($, ['.posting-categories .commitment', '.posting-categories .sort-by-commitment']),
+    workplaceType: firstText($, ['.posting-categories .workplaceTypes']),
+    compensation: parseCompensationText(salaryText)
+  }, jsonLd);
+  if (structured.workplaceType && /remote/i.test(structured.workplaceType) && structured.remote === undefined) {
+    structured.remote = true;
+  }
+
+  return buildResult({
+    ats: 'lever',
+    title: structured.title,
+    body,
+    html: sections.map((_, el) => $.html(el)).get().join('\n'),
+    structured
+  });
+}
+
+/**
+ * jobs.lever.co/<company>/<posting-id>[/apply] -> api.lever.co/v0/postings/<company>/<posting-id>
+ */
+function parseApiUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  const host = parsed.hostname.toLowerCase();
+  if (!/^jobs\.(eu\.)?lever\.co$/.test(host)) return null;
+  const [company, postingId] = parsed.pathname.split('/').filter(Boolean);
+  if (!company || !/^[0-9a-f-]{36}$/i.test(postingId || '')) return null;
+  const apiHost = host.startsWith('jobs.eu.') ? 'api.eu.lever.co' : 'api.lever.co';
+  return { company, postingId, apiUrl: `https://${apiHost}/v0/postings/${encodeURIComponent(company)}/${postingId}` };
+}
+
+/**
+ * Map a Lever postings API record onto the extractor result shape. The description, the
+ * requirement lists and the closing "additional" copy are stitched back together in page order.
+ */
+function fromApiPosting(posting) {
+  if (!posting || !posting.text) return null;
+  const lists = (posting.lists || [])
+    .map(list => `<h3>${list.text || ''}</h3><ul>${list.content || ''}</ul>`)
+    .join('');
+  const html = [posting.description, lists, posting.additional].filter(Boolean).join('\n');
+  if (!html) return null;
+
+  const salary = posting.salaryRange;
+  const compensation = salary && (salary.min || salary.max)
+    ? {
+      min: Number.isFinite(salary.min) ? salary.min : null,
+      max: Number.isFinite(salary.max) ? salary.max : null,
+      currency: salary.currency || null,
+      period: detectPayPeriod(salary.interval),
+      text: posting.salaryDescriptionPlain || null
+    }
+    : null;
+  const categories = posting.categories || {};
+
+  return buildResult({
+    ats: 'lever',
+    title: posting.text,
+    body: htmlFragmentToText(html),
+    html,
+    structured: mergeStructured({
+      title: posting.text,
+      location: categories.location || (categories.allLocations || []).join(' | ') || null,
+      department: categories.department || categories.team || null,
+      employmentType: categories.commitment || null,
+      workplaceType: posting.workplaceType || null,
+      remote: posting.workplaceType ? posting.workplaceType === 'remote' : null,
+      datePosted: toIsoDate(posting.createdAt),
+      compensation
+    })
+  });
+}
+
+async function fetchPosting(target) {
+  return fromApiPosting(await httpGetJson(target.apiUrl));
+}
+
+module.exports = {
+  name: 'lever',
+  matchUrl,
+  readySelector: '.posting-headline, .section-wrapper',
+  extract,
+  parseApiUrl,
+  fetchPosting,
+  fromApiPosting
+};
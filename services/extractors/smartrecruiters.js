@@ -0,0 +1,48 @@
+const {
+  loadHtml,
+  hostnameOf,
+  elementToText,
+  firstText,
+  readJsonLdJobPosting,
+  structuredFromJsonLd,
+  mergeStructured,
+  buildResult
+} = require('./common');
+
+const SECTION_SELECTORS = ['#st-companyDescription', '#st-jobDescription', '#st-qualifications', '#st-additionalInformation'];
+
+function matchUrl(url) {
+  return /(^|\.)smartrecruiters\.com$/.test(hostnameOf(url));
+}
+
+function extract(html) {
+  const $ = loadHtml(html);
+  const jsonLd = structuredFromJsonLd(readJsonLdJobPosting($));
+
+  let sections = $(SECTION_SELECTORS.join(', '));
+  if (!sections.length) sections = $('[itemprop="description"]').first();
+  if (!sections.length) return null;
+
+  const structured = mergeStructured({
+    title: firstText($, ['h1.job-title', '[itemprop="title"]']),
+    company: $('[itemprop="hiringOrganization"] meta[itemprop="name"]').attr('content')
+      || firstText($, ['[itemprop="hiringOrganization"] span[itemprop="name"]']),
+    location: $('spl-job-location').attr('formattedaddress') || firstText($, ['[itemprop="jobLocation"]']),
+    employmentType: firstText($, ['[itemprop="employmentType"]'])
+  }, jsonLd);
+
+  return buildResult({
+    ats: 'smartrecruiters',
+    title: structured.title,
+    body: sections.map((_, el) => elementToText($, el)).get().filter(Boolean).join('\n\n'),
+    html: sections.map((_, el) => $.html(el)).get().join('\n'),
+    structured
+  });
+}
+
+module.exports = {
+  name: 'smartrecruiters',
+  matchUrl,
+  readySelector: '[itemprop="description"], #st-jobDescription',
+  extract
+};
@@ -0,0 +1,49 @@
+const {
+  loadHtml,
+  hostnameOf,
+  elementToText,
+  firstText,
+  readJsonLdJobPosting,
+  structuredFromJsonLd,
+  mergeStructured,
+  buildResult
+} = require('./common');
+
+const SECTION_SELECTORS = ['[data-ui="job-description"]', '[data-ui="job-requirements"]', '[data-ui="job-benefits"]'];
+
+function matchUrl(url) {
+  return /(^|\.)workable\.com$/.test(hostnameOf(url));
+}
+
+function extract(html) {
+  const $ = loadHtml(html);
+  const jsonLd = structuredFromJsonLd(readJsonLdJobPosting($));
+
+  const sections = $(SECTION_SELECTORS.join(', '));
+  if (!sections.length) return null;
+
+  const workplace = firstText($, ['[data-ui="job-workplace"]']);
+  const structured = mergeStructured({
+    title: firstText($, ['[data-ui="job-title"]', 'h1']),
+    location: firstText($, ['[data-ui="job-location"]']),
+    department: firstText($, ['[data-ui="job-department"]']),
+    employmentType: firstText($, ['[data-ui="job-type"]']),
+    workplaceType: workplace,
+    remote: workplace ? /remote/i.test(workplace) : null
+  }, jsonLd);
+
+  return buildResult({
+    ats: 'workable',
+    title: structured.title,
+    body: sections.map((_, el) => elementToText($, el)).get().filter(Boolean).join('\n\n'),
+    html: sections.map((_, el) => $.html(el)).get().join('\n'),
+    structured
+  });
+}
+
+module.exports = {
+  name: 'workable',
+  matchUrl,
+  readySelector: '[data-ui="job-description"]',
+  extract
+};
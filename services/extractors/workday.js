@@ -0,0 +1,56 @@
+const {
+  loadHtml,
+  hostnameOf,
+  cleanText,
+  elementToText,
+  firstText,
+  readJsonLdJobPosting,
+  structuredFromJsonLd,
+  mergeStructured,
+  buildResult
+} = require('./common');
+
+function matchUrl(url) {
+  return /(^|\.)(myworkdayjobs|myworkdaysite)\.com$/.test(hostnameOf(url));
+}
+
+/**
+ * Workday renders label/value pairs as <dl><dt>label</dt><dd>value</dd></dl>; read just the values.
+ */
+function automationValue($, id) {
+  const node = $(`[data-automation-id="${id}"]`).first();
+  if (!node.length) return null;
+  const values = node.find('dd').map((_, el) => cleanText($(el).text())).get().filter(Boolean);
+  return values.length ? values.join(' | ') : (cleanText(node.text()) || null);
+}
+
+function extract(html) {
+  const $ = loadHtml(html);
+  const jsonLd = structuredFromJsonLd(readJsonLdJobPosting($));
+
+  const container = $('[data-automation-id="jobPostingDescription"]').first();
+  if (!container.length) return null;
+
+  const structured = mergeStructured({
+    title: firstText($, ['[data-automation-id="jobPostingHeader"]', 'h2']),
+    location: automationValue($, 'locations'),
+    employmentType: automationValue($, 'time'),
+    postedOn: automationValue($, 'postedOn'),
+    requisitionId: automationValue($, 'requisitionId')
+  }, jsonLd);
+
+  return buildResult({
+    ats: 'workday',
+    title: structured.title,
+    body: elementToText($, container),
+    html: $.html(container),
+    structured
+  });
+}
+
+module.exports = {
+  name: 'workday',
+  matchUrl,
+  readySelector: '[data-automation-id="jobPostingDescription"]',
+  extract
+};
@@ -0,0 +1,239 @@
+const { callLLMStructured } = require('../utils/structuredOutput');
+const { renderPrompt } = require('./promptRegistry');
+const { createFinding } = require('./annotations');
+const { DEFAULT_LANGUAGE, languageCode, languageInstruction } = require('./languageSupport');
+
+// Inclusivity & bias category for the V2 pipeline. A maintained lexicon flags known problem
+// phrasing deterministically; an optional LLM pass (INCLUSIVITY_LLM_REVIEW=0 disables it) catches
+// wording the lexicon can't. Every finding is returned as a highlighted span of job_body with a
+// suggested replacement so the UI can mark it up in place.
+// The lexicon is English; postings in other languages are reviewed by the LLM pass only (Spanish
+// "he" is "I have", not a pronoun).
+
+const MAX_SCORE = 15;
+const SEVERITY_PENALTY = { high: 4, medium: 2, low: 1 };
+const LLM_TIMEOUT_MS = 30000;
+const MAX_LLM_ISSUES = 8;
+
+// category: gender_coded | ableist | age_coded | degree_requirement | gendered_pronoun
+// Keep patterns case-insensitive and word-bounded; `replacement` is shown verbatim to users.
+const INCLUSIVITY_LEXICON = [
+  // Gender-coded wording (masculine-coded terms discourage women from applying)
+  { category: 'gender_coded', pattern: /\brock ?stars?\b/gi, replacement: 'skilled professional', severity: 'medium' },
+  { category: 'gender_coded', pattern: /\bninjas?\b/gi, replacement: 'expert', severity: 'medium' },
+  { category: 'gender_coded', pattern: /\b(?:gurus?|wizards?|superstars?)\b/gi, replacement: 'expert', severity: 'low' },
+  { category: 'gender_coded', pattern: /\b(?:dominant|dominate|dominating)\b/gi, replacement: 'lead', severity: 'medium' },
+  { category: 'gender_coded', pattern: /\baggressive(?:ly)?\b/gi, replacement: 'ambitious', severity: 'medium' },
+  { category: 'gender_coded', pattern: /(?<!\b(?:pay|salary|salaries|compensation|wages?|rates?|benefits)\s+(?:is|are)\s+)\bcompetitive\b(?!\s+(?:salary|salaries|pay|compensation|benefits|wages?|rates?|package))/gi, replacement: 'motivated', severity: 'low' },
+  { category: 'gender_coded', pattern: /\bfearless\b/gi, replacement: 'confident', severity: 'low' },
+  { category: 'gender_coded', pattern: /\bwork hard,? play hard\b/gi, replacement: 'supportive, high-performing team', severity: 'medium' },
+  { category: 'gender_coded', pattern: /\b(?:manpower|man-hours?)\b/gi, replacement: 'workforce / staff hours', severity: 'medium' },
+  { category: 'gender_coded', pattern: /\b(?:chairman|salesman|foreman|craftsman|workmanlike)\b/gi, replacement: 'chair / salesperson / supervisor / craftsperson', severity: 'medium' },
+  { category: 'gender_coded', pattern: /\bguys\b/gi, replacement: 'team members', severity: 'low' },
+  // Gendered pronouns for the candidate. A bare "he"/"his" is only flagged when the sentence is about
+  // the person being hired, so "His Excellency" or a quoted reference is left alone.
+  { category: 'gendered_pronoun', pattern: /\b(?:he or she|she or he|he\/she|she\/he|s\/he|his or her|her or his)\b/gi, replacement: 'they / their', severity: 'low' },
+  { category: 'gendered_pronoun', pattern: /(?<=\b(?:candidates?|applicants?|hires?|employees?|new joiners?|the (?:right|ideal|successful) (?:person|individual))\b[^.!?\n]{0,80})\b(?:he|him|his)\b(?!\s+or\s+(?:she|her)\b)/gi, replacement: 'they/them/their', severity: 'medium' },
+  { category: 'gendered_pronoun', pattern: /\b(?:he|she) (?:will|must|should|shall|is expected to)\b/gi, replacement: 'they will / you will', severity: 'medium' },
+  // Ableist phrasing
+  { category: 'ableist', pattern: /\bcrazy\b|\binsane(?:ly)?\b/gi, replacement: 'intense / remarkably', severity: 'medium' },
+  { category: 'ableist', pattern: /\bsanity checks?\b/gi, replacement: 'quick check', severity: 'low' },
+  { category: 'ableist', pattern: /\b(?:lame|crippl(?:e|ed|ing)|tone[- ]deaf|blind spots?|falls? on deaf ears)\b/gi, replacement: 'weak / hampered / unaware / gap / ignored', severity: 'medium' },
+  { category: 'ableist', pattern: /\b(?:OCD|spaz|psycho)\b/gi, replacement: 'detail-oriented', severity: 'high' },
+  // Physical requirements are fine when essential; flag them only without an accommodation statement
+  { category: 'ableist', pattern: /\bmust be able to (?:stand|walk|see|hear|speak|lift)\b(?![^.\n]{0,80}\bwith or without (?:a )?(?:reasonable )?accommodations?\b)/gi, replacement: 'able to [describe the essential task], with or without reasonable accommodation', severity: 'low' },
+  // Age-coded phrasing
+  // Phrases about the team or the hire, not the bare word ("Young Adults program" is fine)
+  { category: 'age_coded', pattern: /\b(?:young (?:and (?:dynamic|energetic|hungry|vibrant)|(?:dynamic |vibrant )?(?:team|people|talent|blood|candidates?|workforce|crew|guys|men|women))|youthful (?:team|energy|culture|candidates?))\b/gi, replacement: 'motivated / dynamic team', severity: 'high' },
+  { category: 'age_coded', pattern: /\bdigital natives?\b/gi, replacement: 'fluent with digital tools', severity: 'high' },
+  { category: 'age_coded', pattern: /\b(?:recent|fresh) (?:college )?grad(?:uate)?s?\b/gi, replacement: 'early-career candidates', severity: 'medium' },
+  { category: 'age_coded', pattern: /\b(?:no more than|maximum of|max\.?|up to) \d+ years?(?: of)? experience\b/gi, replacement: 'remove the experience ceiling', severity: 'high' },
+  { category: 'age_coded', pattern: /\bover-?qualified\b/gi, replacement: 'describe the actual requirements instead', severity: 'medium' },
+  // Degree requirements that exclude equally capable candidates
+  {
+    category: 'degree_requirement',
+    pattern: /\b(?:(?:bachelor'?s|master'?s|4-year|four-year|college|university)\s+degree\s+(?:is\s+)?(?:required|mandatory|a must)|(?:must|required to) (?:have|hold) an? (?:bachelor'?s |master'?s |college |university )?degree)\b(?![^.\n]{0,40}\bor equivalent)/gi,
+    replacement: 'degree or equivalent practical experience',
+    severity: 'medium'
+  }
+];
+
+const REVIEW_SCHEMA = {
+  type: 'object',
+  required: ['issues'],
+  properties: {
+    issues: {
+      type: 'array',
+      maxItems: MAX_LLM_ISSUES,
+      items: {
+        type: 'object',
+        required: ['phrase'],
+        properties: {
+          phrase: { type: 'string' },
+          category: { type: 'string' },
+          severity: { type: 'string', enum: ['low', 'medium', 'high'] },
+          replacement: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const CATEGORY_LABELS = {
+  gender_coded: 'gender-coded',
+  gendered_pronoun: 'gendered pronoun',
+  ableist: 'ableist',
+  age_coded: 'age-coded',
+  degree_requirement: 'unnecessary degree requirement',
+  other: 'potentially exclusionary'
+};
+
+function overlaps(span, spans) {
+  return spans.some(other => span.start < other.end && other.start < span.end);
+}
+
+/**
+ * Deterministic lexicon pass.
+ * @param {string} text - Job body.
+ * @returns {Object[]} Spans { start, end, text, category, severity, replacement, source: 'lexicon' }, sorted by start.
+ */
+function findLexiconIssues(text = '') {
+  const spans = [];
+  for (const entry of INCLUSIVITY_LEXICON) {
+    for (const match of text.matchAll(entry.pattern)) {
+      const span = {
+        start: match.index,
+        end: match.index + match[0].length,
+        text: match[0],
+        category: entry.category,
+        severity: entry.severity,
+        replacement: entry.replacement,
+        source: 'lexicon'
+      };
+      if (!overlaps(span, spans)) spans.push(span);
+    }
+  }
+  return spans.sort((a, b) => a.start - b.start);
+}
+
+function llmReviewEnabled() {
+  return !/^(0|false|off)$/i.test(String(process.env.INCLUSIVITY_LLM_REVIEW ?? '1').trim());
+}
+
+/**
+ * Ask the LLM for biased or exclusionary phrases the lexicon missed. Phrases are mapped back to
+ * spans by exact (case-insensitive) match; anything not found verbatim in the body is dropped.
+ * Never throws; on timeout or output that fails REVIEW_SCHEMA after a repair round it resolves
+ * { spans: [], degradedReason }.
+ * @returns {Promise<{spans: Object[], degradedReason?: string}>}
+ */
+async function reviewWithLLM({ job_title, job_body, language }, knownSpans) {
+  const known = knownSpans.map(span => span.text.toLowerCase());
+  // Phrases are quoted in the posting's language; replacements are written in it too
+  const languageRule = language ? languageInstruction(language) : '';
+  const prompt = renderPrompt('inclusivity.review', {
+    maxIssues: MAX_LLM_ISSUES,
+    skip: known.length ? known.map(t => `"${t}"`).join(', ') : 'none',
+    languageRule: languageRule ? `\n${languageRule}` : '',
+    job_title: job_title || '',
+    job_body: job_body || ''
+  });
+  const { data, degraded, reason } = await callLLMStructured(prompt.text, {
+    schema: REVIEW_SCHEMA,
+    systemMessage: prompt.system,
+    user: 'services/inclusivityScoring/review',
+    seed: 4321,
+    temperature: 0,
+    max_output_tokens: 300,
+    timeout: LLM_TIMEOUT_MS
+  });
+  if (degraded) {
+    console.warn('[Inclusivity] LLM review failed, using lexicon findings only:', reason);
+    return { spans: [], degradedReason: reason };
+  }
+  const lowerBody = job_body.toLowerCase();
+  const spans = [];
+  for (const issue of data.issues) {
+    const phrase = issue.phrase.trim();
+    if (!phrase || known.includes(phrase.toLowerCase())) continue;
+    const start = lowerBody.indexOf(phrase.toLowerCase());
+    if (start === -1) continue;
+    const span = {
+      start,
+      end: start + phrase.length,
+      text: job_body.slice(start, start + phrase.length),
+      category: CATEGORY_LABELS[issue.category] ? issue.category : 'other',
+      severity: issue.severity || 'low',
+      replacement: typeof issue.replacement === 'string' ? issue.replacement.trim() : '',
+      source: 'llm'
+    };
+    if (!overlaps(span, [...knownSpans, ...spans])) spans.push(span);
+  }
+  return { spans };
+}
+
+/**
+ * Score inclusive language (V2 category `inclusivity`, 0-15).
+ * Each distinct flagged term costs points by severity (high 4, medium 2, low 1); repeats of the
+ * same term are highlighted but not charged again.
+ * @param {Object} jobData - { job_title, job_body, language }
+ * @param {Object} [options]
+ * @param {boolean} [options.useLLM] - Defaults to INCLUSIVITY_LLM_REVIEW (on unless set to 0/false/off).
+ */
+async function scoreInclusivity(jobData, { useLLM = llmReviewEnabled() } = {}) {
+  const job_body = jobData.job_body || '';
+  const lexiconApplied = languageCode(jobData.language) === DEFAULT_LANGUAGE;
+  const lexiconSpans = lexiconApplied ? findLexiconIssues(job_body) : [];
+  const review = useLLM && job_body.trim() ? await reviewWithLLM(jobData, lexiconSpans) : { spans: [] };
+  const llmSpans = review.spans;
+  const highlights = [...lexiconSpans, ...llmSpans].sort((a, b) => a.start - b.start);
+
+  const charged = new Map();
+  for (const span of highlights) {
+    const term = span.text.toLowerCase();
+    if (!charged.has(term) || SEVERITY_PENALTY[span.severity] > SEVERITY_PENALTY[charged.get(term).severity]) {
+      charged.set(term, span);
+    }
+  }
+  const penalty = [...charged.values()].reduce((sum, span) => sum + SEVERITY_PENALTY[span.severity], 0);
+
+  const counts = {};
+  for (const span of highlights) counts[span.category] = (counts[span.category] || 0) + 1;
+
+  const messageFor = span => (span.replacement
+    ? `Replace "${span.text}" with "${span.replacement}" (${CATEGORY_LABELS[span.category]}).`
+    : `Reconsider "${span.text}" (${CATEGORY_LABELS[span.category]}).`);
+  const suggestions = [...charged.values()].map(messageFor);
+  // Unlike suggestions, findings cover every occurrence so each one is underlined
+  const findings = highlights.map(span => createFinding({
+    category: 'inclusivity',
+    rule: span.category,
+    severity: span.severity,
+    message: messageFor(charged.get(span.text.toLowerCase()) || span),
+    body: job_body,
+    start: span.start,
+    end: span.end,
+    source: span.source === 'llm' ? 'llm' : 'rule'
+  }));
+
+  return {
+    score: Math.max(0, MAX_SCORE - penalty),
+    maxScore: MAX_SCORE,
+    breakdown: {
+      issueCount: highlights.length,
+      counts,
+      llmReviewed: !!useLLM && !review.degradedReason,
+      lexiconApplied
+    },
+    highlights,
+    suggestions,
+    findings,
+    ...(review.degradedReason ? { degraded: true, degradedReason: review.degradedReason } : {})
+  };
+}
+
+module.exports = {
+  INCLUSIVITY_LEXICON,
+  findLexiconIssues,
+  scoreInclusivity
+};
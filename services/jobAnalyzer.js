@@ -1,7 +1,10 @@
 const { callLLM, extractJsonFromResponse } = require('../utils/llmHelpers');
+const { renderPrompt } = require('./promptRegistry');
 const axios = require('axios');
 const playwright = require('playwright');
 const path = require('path');
+const { extractDocument } = require('./documentIngestion');
+const { getOrCapture, validatorsFromHeaders } = require('./pageCaptureCache');
 
 // Import the scoring functions from savedat-job-post.js
 // NOTE: This requires savedat-job-post.js to be refactored to export these functions
@@ -9,76 +12,28 @@ const path = require('path');
 
 // Reuse functions from savedat-job-post.js
 const scoreClarityReadability = async (job_body) => {
-  const prompt = `
-    You are an expert job posting auditor. Evaluate the job posting below for clarity and readability.
-    Rate it on a scale from 1-100 where:
-    - 1-40: Poor (Confusing language, unclear requirements, poor structure)
-    - 41-70: Moderate (Somewhat clear but has issues with organization or specificity)
-    - 71-90: Good (Clear language, well-structured, specific requirements)
-    - 91-100: Excellent (Exceptionally clear, perfectly structured, precise requirements)
-    
-    Return your response as a JSON object with this structure:
-    {
-      "score": [numeric score 1-100],
-      "feedback": [brief assessment of strengths and weaknesses]
-    }
-    
-    Job posting to evaluate:
-    ${job_body}
-  `;
+  const prompt = renderPrompt('legacy.clarity', { job_body });
   
-  const response = await callLLM(prompt);
+  const response = await callLLM(prompt.text, null, { systemMessage: prompt.system });
   return extractJsonFromResponse(response);
 };
 
 const scoreInclusivity = async (job_body) => {
-  const prompt = `
-    You are an expert job posting auditor. Evaluate the job posting below for inclusivity and bias.
-    Rate it on a scale from 1-100 where:
-    - 1-40: Poor (Contains biased language, exclusionary terms, unnecessary requirements)
-    - 41-70: Moderate (Some potentially biased language or requirements that could limit diversity)
-    - 71-90: Good (Generally inclusive language, few potentially exclusionary elements)
-    - 91-100: Excellent (Actively inclusive language, no bias, encourages diverse applicants)
-    
-    Return your response as a JSON object with this structure:
-    {
-      "score": [numeric score 1-100],
-      "feedback": [brief assessment of inclusivity issues and strengths]
-    }
-    
-    Job posting to evaluate:
-    ${job_body}
-  `;
+  const prompt = renderPrompt('legacy.inclusivity', { job_body });
   
-  const response = await callLLM(prompt);
+  const response = await callLLM(prompt.text, null, { systemMessage: prompt.system });
   return extractJsonFromResponse(response);
 };
 
 const scoreCompleteness = async (job_body) => {
-  const prompt = `
-    You are an expert job posting auditor. Evaluate the job posting below for completeness.
-    Rate it on a scale from 1-100 where:
-    - 1-40: Poor (Missing multiple key elements: role description, responsibilities, qualifications, benefits, etc.)
-    - 41-70: Moderate (Contains basic information but missing important details)
-    - 71-90: Good (Most key elements are present with adequate detail)
-    - 91-100: Excellent (Contains all key elements with appropriate detail)
-    
-    Return your response as a JSON object with this structure:
-    {
-      "score": [numeric score 1-100],
-      "feedback": [brief assessment of what's included and what's missing]
-    }
-    
-    Job posting to evaluate:
-    ${job_body}
-  `;
+  const prompt = renderPrompt('legacy.completeness', { job_body });
   
-  const response = await callLLM(prompt);
+  const response = await callLLM(prompt.text, null, { systemMessage: prompt.system });
   return extractJsonFromResponse(response);
 };
 
 // Function to extract text from URL with robust error handling and timeouts
-async function extractTextFromUrl(url) {
+async function captureTextFromUrl(url) {
   let browser = null;
   let context = null;
   
@@ -116,7 +71,7 @@ async function extractTextFromUrl(url) {
     
     // Navigate with proper timeout and wait conditions
     console.log(`[extractTextFromUrl] Navigating to: ${url}`);
-    await page.goto(url, { 
+    const navResponse = await page.goto(url, { 
       waitUntil: 'domcontentloaded', 
       timeout: 45000 
     });
@@ -164,7 +119,7 @@ async function extractTextFromUrl(url) {
       throw new Error('Insufficient content extracted from URL - page may be protected or empty');
     }
     
-    return job_body;
+    return { job_body, validators: validatorsFromHeaders(navResponse ? navResponse.headers() : {}) };
     
   } catch (error) {
     console.error('[extractTextFromUrl] Error:', error);
@@ -191,18 +146,43 @@ async function extractTextFromUrl(url) {
   }
 }
 
-// Function to extract text from file (base64 encoded)
-async function extractTextFromFile(fileData) {
-  // Assuming fileData is a base64 string
+// Function to extract text from URL, served from the page cache when the URL was captured recently
+async function extractTextFromUrl(url, { forceRefresh = false } = {}) {
+  const { capture } = await getOrCapture(url, async normalizedUrl => {
+    const { job_body, validators } = await captureTextFromUrl(normalizedUrl);
+    return { capture: { job_body }, validators };
+  }, { namespace: 'analyze', forceRefresh });
+  return capture.job_body;
+}
+
+// Function to extract text from file (base64 encoded PDF/DOCX, optionally as a data URL)
+async function extractTextFromFile(fileData, mimetype) {
   try {
-    const buffer = Buffer.from(fileData, 'base64');
-    return buffer.toString('utf-8');
+    const dataUrlMatch = typeof fileData === 'string' && fileData.match(/^data:([^;,]+)?(?:;[^,]*)?,/);
+    const base64 = dataUrlMatch ? fileData.slice(dataUrlMatch[0].length) : fileData;
+    const buffer = Buffer.from(base64, 'base64');
+    const { job_body } = await extractDocument({
+      buffer,
+      mimetype: mimetype || (dataUrlMatch && dataUrlMatch[1]) || undefined
+    });
+    return job_body;
   } catch (error) {
     console.error('Error extracting text from file:', error);
     throw new Error(`Failed to extract job text from file: ${error.message}`);
   }
 }
 
+// Share of the 100-point total each category gets; the LLM rates every category 1-100
+const LEGACY_CATEGORY_WEIGHTS = {
+  clarity: 0.2,           // 20 points
+  promptAlignment: 0.2,   // 20 points
+  structuredData: 0.15,   // 15 points
+  recency: 0.1,           // 10 points
+  keywordTargeting: 0.15, // 15 points
+  compensation: 0.1,      // 10 points
+  pageContext: 0.1        // 10 points
+};
+
 // Main function to analyze job text
 async function analyzeJobText(job_body) {
   try {
@@ -219,13 +199,15 @@ async function analyzeJobText(job_body) {
     const completenessResult = await scoreCompleteness(job_body);
     
     // Adapt to 7-category model with appropriate weights
-    const clarityWeight = 0.2;       // 20 points
-    const promptAlignmentWeight = 0.2; // 20 points
-    const structuredDataWeight = 0.15; // 15 points
-    const recencyWeight = 0.1;        // 10 points
-    const keywordWeight = 0.15;       // 15 points
-    const compensationWeight = 0.1;   // 10 points
-    const pageContextWeight = 0.1;    // 10 points
+    const {
+      clarity: clarityWeight,
+      promptAlignment: promptAlignmentWeight,
+      structuredData: structuredDataWeight,
+      recency: recencyWeight,
+      keywordTargeting: keywordWeight,
+      compensation: compensationWeight,
+      pageContext: pageContextWeight
+    } = LEGACY_CATEGORY_WEIGHTS;
     
     // Map our 3 scores to the 7 categories as best we can
     const structuredData = { score: completenessResult.score, feedback: "Based on completeness of structured data elements" };
@@ -293,6 +275,7 @@ async function analyzeJobText(job_body) {
 }
 
 module.exports = {
+  LEGACY_CATEGORY_WEIGHTS,
   analyzeJobText,
   extractTextFromUrl,
   extractTextFromFile
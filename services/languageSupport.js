@@ -0,0 +1,317 @@
+// Language detection and per-locale lexicons for the scoring stack.
+//
+// detectLanguage() picks the posting language from stopword frequencies (offline, no LLM). Each
+// supported locale has the lexicons the deterministic scorers match against (section headings,
+// role/level/employment-type keywords, pay periods, vague pay wording) and a readability formula
+// calibrated for that language. Scorers should test the locale lexicon *and* the English one:
+// English job titles and headings ("Senior Developer", "Benefits") are common in postings
+// written in other languages.
+
+const DEFAULT_LANGUAGE = 'en';
+const MIN_STOPWORD_HITS = 5;
+
+const LOCALES = {
+  en: {
+    name: 'English',
+    stopwords: ['the', 'a', 'an', 'and', 'or', 'for', 'with', 'to', 'of', 'in', 'on', 'at', 'by', 'from', 'as', 'is', 'are', 'be', 'we', 'you', 'your', 'our', 'will', 'this', 'that', 'have'],
+    sections: {
+      overview: /(job description|about the role|role overview|position summary)/i,
+      requirements: /(requirements|qualifications|you should have|must have|preferred)/i,
+      responsibilities: /(responsibilities|you will|duties|what you'll do|key tasks)/i,
+      benefits: /(benefits|perks|what we offer|compensation|salary)/i,
+      company: /(about us|company|our team|who we are|our mission)/i,
+      application: /(apply|application|how to apply|next steps)/i
+    },
+    headings: /(Responsibilities|Requirements|Qualifications|Benefits|Compensation)/i,
+    roles: /(engineer|developer|designer|manager|analyst|lead|director|scientist)/i,
+    levels: /(senior|junior|lead|principal|entry|mid|staff)/i,
+    employmentTypes: /(full[-\s]?time|part[-\s]?time|contract|internship|permanent)/i,
+    workModes: /(remote|hybrid|onsite)/i,
+    locationLabels: /(location|work location|job location|based in|headquarters|office)/i,
+    periods: [
+      { regex: /(per\s*(year|yr|annum)|annual(?:ly)?|yearly)/i, value: 'year' },
+      { regex: /(per\s*(month|mo)|monthly)/i, value: 'month' },
+      { regex: /(per\s*(week|wk)|weekly)/i, value: 'week' },
+      { regex: /(per\s*(day)|daily)/i, value: 'day' },
+      { regex: /(per\s*(hour|hr)|hourly)/i, value: 'hour' }
+    ],
+    compensation: /compensation|salary|pay|base pay|base salary/i,
+    vagueCompensation: /(competitive|commensurate|market rate|depends on experience|DOE|negotiable)/i,
+    vowels: /[aeiouy]+/g,
+    wordLengthOffset: 0,
+    // Flesch Reading Ease
+    readability: { formula: 'flesch', compute: (asl, asw) => 206.835 - 1.015 * asl - 84.6 * asw }
+  },
+  de: {
+    name: 'German',
+    stopwords: ['der', 'die', 'das', 'und', 'ist', 'mit', 'für', 'wir', 'sie', 'den', 'dem', 'ein', 'eine', 'einen', 'zu', 'von', 'auf', 'im', 'nicht', 'du', 'dich', 'dein', 'deine', 'ihre', 'bei', 'oder', 'auch', 'werden', 'wird', 'uns', 'unser', 'unsere', 'über'],
+    sections: {
+      overview: /(stellenbeschreibung|über die (?:stelle|rolle|position)|deine rolle|ihre rolle|das erwartet (?:dich|sie))/i,
+      requirements: /(anforderungen|qualifikationen|dein profil|ihr profil|was du mitbringst|was sie mitbringen|voraussetzungen)/i,
+      responsibilities: /(aufgaben|verantwortlichkeiten|tätigkeiten|das machst du)/i,
+      benefits: /(wir bieten|was wir bieten|unser angebot|vergütung|gehalt|benefits)/i,
+      company: /(über uns|unternehmen|wer wir sind|unser team|unsere mission)/i,
+      application: /(bewerbung|bewirb dich|bewerben sie sich|nächste schritte)/i
+    },
+    headings: /(Aufgaben|Anforderungen|Profil|Qualifikationen|Wir bieten|Unser Angebot|Vergütung|Gehalt)/i,
+    roles: /(ingenieur|entwickler|berater|referent|sachbearbeiter|architekt|leiter|leitung|wissenschaftler)/i,
+    levels: /(einsteiger|berufseinsteiger|erfahren|leitend|senior|junior)/i,
+    employmentTypes: /(vollzeit|teilzeit|festanstellung|unbefristet|befristet|werkstudent|praktikum|minijob)/i,
+    workModes: /(homeoffice|home-office|mobiles arbeiten|hybrid|vor ort|remote)/i,
+    locationLabels: /(standort|arbeitsort|einsatzort|dienstort)/i,
+    periods: [
+      { regex: /(pro jahr|jährlich|jahresgehalt|im jahr|p\.\s?a\.|brutto\s?\/\s?jahr)/i, value: 'year' },
+      { regex: /(pro monat|monatlich|monatsgehalt|im monat)/i, value: 'month' },
+      { regex: /(pro woche|wöchentlich)/i, value: 'week' },
+      { regex: /(pro tag|tagessatz|täglich)/i, value: 'day' },
+      { regex: /(pro stunde|stundenlohn|die stunde|\/\s?std\.?)/i, value: 'hour' }
+    ],
+    compensation: /gehalt|vergütung|bezahlung|lohn/i,
+    vagueCompensation: /(attraktive vergütung|wettbewerbsfähig|marktgerecht|nach vereinbarung|leistungsgerecht)/i,
+    vowels: /[aeiouyäöü]+/g,
+    // Compounds make German words ~1 character longer on average than English
+    wordLengthOffset: 1,
+    // Amstad (German adaptation of Flesch)
+    readability: { formula: 'amstad', compute: (asl, asw) => 180 - asl - 58.5 * asw }
+  },
+  fr: {
+    name: 'French',
+    stopwords: ['le', 'la', 'les', 'et', 'des', 'du', 'un', 'une', 'est', 'pour', 'avec', 'vous', 'nous', 'dans', 'sur', 'au', 'aux', 'qui', 'que', 'votre', 'notre', 'nos', 'vos', 'ce', 'cette', 'sont', 'par', 'plus', 'être', 'tu', 'ton', 'ta', 'tes'],
+    sections: {
+      overview: /(description du poste|à propos du poste|le poste|votre rôle|ton rôle)/i,
+      requirements: /(profil recherché|exigences|qualifications|compétences requises|votre profil|ton profil)/i,
+      responsibilities: /(missions|responsabilités|tâches)/i,
+      benefits: /(avantages|nous offrons|ce que nous offrons|rémunération|salaire)/i,
+      company: /(à propos de nous|qui sommes-nous|l'entreprise|notre équipe|notre mission)/i,
+      application: /(candidature|postuler|prochaines étapes|processus de recrutement)/i
+    },
+    headings: /(Missions|Responsabilités|Profil|Compétences|Avantages|Rémunération|Salaire)/i,
+    roles: /(ingénieur|développeur|développeuse|analyste|chef de projet|responsable|directeur|directrice|consultant|chargée?)/i,
+    levels: /(confirmée?|expérimentée?|débutante?|senior|junior)/i,
+    employmentTypes: /(temps plein|temps partiel|\bcdi\b|\bcdd\b|stage|alternance|intérim)/i,
+    workModes: /(télétravail|hybride|sur site|présentiel|remote)/i,
+    locationLabels: /(lieu de travail|localisation|lieu|basé à|basée à)/i,
+    periods: [
+      { regex: /(par an\b|annuel(?:le)?|brut annuel|\/\s?an\b)/i, value: 'year' },
+      { regex: /(par mois|mensuel(?:le)?|\/\s?mois)/i, value: 'month' },
+      { regex: /(par semaine|hebdomadaire)/i, value: 'week' },
+      { regex: /(par jour|journalier|\btjm\b)/i, value: 'day' },
+      { regex: /(par heure|de l'heure|horaire|\/\s?h\b)/i, value: 'hour' }
+    ],
+    compensation: /salaire|rémunération/i,
+    vagueCompensation: /(salaire attractif|rémunération attractive|selon profil|selon expérience|compétitif|à négocier)/i,
+    vowels: /[aeiouyàâéèêëîïôûùü]+/g,
+    wordLengthOffset: 0.3,
+    // Kandel & Moles (French adaptation of Flesch)
+    readability: { formula: 'kandel-moles', compute: (asl, asw) => 207 - 1.015 * asl - 73.6 * asw }
+  },
+  es: {
+    name: 'Spanish',
+    stopwords: ['el', 'los', 'las', 'y', 'del', 'un', 'una', 'es', 'para', 'con', 'que', 'por', 'tu', 'su', 'sus', 'nuestro', 'nuestra', 'nuestros', 'se', 'al', 'como', 'más', 'lo', 'te', 'buscamos', 'serás', 'tienes', 'somos'],
+    sections: {
+      overview: /(descripción del puesto|sobre el puesto|acerca del puesto|tu rol)/i,
+      requirements: /(requisitos|requerimientos|cualificaciones|perfil|lo que buscamos)/i,
+      responsibilities: /(responsabilidades|funciones|tareas|qué harás|lo que harás)/i,
+      benefits: /(beneficios|ofrecemos|salario|retribución|remuneración)/i,
+      company: /(sobre nosotros|quiénes somos|la empresa|nuestro equipo|nuestra misión)/i,
+      application: /(cómo aplicar|aplica|postúlate|candidatura|proceso de selección|próximos pasos)/i
+    },
+    headings: /(Responsabilidades|Funciones|Requisitos|Perfil|Beneficios|Ofrecemos|Salario)/i,
+    roles: /(ingenier[oa]|desarrollador(?:a)?|diseñador(?:a)?|gerente|analista|jef[ea]|director(?:a)?|responsable|consultor(?:a)?)/i,
+    levels: /(sénior|semi ?senior|experto|trainee|senior|junior)/i,
+    employmentTypes: /(jornada completa|tiempo completo|media jornada|tiempo parcial|indefinido|temporal|prácticas|autónomo)/i,
+    workModes: /(remoto|teletrabajo|híbrido|presencial)/i,
+    locationLabels: /(ubicación|lugar de trabajo|localización|con sede en)/i,
+    periods: [
+      { regex: /(al año|por año|anual(?:es)?|brutos? anuales?)/i, value: 'year' },
+      { regex: /(al mes|por mes|mensual(?:es)?)/i, value: 'month' },
+      { regex: /(por semana|semanal)/i, value: 'week' },
+      { regex: /(por día|diario)/i, value: 'day' },
+      { regex: /(por hora|la hora)/i, value: 'hour' }
+    ],
+    compensation: /salario|sueldo|retribución|remuneración/i,
+    vagueCompensation: /(salario competitivo|según experiencia|según valía|a convenir|negociable)/i,
+    vowels: /[aeiouáéíóúü]+/g,
+    wordLengthOffset: 0.3,
+    // Fernández-Huerta (Spanish adaptation of Flesch)
+    readability: { formula: 'fernandez-huerta', compute: (asl, asw) => 206.84 - 60 * asw - 1.02 * asl }
+  },
+  nl: {
+    name: 'Dutch',
+    stopwords: ['het', 'een', 'en', 'van', 'je', 'jij', 'wij', 'ons', 'onze', 'met', 'voor', 'op', 'te', 'dat', 'die', 'bij', 'aan', 'zijn', 'naar', 'ook', 'jouw', 'niet', 'wordt', 'heb', 'hebt', 'ben', 'zoeken', 'wat'],
+    sections: {
+      overview: /(functieomschrijving|over de functie|over de rol|jouw rol|de functie)/i,
+      requirements: /(functie-eisen|eisen|vereisten|kwalificaties|jouw profiel|wat vragen wij|wat breng je mee)/i,
+      responsibilities: /(verantwoordelijkheden|taken|wat ga je doen|werkzaamheden)/i,
+      benefits: /(wat bieden wij|wij bieden|arbeidsvoorwaarden|salaris|voordelen)/i,
+      company: /(over ons|wie zijn wij|het bedrijf|ons team|onze missie)/i,
+      application: /(solliciteren|sollicitatie|hoe solliciteer je|volgende stappen)/i
+    },
+    headings: /(Taken|Verantwoordelijkheden|Functie-eisen|Profiel|Wat bieden wij|Arbeidsvoorwaarden|Salaris)/i,
+    roles: /(ontwikkelaar|ontwerper|analist|teamleider|leidinggevende|directeur|adviseur|medewerker)/i,
+    levels: /(medior|starter|ervaren|senior|junior)/i,
+    employmentTypes: /(fulltime|parttime|vast contract|tijdelijk contract|stage|uur per week)/i,
+    workModes: /(thuiswerken|op afstand|hybride|op locatie|op kantoor|remote)/i,
+    locationLabels: /(locatie|standplaats|werklocatie|gevestigd in)/i,
+    periods: [
+      { regex: /(per jaar|jaarlijks|jaarsalaris)/i, value: 'year' },
+      { regex: /(per maand|maandelijks|maandsalaris)/i, value: 'month' },
+      { regex: /(per week|wekelijks)/i, value: 'week' },
+      { regex: /(per dag|dagtarief)/i, value: 'day' },
+      { regex: /(per uur|uurloon)/i, value: 'hour' }
+    ],
+    compensation: /salaris|loon|beloning/i,
+    vagueCompensation: /(marktconform|concurrerend|in overleg|aantrekkelijk salaris|nader overeen te komen)/i,
+    vowels: /[aeiouyëïéèáó]+/g,
+    wordLengthOffset: 0.7,
+    // Flesch-Douma (Dutch adaptation of Flesch)
+    readability: { formula: 'flesch-douma', compute: (asl, asw) => 206.835 - 0.93 * asl - 77 * asw }
+  }
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(LOCALES);
+const STOPWORD_SETS = Object.fromEntries(SUPPORTED_LANGUAGES.map(code => [code, new Set(LOCALES[code].stopwords)]));
+
+function getLocale(code) {
+  return LOCALES[code] || LOCALES[DEFAULT_LANGUAGE];
+}
+
+function describeLanguage(code, { confidence = 1, detected = false } = {}) {
+  return { code, name: getLocale(code).name, confidence, detected };
+}
+
+/**
+ * Detect the language of a posting from stopword frequencies.
+ * Falls back to English (confidence 0) when the text is too short or matches no locale clearly.
+ * @returns {{code: string, name: string, confidence: number, detected: boolean}}
+ */
+function detectLanguage(text = '') {
+  const words = (typeof text === 'string' ? text : '').toLowerCase().match(/\p{L}+/gu) || [];
+  const hits = Object.fromEntries(SUPPORTED_LANGUAGES.map(code => [code, 0]));
+  for (const word of words.slice(0, 2000)) {
+    for (const code of SUPPORTED_LANGUAGES) {
+      if (STOPWORD_SETS[code].has(word)) hits[code]++;
+    }
+  }
+  const [best, bestHits] = Object.entries(hits).sort((a, b) => b[1] - a[1])[0];
+  const total = Object.values(hits).reduce((sum, n) => sum + n, 0);
+  if (bestHits < MIN_STOPWORD_HITS) return describeLanguage(DEFAULT_LANGUAGE, { confidence: 0, detected: true });
+  return describeLanguage(best, { confidence: Math.round((bestHits / total) * 100) / 100, detected: true });
+}
+
+/**
+ * The audit language: an explicitly requested one (validated) or the detected one.
+ * @throws {Error} status 400 for an unsupported language code.
+ */
+function resolveLanguage(text, requested = null) {
+  if (!requested) return detectLanguage(text);
+  const code = String(requested).trim().toLowerCase().slice(0, 2);
+  if (!LOCALES[code]) {
+    const error = new Error(`Unsupported language "${requested}". Supported: ${SUPPORTED_LANGUAGES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return describeLanguage(code);
+}
+
+const languageCode = language => (language && LOCALES[language.code || language] ? language.code || language : DEFAULT_LANGUAGE);
+
+/**
+ * The lexicon regex (e.g. 'roles', 'headings') that matches the text: the posting locale's first,
+ * then English. Null when neither matches.
+ */
+function lexiconPattern(language, key, text) {
+  const code = languageCode(language);
+  const patterns = code === DEFAULT_LANGUAGE ? [LOCALES.en[key]] : [getLocale(code)[key], LOCALES.en[key]];
+  return patterns.find(pattern => pattern.test(text)) || null;
+}
+
+function matchesLexicon(language, key, text) {
+  return lexiconPattern(language, key, text) !== null;
+}
+
+/**
+ * Pay period named in the text ('year', 'month', 'week', 'day', 'hour'), locale first.
+ */
+function detectPayPeriod(text, language) {
+  if (!text) return null;
+  const code = languageCode(language);
+  const entries = code === DEFAULT_LANGUAGE ? LOCALES.en.periods : [...getLocale(code).periods, ...LOCALES.en.periods];
+  const match = entries.find(entry => entry.regex.test(text));
+  return match ? match.value : null;
+}
+
+function countWordSyllables(word, code) {
+  if (code === 'en') {
+    // Kept identical to the original English heuristic so English scores don't move
+    const clean = word.replace(/[^a-z]/g, '');
+    if (!clean) return 0;
+    const groups = clean.match(/[aeiouy]+/g);
+    let syllables = groups ? groups.length : 1;
+    if (clean.endsWith('e')) syllables--;
+    if (clean.endsWith('le') && clean.length > 2) syllables++;
+    return Math.max(1, syllables);
+  }
+  let clean = word.replace(/[^\p{L}]/gu, '');
+  if (!clean) return 0;
+  if (code === 'nl') clean = clean.replace(/ij/g, 'y');
+  const groups = clean.match(getLocale(code).vowels) || [];
+  let syllables = groups.length || 1;
+  if (code === 'fr' && syllables > 1 && /[^aeiouy](?:e|es|ent)$/.test(clean)) syllables--;
+  // Two strong vowels side by side are a hiatus in Spanish ("le-er", "ca-os")
+  if (code === 'es') syllables += groups.reduce((n, group) => n + (group.match(/[aeoáéó](?=[aeoáéó])/g) || []).length, 0);
+  return Math.max(1, syllables);
+}
+
+/**
+ * Total syllables in a text using the locale's vowel rules.
+ */
+function countSyllables(text, language = DEFAULT_LANGUAGE) {
+  const code = languageCode(language);
+  return text.toLowerCase().split(/\s+/).reduce((sum, word) => sum + countWordSyllables(word, code), 0);
+}
+
+/**
+ * Reading ease with the locale's Flesch adaptation (all on the same 0-100, higher-is-easier scale).
+ * @returns {{formula: string, score: number, avgWordsPerSentence: number, avgSyllablesPerWord: number}}
+ */
+function readingEase(text, language = DEFAULT_LANGUAGE) {
+  const code = languageCode(language);
+  const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
+  const words = text.trim().split(/\s+/);
+  const asl = words.length / Math.max(sentences.length, 1);
+  const asw = countSyllables(text, code) / Math.max(words.length, 1);
+  const { formula, compute } = getLocale(code).readability;
+  return { formula, score: compute(asl, asw), avgWordsPerSentence: asl, avgSyllablesPerWord: asw };
+}
+
+/**
+ * Prompt line telling the LLM which language it is judging and which to answer in.
+ * Empty for English so English prompts are unchanged.
+ * @param {Object|string} language - resolveLanguage() result or a language code.
+ * @param {Object} [options]
+ * @param {boolean} [options.reply=true] - Ask for suggestions in that language (off for extraction prompts).
+ */
+function languageInstruction(language, { reply = true } = {}) {
+  const code = languageCode(language);
+  if (code === DEFAULT_LANGUAGE) return '';
+  const name = getLocale(code).name;
+  return reply
+    ? `The posting is written in ${name}. Judge it as ${name}-language copy for ${name}-speaking candidates, write every suggestion in ${name}, and copy excerpts verbatim in ${name}.`
+    : `The posting is written in ${name}.`;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  getLocale,
+  detectLanguage,
+  resolveLanguage,
+  languageCode,
+  lexiconPattern,
+  matchesLexicon,
+  detectPayPeriod,
+  countSyllables,
+  readingEase,
+  languageInstruction
+};
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const { trackLLMUsage } = require('../utils/llmHelpers');
+
+// LLM usage accounting: token counts, latency and estimated cost for every LLM call made while
+// serving a request, rolled up into the `usage` block returned by the audit, optimize, rewrite,
+// JSON-LD and pipeline comparison endpoints and stored in the `llm_usage_events` table (one row
+// per request) so cost can be queried per user and per endpoint.
+//
+// Prices are USD per million tokens, keyed "provider:model" ("provider:*" covers every model of a
+// provider). LLM_PRICES_FILE names a JSON file merged over the defaults:
+//   { "pricesAsOf": "2026-10-01", "prices": { "azure:*": { "input": 2.5, "output": 10 } } }
+// Calls to models without a price are counted but left out of the cost (`unpricedCalls`).
+
+const PRICES_AS_OF = '2026-10-01';
+
+const DEFAULT_PRICES = {
+  'openai:gpt-5': { input: 1.25, output: 10 },
+  'openai:gpt-5-mini': { input: 0.25, output: 2 },
+  'openai:gpt-4.1': { input: 2, output: 8 },
+  'openai:gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'openai:gpt-4o': { input: 2.5, output: 10 },
+  'openai:gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'groq:llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+  'groq:llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+  'groq:openai/gpt-oss-20b': { input: 0.075, output: 0.3 },
+  'groq:openai/gpt-oss-120b': { input: 0.15, output: 0.6 },
+  'anthropic:claude-haiku-4-5': { input: 1, output: 5 },
+  'anthropic:claude-sonnet-4-5': { input: 3, output: 15 },
+  'local:*': { input: 0, output: 0 }
+};
+
+// Values of llm_usage_events.endpoint
+const USAGE_ENDPOINTS = ['audit', 'optimize', 'rewrite', 'jsonld', 'compare'];
+
+let priceTable = null;
+
+function loadPriceTable() {
+  const loaded = { pricesAsOf: PRICES_AS_OF, prices: { ...DEFAULT_PRICES } };
+  const file = process.env.LLM_PRICES_FILE;
+  if (file) {
+    try {
+      const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+      Object.assign(loaded.prices, overrides.prices || {});
+      if (overrides.pricesAsOf) loaded.pricesAsOf = overrides.pricesAsOf;
+      console.log(`[LLMUsage] Loaded prices from ${file}`);
+    } catch (error) {
+      console.error(`[LLMUsage] Failed to load ${file}:`, error.message);
+    }
+  }
+  return loaded;
+}
+
+function getPriceTable() {
+  if (!priceTable) priceTable = loadPriceTable();
+  return priceTable;
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Estimated USD cost of one call, or null when the model has no price or the provider did not
+ * report token counts.
+ */
+function estimateCost({ provider, model, promptTokens, completionTokens }) {
+  if (!provider || promptTokens == null || completionTokens == null) return null;
+  const { prices } = getPriceTable();
+  const price = prices[`${provider}:${model}`] || prices[`${provider}:*`];
+  if (!price) return null;
+  return roundCost((promptTokens * (Number(price.input) || 0) + completionTokens * (Number(price.output) || 0)) / 1e6);
+}
+
+/**
+ * Roll the calls recorded by trackLLMUsage() up into a usage block.
+ * @param {string} endpoint - One of USAGE_ENDPOINTS.
+ * @param {{calls: Object[]}} tracked - trackLLMUsage() usage.
+ * @returns {Object} { endpoint, calls, failedCalls, promptTokens, completionTokens, totalTokens,
+ *   latencyMs, estimatedCostUsd, unpricedCalls, pricesAsOf, byProvider, details } where
+ *   `details` lists every call with its own tokens, latency and cost.
+ */
+function summarizeUsage(endpoint, tracked = { calls: [] }) {
+  const details = (tracked.calls || []).map(call => ({ ...call, costUsd: estimateCost(call) }));
+  const summary = {
+    endpoint,
+    calls: details.length,
+    failedCalls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    latencyMs: 0,
+    estimatedCostUsd: 0,
+    unpricedCalls: 0,
+    pricesAsOf: getPriceTable().pricesAsOf,
+    byProvider: {},
+    details
+  };
+  for (const call of details) {
+    summary.latencyMs += call.latencyMs || 0;
+    if (!call.provider) {
+      summary.failedCalls++;
+      continue;
+    }
+    const provider = summary.byProvider[call.provider]
+      || (summary.byProvider[call.provider] = { calls: 0, promptTokens: 0, completionTokens: 0, estimatedCostUsd: 0 });
+    provider.calls++;
+    provider.promptTokens += call.promptTokens || 0;
+    provider.completionTokens += call.completionTokens || 0;
+    summary.promptTokens += call.promptTokens || 0;
+    summary.completionTokens += call.completionTokens || 0;
+    if (call.costUsd === null) {
+      summary.unpricedCalls++;
+    } else {
+      provider.estimatedCostUsd = roundCost(provider.estimatedCostUsd + call.costUsd);
+      summary.estimatedCostUsd = roundCost(summary.estimatedCostUsd + call.costUsd);
+    }
+  }
+  summary.totalTokens = summary.promptTokens + summary.completionTokens;
+  return summary;
+}
+
+/**
+ * Run `fn` and account for every LLM call it makes.
+ * @param {string} endpoint - One of USAGE_ENDPOINTS.
+ * @returns {Promise<{result: *, usage: Object}>} `usage` as returned by summarizeUsage().
+ * @throws {Error} for an endpoint not in USAGE_ENDPOINTS (before `fn` runs).
+ */
+async function withLLMUsage(endpoint, fn) {
+  if (!USAGE_ENDPOINTS.includes(endpoint)) {
+    throw new Error(`Unknown LLM usage endpoint "${endpoint}". Known: ${USAGE_ENDPOINTS.join(', ')}`);
+  }
+  const { result, usage } = await trackLLMUsage(fn);
+  return { result, usage: summarizeUsage(endpoint, usage) };
+}
+
+/**
+ * Store a request's usage in `llm_usage_events`. Never throws: accounting must not fail the
+ * request it describes. Requests that made no LLM calls are not stored.
+ * @param {Object} usage - summarizeUsage() output.
+ * @param {Object} [context] - { userId, reportId }
+ */
+async function recordLLMUsage(usage, { userId = null, reportId = null } = {}) {
+  if (!usage || !usage.calls) return;
+  try {
+    const { supabase } = require('../utils/supabase');
+    const { error } = await supabase.from('llm_usage_events').insert([{
+      user_id: userId || null,
+      endpoint: usage.endpoint,
+      report_id: reportId || null,
+      calls: usage.calls,
+      failed_calls: usage.failedCalls,
+      prompt_tokens: usage.promptTokens,
+      completion_tokens: usage.completionTokens,
+      total_tokens: usage.totalTokens,
+      latency_ms: usage.latencyMs,
+      estimated_cost_usd: usage.estimatedCostUsd,
+      unpriced_calls: usage.unpricedCalls,
+      by_provider: usage.byProvider,
+      details: usage.details
+    }]);
+    if (error) console.warn('[LLMUsage] Failed to record usage:', error.message);
+  } catch (error) {
+    console.warn('[LLMUsage] Failed to record usage:', error.message);
+  }
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  USAGE_ENDPOINTS,
+  estimateCost,
+  summarizeUsage,
+  withLLMUsage,
+  recordLLMUsage
+};
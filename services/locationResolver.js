@@ -0,0 +1,323 @@
+// Offline location resolver. Turns free-text location lines ("London, UK", "Toronto, ON",
+// "Remote (EMEA)", "Remote - US only", "APAC timezone") into structured country/region/city data
+// plus a remote policy, using the gazetteer below. The result keeps the shape extractJobLocation()
+// has always returned (city, state, country, remote, hybrid) so pay transparency rules and the
+// keyword scorer can consume it directly:
+//   { city, state, region, country, countryCode, remote, hybrid, onsite, remotePolicy, matchedText, confidence }
+// `state` is the subdivision code for US states, Canadian provinces and Australian states (null
+// elsewhere); `region` is the subdivision's display name.
+//
+// Add places here rather than special-casing them in callers. City and country names are matched
+// case-sensitively so ordinary words ("Reading", "Nice", "Mobile") are not mistaken for places.
+
+const COUNTRIES = {
+  US: { name: 'United States', aliases: ['United States of America', 'United States', 'USA', 'U.S.A.', 'U.S.', 'US'] },
+  CA: { name: 'Canada', aliases: ['Canada'] },
+  MX: { name: 'Mexico', aliases: ['Mexico'] },
+  BR: { name: 'Brazil', aliases: ['Brazil', 'Brasil'] },
+  AR: { name: 'Argentina', aliases: ['Argentina'] },
+  CO: { name: 'Colombia', aliases: ['Colombia'] },
+  CL: { name: 'Chile', aliases: ['Chile'] },
+  GB: { name: 'United Kingdom', aliases: ['United Kingdom', 'UK', 'U.K.', 'Great Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland'] },
+  IE: { name: 'Ireland', aliases: ['Ireland'] },
+  DE: { name: 'Germany', aliases: ['Germany', 'Deutschland'] },
+  FR: { name: 'France', aliases: ['France'] },
+  NL: { name: 'Netherlands', aliases: ['Netherlands', 'The Netherlands', 'Holland'] },
+  BE: { name: 'Belgium', aliases: ['Belgium'] },
+  LU: { name: 'Luxembourg', aliases: ['Luxembourg'] },
+  ES: { name: 'Spain', aliases: ['Spain', 'España'] },
+  PT: { name: 'Portugal', aliases: ['Portugal'] },
+  IT: { name: 'Italy', aliases: ['Italy', 'Italia'] },
+  AT: { name: 'Austria', aliases: ['Austria'] },
+  CH: { name: 'Switzerland', aliases: ['Switzerland'] },
+  SE: { name: 'Sweden', aliases: ['Sweden'] },
+  DK: { name: 'Denmark', aliases: ['Denmark'] },
+  NO: { name: 'Norway', aliases: ['Norway'] },
+  FI: { name: 'Finland', aliases: ['Finland'] },
+  PL: { name: 'Poland', aliases: ['Poland'] },
+  CZ: { name: 'Czechia', aliases: ['Czechia', 'Czech Republic'] },
+  RO: { name: 'Romania', aliases: ['Romania'] },
+  GR: { name: 'Greece', aliases: ['Greece'] },
+  UA: { name: 'Ukraine', aliases: ['Ukraine'] },
+  IL: { name: 'Israel', aliases: ['Israel'] },
+  AE: { name: 'United Arab Emirates', aliases: ['United Arab Emirates', 'UAE'] },
+  ZA: { name: 'South Africa', aliases: ['South Africa'] },
+  NG: { name: 'Nigeria', aliases: ['Nigeria'] },
+  KE: { name: 'Kenya', aliases: ['Kenya'] },
+  EG: { name: 'Egypt', aliases: ['Egypt'] },
+  IN: { name: 'India', aliases: ['India'] },
+  SG: { name: 'Singapore', aliases: ['Singapore'] },
+  JP: { name: 'Japan', aliases: ['Japan'] },
+  KR: { name: 'South Korea', aliases: ['South Korea', 'Korea'] },
+  CN: { name: 'China', aliases: ['China'] },
+  HK: { name: 'Hong Kong', aliases: ['Hong Kong'] },
+  TW: { name: 'Taiwan', aliases: ['Taiwan'] },
+  PH: { name: 'Philippines', aliases: ['Philippines'] },
+  ID: { name: 'Indonesia', aliases: ['Indonesia'] },
+  MY: { name: 'Malaysia', aliases: ['Malaysia'] },
+  VN: { name: 'Vietnam', aliases: ['Vietnam', 'Viet Nam'] },
+  AU: { name: 'Australia', aliases: ['Australia'] },
+  NZ: { name: 'New Zealand', aliases: ['New Zealand'] }
+};
+
+// Subdivisions whose codes appear in addresses ("Austin, TX", "Toronto, ON", "Sydney NSW")
+const SUBDIVISIONS = {
+  US: {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado', CT: 'Connecticut',
+    DE: 'Delaware', FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa',
+    KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan',
+    MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+    NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio',
+    OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+    TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia', WA: 'Washington', WV: 'West Virginia',
+    WI: 'Wisconsin', WY: 'Wyoming', DC: 'District of Columbia'
+  },
+  CA: {
+    AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick', NL: 'Newfoundland and Labrador',
+    NS: 'Nova Scotia', ON: 'Ontario', PE: 'Prince Edward Island', QC: 'Quebec', SK: 'Saskatchewan',
+    NT: 'Northwest Territories', NU: 'Nunavut', YT: 'Yukon'
+  },
+  AU: {
+    NSW: 'New South Wales', VIC: 'Victoria', QLD: 'Queensland', WA: 'Western Australia', SA: 'South Australia',
+    TAS: 'Tasmania', ACT: 'Australian Capital Territory', NT: 'Northern Territory'
+  }
+};
+
+// name -> [countryCode, subdivision code or null, aliases]
+const CITIES = [
+  ['New York', 'US', 'NY', ['New York City', 'NYC', 'Manhattan', 'Brooklyn']],
+  ['San Francisco', 'US', 'CA', ['SF', 'San Francisco Bay Area', 'Bay Area']],
+  ['Los Angeles', 'US', 'CA', ['LA']],
+  ['San Diego', 'US', 'CA', []], ['San Jose', 'US', 'CA', []], ['Palo Alto', 'US', 'CA', []],
+  ['Mountain View', 'US', 'CA', []], ['Sunnyvale', 'US', 'CA', []], ['Oakland', 'US', 'CA', []],
+  ['Seattle', 'US', 'WA', []], ['Bellevue', 'US', 'WA', []], ['Redmond', 'US', 'WA', []],
+  ['Portland', 'US', 'OR', []], ['Denver', 'US', 'CO', []], ['Boulder', 'US', 'CO', []],
+  ['Austin', 'US', 'TX', []], ['Dallas', 'US', 'TX', []], ['Houston', 'US', 'TX', []],
+  ['Chicago', 'US', 'IL', []], ['Boston', 'US', 'MA', []], ['Cambridge, MA', 'US', 'MA', []],
+  ['Atlanta', 'US', 'GA', []], ['Miami', 'US', 'FL', []], ['Phoenix', 'US', 'AZ', []],
+  ['Salt Lake City', 'US', 'UT', []], ['Minneapolis', 'US', 'MN', []], ['Detroit', 'US', 'MI', []],
+  ['Philadelphia', 'US', 'PA', []], ['Pittsburgh', 'US', 'PA', []], ['Baltimore', 'US', 'MD', []],
+  ['Washington, D.C.', 'US', 'DC', ['Washington DC', 'Washington, DC', 'Washington D.C.']],
+  ['Nashville', 'US', 'TN', []], ['Raleigh', 'US', 'NC', []], ['Charlotte', 'US', 'NC', []],
+  ['Las Vegas', 'US', 'NV', []], ['Honolulu', 'US', 'HI', []], ['Jersey City', 'US', 'NJ', []],
+  ['Cleveland', 'US', 'OH', []], ['Cincinnati', 'US', 'OH', []], ['Columbus', 'US', 'OH', []], ['Toledo', 'US', 'OH', []],
+  ['Toronto', 'CA', 'ON', ['GTA']], ['Ottawa', 'CA', 'ON', []], ['Waterloo', 'CA', 'ON', []], ['Mississauga', 'CA', 'ON', []],
+  ['Vancouver', 'CA', 'BC', []], ['Montreal', 'CA', 'QC', ['Montréal']], ['Calgary', 'CA', 'AB', []], ['Edmonton', 'CA', 'AB', []],
+  ['London', 'GB', null, []], ['Manchester', 'GB', null, []], ['Edinburgh', 'GB', null, []], ['Glasgow', 'GB', null, []],
+  ['Bristol', 'GB', null, []], ['Birmingham', 'GB', null, []], ['Leeds', 'GB', null, []], ['Belfast', 'GB', null, []],
+  ['Dublin', 'IE', null, []], ['Cork', 'IE', null, []],
+  ['Berlin', 'DE', null, []], ['Munich', 'DE', null, ['München']], ['Hamburg', 'DE', null, []], ['Frankfurt', 'DE', null, []], ['Cologne', 'DE', null, ['Köln']],
+  ['Paris', 'FR', null, []], ['Lyon', 'FR', null, []],
+  ['Amsterdam', 'NL', null, []], ['Rotterdam', 'NL', null, []], ['Eindhoven', 'NL', null, []],
+  ['Brussels', 'BE', null, []], ['Madrid', 'ES', null, []], ['Barcelona', 'ES', null, []], ['Lisbon', 'PT', null, ['Lisboa']],
+  ['Milan', 'IT', null, ['Milano']], ['Rome', 'IT', null, []], ['Vienna', 'AT', null, ['Wien']],
+  ['Zurich', 'CH', null, ['Zürich']], ['Geneva', 'CH', null, []], ['Stockholm', 'SE', null, []], ['Copenhagen', 'DK', null, []],
+  ['Oslo', 'NO', null, []], ['Helsinki', 'FI', null, []], ['Warsaw', 'PL', null, []], ['Krakow', 'PL', null, ['Kraków']],
+  ['Prague', 'CZ', null, []], ['Bucharest', 'RO', null, []], ['Athens', 'GR', null, []], ['Kyiv', 'UA', null, ['Kiev']],
+  ['Tel Aviv', 'IL', null, []], ['Dubai', 'AE', null, []], ['Cape Town', 'ZA', null, []], ['Johannesburg', 'ZA', null, []],
+  ['Lagos', 'NG', null, []], ['Nairobi', 'KE', null, []], ['Cairo', 'EG', null, []],
+  ['Bangalore', 'IN', null, ['Bengaluru']], ['Mumbai', 'IN', null, []], ['Hyderabad', 'IN', null, []], ['Pune', 'IN', null, []], ['New Delhi', 'IN', null, ['Delhi', 'Gurgaon', 'Gurugram', 'Noida']],
+  ['Tokyo', 'JP', null, []], ['Seoul', 'KR', null, []], ['Shanghai', 'CN', null, []], ['Beijing', 'CN', null, []], ['Shenzhen', 'CN', null, []],
+  ['Taipei', 'TW', null, []], ['Manila', 'PH', null, []], ['Jakarta', 'ID', null, []], ['Kuala Lumpur', 'MY', null, []], ['Ho Chi Minh City', 'VN', null, []],
+  ['Sydney', 'AU', 'NSW', []], ['Melbourne', 'AU', 'VIC', []], ['Brisbane', 'AU', 'QLD', []], ['Perth', 'AU', 'WA', []],
+  ['Auckland', 'NZ', null, []], ['Wellington', 'NZ', null, []],
+  ['Mexico City', 'MX', null, ['CDMX']], ['São Paulo', 'BR', null, ['Sao Paulo']], ['Buenos Aires', 'AR', null, []],
+  ['Bogotá', 'CO', null, ['Bogota']], ['Santiago', 'CL', null, []]
+];
+
+const EU_COUNTRIES = ['AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'];
+
+// Multi-country regions used in remote policies ("Remote (EMEA)", "APAC timezones")
+const REMOTE_REGIONS = [
+  { id: 'EU', pattern: /\b(?:EU|European Union)\b/, countries: EU_COUNTRIES },
+  { id: 'Europe', pattern: /\bEurope(?:an)?\b/, countries: [...EU_COUNTRIES, 'GB', 'CH', 'NO', 'UA'] },
+  { id: 'EMEA', pattern: /\bEMEA\b/, countries: null },
+  { id: 'APAC', pattern: /\b(?:APAC|Asia[- ]Pacific)\b/, countries: null },
+  { id: 'LATAM', pattern: /\b(?:LATAM|Latin America|South America)\b/, countries: null },
+  { id: 'North America', pattern: /\bNorth America\b/, countries: ['US', 'CA', 'MX'] },
+  { id: 'Americas', pattern: /\bAmericas\b/, countries: null }
+];
+
+const WORLDWIDE_RX = /\b(?:anywhere|worldwide|world-wide|global(?:ly)?|any location|fully distributed)\b/i;
+// Case-sensitive so "est"/"ct" inside ordinary words never count; zone names need a nearby
+// "time zone"/"hours"/"overlap" or must close the phrase ("Remote (CET)")
+const TIMEZONE_RX = /\b(?:(?:UTC|GMT)\s?[+\-−]\s?\d{1,2}(?::\d{2})?|CET|CEST|EET|WET|GMT|UTC|BST|IST|SGT|AEST|AEDT|JST|E[SD]?T|C[SD]?T|M[SD]?T|P[SD]?T|Eastern|Central|Mountain|Pacific)\b(?=[^.\n]{0,25}\b(?:[Tt]ime\s?[Zz]ones?|hours|overlap)\b|\s*(?:\)|,|$))|\b(?:APAC|EMEA|Americas|US|European|EU)\s+[Tt]ime\s?[Zz]ones?\b/gm;
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Pre-compiled name lookups, longest names first so "New York City" wins over "New York"
+const nameMatcher = names => {
+  const sorted = [...new Set(names)].sort((a, b) => b.length - a.length);
+  return new RegExp(`(?<![\\w.])(?:${sorted.map(escapeRegExp).join('|')})(?![\\w])`, 'g');
+};
+
+const CITY_INDEX = new Map();
+for (const [name, country, state, aliases] of CITIES) {
+  for (const label of [name, ...aliases]) CITY_INDEX.set(label, { name: name.replace(/, MA$/, ''), country, state });
+}
+const CITY_RX = nameMatcher([...CITY_INDEX.keys()]);
+
+const COUNTRY_INDEX = new Map();
+for (const [code, country] of Object.entries(COUNTRIES)) {
+  for (const alias of country.aliases) COUNTRY_INDEX.set(alias, code);
+}
+const COUNTRY_RX = nameMatcher([...COUNTRY_INDEX.keys()]);
+
+const SUBDIVISION_NAME_INDEX = new Map();
+for (const [country, subdivisions] of Object.entries(SUBDIVISIONS)) {
+  for (const [code, name] of Object.entries(subdivisions)) SUBDIVISION_NAME_INDEX.set(name, { country, code });
+}
+const SUBDIVISION_NAME_RX = nameMatcher([...SUBDIVISION_NAME_INDEX.keys()]);
+
+// "City, ST" / "City ST 12345" / "City, NSW"
+const CITY_CODE_RX = /\b([A-Z][A-Za-zÀ-ÿ.'-]+(?:\s[A-Z][A-Za-zÀ-ÿ.'-]+){0,3}),?\s+([A-Z]{2,3})\b/g;
+const CITY_PREFIX_RX = /^(?:(?:Job|Work|Office)\s)?Location\s+|^(?:Remote|Hybrid|Onsite|On-site|Based)\s+/;
+// Without a comma, "Word XX" is only read as a city and code in a location context
+const LOCATION_CONTEXT_RX = /(?:\blocation|\bbased in|\blocated in|\boffices? in|\bheadquartered in)\s*:?\s*$/i;
+const POSTAL_CODE_RX = /^\s+\d{5}(?:-\d{4})?\b/;
+
+function countryName(code) {
+  return code && COUNTRIES[code] ? COUNTRIES[code].name : null;
+}
+
+function subdivisionName(country, code) {
+  return (SUBDIVISIONS[country] && SUBDIVISIONS[country][code]) || null;
+}
+
+/**
+ * Resolve a country given as an ISO code, name or alias ("UK", "Deutschland"). Returns the ISO code.
+ */
+function resolveCountryCode(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/^[A-Z]{2}$/i.test(text) && COUNTRIES[text.toUpperCase()]) return text.toUpperCase();
+  if (COUNTRY_INDEX.has(text)) return COUNTRY_INDEX.get(text);
+  const lower = text.toLowerCase();
+  for (const [alias, code] of COUNTRY_INDEX) {
+    if (alias.length > 3 && alias.toLowerCase() === lower) return code;
+  }
+  return null;
+}
+
+function allMatches(rx, text) {
+  rx.lastIndex = 0;
+  return [...text.matchAll(rx)];
+}
+
+function findCityCode(text) {
+  for (const match of allMatches(CITY_CODE_RX, text)) {
+    const [, rawCity, code] = match;
+    const city = rawCity.replace(CITY_PREFIX_RX, '');
+    const known = CITY_INDEX.get(city);
+    // "Team OR alone" is not Team, Oregon: require a comma, a known city, a postal code or a
+    // location lead-in ("Location:", "based in", or a stripped prefix such as "Remote Boise ID")
+    const inContext = match[0].includes(',') || known || city !== rawCity
+      || POSTAL_CODE_RX.test(text.slice(match.index + match[0].length))
+      || LOCATION_CONTEXT_RX.test(text.slice(Math.max(0, match.index - 40), match.index));
+    if (!inContext) continue;
+    for (const country of Object.keys(SUBDIVISIONS)) {
+      if (!SUBDIVISIONS[country][code]) continue;
+      // "Perth, WA" is Australian, "Seattle, WA" American: prefer the gazetteer's answer for known cities
+      if (known && known.state === code && known.country !== country) continue;
+      if (country === 'AU' && !known && code.length === 2) continue;
+      const offset = rawCity.length - city.length;
+      return { city, country, state: code, index: match.index + offset, text: match[0].slice(offset) };
+    }
+  }
+  return null;
+}
+
+function parseRemotePolicy(text, remote) {
+  const regions = REMOTE_REGIONS.filter(region => region.pattern.test(text)).map(region => region.id);
+  const timezones = [...new Set(allMatches(TIMEZONE_RX, text).map(match => match[0].trim()))];
+  // "US only", "Remote within Canada only", "UK-based": the country is the tail of the phrase
+  const onlyMatch = text.match(/\b([A-Z][A-Za-z. ]{1,30}?)[-\s]+(?:only|based|residents only)\b/);
+  const words = onlyMatch ? onlyMatch[1].trim().split(/\s+/) : [];
+  let restricted = null;
+  for (let i = 0; i < words.length && !restricted; i++) restricted = resolveCountryCode(words.slice(i).join(' '));
+  const countries = new Set(restricted ? [restricted] : []);
+  for (const id of regions) {
+    for (const code of REMOTE_REGIONS.find(region => region.id === id).countries || []) countries.add(code);
+  }
+  let scope = null;
+  if (restricted) scope = 'country';
+  else if (regions.length) scope = 'region';
+  else if (timezones.length) scope = 'timezone';
+  else if (remote && WORLDWIDE_RX.test(text)) scope = 'worldwide';
+  return { scope, regions, countries: [...countries], timezones };
+}
+
+/**
+ * Resolve a free-text location.
+ * @param {string} text - A location line or a whole posting (the first place mentioned wins).
+ * @returns {Object|null} null when nothing location-like is found.
+ */
+function resolveLocation(text = '') {
+  const source = typeof text === 'string' ? text : '';
+  if (!source.trim()) return null;
+
+  const remote = /\b(?:remote|work from home|wfh|telecommut\w*|distributed)\b/i.test(source);
+  const hybrid = /\bhybrid\b/i.test(source);
+  const onsite = /\b(?:on[-\s]?site|in[-\s]office)\b/i.test(source);
+
+  const candidates = [];
+  const cityCode = findCityCode(source);
+  if (cityCode) candidates.push({ ...cityCode, confidence: 0.9 });
+  for (const match of allMatches(CITY_RX, source)) {
+    const city = CITY_INDEX.get(match[0]);
+    candidates.push({ city: city.name, country: city.country, state: city.state, index: match.index, text: match[0], confidence: 0.8 });
+    break;
+  }
+  for (const match of allMatches(SUBDIVISION_NAME_RX, source)) {
+    const subdivision = SUBDIVISION_NAME_INDEX.get(match[0]);
+    candidates.push({ city: null, country: subdivision.country, state: subdivision.code, index: match.index, text: match[0], confidence: 0.6 });
+    break;
+  }
+  const policy = parseRemotePolicy(source, remote);
+  for (const match of allMatches(COUNTRY_RX, source)) {
+    // A bare "US" is only a country in a location context ("Remote - US", "US only")
+    if (match[0] === 'US' && !remote && !/\bUS\s*(?:only|based)\b/.test(source)) continue;
+    candidates.push({ city: null, country: COUNTRY_INDEX.get(match[0]), state: null, index: match.index, text: match[0], confidence: 0.5 });
+    break;
+  }
+
+  // Earliest mention first, then the most specific one at that position
+  candidates.sort((a, b) => a.index - b.index || b.confidence - a.confidence);
+  const best = candidates[0] || null;
+  // A country mentioned alongside the city (e.g. "London, Canada") overrides the gazetteer's guess
+  const statedCountry = candidates.find(c => !c.city && !c.state && c !== best && Math.abs(c.index - best.index) < 60);
+  let countryCode = best ? best.country : null;
+  if (best && best.city && !best.state && statedCountry) countryCode = statedCountry.country;
+  if (!countryCode && policy.scope === 'country') countryCode = policy.countries[0];
+
+  if (!best && !remote && !hybrid && !onsite && !policy.timezones.length) return null;
+
+  let confidence = best ? best.confidence : 0;
+  if (remote || hybrid || onsite) confidence = Math.max(confidence, policy.scope ? 0.6 : 0.4);
+
+  const state = best ? best.state : null;
+  return {
+    city: best ? best.city : null,
+    state,
+    region: state ? subdivisionName(countryCode, state) : null,
+    country: countryName(countryCode),
+    countryCode,
+    remote,
+    hybrid,
+    onsite,
+    // Timezone requirements ("APAC timezone") imply distributed work even without the word "remote"
+    remotePolicy: remote || policy.timezones.length ? policy : null,
+    matchedText: best ? best.text : null,
+    confidence
+  };
+}
+
+module.exports = {
+  COUNTRIES,
+  SUBDIVISIONS,
+  EU_COUNTRIES,
+  resolveCountryCode,
+  resolveLocation
+};
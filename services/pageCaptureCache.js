@@ -0,0 +1,167 @@
+const axios = require('axios');
+
+// In-process cache of scraped pages, keyed by normalized URL. Fresh entries are served as-is;
+// stale entries that carried an ETag/Last-Modified are revalidated with a conditional GET and
+// reused on 304, so a re-audit of an unchanged posting skips the browser entirely.
+
+function readPositiveInt(name, fallback) {
+  const n = Number((process.env[name] ?? '').trim());
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const CACHE_TTL_MS = readPositiveInt('PAGE_CACHE_TTL_MS', 15 * 60 * 1000); // serve without checking for 15 minutes
+const CACHE_STALE_MS = readPositiveInt('PAGE_CACHE_STALE_MS', 24 * 60 * 60 * 1000); // revalidate for up to a day
+const CACHE_MAX_ENTRIES = readPositiveInt('PAGE_CACHE_MAX_ENTRIES', 200);
+const REVALIDATE_TIMEOUT_MS = 5000;
+
+const entries = new Map();
+const inflight = new Map();
+
+// Query params that only carry campaign/referral tracking and never change the posting
+const TRACKING_PARAMS = new Set([
+  'gclid', 'fbclid', 'msclkid', 'dclid', 'yclid', 'igshid', 'mc_cid', 'mc_eid', '_hsenc', '_hsmi',
+  'ref', 'refid', 'trk', 'trackingid', 'ebp', 'lever-source', 'lever-origin', 'source', 'src'
+]);
+
+/**
+ * Canonical form of a job URL for cache keys: shell-escaped query chars (\?gh_jid\=...) undone,
+ * host lowercased, fragment, tracking params and trailing slash dropped, remaining params sorted.
+ * Returns the trimmed input unchanged if it isn't a parseable absolute URL.
+ */
+function normalizeJobUrl(url) {
+  const raw = String(url || '').trim().replace(/\\(?=[?=&])/g, '');
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch {
+    return raw;
+  }
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase();
+  const kept = [...parsed.searchParams.entries()]
+    .filter(([key]) => !key.toLowerCase().startsWith('utm_') && !TRACKING_PARAMS.has(key.toLowerCase()))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = '';
+  kept.forEach(([key, value]) => parsed.searchParams.append(key, value));
+  if (parsed.pathname.length > 1) parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  return parsed.toString();
+}
+
+function cacheKey(namespace, url) {
+  return `${namespace}:${normalizeJobUrl(url)}`;
+}
+
+function touch(key, entry) {
+  // Re-insert so Map iteration order doubles as LRU order
+  entries.delete(key);
+  entries.set(key, entry);
+}
+
+function store(key, url, capture, validators = {}) {
+  const now = Date.now();
+  if (!entries.has(key) && entries.size >= CACHE_MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+  entries.set(key, {
+    url,
+    capture,
+    validators: {
+      etag: validators.etag || null,
+      lastModified: validators.lastModified || null
+    },
+    capturedAt: now,
+    validatedAt: now
+  });
+}
+
+/**
+ * Conditional GET against the original URL. Resolves true only on 304 Not Modified.
+ */
+async function revalidate(entry) {
+  const { etag, lastModified } = entry.validators;
+  if (!etag && !lastModified) return false;
+  const headers = {};
+  if (etag) headers['If-None-Match'] = etag;
+  if (lastModified) headers['If-Modified-Since'] = lastModified;
+  try {
+    const response = await axios.get(entry.url, {
+      headers,
+      timeout: REVALIDATE_TIMEOUT_MS,
+      responseType: 'text',
+      maxRedirects: 0,
+      validateStatus: status => status === 304 || (status >= 200 && status < 300)
+    });
+    return response.status === 304;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read validators worth keeping from a response header object (Playwright or axios).
+ */
+function validatorsFromHeaders(headers = {}) {
+  return {
+    etag: headers.etag || headers.ETag || null,
+    lastModified: headers['last-modified'] || headers['Last-Modified'] || null
+  };
+}
+
+/**
+ * Serve a page capture from cache or produce it with `capture`.
+ * @param {string} url - Job posting URL (normalized internally).
+ * @param {Function} capture - async (url) => { capture, validators }; runs on a miss.
+ * @param {Object} [options]
+ * @param {string} [options.namespace='audit'] - Keeps captures from different extraction paths apart.
+ * @param {boolean} [options.forceRefresh=false] - Skip the cache read and re-capture.
+ * @returns {Promise<{capture: Object, cache: 'hit'|'revalidated'|'miss'|'refresh', capturedAt: string}>}
+ */
+async function getOrCapture(url, capture, { namespace = 'audit', forceRefresh = false } = {}) {
+  const normalizedUrl = normalizeJobUrl(url);
+  const key = cacheKey(namespace, normalizedUrl);
+  const entry = entries.get(key);
+  const now = Date.now();
+
+  if (entry && !forceRefresh) {
+    const age = now - entry.validatedAt;
+    if (age <= CACHE_TTL_MS) {
+      touch(key, entry);
+      console.log(`[PageCache] HIT ${key} (age ${Math.round(age / 1000)}s)`);
+      return { capture: entry.capture, cache: 'hit', capturedAt: new Date(entry.capturedAt).toISOString() };
+    }
+    if (now - entry.capturedAt <= CACHE_STALE_MS && await revalidate(entry)) {
+      entry.validatedAt = Date.now();
+      touch(key, entry);
+      console.log(`[PageCache] REVALIDATED ${key} (304)`);
+      return { capture: entry.capture, cache: 'revalidated', capturedAt: new Date(entry.capturedAt).toISOString() };
+    }
+    entries.delete(key);
+  }
+
+  // Concurrent audits of the same page share a single capture
+  if (!inflight.has(key)) {
+    inflight.set(key, (async () => {
+      try {
+        const result = await capture(normalizedUrl);
+        store(key, normalizedUrl, result.capture, result.validators);
+        return result.capture;
+      } finally {
+        inflight.delete(key);
+      }
+    })());
+  }
+  const captured = await inflight.get(key);
+  console.log(`[PageCache] ${forceRefresh ? 'REFRESH' : 'MISS'} ${key}`);
+  return { capture: captured, cache: forceRefresh ? 'refresh' : 'miss', capturedAt: new Date().toISOString() };
+}
+
+function clearPageCache() {
+  entries.clear();
+}
+
+module.exports = {
+  normalizeJobUrl,
+  getOrCapture,
+  validatorsFromHeaders,
+  clearPageCache
+};
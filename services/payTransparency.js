@@ -0,0 +1,354 @@
+// Versioned pay transparency rule set and evaluator.
+//
+// Each rule describes one jurisdiction's job-posting pay disclosure law: where it applies
+// (including whether it reaches remote roles that could be performed there), when it took effect,
+// the employer-size threshold, when disclosure is due and what it requires. evaluatePayTransparency()
+// checks those requirements against extractCompensationData() output and returns a per-jurisdiction
+// result with the citation.
+//
+// Bump RULESET_VERSION whenever a rule is added or changed: the version is stored with results and
+// folded into the scoring cache fingerprint. This is an audit aid, not legal advice; re-check dates,
+// thresholds and citations against the statutes when cutting a new version.
+
+const RULESET_VERSION = '2026.10';
+
+// Disclosure stage: 'posting' - must be in the job ad; 'pre_interview' - in the ad or before the
+// first interview; 'on_request' - only on offer/request, so a posting cannot fail it.
+// Requirements: pay_range (min and max; `allowFixed` also accepts an exact figure), good_faith_range
+// (range width plausibility; statutory when `maxSpread` is set, otherwise the GOOD_FAITH_MAX_RATIO
+// heuristic), benefits_description (general description of benefits and other compensation).
+const US_STATE_RULES = [
+  {
+    id: 'US-CA', name: 'California', state: 'CA', effective: '2023-01-01', minEmployees: 15, remote: true,
+    requires: ['pay_range', 'good_faith_range'], allowFixed: true,
+    citation: { law: 'Cal. Labor Code § 432.3(c)(3) (SB 1162)' }
+  },
+  {
+    id: 'US-CO', name: 'Colorado', state: 'CO', effective: '2021-01-01', minEmployees: 1, remote: true,
+    requires: ['pay_range', 'good_faith_range', 'benefits_description'], allowFixed: true,
+    citation: { law: 'C.R.S. § 8-5-201 (Equal Pay for Equal Work Act)' }
+  },
+  {
+    id: 'US-WA', name: 'Washington', state: 'WA', effective: '2023-01-01', minEmployees: 15, remote: true,
+    requires: ['pay_range', 'good_faith_range', 'benefits_description'], allowFixed: true,
+    citation: { law: 'RCW 49.58.110' }
+  },
+  {
+    id: 'US-NY', name: 'New York State', state: 'NY', effective: '2023-09-17', minEmployees: 4, remote: true,
+    requires: ['pay_range', 'good_faith_range'], allowFixed: true,
+    citation: { law: 'N.Y. Labor Law § 194-b' }
+  },
+  {
+    id: 'US-IL', name: 'Illinois', state: 'IL', effective: '2025-01-01', minEmployees: 15, remote: true,
+    requires: ['pay_range', 'good_faith_range', 'benefits_description'],
+    citation: { law: '820 ILCS 112/10(b-25) (Equal Pay Act of 2003)' }
+  },
+  {
+    id: 'US-MD', name: 'Maryland', state: 'MD', effective: '2024-10-01', minEmployees: 1, remote: false,
+    requires: ['pay_range', 'good_faith_range', 'benefits_description'],
+    citation: { law: 'Md. Code, Lab. & Empl. § 3-304.2 (SB 525, 2024)' }
+  },
+  {
+    id: 'US-HI', name: 'Hawaii', state: 'HI', effective: '2024-01-01', minEmployees: 50, remote: false,
+    requires: ['pay_range', 'good_faith_range'], allowFixed: true,
+    citation: { law: 'HRS § 378-2.4' }
+  },
+  {
+    id: 'US-MN', name: 'Minnesota', state: 'MN', effective: '2025-01-01', minEmployees: 30, remote: true,
+    requires: ['pay_range', 'good_faith_range', 'benefits_description'], allowFixed: true,
+    citation: { law: 'Minn. Stat. § 181.173' }
+  },
+  {
+    id: 'US-VT', name: 'Vermont', state: 'VT', effective: '2025-07-01', minEmployees: 5, remote: false,
+    requires: ['pay_range', 'good_faith_range'], allowFixed: true,
+    citation: { law: '21 V.S.A. § 495o' }
+  },
+  {
+    id: 'US-NJ', name: 'New Jersey', state: 'NJ', effective: '2025-06-01', minEmployees: 10, remote: false,
+    requires: ['pay_range', 'benefits_description'], allowFixed: true,
+    citation: { law: 'P.L. 2024, c. 91' }
+  },
+  {
+    id: 'US-MA', name: 'Massachusetts', state: 'MA', effective: '2025-10-29', minEmployees: 25, remote: false,
+    requires: ['pay_range', 'good_faith_range'],
+    citation: { law: 'M.G.L. c. 149 as amended by St. 2024, c. 141 (Frances Perkins Workplace Equity Act)' }
+  },
+  {
+    id: 'US-DC', name: 'District of Columbia', state: 'DC', effective: '2024-06-30', minEmployees: 1, remote: false,
+    requires: ['pay_range', 'good_faith_range'],
+    citation: { law: 'Wage Transparency Omnibus Amendment Act of 2023 (D.C.)' }
+  }
+];
+
+const US_LOCAL_RULES = [
+  {
+    id: 'US-NY-NYC', name: 'New York City', state: 'NY', cities: ['New York', 'New York City', 'NYC', 'Manhattan', 'Brooklyn', 'Queens', 'Bronx', 'Staten Island'],
+    effective: '2022-11-01', minEmployees: 4, requires: ['pay_range', 'good_faith_range'],
+    citation: { law: 'NYC Admin. Code § 8-107(32)' }
+  },
+  {
+    id: 'US-NY-WESTCHESTER', name: 'Westchester County', state: 'NY', cities: ['White Plains', 'Yonkers', 'New Rochelle', 'Mount Vernon', 'Peekskill', 'Rye', 'Scarsdale'],
+    effective: '2022-11-06', minEmployees: 4, requires: ['pay_range', 'good_faith_range'],
+    citation: { law: 'Laws of Westchester County ch. 700 (Human Rights Law), as amended 2022' }
+  },
+  {
+    id: 'US-NJ-JERSEY-CITY', name: 'Jersey City', state: 'NJ', cities: ['Jersey City'],
+    effective: '2022-04-11', minEmployees: 5, requires: ['pay_range'],
+    citation: { law: 'Jersey City pay transparency ordinance (2022)' }
+  },
+  {
+    id: 'US-OH-CLEVELAND', name: 'Cleveland', state: 'OH', cities: ['Cleveland'],
+    effective: '2025-10-27', minEmployees: 15, requires: ['pay_range', 'good_faith_range'],
+    citation: { law: 'Cleveland pay transparency and salary history ordinance (2024)' }
+  },
+  {
+    id: 'US-OH-CINCINNATI', name: 'Cincinnati', state: 'OH', cities: ['Cincinnati'],
+    effective: '2020-03-13', minEmployees: 15, disclosure: 'on_request', requires: ['pay_range'],
+    citation: { law: 'Cincinnati Municipal Code ch. 804 (pay scale on conditional offer)' }
+  },
+  {
+    id: 'US-OH-TOLEDO', name: 'Toledo', state: 'OH', cities: ['Toledo'],
+    effective: '2020-06-25', minEmployees: 15, disclosure: 'on_request', requires: ['pay_range'],
+    citation: { law: 'Toledo Municipal Code ch. 768 (pay scale on conditional offer)' }
+  },
+  {
+    id: 'US-OH-COLUMBUS', name: 'Columbus', state: 'OH', cities: ['Columbus'],
+    effective: '2025-12-18', minEmployees: 15, disclosure: 'on_request', requires: ['pay_range'],
+    citation: { law: 'Columbus pay equity ordinance (2024; pay scale on conditional offer)' }
+  }
+];
+
+const EU_MEMBER_STATES = {
+  AT: 'Austria', BE: 'Belgium', BG: 'Bulgaria', HR: 'Croatia', CY: 'Cyprus', CZ: 'Czechia', DK: 'Denmark',
+  EE: 'Estonia', FI: 'Finland', FR: 'France', DE: 'Germany', GR: 'Greece', HU: 'Hungary', IE: 'Ireland',
+  IT: 'Italy', LV: 'Latvia', LT: 'Lithuania', LU: 'Luxembourg', MT: 'Malta', NL: 'Netherlands', PL: 'Poland',
+  PT: 'Portugal', RO: 'Romania', SK: 'Slovakia', SI: 'Slovenia', ES: 'Spain', SE: 'Sweden'
+};
+
+const INTERNATIONAL_RULES = [
+  {
+    id: 'EU', name: 'EU Pay Transparency Directive', countries: Object.keys(EU_MEMBER_STATES),
+    effective: '2026-06-07', minEmployees: 1, disclosure: 'pre_interview', requires: ['pay_range'], allowFixed: true,
+    citation: { law: 'Directive (EU) 2023/970, Art. 5(1)', note: 'Member-state transposition laws may add stricter posting rules' }
+  },
+  {
+    id: 'CA-BC', name: 'British Columbia', country: 'CA', province: 'BC', cities: ['Vancouver', 'Surrey', 'Burnaby', 'Kelowna'],
+    effective: '2023-11-01', minEmployees: 1, requires: ['pay_range'], allowFixed: true,
+    citation: { law: 'Pay Transparency Act, S.B.C. 2023, c. 18' }
+  },
+  {
+    id: 'CA-ON', name: 'Ontario', country: 'CA', province: 'ON', cities: ['Toronto', 'Ottawa', 'Mississauga', 'Kitchener', 'Waterloo'],
+    effective: '2026-01-01', minEmployees: 25, requires: ['pay_range', 'good_faith_range'], allowFixed: true,
+    // Ranges may not be wider than $50,000 unless the top of the range exceeds $200,000
+    maxSpread: { amount: 50000, unlessMaxAbove: 200000 },
+    citation: { law: 'Employment Standards Act, 2000, S.O. 2000, c. 41, s. 8.1; O. Reg. 476/24' }
+  }
+];
+
+const RULES = [
+  ...US_STATE_RULES.map(rule => ({ level: 'state', country: 'US', ...rule })),
+  ...US_LOCAL_RULES.map(rule => ({ level: 'city', country: 'US', ...rule })),
+  ...INTERNATIONAL_RULES.map(rule => ({ level: rule.province ? 'province' : 'supranational', ...rule }))
+].map(rule => ({ disclosure: 'posting', allowFixed: false, remote: false, ...rule }));
+
+// Heuristic for laws that only say "good faith": a top of range more than 2x the bottom is unlikely
+// to reflect what the employer actually expects to pay.
+const GOOD_FAITH_MAX_RATIO = 2;
+
+const BENEFITS_PATTERN = /\b(benefits?|health(?:care| insurance| coverage)|medical|dental|vision|401\(?k\)?|retirement|pension|paid time off|PTO|vacation|parental leave|bonus(?:es)?|commission|equity|stock options?|RSUs?)\b/i;
+
+const COUNTRY_ALIASES = {
+  US: /\b(united states|usa|u\.s\.a?\.?|us)\b/i,
+  CA: /\b(canada)\b/i
+};
+
+function normalizeCountry(country) {
+  if (!country) return null;
+  const value = String(country).trim();
+  if (/^[A-Z]{2}$/i.test(value)) return value.toUpperCase();
+  for (const [code, pattern] of Object.entries(COUNTRY_ALIASES)) {
+    if (pattern.test(value)) return code;
+  }
+  const eu = Object.entries(EU_MEMBER_STATES).find(([, name]) => name.toLowerCase() === value.toLowerCase());
+  return eu ? eu[0] : null;
+}
+
+function textMentions(text, name) {
+  return new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(text);
+}
+
+/**
+ * Rules whose territory covers the job location, with the reason each one applies.
+ * @param {Object} location - extractJobLocation() output ({ city, state, country, countryCode, remote, remotePolicy, summary, raw }).
+ * @returns {Array<{rule: Object, reason: string}>}
+ */
+function findApplicableRules(location = {}) {
+  const text = [location.summary, location.raw, location.city, location.country].filter(Boolean).join(' ');
+  const state = location.state ? String(location.state).toUpperCase() : null;
+  const city = location.city ? String(location.city).trim().toLowerCase() : null;
+  let country = location.countryCode || normalizeCountry(location.country);
+  if (!country) {
+    if (state && RULES.some(rule => rule.country === 'US' && rule.state === state)) country = 'US';
+    else if (RULES.some(rule => rule.province && (rule.province === state || [rule.name, ...rule.cities].some(name => textMentions(text, name))))) country = 'CA';
+    else country = Object.entries(EU_MEMBER_STATES).find(([, name]) => textMentions(text, name))?.[0] || null;
+  }
+  const remoteCountries = (location.remotePolicy && location.remotePolicy.countries) || [];
+  const remoteEu = location.remote && (/\b(EU|Europe|European Union|EMEA)\b/i.test(text) || remoteCountries.some(code => EU_MEMBER_STATES[code]));
+
+  const matches = [];
+  for (const rule of RULES) {
+    let reason = null;
+    if (rule.countries) {
+      if (rule.countries.includes(country)) reason = `Job located in ${EU_MEMBER_STATES[country]}`;
+      else if (remoteEu) reason = 'Remote role open to candidates in the EU';
+    } else if (rule.province) {
+      const inCity = rule.cities.some(name => name.toLowerCase() === city || textMentions(text, name));
+      if (country === 'CA' && (state === rule.province || textMentions(text, rule.name) || inCity)) {
+        reason = `Job located in ${rule.name}`;
+      }
+    } else if (rule.level === 'city') {
+      if (state === rule.state && rule.cities.some(name => name.toLowerCase() === city)) reason = `Job located in ${rule.name}`;
+    } else if (rule.country === 'US' && (!country || country === 'US')) {
+      if (state === rule.state) reason = `Job located in ${rule.name}`;
+      // A remote US role with no state restriction could be filled by someone living in any state
+      else if (location.remote && !state && country === 'US' && rule.remote) reason = `Remote role that could be performed in ${rule.name}`;
+    }
+    if (reason) matches.push({ rule, reason });
+  }
+  return matches;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string') {
+    const parsed = parseFloat(value.replace(/[^0-9.]/g, ''));
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+  return null;
+}
+
+function checkRequirement(id, rule, compensation, job_body) {
+  const min = toNumber(compensation.min);
+  const max = toNumber(compensation.max);
+  const amount = toNumber(compensation.amount);
+  const hasRange = !!compensation.isRange && min !== null && max !== null;
+
+  switch (id) {
+    case 'pay_range':
+      if (hasRange) return { id, met: true, detail: `Range ${min}–${max} disclosed` };
+      if (rule.allowFixed && amount !== null) return { id, met: true, detail: `Fixed pay ${amount} disclosed` };
+      return {
+        id,
+        met: false,
+        detail: amount !== null
+          ? 'Only a single figure is posted; a minimum and maximum are required'
+          : (compensation.vagueTerms ? 'Vague compensation wording instead of a pay range' : 'No pay range found in the posting')
+      };
+    case 'good_faith_range': {
+      // Nothing to judge without a range; pay_range already reports the missing figures
+      if (!hasRange) {
+        return { id, met: rule.allowFixed && amount !== null ? true : null, statutory: !!rule.maxSpread, detail: amount !== null ? 'Fixed pay posted' : 'No range to assess' };
+      }
+      if (rule.maxSpread) {
+        const spread = max - min;
+        const limited = max <= rule.maxSpread.unlessMaxAbove;
+        const met = !limited || spread <= rule.maxSpread.amount;
+        return { id, met, statutory: true, detail: met ? `Range width ${spread} within limit` : `Range width ${spread} exceeds the ${rule.maxSpread.amount} limit` };
+      }
+      const ratio = min > 0 ? max / min : Infinity;
+      const met = ratio <= GOOD_FAITH_MAX_RATIO;
+      return {
+        id,
+        met,
+        statutory: false,
+        detail: met
+          ? 'Range width is plausible'
+          : `Top of range is ${Number.isFinite(ratio) ? ratio.toFixed(1) : '∞'}x the bottom; a good-faith range is usually narrower`
+      };
+    }
+    case 'benefits_description': {
+      const met = BENEFITS_PATTERN.test(job_body || '') || compensation.includesBonus === true || compensation.includesEquity === true;
+      return { id, met, detail: met ? 'Benefits or other compensation described' : 'No general description of benefits or other compensation' };
+    }
+    default:
+      return { id, met: null, detail: 'Unknown requirement' };
+  }
+}
+
+/**
+ * Evaluate a posting against every pay transparency rule that covers its location.
+ * @param {Object} params
+ * @param {Object} params.location - extractJobLocation() output.
+ * @param {Object} params.compensation - extractCompensationData() output.
+ * @param {string} [params.job_body] - Used for the benefits description check.
+ * @param {number} [params.employerSize] - Headcount; rules with a higher threshold are reported as exempt.
+ * @param {Date|string} [params.asOf] - Evaluation date (defaults to now) for effective dates.
+ * @returns {{ruleset_version: string, as_of: string, jurisdictions: Object[], summary: Object}}
+ */
+function evaluatePayTransparency({ location = {}, compensation = {}, job_body = '', employerSize = null, asOf = new Date() } = {}) {
+  const asOfDate = new Date(asOf);
+  const asOfDay = asOfDate.toISOString().slice(0, 10);
+
+  const jurisdictions = findApplicableRules(location).map(({ rule, reason }) => {
+    const base = {
+      id: rule.id,
+      name: rule.name,
+      level: rule.level,
+      applies_because: reason,
+      effective_date: rule.effective,
+      min_employees: rule.minEmployees,
+      disclosure: rule.disclosure,
+      citation: rule.citation
+    };
+    if (rule.effective > asOfDay) return { ...base, status: 'not_yet_effective', requirements: [] };
+    if (Number.isFinite(employerSize) && employerSize < rule.minEmployees) return { ...base, status: 'exempt', requirements: [] };
+
+    const requirements = rule.requires.map(id => checkRequirement(id, rule, compensation, job_body));
+    if (rule.disclosure === 'on_request') {
+      return { ...base, status: 'advisory', requirements: requirements.map(req => ({ ...req, met: null, detail: 'Disclosure is due on offer or request, not in the posting' })) };
+    }
+    // Missing statutory items fail; only a heuristic good-faith miss (or a pre-interview rule) warns
+    const hardFailures = requirements.filter(req => req.met === false && req.statutory !== false);
+    const softFailures = requirements.filter(req => req.met === false && req.statutory === false);
+    let status = 'pass';
+    if (hardFailures.length) status = rule.disclosure === 'pre_interview' ? 'warning' : 'fail';
+    else if (softFailures.length) status = 'warning';
+    return { ...base, status, requirements };
+  });
+
+  const count = status => jurisdictions.filter(j => j.status === status).length;
+  return {
+    ruleset_version: RULESET_VERSION,
+    as_of: asOfDate.toISOString(),
+    jurisdictions,
+    summary: {
+      applicable: jurisdictions.length,
+      passed: count('pass'),
+      failed: count('fail'),
+      warnings: count('warning'),
+      compliant: count('fail') === 0
+    }
+  };
+}
+
+/**
+ * In-force posting rules covering the location (ids only); used for location confidence.
+ */
+function findJurisdictionIds(location, asOf = new Date()) {
+  const asOfDay = new Date(asOf).toISOString().slice(0, 10);
+  return findApplicableRules(location)
+    .filter(({ rule }) => rule.effective <= asOfDay && rule.disclosure !== 'on_request')
+    .map(({ rule }) => rule.id);
+}
+
+function getRuleset() {
+  return { version: RULESET_VERSION, rules: RULES };
+}
+
+module.exports = {
+  RULESET_VERSION,
+  getRuleset,
+  findApplicableRules,
+  findJurisdictionIds,
+  evaluatePayTransparency
+};
@@ -0,0 +1,114 @@
+const { AUDIT_CATEGORIES } = require('./rubricProfiles');
+
+// Side-by-side comparison of scoring pipelines on the same posting (api/compare-pipelines.js).
+// Pipelines weight categories differently (V1 clarity is out of 20, V2 out of 15), so every
+// delta is given both in points and as a share of the category's max score; the share delta is
+// the one to compare across pipelines.
+
+function round(value, digits = 3) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function share(entry) {
+  return entry && entry.maxScore ? entry.score / entry.maxScore : null;
+}
+
+/**
+ * Compare the results of several pipelines on one posting.
+ * @param {Object[]} runs - [{ pipeline, result }] in display order; the first is the reference the
+ *   deltas are measured from.
+ * @returns {{reference: string, pipelines: string[], total: Object, categories: Object[], red_flags: Object}}
+ *   `categories` is one aligned row per category: { key, scores: { pipeline: { score, maxScore, share } | null },
+ *   deltas: { pipeline: { points, share } | null } }. `red_flags.disagreements` lists the flags some
+ *   pipelines raised and others did not, among pipelines that scored the category.
+ */
+function comparePipelineResults(runs) {
+  const pipelines = runs.map(run => run.pipeline);
+  const [reference] = pipelines;
+  const byPipeline = Object.fromEntries(runs.map(run => [run.pipeline, run.result]));
+
+  const keys = [...new Set(runs.flatMap(run => Object.keys(run.result.categories || {})))]
+    .sort((a, b) => {
+      const rank = key => (AUDIT_CATEGORIES.includes(key) ? AUDIT_CATEGORIES.indexOf(key) : AUDIT_CATEGORIES.length);
+      return rank(a) - rank(b);
+    });
+
+  const categories = keys.map(key => {
+    const scores = Object.fromEntries(pipelines.map(id => {
+      const category = byPipeline[id].categories?.[key];
+      return [id, category ? { score: category.score, maxScore: category.maxScore, share: round(share(category)) } : null];
+    }));
+    const base = scores[reference];
+    const deltas = Object.fromEntries(pipelines.slice(1).map(id => {
+      const entry = scores[id];
+      return [id, base && entry ? {
+        points: round(entry.score - base.score, 2),
+        share: base.maxScore && entry.maxScore ? round(share(entry) - share(base)) : null
+      } : null];
+    }));
+    return { key, scores, deltas };
+  });
+
+  const totals = Object.fromEntries(pipelines.map(id => [id, byPipeline[id].total_score]));
+  const total = {
+    scores: totals,
+    deltas: Object.fromEntries(pipelines.slice(1).map(id => [id, round(totals[id] - totals[reference], 2)]))
+  };
+
+  const raised = {};
+  for (const id of pipelines) {
+    for (const flag of byPipeline[id].red_flags || []) (raised[flag] = raised[flag] || []).push(id);
+  }
+  const disagreements = Object.entries(raised)
+    .map(([flag, raisedBy]) => ({
+      flag,
+      raisedBy,
+      notRaisedBy: pipelines.filter(id => !raisedBy.includes(id) && byPipeline[id].categories?.[flag])
+    }))
+    .filter(entry => entry.notRaisedBy.length > 0);
+
+  return { reference, pipelines, total, categories, red_flags: { raised, disagreements } };
+}
+
+/**
+ * Aggregate comparisons of many postings (batch mode): per category and pipeline, the mean share
+ * delta from the reference (bias) and the mean absolute share delta (disagreement), plus how often
+ * each red flag was disputed. Deltas measured from different references don't average, so
+ * comparisons with another reference are skipped (counted in `skipped`).
+ * @param {Object[]} allComparisons - comparePipelineResults() outputs.
+ * @param {string} [reference] - Reference pipeline to summarize; defaults to the first comparison's.
+ */
+function summarizeComparisons(allComparisons, reference = allComparisons[0]?.reference ?? null) {
+  const comparisons = allComparisons.filter(comparison => comparison.reference === reference);
+  const mean = values => (values.length ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+  const pipelines = [...new Set(comparisons.flatMap(comparison => comparison.pipelines.slice(1)))];
+  const keys = [...new Set(comparisons.flatMap(comparison => comparison.categories.map(row => row.key)))];
+
+  const categories = Object.fromEntries(keys.map(key => {
+    const rows = comparisons.map(comparison => comparison.categories.find(row => row.key === key)).filter(Boolean);
+    return [key, Object.fromEntries(pipelines.map(id => {
+      const deltas = rows.map(row => row.deltas[id]?.share).filter(Number.isFinite);
+      return [id, { postings: deltas.length, meanShareDelta: mean(deltas), meanAbsShareDelta: mean(deltas.map(Math.abs)) }];
+    }))];
+  }));
+
+  const total = Object.fromEntries(pipelines.map(id => {
+    const deltas = comparisons.map(comparison => comparison.total.deltas[id]).filter(Number.isFinite);
+    return [id, { postings: deltas.length, meanDelta: mean(deltas), meanAbsDelta: mean(deltas.map(Math.abs)) }];
+  }));
+
+  const redFlagDisagreements = {};
+  for (const comparison of comparisons) {
+    for (const { flag } of comparison.red_flags.disagreements) {
+      redFlagDisagreements[flag] = (redFlagDisagreements[flag] || 0) + 1;
+    }
+  }
+
+  return { reference, postings: comparisons.length, skipped: allComparisons.length - comparisons.length, total, categories, redFlagDisagreements };
+}
+
+module.exports = {
+  comparePipelineResults,
+  summarizeComparisons
+};
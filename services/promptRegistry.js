@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const { BUILT_IN_TEMPLATES } = require('./promptTemplates');
+
+// Prompt registry: every LLM prompt is a named, versioned template (services/promptTemplates.js)
+// rendered with renderPrompt(id, variables). Extra versions can be loaded from a JSON file (array
+// of { id, version, description, system, template }) named by PROMPT_TEMPLATES_FILE; they may only
+// use the variables of the built-in template and are served to experiments, not by default.
+//
+// Experiments split traffic between versions of one template. PROMPT_EXPERIMENTS_FILE names a JSON
+// array of
+//   { "id": "v2-clarity-rubric", "template": "v2.clarity", "variants": { "1": 50, "2": 50 } }
+// (variants map version -> traffic weight; "enabled": false stops assignment). Assignment is sticky:
+// the version is picked by hashing the experiment id with the experiment unit (the audited URL, or
+// a hash of the posting text), so re-auditing a posting keeps its version and score differences
+// within a version measure prompt stability. Experiments only apply inside trackPrompts() with a
+// unit (audits); elsewhere templates render at their default version.
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+let registry = null;
+const promptStore = new AsyncLocalStorage();
+
+function templateVariables(template) {
+  const names = new Set();
+  for (const text of [template.template, template.system || '']) {
+    for (const match of text.matchAll(VARIABLE_PATTERN)) names.add(match[1]);
+  }
+  return names;
+}
+
+function validateTemplate(template, templates, defaults) {
+  if (!template || typeof template.id !== 'string' || !ID_PATTERN.test(template.id)) {
+    throw new Error(`Invalid prompt template id: ${template && template.id}`);
+  }
+  if (!Number.isInteger(template.version) || template.version < 1) {
+    throw new Error(`Prompt template "${template.id}": version must be a positive integer`);
+  }
+  if (typeof template.template !== 'string' || !template.template.trim()) {
+    throw new Error(`Prompt template "${template.id}@${template.version}": template text is required`);
+  }
+  const versions = templates.get(template.id);
+  if (!versions) throw new Error(`Prompt template "${template.id}": unknown id (only versions of built-in templates can be added)`);
+  if (versions.has(template.version)) {
+    throw new Error(`Prompt template "${template.id}@${template.version}" already exists; published versions cannot be replaced`);
+  }
+  const allowed = templateVariables(versions.get(defaults.get(template.id)));
+  for (const name of templateVariables(template)) {
+    if (!allowed.has(name)) {
+      throw new Error(`Prompt template "${template.id}@${template.version}": unknown variable {{${name}}} (available: ${[...allowed].join(', ')})`);
+    }
+  }
+  return { description: '', system: null, ...template };
+}
+
+function validateExperiment(experiment, templates) {
+  if (!experiment || typeof experiment.id !== 'string' || !ID_PATTERN.test(experiment.id)) {
+    throw new Error(`Invalid prompt experiment id: ${experiment && experiment.id}`);
+  }
+  const versions = templates.get(experiment.template);
+  if (!versions) throw new Error(`Prompt experiment "${experiment.id}": unknown template "${experiment.template}"`);
+  const variants = Object.entries(experiment.variants || {}).map(([version, weight]) => ({
+    version: Number(version),
+    weight: Number(weight)
+  }));
+  if (variants.length < 2) throw new Error(`Prompt experiment "${experiment.id}": needs at least two variants`);
+  for (const { version, weight } of variants) {
+    if (!versions.has(version)) throw new Error(`Prompt experiment "${experiment.id}": ${experiment.template} has no version ${version}`);
+    if (!Number.isFinite(weight) || weight < 0) throw new Error(`Prompt experiment "${experiment.id}": weights must be non-negative numbers`);
+  }
+  if (!variants.some(({ weight }) => weight > 0)) throw new Error(`Prompt experiment "${experiment.id}": all weights are 0`);
+  return {
+    id: experiment.id,
+    template: experiment.template,
+    description: experiment.description || '',
+    enabled: experiment.enabled !== false,
+    variants: variants.sort((a, b) => a.version - b.version)
+  };
+}
+
+function readJsonArray(envVar) {
+  const file = process.env[envVar];
+  if (!file) return { file: null, entries: [] };
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { file, entries: Array.isArray(parsed) ? parsed : [] };
+}
+
+function loadRegistry() {
+  const templates = new Map();
+  for (const template of BUILT_IN_TEMPLATES) {
+    if (!templates.has(template.id)) templates.set(template.id, new Map());
+    templates.get(template.id).set(template.version, template);
+  }
+  const defaults = new Map([...templates].map(([id, versions]) => [id, Math.max(...versions.keys())]));
+
+  try {
+    const { file, entries } = readJsonArray('PROMPT_TEMPLATES_FILE');
+    for (const entry of entries) {
+      const template = validateTemplate(entry, templates, defaults);
+      templates.get(template.id).set(template.version, template);
+    }
+    if (file) console.log(`[PromptRegistry] Loaded ${entries.length} template version(s) from ${file}`);
+  } catch (error) {
+    console.error(`[PromptRegistry] Failed to load ${process.env.PROMPT_TEMPLATES_FILE}:`, error.message);
+  }
+
+  const experiments = new Map();
+  try {
+    const { file, entries } = readJsonArray('PROMPT_EXPERIMENTS_FILE');
+    for (const entry of entries) {
+      const experiment = validateExperiment(entry, templates);
+      const clash = [...experiments.values()].find(other => other.enabled && experiment.enabled && other.template === experiment.template);
+      if (clash) throw new Error(`Prompt experiments "${clash.id}" and "${experiment.id}" both split ${experiment.template}`);
+      experiments.set(experiment.id, experiment);
+    }
+    if (file) console.log(`[PromptRegistry] Loaded ${entries.length} experiment(s) from ${file}`);
+  } catch (error) {
+    console.error(`[PromptRegistry] Failed to load ${process.env.PROMPT_EXPERIMENTS_FILE}:`, error.message);
+  }
+
+  return { templates, defaults, experiments };
+}
+
+function getRegistry() {
+  if (!registry) registry = loadRegistry();
+  return registry;
+}
+
+function listPromptTemplates() {
+  const { templates, defaults } = getRegistry();
+  return [...templates].map(([id, versions]) => ({
+    id,
+    defaultVersion: defaults.get(id),
+    versions: [...versions.values()]
+      .sort((a, b) => a.version - b.version)
+      .map(({ version, description }) => ({ version, description }))
+  }));
+}
+
+function listPromptExperiments() {
+  return [...getRegistry().experiments.values()];
+}
+
+/**
+ * Look up an experiment by id.
+ * @throws {Error} with status 404 when the id is unknown.
+ */
+function getPromptExperiment(id) {
+  const experiment = getRegistry().experiments.get(id);
+  if (!experiment) {
+    const error = new Error(`Unknown prompt experiment "${id}"`);
+    error.status = 404;
+    throw error;
+  }
+  return experiment;
+}
+
+/**
+ * A template version; the default version when `version` is omitted.
+ * @throws {Error} with status 500 for an unknown id or version (a programming error).
+ */
+function getPromptTemplate(id, version) {
+  const { templates, defaults } = getRegistry();
+  const template = templates.get(id)?.get(version ?? defaults.get(id));
+  if (!template) {
+    const error = new Error(`Unknown prompt template "${id}${version ? `@${version}` : ''}"`);
+    error.status = 500;
+    throw error;
+  }
+  return template;
+}
+
+// Stable hash of the experiment unit; stored with each assignment so results can be grouped
+function unitHash(unit) {
+  return crypto.createHash('sha256').update(String(unit)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Experiment unit for a posting: its URL, or a hash of its text when it has none.
+ */
+function promptExperimentUnit(url, text) {
+  if (url) return `url:${url}`;
+  return text ? `text:${crypto.createHash('sha256').update(text).digest('hex')}` : null;
+}
+
+function assignVariant(experiment, unit) {
+  const total = experiment.variants.reduce((sum, { weight }) => sum + weight, 0);
+  const digest = crypto.createHash('sha256').update(`${experiment.id}:${unit}`).digest();
+  let point = (digest.readUInt32BE(0) / 0x100000000) * total;
+  for (const variant of experiment.variants) {
+    if (point < variant.weight) return variant.version;
+    point -= variant.weight;
+  }
+  return experiment.variants[experiment.variants.length - 1].version;
+}
+
+// Version of `id` to serve in the current context, and the experiment that chose it (if any)
+function selectVersion(id) {
+  const { defaults, experiments } = getRegistry();
+  const unit = promptStore.getStore()?.unit;
+  if (unit) {
+    const experiment = [...experiments.values()].find(candidate => candidate.enabled && candidate.template === id);
+    if (experiment) return { version: assignVariant(experiment, unit), experiment, unit };
+  }
+  return { version: defaults.get(id) };
+}
+
+function interpolate(text, variables, label) {
+  return text.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+      throw new Error(`Prompt template ${label}: missing variable {{${name}}}`);
+    }
+    return variables[name] ?? '';
+  });
+}
+
+/**
+ * Render a prompt template. The version comes from a running experiment when the current
+ * trackPrompts() context has a unit, otherwise the default version is used; either way it is
+ * recorded in every enclosing trackPrompts() context.
+ * @param {string} id - Template id (e.g. 'v2.clarity').
+ * @param {Object} variables - Values for the template's {{placeholders}} (null/undefined render as '').
+ * @returns {{id: string, version: number, text: string, system: string|null}}
+ * @throws {Error} for an unknown template or a missing variable.
+ */
+function renderPrompt(id, variables = {}) {
+  const selected = selectVersion(id);
+  const template = getPromptTemplate(id, selected.version);
+  const label = `${id}@${template.version}`;
+  const rendered = {
+    id,
+    version: template.version,
+    text: interpolate(template.template, variables, label),
+    system: template.system ? interpolate(template.system, variables, label) : null
+  };
+  for (let store = promptStore.getStore(); store; store = store.parent) {
+    store.versions[id] = template.version;
+    if (selected.experiment) {
+      store.experiments[selected.experiment.id] = { template: id, version: template.version, unit: unitHash(selected.unit) };
+    }
+  }
+  return rendered;
+}
+
+/**
+ * Run `fn` and record the prompt versions it renders (including from concurrent work it awaits).
+ * @param {Function} fn
+ * @param {Object} [options]
+ * @param {string} [options.unit] - Experiment unit (promptExperimentUnit()); inherited from an
+ *   enclosing context when omitted. Without one, experiments do not apply.
+ * @returns {Promise<{result: *, prompts: {versions: Object, experiments: Object}}>} `versions` maps
+ *   template id -> version; `experiments` maps experiment id -> { template, version, unit }.
+ */
+async function trackPrompts(fn, { unit } = {}) {
+  const parent = promptStore.getStore() || null;
+  const store = { unit: unit ?? parent?.unit ?? null, versions: {}, experiments: {}, parent };
+  const result = await promptStore.run(store, fn);
+  return { result, prompts: { versions: store.versions, experiments: store.experiments } };
+}
+
+/**
+ * Fingerprint of the template text each of `ids` would render in the current context, for cache
+ * keys: results scored under one prompt version are not served for another.
+ */
+function promptSelectionKey(ids) {
+  const hash = crypto.createHash('sha256');
+  for (const id of ids) {
+    const template = getPromptTemplate(id, selectVersion(id).version);
+    hash.update(`${id}@${template.version}\n${template.system || ''}\n${template.template}\n`);
+  }
+  return hash.digest('hex').slice(0, 16);
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Per-version results of an experiment from the reports it assigned.
+ * Stability is measured on postings audited more than once under the same version: `scoreStdDev`
+ * is the mean (population) standard deviation of their total scores and `maxSpread` the largest
+ * max-min difference. Lower is more stable. Reports served from the scoring cache are left out
+ * and counted in `cachedReports`.
+ * @param {Object} experiment
+ * @param {Object[]} reports - Rows with `total_score`, `prompt_experiments` and `scoring_cache_hit`.
+ */
+function summarizeExperiment(experiment, reports) {
+  const byVersion = new Map(experiment.variants.map(({ version }) => [version, new Map()]));
+  let cachedReports = 0;
+  for (const report of reports) {
+    const assignment = report.prompt_experiments?.[experiment.id];
+    if (!assignment || !Number.isFinite(report.total_score)) continue;
+    // A re-audit served from the V2 cache repeats the earlier score verbatim (sticky assignment
+    // means the same cache key), so it says nothing about run-to-run stability
+    if (report.scoring_cache_hit) {
+      cachedReports++;
+      continue;
+    }
+    if (!byVersion.has(assignment.version)) byVersion.set(assignment.version, new Map());
+    const units = byVersion.get(assignment.version);
+    if (!units.has(assignment.unit)) units.set(assignment.unit, []);
+    units.get(assignment.unit).push(report.total_score);
+  }
+
+  const variants = [...byVersion].map(([version, units]) => {
+    const scores = [...units.values()].flat();
+    const repeated = [...units.values()].filter(unitScores => unitScores.length > 1);
+    const deviations = repeated.map(unitScores => {
+      const average = mean(unitScores);
+      return Math.sqrt(mean(unitScores.map(score => (score - average) ** 2)));
+    });
+    return {
+      version,
+      weight: experiment.variants.find(variant => variant.version === version)?.weight ?? 0,
+      reports: scores.length,
+      postings: units.size,
+      repeatedPostings: repeated.length,
+      meanScore: round(mean(scores)),
+      scoreStdDev: round(mean(deviations)),
+      maxSpread: repeated.length ? Math.max(...repeated.map(unitScores => Math.max(...unitScores) - Math.min(...unitScores))) : null
+    };
+  });
+  return { id: experiment.id, template: experiment.template, enabled: experiment.enabled, cachedReports, variants };
+}
+
+module.exports = {
+  listPromptTemplates,
+  listPromptExperiments,
+  getPromptExperiment,
+  getPromptTemplate,
+  promptExperimentUnit,
+  renderPrompt,
+  trackPrompts,
+  promptSelectionKey,
+  summarizeExperiment
+};
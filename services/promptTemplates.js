@@ -0,0 +1,366 @@
+// Built-in LLM prompt templates (see services/promptRegistry.js).
+// A template is identified by `id` and `version`; `{{name}}` placeholders in `template` and
+// `system` are filled in by renderPrompt(). Published versions are never edited: a changed prompt
+// is added as a new version, so reports that recorded a version keep pointing at the text that
+// scored them. The highest version of each id is its default.
+
+const BUILT_IN_TEMPLATES = [
+  // --- V1 pipeline (services/scoringService.js) ---
+  {
+    id: 'v1.clarity',
+    version: 1,
+    description: 'V1 clarity: title clarity, fluff/buzzwords and readability, each 0-10 with an excerpt',
+    system: 'You are an expert AI job posting auditor. Output exactly one valid JSON object. No markdown, no backticks, no explanations, no extra text.',
+    template: `Assess this job posting for (a) title clarity, (b) fluff/buzzwords, (c) overall readability.
+Return EXACT JSON: {"title":{"score":0-10,"suggestion":"string","excerpt":"string"},"fluff":{"score":0-10,"suggestion":"string","excerpt":"string"},"readability":{"score":0-10,"suggestion":"string","excerpt":"string"}}.
+Score strictly, where 10 is best and 0 is worst. "excerpt" is the exact passage of the Job Body the suggestion is about, copied verbatim ("" if it applies to the whole posting).{{languageLine}}
+Job Title: {{job_title}}
+Job Body: {{job_body}}`
+  },
+  {
+    id: 'v1.prompt_alignment',
+    version: 1,
+    description: 'V1 prompt alignment: query match, grouping and structure, each 0-10 with an excerpt',
+    system: 'You are an expert AI job posting auditor. Output exactly one valid JSON object. No markdown, no backticks, no explanations, no extra text.',
+    template: `Evaluate prompt alignment strictly on:
+1) Query Match: Would a candidate searching for this role (role + level + location) find this? Consider title specificity and whether key terms appear early in the body.
+2) Grouping: Are responsibilities/requirements/benefits clearly grouped under headings and bullet points?
+3) Structure: Natural, scannable flow suitable for search.
+Return EXACT JSON: {"query_match":{"score":0-10,"suggestion":"string","excerpt":"string"},"grouping":{"score":0-10,"suggestion":"string","excerpt":"string"},"structure":{"score":0-10,"suggestion":"string","excerpt":"string"}}.
+"excerpt" is the exact passage of the Job Body the suggestion is about, copied verbatim ("" if it applies to the whole posting).{{languageLine}}
+Job Title: {{job_title}}
+Job Body: {{job_body}}`
+  },
+
+  // --- V2 pipeline (services/scoringServiceV2.js via utils/llmPromptHelper.js) ---
+  // {{format}} is the JSON shape built from the call's field schema, {{excerptRule}} and
+  // {{languageRule}} are extra lines (empty when not needed).
+  {
+    id: 'v2.clarity',
+    version: 1,
+    description: 'V2 clarity: title clarity, buzzwords/fluff and readability, each 0-10',
+    system: 'Expert job post auditor. Return one valid JSON object only.',
+    template: `
+JSON only.
+Rate title clarity, buzzwords/fluff, and readability (0–10, 10=best). Include short suggestions.{{excerptRule}}{{languageRule}}
+
+Format:
+{{format}}
+
+Title: "{{job_title}}"
+Body: "{{job_body}}"
+`
+  },
+  {
+    id: 'v2.prompt_alignment',
+    version: 1,
+    description: 'V2 prompt alignment: query match, grouping and structure, each 0-10',
+    system: 'Expert job post auditor. Return one valid JSON object only.',
+    template: `
+JSON only.
+Rate query_match, grouping, and structure for alignment and scannability (0–10, 10=best). Include short suggestions.{{excerptRule}}{{languageRule}}
+
+Format:
+{{format}}
+
+Title: "{{job_title}}"
+Body: "{{job_body}}"
+`
+  },
+  {
+    id: 'v2.location',
+    version: 1,
+    description: 'V2 location extraction (fallback when the gazetteer finds no location)',
+    system: 'Expert job post auditor. Return one valid JSON object only.',
+    template: `
+JSON only.
+Extract job location summary with city, state, country, remote, hybrid flags. Use null for anything the posting does not state.{{languageRule}}
+
+Format:
+{{format}}
+
+Title: "{{job_title}}"
+Body: "{{job_body}}"
+`
+  },
+  {
+    id: 'v2.compensation',
+    version: 1,
+    description: 'V2 compensation extraction (fallback when no pay range is found by pattern)',
+    system: 'Expert job post auditor. Return one valid JSON object only.',
+    template: `
+JSON only.
+Extract compensation details with salary text, currency, min/max, frequency, range and perks. Use null for anything the posting does not state.{{languageRule}}
+
+Format:
+{{format}}
+
+Title: "{{job_title}}"
+Body: "{{job_body}}"
+`
+  },
+
+  // --- Hybrid categories (services/scoringServiceEnhanced.js) ---
+  {
+    id: 'enhanced.structured_info',
+    version: 1,
+    description: 'Structured data without JSON-LD: information completeness, 0-15',
+    system: 'You are a job posting analyst. Output a single JSON object.',
+    template: `Assess if this job posting contains well-structured, complete information.
+
+Score 0-15 based on:
+- Clear sections (Responsibilities, Requirements, Benefits) = 5 pts
+- Complete role details (title, level, location, type) = 4 pts
+- Organized presentation (headers, bullets, flow) = 3 pts
+- Essential info (what, who, why) = 3 pts
+
+Return JSON: {"score": 0-15, "suggestion": "string", "excerpt": "string"}
+"excerpt" is the exact passage of the posting the suggestion is about, copied verbatim ("" if it applies to the whole posting).{{languageLine}}
+
+Job posting:
+{{job_body}}`
+  },
+  {
+    id: 'enhanced.recency_signals',
+    version: 1,
+    description: 'Recency without a posting date: freshness signals, 0-10',
+    system: 'You are a job posting analyst. Output a single JSON object.',
+    template: `Analyze this job posting for freshness/recency signals.
+
+Look for:
+- Urgency language ("hiring now", "immediate", "ASAP")
+- Active recruiting tone (vs archived feel)
+- Current/future tense (vs past tense)
+- Modern technology stack
+
+Score 0-10:
+- 10 = Strong urgency, active recruiting, modern
+- 7 = Neutral, appears current
+- 4 = Some stale indicators
+- 0 = Archived feel, outdated
+
+Return JSON: {"score": 0-10, "suggestion": "string", "excerpt": "string"}
+"excerpt" is the exact passage of the posting the suggestion is about, copied verbatim ("" if it applies to the whole posting).{{languageLine}}
+
+Job posting:
+{{job_body}}`
+  },
+  {
+    id: 'enhanced.content_quality',
+    version: 1,
+    description: 'Page context: content quality and focus, 0-10',
+    system: 'You are a job posting quality analyst. Output a single JSON object.',
+    template: `Assess the content quality and focus of this job posting.
+
+Score 0-10 based on:
+- Content focus (3 pts): Primarily about the job, not diluted with marketing
+- Clarity (3 pts): Clear and direct, not vague or generic
+- Completeness (4 pts): Covers role, responsibilities, requirements, benefits
+
+Deduct for:
+- Excessive boilerplate or legal disclaimers
+- Vague descriptions ("rockstar", "ninja", "wear many hats")
+- Missing key information
+- Unprofessional tone
+
+Return JSON: {"score": 0-10, "suggestion": "string", "excerpt": "string"}
+"excerpt" is the exact passage of the posting the suggestion is about, copied verbatim ("" if it applies to the whole posting).{{languageLine}}
+
+Job posting:
+{{job_body}}`
+  },
+
+  // --- Inclusivity (services/inclusivityScoring.js) ---
+  {
+    id: 'inclusivity.review',
+    version: 1,
+    description: 'Biased or exclusionary phrases the lexicon missed',
+    system: 'Expert inclusive-hiring reviewer. Return one valid JSON object only.',
+    template: `
+JSON only.
+List phrases in this job posting that could discourage qualified candidates because they are gender-coded, ableist, age-coded, culturally exclusionary, or demand credentials the job does not need.
+Quote each phrase exactly as written (max {{maxIssues}}). Skip: {{skip}}.{{languageRule}}
+
+Format:
+{"issues":[{"phrase":"","category":"gender_coded|ableist|age_coded|degree_requirement|other","severity":"low|medium|high","replacement":""}]}
+
+Title: "{{job_title}}"
+Body: "{{job_body}}"
+`
+  },
+
+  // --- Generation endpoints ---
+  {
+    id: 'jsonld.generate',
+    version: 1,
+    description: 'schema.org/JobPosting JSON-LD for a posting (services/schemaGenerator.js)',
+    system: 'You are an expert in job posting analysis and improvement.',
+    template: `
+Generate a valid JSON-LD schema.org/JobPosting representation for the following job posting text.
+Return ONLY the JSON-LD object without any explanation or markdown formatting.
+Ensure the JSON is valid with proper double quotes for keys and string values.
+Include as many relevant JobPosting properties as possible from the text.
+Do not make up information not present in the text.
+
+Job title: {{job_title}}
+Job posting text: {{job_text}}
+
+Include the following rating in the JSON-LD output:
+"jobPostScore": {
+  "@type": "Rating",
+  "ratingValue": {{score}},
+  "bestRating": 100,
+  "worstRating": 0,
+  "description": "AI Job Posting Quality Score"
+}
+`
+  },
+  {
+    id: 'optimize.rewrite',
+    version: 1,
+    description: 'Full Markdown rewrite targeting 100/100 with a change log (api/optimize-job.js)',
+    system: 'Professional job posting optimizer. Respond with one JSON object containing the Markdown rewrite and supporting arrays.',
+    template: `You are an **expert job posting optimizer and copy editor**. Rewrite the job posting below so it reaches a **100/100 score** across clarity, structure, data completeness, keyword coverage, compensation transparency, and formatting.
+
+### Current Performance Snapshot
+**Overall Score:** {{originalScore}}/100
+{{categoryGuidance}}
+
+### Mission
+- Build upon the existing content; do **not** summarize or shorten drastically.
+- Maintain or expand the original length with richer detail.
+- Preserve accurate facts, requirements, and context.
+- Ensure compensation transparency with concrete ranges and benefits whenever possible.
+
+### Output Requirements
+- Produce the **full rewritten post** using Markdown:
+  - \`##\` headings for sections (About the Role, Responsibilities, Requirements, Benefits, Compensation, How to Apply, etc.)
+  - Bullet lists using \`-\` for clarity
+  - **Bold** key items (job title, compensation figures, critical skills)
+- Keep language inclusive, clear, and free of fluff.
+
+### Return JSON Only
+{
+  "optimized_text": "Complete Markdown rewrite",
+  "change_log": ["Specific improvements with measurable impact"],
+  "unaddressed_items": ["Items requiring hiring manager input"]
+}
+
+### Style Reference
+"optimized_text": "## About the Role\\nJoin our **Senior Data Engineer** team...\\n\\n## Responsibilities\\n- Build scalable pipelines...\\n- Partner with cross-functional teams...\\n\\n## Requirements\\n- 5+ years with Python and SQL\\n- Experience with AWS or GCP\\n\\n## Compensation\\n**Salary Range:** $140,000 - $175,000 per year\\n**Benefits:** Medical, dental, vision, 401(k) match, 20 days PTO"
+
+---
+
+**Original Job Posting:**
+{{originalText}}
+
+Think through improvements, then output **only the JSON object** containing the final rewrite.`
+  },
+  {
+    id: 'rewrite.improve',
+    version: 1,
+    description: 'Plain-text rewrite addressing a report\'s recommendations (api/rewrite-job.js)',
+    system: 'You are an expert in job posting analysis and improvement.',
+    template: `You are to output only the improved job posting text with no extra commentary, preamble, or explanation.
+
+Rewrite this job posting to address the following issues.
+
+Original Posting:
+{{originalText}}
+
+Areas Needing Improvement:
+{{recommendations}}
+
+Improved Version (output only the rewritten posting, nothing else):`
+  },
+  {
+    id: 'analyze.improve',
+    version: 1,
+    description: 'Plain-text rewrite from analyze-job recommendations (api/analyze-job.js)',
+    system: 'You are an expert in job posting analysis and improvement.',
+    template: `You are to output only the improved job posting text with no commentary, preamble, or explanation.
+
+Improve this job posting based on the following recommendations.
+
+Original:
+{{jobText}}
+
+Recommendations:
+{{recommendations}}
+
+Improved Version (output only the rewritten posting, nothing else):`
+  },
+
+  // --- Legacy analyzer (services/jobAnalyzer.js), 1-100 scores ---
+  {
+    id: 'legacy.clarity',
+    version: 1,
+    description: 'Legacy analyzer: clarity and readability, 1-100',
+    system: 'You are an expert in job posting analysis and improvement.',
+    template: `
+You are an expert job posting auditor. Evaluate the job posting below for clarity and readability.
+Rate it on a scale from 1-100 where:
+- 1-40: Poor (Confusing language, unclear requirements, poor structure)
+- 41-70: Moderate (Somewhat clear but has issues with organization or specificity)
+- 71-90: Good (Clear language, well-structured, specific requirements)
+- 91-100: Excellent (Exceptionally clear, perfectly structured, precise requirements)
+
+Return your response as a JSON object with this structure:
+{
+  "score": [numeric score 1-100],
+  "feedback": [brief assessment of strengths and weaknesses]
+}
+
+Job posting to evaluate:
+{{job_body}}
+`
+  },
+  {
+    id: 'legacy.inclusivity',
+    version: 1,
+    description: 'Legacy analyzer: inclusivity and bias, 1-100',
+    system: 'You are an expert in job posting analysis and improvement.',
+    template: `
+You are an expert job posting auditor. Evaluate the job posting below for inclusivity and bias.
+Rate it on a scale from 1-100 where:
+- 1-40: Poor (Contains biased language, exclusionary terms, unnecessary requirements)
+- 41-70: Moderate (Some potentially biased language or requirements that could limit diversity)
+- 71-90: Good (Generally inclusive language, few potentially exclusionary elements)
+- 91-100: Excellent (Actively inclusive language, no bias, encourages diverse applicants)
+
+Return your response as a JSON object with this structure:
+{
+  "score": [numeric score 1-100],
+  "feedback": [brief assessment of inclusivity issues and strengths]
+}
+
+Job posting to evaluate:
+{{job_body}}
+`
+  },
+  {
+    id: 'legacy.completeness',
+    version: 1,
+    description: 'Legacy analyzer: completeness, 1-100',
+    system: 'You are an expert in job posting analysis and improvement.',
+    template: `
+You are an expert job posting auditor. Evaluate the job posting below for completeness.
+Rate it on a scale from 1-100 where:
+- 1-40: Poor (Missing multiple key elements: role description, responsibilities, qualifications, benefits, etc.)
+- 41-70: Moderate (Contains basic information but missing important details)
+- 71-90: Good (Most key elements are present with adequate detail)
+- 91-100: Excellent (Contains all key elements with appropriate detail)
+
+Return your response as a JSON object with this structure:
+{
+  "score": [numeric score 1-100],
+  "feedback": [brief assessment of what's included and what's missing]
+}
+
+Job posting to evaluate:
+{{job_body}}
+`
+  }
+];
+
+module.exports = { BUILT_IN_TEMPLATES };
@@ -0,0 +1,228 @@
+const fs = require('fs');
+
+// Named scoring rubric profiles. A profile can:
+//   - set relative weights for the audit categories (rescaled so enabled categories sum to 100);
+//     `weights: null` keeps each pipeline's built-in weights (V1 20/20/15/10/15/10/10,
+//     V2 15/15/10/10/15/15/10/10 incl. inclusivity). V1 has no inclusivity scorer and ignores that weight.
+//   - disable categories entirely (they are not scored, which also skips their LLM calls)
+//   - tune the red-flag threshold, globally or per category (fraction of the category's max score)
+//   - set the analyze-text blend (readability/inclusivity/seo/structure/compliance)
+// Extra profiles can be loaded from a JSON file (array of profiles) named by RUBRIC_PROFILES_FILE;
+// entries with a built-in id override it, and invalid entries are logged and skipped.
+
+const AUDIT_CATEGORIES = ['clarity', 'promptAlignment', 'structuredData', 'recency', 'keywordTargeting', 'compensation', 'pageContext', 'inclusivity'];
+const TEXT_CATEGORIES = ['readability', 'inclusivity', 'seo', 'structure', 'compliance'];
+const DEFAULT_PROFILE_ID = 'default';
+
+const BUILT_IN_PROFILES = [
+  {
+    id: DEFAULT_PROFILE_ID,
+    name: 'Default',
+    description: 'Balanced rubric used when no profile is requested.',
+    weights: null,
+    disabledCategories: [],
+    thresholds: { redFlagRatio: 0.5 },
+    textWeights: { readability: 25, inclusivity: 30, seo: 20, structure: 15, compliance: 10 }
+  },
+  {
+    id: 'tech',
+    name: 'Tech',
+    description: 'Software and technical roles: rewards precise skills/keyword targeting and AI search alignment.',
+    weights: { clarity: 15, promptAlignment: 20, structuredData: 10, recency: 5, keywordTargeting: 20, compensation: 15, pageContext: 5, inclusivity: 10 },
+    disabledCategories: [],
+    thresholds: { redFlagRatio: 0.5 },
+    textWeights: { readability: 20, inclusivity: 25, seo: 30, structure: 15, compliance: 10 }
+  },
+  {
+    id: 'hourly-retail',
+    name: 'Hourly retail',
+    description: 'Frontline/hourly roles: plain language, pay and freshness matter most; AI prompt alignment is not scored.',
+    weights: { clarity: 25, structuredData: 10, recency: 15, keywordTargeting: 10, compensation: 25, pageContext: 5, inclusivity: 10 },
+    disabledCategories: ['promptAlignment'],
+    thresholds: { redFlagRatio: 0.5, categories: { compensation: 0.7 } },
+    textWeights: { readability: 35, inclusivity: 25, seo: 15, structure: 15, compliance: 10 }
+  },
+  {
+    id: 'eu-compliance',
+    name: 'EU compliance',
+    description: 'EU Pay Transparency Directive focus: salary ranges are weighted heavily and flagged strictly.',
+    weights: { clarity: 10, promptAlignment: 10, structuredData: 10, recency: 10, keywordTargeting: 10, compensation: 30, pageContext: 5, inclusivity: 15 },
+    disabledCategories: [],
+    thresholds: { redFlagRatio: 0.5, categories: { compensation: 0.8 } },
+    textWeights: { readability: 20, inclusivity: 30, seo: 10, structure: 15, compliance: 25 }
+  }
+];
+
+let profiles = null;
+
+function validateProfile(profile) {
+  if (!profile || typeof profile.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/.test(profile.id)) {
+    throw new Error(`Invalid rubric profile id: ${profile && profile.id}`);
+  }
+  for (const [field, allowed] of [['weights', AUDIT_CATEGORIES], ['textWeights', TEXT_CATEGORIES]]) {
+    if (!profile[field]) continue;
+    for (const [key, value] of Object.entries(profile[field])) {
+      if (!allowed.includes(key)) throw new Error(`Rubric profile "${profile.id}": unknown ${field} category "${key}"`);
+      if (!Number.isFinite(value) || value < 0) throw new Error(`Rubric profile "${profile.id}": ${field}.${key} must be a non-negative number`);
+    }
+  }
+  for (const key of profile.disabledCategories || []) {
+    if (!AUDIT_CATEGORIES.includes(key)) throw new Error(`Rubric profile "${profile.id}": unknown disabled category "${key}"`);
+  }
+  // Something must be left to score: `weights: null` weights every category
+  const disabled = new Set(profile.disabledCategories || []);
+  const weighted = profile.weights ? AUDIT_CATEGORIES.filter(key => profile.weights[key] > 0) : AUDIT_CATEGORIES;
+  if (!weighted.some(key => !disabled.has(key))) {
+    throw new Error(`Rubric profile "${profile.id}": no enabled category has a positive weight`);
+  }
+  if (profile.textWeights && !TEXT_CATEGORIES.some(key => profile.textWeights[key] > 0)) {
+    throw new Error(`Rubric profile "${profile.id}": no textWeights category has a positive weight`);
+  }
+  const thresholds = profile.thresholds || {};
+  const checkRatio = (name, value) => {
+    if (!Number.isFinite(value) || value < 0 || value > 1) {
+      throw new Error(`Rubric profile "${profile.id}": thresholds.${name} must be a number between 0 and 1`);
+    }
+  };
+  if (thresholds.redFlagRatio !== undefined) checkRatio('redFlagRatio', thresholds.redFlagRatio);
+  for (const [key, value] of Object.entries(thresholds.categories || {})) {
+    if (!AUDIT_CATEGORIES.includes(key)) throw new Error(`Rubric profile "${profile.id}": unknown threshold category "${key}"`);
+    checkRatio(`categories.${key}`, value);
+  }
+  return {
+    name: profile.id,
+    description: '',
+    weights: null,
+    disabledCategories: [],
+    thresholds: { redFlagRatio: 0.5 },
+    textWeights: BUILT_IN_PROFILES[0].textWeights,
+    ...profile
+  };
+}
+
+function loadProfiles() {
+  const byId = new Map(BUILT_IN_PROFILES.map(profile => [profile.id, profile]));
+  const file = process.env.RUBRIC_PROFILES_FILE;
+  if (file) {
+    let extra = [];
+    try {
+      extra = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error(`[RubricProfiles] Failed to load ${file}:`, error.message);
+    }
+    // Each entry stands alone: an invalid profile is skipped, the rest still load
+    let loaded = 0;
+    for (const profile of Array.isArray(extra) ? extra : []) {
+      try {
+        const validated = validateProfile(profile);
+        byId.set(validated.id, validated);
+        loaded++;
+      } catch (error) {
+        console.error(`[RubricProfiles] Skipping a profile in ${file}:`, error.message);
+      }
+    }
+    console.log(`[RubricProfiles] Loaded ${loaded} profile(s) from ${file}`);
+  }
+  return byId;
+}
+
+function getProfiles() {
+  if (!profiles) profiles = loadProfiles();
+  return profiles;
+}
+
+function listRubricProfiles() {
+  return [...getProfiles().values()];
+}
+
+/**
+ * Look up a profile by id. Missing/empty ids resolve to the default profile.
+ * @throws {Error} with status 400 when the id is unknown.
+ */
+function getRubricProfile(id) {
+  const key = typeof id === 'string' && id.trim() ? id.trim().toLowerCase() : DEFAULT_PROFILE_ID;
+  const profile = getProfiles().get(key);
+  if (!profile) {
+    const error = new Error(`Unknown rubric profile "${id}". Available: ${[...getProfiles().keys()].join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return profile;
+}
+
+/**
+ * Integer weights for the enabled categories, scaled to sum to 100 (largest-remainder rounding).
+ * @param {Object} profile
+ * @param {Object} baseWeights - The pipeline's built-in weights, used when the profile has none.
+ * @param {string[]} [categories] - Category keys in scoring order.
+ * @returns {Object} { categoryKey: weight } containing only enabled categories.
+ */
+function resolveCategoryWeights(profile, baseWeights, categories = AUDIT_CATEGORIES) {
+  const disabled = new Set(profile?.disabledCategories || []);
+  const source = profile?.weights || baseWeights;
+  const enabled = categories.filter(key => !disabled.has(key) && (source[key] || 0) > 0);
+  const total = enabled.reduce((sum, key) => sum + source[key], 0);
+  if (!total) throw new Error(`Rubric profile "${profile?.id}" leaves no categories enabled`);
+
+  const exact = enabled.map(key => ({ key, value: (source[key] / total) * 100 }));
+  const weights = Object.fromEntries(exact.map(({ key, value }) => [key, Math.floor(value)]));
+  let remainder = 100 - Object.values(weights).reduce((sum, w) => sum + w, 0);
+  exact
+    .sort((a, b) => (b.value % 1) - (a.value % 1))
+    .forEach(({ key }) => {
+      if (remainder > 0) {
+        weights[key]++;
+        remainder--;
+      }
+    });
+  return weights;
+}
+
+/**
+ * analyze-text blend as fractions summing to 1.
+ */
+function resolveTextWeights(profile) {
+  const source = profile?.textWeights || BUILT_IN_PROFILES[0].textWeights;
+  const total = TEXT_CATEGORIES.reduce((sum, key) => sum + (source[key] || 0), 0) || 1;
+  return Object.fromEntries(TEXT_CATEGORIES.map(key => [key, (source[key] || 0) / total]));
+}
+
+function redFlagThreshold(profile, categoryKey) {
+  const thresholds = profile?.thresholds || {};
+  const perCategory = thresholds.categories && thresholds.categories[categoryKey];
+  if (Number.isFinite(perCategory)) return perCategory;
+  return Number.isFinite(thresholds.redFlagRatio) ? thresholds.redFlagRatio : 0.5;
+}
+
+/**
+ * Category keys whose score falls below the profile's red-flag threshold.
+ */
+function findRedFlags(categories, profile) {
+  return Object.entries(categories)
+    .filter(([key, v]) => v.score < v.maxScore * redFlagThreshold(profile, key))
+    .map(([key]) => key);
+}
+
+/**
+ * What a report records about the profile that produced it.
+ */
+function describeProfile(profile, weights) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    weights,
+    disabled_categories: profile.disabledCategories || [],
+    thresholds: profile.thresholds || {}
+  };
+}
+
+module.exports = {
+  AUDIT_CATEGORIES,
+  DEFAULT_PROFILE_ID,
+  listRubricProfiles,
+  getRubricProfile,
+  resolveCategoryWeights,
+  resolveTextWeights,
+  findRedFlags,
+  describeProfile
+};
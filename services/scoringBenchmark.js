@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const { getScoringPipeline } = require('./scoringPipelines');
+const { getRubricProfile } = require('./rubricProfiles');
+
+// Golden-set regression benchmark: labelled postings are scored by every pipeline and checked
+// against their labels (score bands, red flags) and against the last accepted baseline, so a
+// change to weights, heuristics or prompts shows which postings and categories moved. Every
+// pipeline in services/scoringPipelines.js can be benchmarked; the runner is tests/scoring-benchmark.js.
+//
+// A golden posting (tests/benchmark/postings/<id>.json):
+//   { id, description, job_title, job_body, job_html?, expected: {
+//       total: [min, max],                      - total score band (0-100)
+//       categories: { clarity: [0.5, 1] },      - bands as a share of the category's max score
+//       red_flags: ['compensation'],            - must be raised
+//       not_red_flags: ['clarity'],             - must not be raised
+//       pipelines: { v1: { ... } }              - per-pipeline overrides of the above
+//   } }
+
+const DEFAULT_TOLERANCES = { total: 2, category: 1, categories: {} };
+
+function isBand(value) {
+  return Array.isArray(value) && value.length === 2 && value.every(Number.isFinite) && value[0] <= value[1];
+}
+
+function validateExpected(expected, where) {
+  if (expected.total !== undefined && !isBand(expected.total)) throw new Error(`${where}: expected.total must be [min, max]`);
+  for (const [key, band] of Object.entries(expected.categories || {})) {
+    if (!isBand(band) || band[0] < 0 || band[1] > 1) throw new Error(`${where}: expected.categories.${key} must be [min, max] between 0 and 1`);
+  }
+  for (const field of ['red_flags', 'not_red_flags']) {
+    if (expected[field] !== undefined && !Array.isArray(expected[field])) throw new Error(`${where}: expected.${field} must be an array`);
+  }
+}
+
+/**
+ * Load the golden postings in a directory, sorted by id.
+ * @param {string} dir - Directory of posting JSON files.
+ * @returns {Object[]} Postings with `id`, `job_title`, `job_body`, `job_html` and `expected`.
+ */
+function loadGoldenSet(dir) {
+  const postings = fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => {
+      const file = path.join(dir, name);
+      const posting = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!posting.id || !posting.job_body || !posting.expected) {
+        throw new Error(`${file}: a golden posting needs id, job_body and expected`);
+      }
+      validateExpected(posting.expected, file);
+      if (posting.rubricProfile) getRubricProfile(posting.rubricProfile);
+      for (const [pipeline, overrides] of Object.entries(posting.expected.pipelines || {})) {
+        getScoringPipeline(pipeline);
+        validateExpected(overrides, `${file} (${pipeline})`);
+      }
+      return posting;
+    })
+    .sort((a, b) => a.id.localeCompare(b.id));
+
+  const seen = new Set();
+  for (const posting of postings) {
+    if (seen.has(posting.id)) throw new Error(`Duplicate golden posting id "${posting.id}" in ${dir}`);
+    seen.add(posting.id);
+  }
+  return postings;
+}
+
+/**
+ * The parts of a scoring result the benchmark compares.
+ * @returns {{total: number, categories: Object<string, {score: number, maxScore: number}>, red_flags: string[], degraded: string[]}}
+ */
+function snapshotResult(result) {
+  return {
+    total: result.total_score,
+    categories: Object.fromEntries(
+      Object.entries(result.categories || {}).map(([key, category]) => [key, { score: category.score, maxScore: category.maxScore }])
+    ),
+    red_flags: [...(result.red_flags || [])].sort(),
+    degraded: Object.keys(result.degradedCategories || {}).sort()
+  };
+}
+
+/**
+ * Check a snapshot against a posting's labels.
+ * @returns {string[]} One message per unmet expectation (empty when every label holds).
+ */
+function checkExpectations(snapshot, expected, pipeline) {
+  const { pipelines, ...base } = expected;
+  const labels = { ...base, ...(pipelines?.[pipeline] || {}) };
+  const failures = [];
+
+  if (labels.total && (snapshot.total < labels.total[0] || snapshot.total > labels.total[1])) {
+    failures.push(`total ${snapshot.total} outside [${labels.total.join(', ')}]`);
+  }
+  for (const [key, [min, max]] of Object.entries(labels.categories || {})) {
+    const category = snapshot.categories[key];
+    if (!category) {
+      failures.push(`${key} not scored`);
+      continue;
+    }
+    const share = category.maxScore ? category.score / category.maxScore : 0;
+    if (share < min || share > max) {
+      failures.push(`${key} ${category.score}/${category.maxScore} outside [${min}, ${max}] of max`);
+    }
+  }
+  for (const flag of labels.red_flags || []) {
+    if (!snapshot.red_flags.includes(flag)) failures.push(`red flag ${flag} not raised`);
+  }
+  for (const flag of labels.not_red_flags || []) {
+    if (snapshot.red_flags.includes(flag)) failures.push(`unexpected red flag ${flag}`);
+  }
+  return failures;
+}
+
+function delta(current, baseline, tolerance) {
+  const change = current - baseline;
+  return { baseline, current, delta: Math.round(change * 100) / 100, exceeded: Math.abs(change) > tolerance };
+}
+
+/**
+ * Diff one posting's snapshot against its baseline snapshot.
+ * @param {Object} current - snapshotResult() output.
+ * @param {Object|null} baseline - The accepted snapshot, or null for a posting new to the baseline.
+ * @param {Object} [tolerances] - { total, category, categories: { key: tolerance } } in points.
+ * @returns {{status: 'new'|'unchanged'|'changed'|'exceeded', total?: Object, categories?: Object, red_flags?: Object}}
+ *   `status` is 'exceeded' when a delta is over its tolerance, a category appeared or disappeared,
+ *   or the red flags changed.
+ */
+function diffSnapshot(current, baseline, tolerances = DEFAULT_TOLERANCES) {
+  if (!baseline) return { status: 'new' };
+  const { total = DEFAULT_TOLERANCES.total, category = DEFAULT_TOLERANCES.category, categories: perCategory = {} } = tolerances;
+
+  const categories = {};
+  for (const key of new Set([...Object.keys(baseline.categories), ...Object.keys(current.categories)])) {
+    const was = baseline.categories[key];
+    const now = current.categories[key];
+    categories[key] = was && now
+      ? { ...delta(now.score, was.score, perCategory[key] ?? category), ...(now.maxScore !== was.maxScore ? { maxScore: { baseline: was.maxScore, current: now.maxScore } } : {}) }
+      : { baseline: was?.score ?? null, current: now?.score ?? null, delta: null, exceeded: true };
+  }
+  const red_flags = {
+    added: current.red_flags.filter(flag => !baseline.red_flags.includes(flag)),
+    removed: baseline.red_flags.filter(flag => !current.red_flags.includes(flag))
+  };
+  const totalDelta = delta(current.total, baseline.total, total);
+
+  const exceeded = totalDelta.exceeded
+    || Object.values(categories).some(entry => entry.exceeded)
+    || red_flags.added.length > 0
+    || red_flags.removed.length > 0;
+  const changed = totalDelta.delta !== 0
+    || Object.values(categories).some(entry => entry.delta !== 0 || entry.maxScore);
+  return {
+    status: exceeded ? 'exceeded' : changed ? 'changed' : 'unchanged',
+    total: totalDelta,
+    categories,
+    red_flags
+  };
+}
+
+module.exports = {
+  DEFAULT_TOLERANCES,
+  loadGoldenSet,
+  snapshotResult,
+  checkExpectations,
+  diffSnapshot
+};
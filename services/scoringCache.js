@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Pluggable cache for scoring results. SCORING_CACHE_BACKEND picks the store:
+//   memory   - per-process LRU (default; lost on restart)
+//   file     - JSON files under SCORING_CACHE_DIR (survives restarts; share via a mounted volume)
+//   supabase - `scoring_cache` table (shared by every machine)
+// Persistent stores sit behind a small in-memory tier so hot keys don't round-trip.
+// Cache failures are logged and treated as misses; they never fail a scoring run.
+
+function readPositiveInt(name, fallback) {
+  const n = Number((process.env[name] ?? '').trim());
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const CACHE_TTL_MS = readPositiveInt('SCORING_CACHE_TTL_MS', 1000 * 60 * 30); // 30 minutes
+const MEMORY_MAX_ENTRIES = readPositiveInt('SCORING_CACHE_MAX_ENTRIES', 100);
+
+function createMemoryStore({ maxEntries = MEMORY_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (Date.now() > entry.expiresAt) {
+        entries.delete(key);
+        return null;
+      }
+      // Re-insert so Map iteration order doubles as LRU order
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.data;
+    },
+    async set(key, data, ttlMs) {
+      if (!entries.has(key) && entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, { data, expiresAt: Date.now() + ttlMs });
+    }
+  };
+}
+
+function createFileStore({ dir = process.env.SCORING_CACHE_DIR || path.join(os.tmpdir(), 'jobpostscore-scoring-cache') } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = key => path.join(dir, `${key}.json`);
+  return {
+    name: 'file',
+    async get(key) {
+      let raw;
+      try {
+        raw = await fs.promises.readFile(fileFor(key), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+      const entry = JSON.parse(raw);
+      if (Date.now() > entry.expiresAt) {
+        await fs.promises.unlink(fileFor(key)).catch(() => {});
+        return null;
+      }
+      return entry.data;
+    },
+    async set(key, data, ttlMs) {
+      // Write-then-rename so concurrent readers never see a partial file; the temp name is unique
+      // per write, so concurrent writers of one key never share (and tear) a temp file
+      const tmp = `${fileFor(key)}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify({ expiresAt: Date.now() + ttlMs, data }));
+      await fs.promises.rename(tmp, fileFor(key));
+    }
+  };
+}
+
+function createSupabaseStore({ table = process.env.SCORING_CACHE_TABLE || 'scoring_cache' } = {}) {
+  // Required lazily so the memory/file backends work without Supabase credentials
+  const { supabase } = require('../utils/supabase');
+  return {
+    name: 'supabase',
+    async get(key) {
+      const { data, error } = await supabase
+        .from(table)
+        .select('data, expires_at')
+        .eq('cache_key', key)
+        .maybeSingle();
+      if (error) throw new Error(error.message);
+      if (!data || Date.parse(data.expires_at) < Date.now()) return null;
+      return data.data;
+    },
+    async set(key, data, ttlMs, { pipelineVersion } = {}) {
+      const { error } = await supabase
+        .from(table)
+        .upsert({
+          cache_key: key,
+          pipeline_version: pipelineVersion || null,
+          data,
+          expires_at: new Date(Date.now() + ttlMs).toISOString()
+        }, { onConflict: 'cache_key' });
+      if (error) throw new Error(error.message);
+    }
+  };
+}
+
+const STORE_FACTORIES = {
+  memory: createMemoryStore,
+  file: createFileStore,
+  supabase: createSupabaseStore
+};
+
+/**
+ * Create a scoring cache.
+ * @param {Object} options
+ * @param {string} options.pipelineVersion - Folded into every key; bump it (or let callers derive it
+ *   from weights/prompts) and old entries are simply never read again.
+ * @param {string} [options.backend] - memory | file | supabase (defaults to SCORING_CACHE_BACKEND).
+ * @param {number} [options.ttlMs] - Entry lifetime.
+ * @returns {{ key: Function, get: Function, set: Function, stats: Function }}
+ */
+function createScoringCache({ pipelineVersion, backend = process.env.SCORING_CACHE_BACKEND || 'memory', ttlMs = CACHE_TTL_MS } = {}) {
+  const counters = { hits: 0, misses: 0, writes: 0, errors: 0 };
+  const memory = createMemoryStore();
+  let store = memory;
+
+  const backendName = String(backend).trim().toLowerCase();
+  if (backendName !== 'memory') {
+    const factory = STORE_FACTORIES[backendName];
+    try {
+      if (!factory) throw new Error(`unknown backend "${backend}"`);
+      store = factory();
+    } catch (error) {
+      console.warn(`[ScoringCache] Falling back to memory store: ${error.message}`);
+    }
+  }
+  const tiers = store === memory ? [memory] : [memory, store];
+  console.log(`[ScoringCache] Using ${tiers.map(t => t.name).join(' + ')} store (pipeline ${pipelineVersion})`);
+
+  function key(content) {
+    return crypto.createHash('sha256').update(`${pipelineVersion}:${JSON.stringify(content)}`).digest('hex');
+  }
+
+  async function get(cacheKey) {
+    for (const tier of tiers) {
+      try {
+        const data = await tier.get(cacheKey);
+        if (data) {
+          counters.hits++;
+          if (tier !== memory) await memory.set(cacheKey, data, ttlMs);
+          return data;
+        }
+      } catch (error) {
+        counters.errors++;
+        console.warn(`[ScoringCache] ${tier.name} read failed:`, error.message);
+      }
+    }
+    counters.misses++;
+    return null;
+  }
+
+  async function set(cacheKey, data) {
+    for (const tier of tiers) {
+      try {
+        await tier.set(cacheKey, data, ttlMs, { pipelineVersion });
+      } catch (error) {
+        counters.errors++;
+        console.warn(`[ScoringCache] ${tier.name} write failed:`, error.message);
+      }
+    }
+    counters.writes++;
+  }
+
+  function stats() {
+    const lookups = counters.hits + counters.misses;
+    return {
+      backend: store.name,
+      pipeline_version: pipelineVersion,
+      ttl_ms: ttlMs,
+      ...counters,
+      hit_rate: lookups ? Number((counters.hits / lookups).toFixed(3)) : null
+    };
+  }
+
+  return { key, get, set, stats };
+}
+
+module.exports = {
+  createScoringCache,
+  createMemoryStore,
+  createFileStore
+};
@@ -0,0 +1,230 @@
+const { describeProfile, findRedFlags, getRubricProfile } = require('./rubricProfiles');
+
+// Scoring pipelines: every engine that turns a posting into a score is registered here under a
+// name and returns the same versioned result schema, so endpoints (`pipeline` in the request
+// body), the pipeline comparison, the golden-set benchmark and the stability harness can run any
+// of them. Add new engines here.
+//
+// A pipeline is { name, version, rubric, llm, streams, description, score(jobData, options), toResult(raw, options) }:
+//   score     - runs the engine and resolves to its native result
+//   toResult  - maps that onto the result schema (the default suits engines that already report
+//               7-category results: V1 and V2)
+//   rubric    - which category set it scores: 'audit' (AUDIT_CATEGORIES) or 'text' (TEXT_CATEGORIES)
+//   llm       - scores depend on LLM calls
+//   streams   - the engine calls options.onCategory itself as categories finish
+//
+// Result schema (SCORE_RESULT_SCHEMA_VERSION):
+//   { schema_version, pipeline: { id, name, version }, total_score (0-100),
+//     categories: { key: { score, maxScore, suggestions, findings, ... } }, red_flags, recommendations,
+//     annotations, feedback (string), language, mode ('llm' | 'deterministic'), degraded,
+//     degradedCategories?, rubric_profile, prompts?, details (engine-specific extras) }
+
+// Bump when the fields change or when a pipeline's scores stop comparing with stored reports.
+//   1 - initial schema
+//   2 - inclusivity is part of the default V2 rubric (10 points, from structuredData and pageContext)
+const SCORE_RESULT_SCHEMA_VERSION = 2;
+
+const round1 = value => Math.round(value * 10) / 10;
+
+// Categories in the schema always carry suggestion and finding arrays
+function schemaCategories(categories = {}) {
+  return Object.fromEntries(Object.entries(categories).map(([key, category]) => [key, {
+    ...category,
+    suggestions: Array.isArray(category.suggestions) ? category.suggestions : [],
+    findings: Array.isArray(category.findings) ? category.findings : []
+  }]));
+}
+
+// Default toResult for V1/V2-shaped results
+function sevenCategoryResult(raw) {
+  const { job_location, cache_hit } = raw;
+  return {
+    total_score: raw.total_score,
+    categories: raw.categories,
+    red_flags: raw.red_flags,
+    recommendations: raw.recommendations,
+    annotations: raw.annotations,
+    feedback: raw.feedback,
+    language: raw.language,
+    mode: raw.mode || 'llm',
+    degradedCategories: raw.degradedCategories,
+    rubric_profile: raw.rubric_profile,
+    prompts: raw.prompts,
+    details: {
+      ...(job_location !== undefined ? { job_location } : {}),
+      // V2 served a stored result instead of scoring again
+      ...(cache_hit ? { cache_hit } : {})
+    }
+  };
+}
+
+// services/jobAnalyzer.js: seven categories rated 1-100 by the LLM, weighted into the total
+function legacyAnalyzerResult(raw) {
+  const { LEGACY_CATEGORY_WEIGHTS } = require('./jobAnalyzer');
+  const categories = Object.fromEntries(Object.entries(raw.categories).map(([key, category]) => {
+    const weight = LEGACY_CATEGORY_WEIGHTS[key];
+    return [key, {
+      score: round1(category.score * weight),
+      maxScore: round1(weight * 100),
+      breakdown: { rawScore: category.score, scale: 100 },
+      suggestions: category.feedback ? [category.feedback] : []
+    }];
+  }));
+  return {
+    total_score: raw.total_score,
+    categories,
+    red_flags: raw.red_flags,
+    recommendations: raw.recommendations,
+    feedback: raw.feedback?.summary || '',
+    mode: 'llm',
+    details: { breakdown: raw.breakdown, feedback: raw.feedback?.details || [] }
+  };
+}
+
+// services/textAnalysis.js: five heuristic analyses scored 0-100, blended with the profile's textWeights
+function textAnalysisResult(raw, { profile }) {
+  const { metadata, overallScore } = raw;
+  const categories = Object.fromEntries(Object.entries(metadata.weights).map(([key, weight]) => {
+    const { score, feedback, recommendations, ...breakdown } = raw[key];
+    return [key, {
+      score: round1(score * weight),
+      maxScore: round1(weight * 100),
+      breakdown: { ...breakdown, rawScore: score, scale: 100 },
+      suggestions: feedback || recommendations || []
+    }];
+  }));
+  const { language, weights, ...rest } = metadata;
+  return {
+    total_score: overallScore,
+    categories,
+    red_flags: findRedFlags(categories, profile),
+    feedback: `This job posting scored ${overallScore}/100 on the text analysis.`,
+    language,
+    mode: 'deterministic',
+    rubric_profile: describeProfile(profile, weights),
+    details: { metadata: rest }
+  };
+}
+
+const SCORING_PIPELINES = {
+  v1: {
+    name: 'Standard (V1)',
+    rubric: 'audit',
+    version: 1,
+    llm: true,
+    streams: true,
+    description: '7-category rubric: LLM-rated clarity and prompt alignment, heuristics for the rest',
+    score: (job, { profile, language, onCategory } = {}) => require('./scoringService').scoreJob7Category(job, { profile, language, onCategory })
+  },
+  v2: {
+    name: 'Enhanced (V2)',
+    rubric: 'audit',
+    version: 3,
+    llm: true,
+    streams: true,
+    description: 'Enhanced 8-category rubric with location, pay transparency and inclusivity',
+    score: (job, options = {}) => require('./scoringServiceV2').scoreJobEnhanced(job, { ...options, mode: 'llm' })
+  },
+  'v2-deterministic': {
+    name: 'Enhanced (V2), deterministic',
+    rubric: 'audit',
+    version: 3,
+    llm: false,
+    streams: true,
+    description: 'The V2 rubric scored by heuristics only (no LLM calls)',
+    score: (job, options = {}) => require('./scoringServiceV2').scoreJobEnhanced(job, { ...options, mode: 'deterministic' })
+  },
+  legacy: {
+    name: 'Legacy analyzer',
+    rubric: 'audit',
+    version: 1,
+    llm: true,
+    streams: false,
+    description: 'Clarity, inclusivity and completeness rated 1-100 by the LLM and spread over 7 categories',
+    score: job => require('./jobAnalyzer').analyzeJobText(job.job_body),
+    toResult: legacyAnalyzerResult
+  },
+  'text-heuristic': {
+    name: 'Text heuristics',
+    rubric: 'text',
+    version: 1,
+    llm: false,
+    streams: false,
+    description: 'Readability, inclusivity, SEO, structure and compliance heuristics',
+    score: (job, { profile, language } = {}) => {
+      const { resolveLanguage } = require('./languageSupport');
+      const { analyzeJobPostText } = require('./textAnalysis');
+      return analyzeJobPostText(job.job_body, profile, resolveLanguage(job.job_body, language));
+    },
+    toResult: textAnalysisResult
+  }
+};
+
+function listScoringPipelines() {
+  return Object.entries(SCORING_PIPELINES).map(([id, { name, version, rubric, llm, description }]) => ({ id, name, version, rubric, llm, description }));
+}
+
+/**
+ * Look up a registered pipeline.
+ * @throws {Error} status 400 for an unknown pipeline id.
+ */
+function getScoringPipeline(id) {
+  const pipeline = SCORING_PIPELINES[id];
+  if (!pipeline) {
+    const error = new Error(`Unknown scoring pipeline "${id}". Known: ${Object.keys(SCORING_PIPELINES).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return pipeline;
+}
+
+/**
+ * Score a posting with a registered pipeline.
+ * @param {string} id - Pipeline id (see listScoringPipelines()).
+ * @param {Object} jobData - { job_title, job_body, job_html, ats, structured }
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - Rubric profile (default profile when omitted).
+ * @param {string} [options.language] - Posting language code; detected when omitted.
+ * @param {Function} [options.onCategory] - Called with (categoryKey, result) for each category.
+ * @param {boolean} [options.useCache] - Engines with a result cache (V2) skip it when false.
+ * @returns {Promise<Object>} The result schema (SCORE_RESULT_SCHEMA_VERSION).
+ */
+async function runScoringPipeline(id, jobData, options = {}) {
+  const pipeline = getScoringPipeline(id);
+  const profile = options.profile || getRubricProfile();
+  const raw = await pipeline.score(jobData, { ...options, profile });
+  const result = (pipeline.toResult || sevenCategoryResult)(raw, { ...options, profile });
+
+  const categories = schemaCategories(result.categories);
+  if (!pipeline.streams && typeof options.onCategory === 'function') {
+    for (const [key, category] of Object.entries(categories)) options.onCategory(key, category);
+  }
+  const degradedCategories = result.degradedCategories || {};
+  const degraded = Object.keys(degradedCategories).length > 0;
+
+  return {
+    schema_version: SCORE_RESULT_SCHEMA_VERSION,
+    pipeline: { id, name: pipeline.name, version: pipeline.version },
+    total_score: result.total_score,
+    categories,
+    red_flags: result.red_flags || [],
+    recommendations: result.recommendations || [],
+    annotations: result.annotations || [],
+    feedback: typeof result.feedback === 'string' ? result.feedback : '',
+    language: result.language || null,
+    mode: result.mode,
+    degraded,
+    ...(degraded ? { degradedCategories } : {}),
+    rubric_profile: result.rubric_profile || null,
+    ...(result.prompts ? { prompts: result.prompts } : {}),
+    details: result.details || {}
+  };
+}
+
+module.exports = {
+  SCORE_RESULT_SCHEMA_VERSION,
+  SCORING_PIPELINES,
+  listScoringPipelines,
+  getScoringPipeline,
+  runScoringPipeline
+};
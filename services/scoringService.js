@@ -1,7 +1,72 @@
-const { callLLM } = require('../utils/llmHelpers');
+const { callLLMStructured, scoredSectionSchema } = require('../utils/structuredOutput');
+const { assessClarity, assessAlignment } = require('./deterministicScoring');
+const { renderPrompt } = require('./promptRegistry');
+const {
+  DEFAULT_PROFILE_ID,
+  getRubricProfile,
+  resolveCategoryWeights,
+  findRedFlags,
+  describeProfile
+} = require('./rubricProfiles');
+const { resolveLocation } = require('./locationResolver');
+const { MAX_MISSING_SKILLS, detectOccupation, extractSkills, scoreSkillCoverage } = require('./skillsTaxonomy');
+const {
+  DEFAULT_LANGUAGE,
+  getLocale,
+  resolveLanguage,
+  languageCode,
+  lexiconPattern,
+  matchesLexicon,
+  detectPayPeriod,
+  readingEase,
+  languageInstruction
+} = require('./languageSupport');
+const {
+  createFinding,
+  findLongSentences,
+  findPattern,
+  findingsFromLLMSections,
+  ensureFindings,
+  collectAnnotations
+} = require('./annotations');
+
+// Extra prompt line for non-English postings (empty for English)
+function languageLine(language) {
+  const instruction = language ? languageInstruction(language) : '';
+  return instruction ? `\n${instruction}` : '';
+}
+
+// Response schema for prompts rating several 0-10 sections
+function sectionsSchema(keys) {
+  return {
+    type: 'object',
+    required: keys,
+    properties: Object.fromEntries(keys.map(key => [key, scoredSectionSchema(10)]))
+  };
+}
+
+/**
+ * Rate sections with the LLM (`prompt` as returned by renderPrompt); when its output is unusable,
+ * score them with the deterministic assessment instead and report the category as degraded.
+ */
+async function rateWithLLM(prompt, options, keys, assess) {
+  const { data, degraded, reason } = await callLLMStructured(prompt.text, {
+    ...options,
+    systemMessage: prompt.system,
+    schema: sectionsSchema(keys)
+  });
+  if (!degraded) return { sections: data, source: 'llm' };
+  console.warn(`[Scoring] ${options.user} fell back to heuristics: ${reason}`);
+  return { sections: assess(), source: 'rule', degradedReason: reason };
+}
+
+function degradation({ degradedReason }) {
+  return degradedReason ? { degraded: true, degradedReason } : {};
+}
 
 // 1. Clarity & Readability (20 pts)
-async function scoreClarityReadability({ job_title, job_body }) {
+async function scoreClarityReadability({ job_title, job_body, language }) {
+  const locale = getLocale(languageCode(language));
   const sentences = job_body.match(/[^.!?]+[.!?]+/g) || [];
   const words = job_body.split(/\s+/).filter(w => /\w/.test(w));
   const avgLen = sentences.length ? (words.length / sentences.length) : words.length;
@@ -10,11 +75,14 @@ async function scoreClarityReadability({ job_title, job_body }) {
   const ttr = words.length ? unique / words.length : 0;
 
   const sentenceLenScore = avgLen <= 16 ? 10 : avgLen <= 20 ? 8 : avgLen <= 24 ? 6 : avgLen <= 28 ? 4 : 2;
-  const wordLenScore = avgWordLen <= 4.7 ? 10 : avgWordLen <= 5.2 ? 8 : avgWordLen <= 5.7 ? 6 : avgWordLen <= 6.2 ? 4 : 2;
+  // Word-length bands are shifted for languages with naturally longer words (German compounds)
+  const wordLen = avgWordLen - locale.wordLengthOffset;
+  const wordLenScore = wordLen <= 4.7 ? 10 : wordLen <= 5.2 ? 8 : wordLen <= 5.7 ? 6 : wordLen <= 6.2 ? 4 : 2;
   const ttrScore = Math.max(0, Math.min(10, 10 - Math.abs((ttr || 0) - 0.5) * 20));
+  const ease = readingEase(job_body, language);
 
-  const stop = new Set(['the', 'a', 'an', 'and', 'or', 'for', 'with', 'to', 'of', 'in', 'on', 'at', 'by', 'from', 'as', 'is', 'are', 'be', 'we']);
-  const titleTokens = (job_title || '').toLowerCase().split(/[^a-z0-9]+/).filter(t => t && !stop.has(t));
+  const stop = new Set(locale.stopwords);
+  const titleTokens = (job_title || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(t => t && !stop.has(t));
   const first200 = words.slice(0, 200).map(w => w.toLowerCase());
   const titleCovered = titleTokens.length ? titleTokens.filter(t => first200.includes(t)).length / titleTokens.length : 0;
   const titleOverlapScore = Math.round(Math.max(0, Math.min(10, titleCovered * 10)));
@@ -23,70 +91,70 @@ async function scoreClarityReadability({ job_title, job_body }) {
     .filter(Number.isFinite)
     .reduce((a, b) => a + b, 0) / 4 || 0;
 
-  const prompt = `Assess this job posting for (a) title clarity, (b) fluff/buzzwords, (c) overall readability.
-Return EXACT JSON: {"title":{"score":0-10,"suggestion":"string"},"fluff":{"score":0-10,"suggestion":"string"},"readability":{"score":0-10,"suggestion":"string"}}.
-Score strictly, where 10 is best and 0 is worst.
-Job Title: ${job_title}\nJob Body: ${job_body}`;
+  const prompt = renderPrompt('v1.clarity', { job_title, job_body, languageLine: languageLine(language) });
 
-  let llm;
-  try {
-    const response = await callLLM(prompt, null, {
-      systemMessage: 'You are an expert AI job posting auditor. Output exactly one valid JSON object. No markdown, no backticks, no explanations, no extra text.',
-      response_format: { type: 'json_object' },
-      user: 'services/scoringService/clarity',
-      seed: 1234
-    });
-    llm = JSON.parse(response);
-  } catch {
-    llm = { title: { score: 5 }, fluff: { score: 5 }, readability: { score: 5 } };
-  }
+  const rated = await rateWithLLM(prompt, {
+    response_format: { type: 'json_object' },
+    user: 'services/scoringService/clarity',
+    seed: 1234
+  }, ['title', 'fluff', 'readability'], () => assessClarity({ job_title, job_body, language }));
+  const llm = rated.sections;
 
   const llmAvg = (llm.title.score + llm.fluff.score + llm.readability.score) / 3;
   const final0to10 = Math.max(0, Math.min(10, 0.5 * detAvg + 0.5 * llmAvg));
   const total = Math.round(final0to10 * 2);
   const suggestions = [llm.title?.suggestion, llm.fluff?.suggestion, llm.readability?.suggestion]
     .filter(Boolean);
-  if (avgLen > 28) suggestions.push('Shorten sentences to improve readability (target < 20 words on average).');
-  if (titleCovered < 0.5 && titleTokens.length) suggestions.push('Include key title terms in the opening paragraph.');
-  if (ttr < 0.3) suggestions.push('Reduce repetition; vary wording.');
-  if (ttr > 0.7) suggestions.push('Avoid excessive jargon; simplify language.');
+  const findings = [
+    ...findingsFromLLMSections('clarity', { title: llm.title, fluff: llm.fluff, readability: llm.readability }, job_body, 10, rated.source),
+    ...findLongSentences(job_body)
+  ];
+  const flag = (rule, severity, message) => {
+    suggestions.push(message);
+    findings.push(createFinding({ category: 'clarity', rule, severity, message }));
+  };
+  if (avgLen > 28) flag('avg_sentence_length', 'medium', 'Shorten sentences to improve readability (target < 20 words on average).');
+  if (titleCovered < 0.5 && titleTokens.length) flag('title_terms_missing', 'low', 'Include key title terms in the opening paragraph.');
+  if (ttr < 0.3) flag('repetition', 'low', 'Reduce repetition; vary wording.');
+  if (ttr > 0.7) flag('jargon', 'low', 'Avoid excessive jargon; simplify language.');
 
   return {
     score: Math.min(total, 20),
     maxScore: 20,
-    breakdown: { title: llm.title.score, fluff: llm.fluff.score, readability: llm.readability.score, sentenceLenScore, wordLenScore, ttrScore, titleOverlapScore },
-    suggestions
+    breakdown: {
+      title: llm.title.score,
+      fluff: llm.fluff.score,
+      readability: llm.readability.score,
+      sentenceLenScore,
+      wordLenScore,
+      ttrScore,
+      titleOverlapScore,
+      readingEase: { formula: ease.formula, score: Math.round(ease.score) }
+    },
+    suggestions,
+    findings,
+    ...degradation(rated)
   };
 }
 
 // 2. Prompt Alignment (20 pts)
-async function scorePromptAlignment({ job_title, job_body }) {
-  const prompt = `Evaluate prompt alignment strictly on:
-1) Query Match: Would a candidate searching for this role (role + level + location) find this? Consider title specificity and whether key terms appear early in the body.
-2) Grouping: Are responsibilities/requirements/benefits clearly grouped under headings and bullet points?
-3) Structure: Natural, scannable flow suitable for search.
-Return EXACT JSON: {"query_match":{"score":0-10,"suggestion":"string"},"grouping":{"score":0-10,"suggestion":"string"},"structure":{"score":0-10,"suggestion":"string"}}.
-Job Title: ${job_title}\nJob Body: ${job_body}`;
-
-  let llm;
-  try {
-    const response = await callLLM(prompt, null, {
-      systemMessage: 'You are an expert AI job posting auditor. Output exactly one valid JSON object. No markdown, no backticks, no explanations, no extra text.',
-      response_format: { type: 'json_object' },
-      user: 'services/scoringService/prompt_alignment',
-      seed: 1234
-    });
-    llm = JSON.parse(response);
-  } catch {
-    llm = { query_match: { score: 5 }, grouping: { score: 5 }, structure: { score: 5 } };
-  }
+async function scorePromptAlignment({ job_title, job_body, language }) {
+  const prompt = renderPrompt('v1.prompt_alignment', { job_title, job_body, languageLine: languageLine(language) });
 
-  const hasSections = /(Responsibilities|Requirements|Qualifications|Benefits|Compensation)/i.test(job_body);
+  const rated = await rateWithLLM(prompt, {
+    response_format: { type: 'json_object' },
+    user: 'services/scoringService/prompt_alignment',
+    seed: 1234
+  }, ['query_match', 'grouping', 'structure'], () => assessAlignment({ job_title, job_body, language }));
+  const llm = rated.sections;
+
+  const hasSections = matchesLexicon(language, 'headings', job_body);
   const bodyWords = job_body.split(/\s+/).filter(Boolean);
   const first100 = bodyWords.slice(0, 100).join(' ').toLowerCase();
-  const roleInTitle = /(engineer|developer|designer|manager|analyst|lead|director|scientist)/i.test(job_title);
-  const locationInTitle = /(remote|hybrid|onsite|[A-Z][a-z]+,?\s?[A-Z]{2})/.test(job_title);
-  const earlyPresence = /(remote|hybrid|onsite|responsibilit|requirement|qualification)/i.test(first100);
+  const roleInTitle = matchesLexicon(language, 'roles', job_title);
+  const locationInTitle = /(remote|hybrid|onsite|[A-Z][a-z]+,?\s?[A-Z]{2})/.test(job_title) || matchesLexicon(language, 'workModes', job_title);
+  const earlyPresence = /(remote|hybrid|onsite|responsibilit|requirement|qualification)/i.test(first100)
+    || matchesLexicon(language, 'workModes', first100) || matchesLexicon(language, 'headings', first100);
   let detBonus = 0;
   if (hasSections) detBonus += 1;
   if (roleInTitle && locationInTitle) detBonus += 1;
@@ -97,14 +165,21 @@ Job Title: ${job_title}\nJob Body: ${job_body}`;
   const adjusted = Math.max(0, Math.min(10, llmAvg + Math.max(-2, Math.min(2, detBonus))));
   const total = Math.round(adjusted * 2);
   const suggestions = [llm.query_match?.suggestion, llm.grouping?.suggestion, llm.structure?.suggestion].filter(Boolean);
-  if (!hasSections) suggestions.push('Add clear sections (Responsibilities, Requirements, Benefits).');
-  if (!(roleInTitle && locationInTitle)) suggestions.push('Include role, level, and location in the title.');
+  const findings = findingsFromLLMSections('promptAlignment', { query_match: llm.query_match, grouping: llm.grouping, structure: llm.structure }, job_body, 10, rated.source);
+  const flag = (rule, severity, message) => {
+    suggestions.push(message);
+    findings.push(createFinding({ category: 'promptAlignment', rule, severity, message }));
+  };
+  if (!hasSections) flag('missing_sections', 'high', 'Add clear sections (Responsibilities, Requirements, Benefits).');
+  if (!(roleInTitle && locationInTitle)) flag('title_incomplete', 'medium', 'Include role, level, and location in the title.');
 
   return {
     score: Math.min(total, 20),
     maxScore: 20,
     breakdown: { queryMatch: llm.query_match.score, grouping: llm.grouping.score, structure: llm.structure.score, detBonus },
-    suggestions
+    suggestions,
+    findings,
+    ...degradation(rated)
   };
 }
 
@@ -112,11 +187,16 @@ Job Title: ${job_title}\nJob Body: ${job_body}`;
 function scoreStructuredDataPresence({ job_html }) {
   let score = 0;
   const suggestions = [];
+  const findings = [];
+  const flag = (rule, severity, message) => {
+    suggestions.push(message);
+    findings.push(createFinding({ category: 'structuredData', rule, severity, message }));
+  };
   try {
     const matches = job_html ? [...job_html.matchAll(/<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/g)] : [];
     if (!matches.length) {
-      suggestions.push('No schema.org/JobPosting JSON-LD found.');
-      return { score, maxScore: 15, breakdown: {}, suggestions };
+      flag('missing_json_ld', 'high', 'No schema.org/JobPosting JSON-LD found.');
+      return { score, maxScore: 15, breakdown: {}, suggestions, findings };
     }
     let jobJson = null;
     for (const m of matches) {
@@ -131,8 +211,8 @@ function scoreStructuredDataPresence({ job_html }) {
       } catch {}
     }
     if (!jobJson) {
-      suggestions.push('No JobPosting type found in JSON-LD.');
-      return { score, maxScore: 15, breakdown: {}, suggestions };
+      flag('missing_job_posting', 'high', 'No JobPosting type found in JSON-LD.');
+      return { score, maxScore: 15, breakdown: {}, suggestions, findings };
     }
     const required = ['title', 'datePosted', 'description', 'hiringOrganization', 'jobLocation'];
     const optional = ['employmentType', 'baseSalary', 'validThrough', 'jobLocationType', 'applicantLocationRequirements'];
@@ -142,7 +222,7 @@ function scoreStructuredDataPresence({ job_html }) {
       if (jobJson[k]) {
         foundReq++;
       } else {
-        suggestions.push(`Missing schema property: ${k}`);
+        flag('missing_property', 'medium', `Missing schema property: ${k}`);
       }
     });
     optional.forEach(k => {
@@ -151,11 +231,11 @@ function scoreStructuredDataPresence({ job_html }) {
       }
     });
     score = Math.round((foundReq / required.length) * 12 + Math.min(foundOpt, 3));
-    if (score < 15) suggestions.push('Complete schema.org/JobPosting JSON-LD with required/optional fields.');
-    return { score, maxScore: 15, breakdown: { foundRequired: foundReq, foundOptional: foundOpt }, suggestions };
+    if (score < 15) flag('incomplete', 'low', 'Complete schema.org/JobPosting JSON-LD with required/optional fields.');
+    return { score, maxScore: 15, breakdown: { foundRequired: foundReq, foundOptional: foundOpt }, suggestions, findings };
   } catch {
-    suggestions.push('Invalid or unparsable schema.org/JobPosting JSON-LD.');
-    return { score, maxScore: 15, breakdown: {}, suggestions };
+    flag('invalid_json_ld', 'high', 'Invalid or unparsable schema.org/JobPosting JSON-LD.');
+    return { score, maxScore: 15, breakdown: {}, suggestions, findings };
   }
 }
 
@@ -165,7 +245,9 @@ function scoreRecencyFreshness({ job_html, job_body }) {
   const bodyText = typeof job_body === 'string' ? job_body : '';
   let score = 0;
   const suggestions = [];
+  const findings = [];
   let date = null;
+  let dateSpan = null; // offsets of the date when it was read from the body text
   try {
     const match = htmlText.match(/\"datePosted\"\s*:\s*\"([0-9T:-]+)\"/);
     if (match) date = new Date(match[1]);
@@ -174,104 +256,155 @@ function scoreRecencyFreshness({ job_html, job_body }) {
   } catch {}
   if (!date) {
     const textMatch = bodyText.match(/(\d{4}-\d{2}-\d{2})/);
-    if (textMatch) date = new Date(textMatch[1]);
+    if (textMatch) {
+      date = new Date(textMatch[1]);
+      dateSpan = { start: textMatch.index, end: textMatch.index + textMatch[0].length };
+    }
     const rel = !date && bodyText.match(/(\d+)\s*(day|week|month)s?\s*ago/i);
     if (!date && rel) {
+      dateSpan = { start: rel.index, end: rel.index + rel[0].length };
       const n = parseInt(rel[1], 10);
       const unit = rel[2].toLowerCase();
       const days = unit.startsWith('day') ? n : unit.startsWith('week') ? n * 7 : n * 30;
       date = new Date(Date.now() - days * 864e5);
     }
   }
+  const flag = (rule, severity, message, span = {}) => {
+    suggestions.push(message);
+    findings.push(createFinding({ category: 'recency', rule, severity, message, body: bodyText, ...span }));
+  };
   if (date && !Number.isNaN(date)) {
     const age = (Date.now() - date.getTime()) / 864e5;
     if (age <= 14) score = 10;
     else if (age <= 30) score = 8;
     else if (age <= 60) {
       score = 6;
-      suggestions.push('Older than 30 days.');
+      flag('stale', 'low', 'Older than 30 days.', dateSpan || {});
     } else if (age <= 90) {
       score = 4;
-      suggestions.push('Older than 60 days.');
+      flag('stale', 'medium', 'Older than 60 days.', dateSpan || {});
     } else {
       score = 2;
-      suggestions.push('Older than 90 days.');
+      flag('stale', 'high', 'Older than 90 days.', dateSpan || {});
     }
   } else {
-    suggestions.push('No reliable posting date found. Add datePosted or a visible posted date.');
+    flag('missing_date', 'medium', 'No reliable posting date found. Add datePosted or a visible posted date.');
   }
   if (/(hiring\s*now|immediate|start\s*ASAP)/i.test(bodyText)) score = Math.min(10, score + 1);
-  return { score: Math.min(score, 10), maxScore: 10, breakdown: { date }, suggestions };
+  return { score: Math.min(score, 10), maxScore: 10, breakdown: { date }, suggestions, findings };
 }
 
 // 5. Keyword Targeting (15 pts)
-function scoreKeywordTargeting({ job_title, job_body }) {
+function scoreKeywordTargeting({ job_title, job_body, job_location, language }) {
   let score = 0;
   const suggestions = [];
   const text = (job_title + ' ' + job_body).toLowerCase();
-  const roleRx = /(engineer|developer|designer|manager|analyst|lead|director|scientist)/i;
-  const levelRx = /(senior|junior|lead|principal|entry|mid|staff)/i;
-  const locRx = /(remote|hybrid|onsite|[A-Z][a-z]+,?\s?[A-Z]{2})/;
-  const modalityRx = /(full[-\s]?time|part[-\s]?time|contract|internship|permanent)/i;
-  const skillsList = ['python', 'javascript', 'react', 'sql', 'aws', 'typescript', 'java', 'node', 'cloud', 'ml', 'ai', 'kubernetes', 'docker', 'gcp', 'azure', 'postgres', 'go', 'rust', 'c++'];
-
-  function escapeRegExp(str) {
-    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  }
-
-  const skillsCount = skillsList.reduce((c, s) => {
-    const pattern = `\\b${escapeRegExp(s)}\\b`;
-    return c + (new RegExp(pattern, 'i').test(text) ? 1 : 0);
-  }, 0);
-
-  const role = roleRx.test(text);
-  const level = levelRx.test(text);
-  const location = locRx.test(text);
-  const modality = modalityRx.test(text);
+  // Skills are judged against what the detected occupation needs, so a nurse posting isn't
+  // measured against a list of programming languages
+  const occupation = detectOccupation(job_title, job_body);
+  // Not lowercased: acronym aliases ("AI") only match in capitals
+  const skills = extractSkills(job_title + ' ' + job_body);
+  const skillsCount = skills.length;
+  const coverage = occupation ? scoreSkillCoverage(occupation, skills) : null;
+
+  const role = matchesLexicon(language, 'roles', text) || !!occupation;
+  const level = matchesLexicon(language, 'levels', text);
+  // V2 passes the already-resolved job location; otherwise resolve the posting text itself
+  const hasPlace = place => !!(place && (place.city || place.state || place.country || place.remote || place.hybrid || place.onsite));
+  const location = hasPlace(job_location) || hasPlace(resolveLocation(`${job_title}\n${job_body}`)) || matchesLexicon(language, 'workModes', text);
+  const modality = matchesLexicon(language, 'employmentTypes', text);
+
+  const findings = [];
+  const flag = (rule, severity, message) => {
+    suggestions.push(message);
+    findings.push(createFinding({ category: 'keywordTargeting', rule, severity, message }));
+  };
 
   score += role ? 3 : 0;
-  if (!role) suggestions.push('Add a clear role keyword (e.g., Engineer, Manager).');
+  if (!role) flag('missing_role', 'high', 'Add a clear role keyword (e.g., Engineer, Manager).');
   score += level ? 2 : 0;
-  if (!level) suggestions.push('Specify seniority level (e.g., Senior, Mid).');
+  if (!level) flag('missing_level', 'medium', 'Specify seniority level (e.g., Senior, Mid).');
   score += location ? 3 : 0;
-  if (!location) suggestions.push('Indicate location or modality (e.g., Remote, NYC).');
+  if (!location) flag('missing_location', 'high', 'Indicate location or modality (e.g., Remote, NYC).');
   score += modality ? 2 : 0;
-  if (!modality) suggestions.push('Specify employment type (full-time/contract/etc.).');
-  score += skillsCount >= 6 ? 5 : skillsCount >= 3 ? 4 : skillsCount >= 1 ? 2 : 0;
-  if (skillsCount === 0) suggestions.push('List concrete skills/technologies relevant to the role.');
-  if (/(senior|junior|lead)/i.test(job_title) && roleRx.test(job_title)) score = Math.min(15, score + 1);
+  if (!modality) flag('missing_employment_type', 'medium', 'Specify employment type (full-time/contract/etc.).');
+  if (coverage) {
+    score += coverage.coverage >= 0.6 ? 5 : coverage.coverage >= 0.4 ? 4 : coverage.coverage >= 0.2 ? 2 : skillsCount >= 1 ? 1 : 0;
+  } else {
+    score += skillsCount >= 6 ? 5 : skillsCount >= 3 ? 4 : skillsCount >= 1 ? 2 : 0;
+  }
+  if (skillsCount === 0) flag('missing_skills', 'medium', 'List concrete skills/technologies relevant to the role.');
+  if (coverage && coverage.missing.length && coverage.coverage < 0.6) {
+    const missing = coverage.missing.slice(0, MAX_MISSING_SKILLS).join(', ');
+    flag('missing_expected_skills', coverage.coverage < 0.4 ? 'medium' : 'low', `Mention key skills expected for a ${occupation.title}: ${missing}.`);
+  }
+  const roleInTitle = occupation?.source === 'title' || matchesLexicon(language, 'roles', job_title);
+  if (/(senior|junior|lead)/i.test(job_title) && roleInTitle) score = Math.min(15, score + 1);
 
-  return { score: Math.min(score, 15), maxScore: 15, breakdown: { role, level, location, skillsCount, modality }, suggestions };
+  return {
+    score: Math.min(score, 15),
+    maxScore: 15,
+    breakdown: {
+      role,
+      level,
+      location,
+      skillsCount,
+      modality,
+      occupation,
+      skills: skills.map(skill => skill.label),
+      skillCoverage: coverage
+    },
+    suggestions,
+    findings
+  };
 }
 
 // 6. Compensation Transparency (10 pts)
-function scoreCompensationTransparency({ job_body }) {
+const INTL_AMOUNT = "([0-9]{1,3}(?:[.,' ][0-9]{3})+|[0-9]{2,6})";
+const INTL_RANGE_RX = new RegExp(`(?:[$€£]\\s?)?${INTL_AMOUNT}\\s*(?:[$€£]|k)?\\s*(?:-|–|—|to|bis|à|a|hasta|tot)\\s*(?:[$€£]\\s?)?${INTL_AMOUNT}`, 'i');
+const INTL_SINGLE_RX = new RegExp(`[$€£]\\s?${INTL_AMOUNT}|${INTL_AMOUNT}\\s?(?:€|£|eur\\b)`, 'i');
+
+function scoreCompensationTransparency({ job_body, language }) {
   let score = 0;
   const suggestions = [];
   const text = job_body.toLowerCase();
-  const currency = /\$|usd|eur|gbp|cad|aud/i.test(job_body);
-  const period = /(per\s*(year|yr|annum)|per\s*(hour|hr)|hourly|annual|salary)/i.test(job_body);
-  const range = job_body.match(/\$?\s?([0-9]{2,3}[,\d]*)\s*(?:-|to|–|—)\s*\$?\s?([0-9]{2,3}[,\d]*)/);
-  const single = job_body.match(/\$\s?([0-9]{2,3}[,\d]*)/);
+  // Non-English postings also write "60.000 € bis 80.000 €"
+  const international = languageCode(language) !== DEFAULT_LANGUAGE;
+  const currency = (international ? /\$|€|£|usd|eur|gbp|cad|aud/i : /\$|usd|eur|gbp|cad|aud/i).test(job_body);
+  const period = /(per\s*(year|yr|annum)|per\s*(hour|hr)|hourly|annual|salary)/i.test(job_body)
+    || (international && detectPayPeriod(job_body, language) !== null);
+  const range = job_body.match(international ? INTL_RANGE_RX : /\$?\s?([0-9]{2,3}[,\d]*)\s*(?:-|to|–|—)\s*\$?\s?([0-9]{2,3}[,\d]*)/);
+  const single = job_body.match(international ? INTL_SINGLE_RX : /\$\s?([0-9]{2,3}[,\d]*)/);
+
+  const findings = [];
+  const spanOf = match => (match ? { start: match.index, end: match.index + match[0].length } : {});
+  const flag = (rule, severity, message, span = {}) => {
+    suggestions.push(message);
+    findings.push(createFinding({ category: 'compensation', rule, severity, message, body: job_body, ...span }));
+  };
+  const vague = (languageCode(language) !== DEFAULT_LANGUAGE && lexiconPattern(language, 'vagueCompensation', job_body))
+    || /(competitive|market rate|DOE|negotiable|commensurate)/i;
 
   if (range && period) {
     score = 10;
   } else if (range) {
     score = 8;
-    if (!period) suggestions.push('Specify pay period (per year/hour).');
+    if (!period) flag('missing_pay_period', 'medium', 'Specify pay period (per year/hour).', spanOf(range));
   } else if (single && period) {
     score = 8;
-    suggestions.push('Provide a salary range, not a single figure.');
-  } else if (/(competitive|market rate|DOE|negotiable|commensurate)/i.test(job_body)) {
+    flag('single_figure', 'low', 'Provide a salary range, not a single figure.', spanOf(single));
+  } else if (vague.test(job_body)) {
     score = 5;
-    suggestions.push('Replace vague terms with a specific range and period.');
+    const message = 'Replace vague terms with a specific range and period.';
+    suggestions.push(message);
+    findings.push(findPattern(job_body, vague, { category: 'compensation', rule: 'vague_terms', severity: 'high', message }));
   } else {
     score = 0;
-    suggestions.push('Add compensation details with currency and pay period.');
+    flag('missing', 'high', 'Add compensation details with currency and pay period.');
   }
-  if (!currency) suggestions.push('Include currency symbol or code (e.g., $, USD).');
+  if (!currency) flag('missing_currency', 'medium', 'Include currency symbol or code (e.g., $, USD).', spanOf(range || single));
 
-  return { score, maxScore: 10, breakdown: { hasRange: !!range, hasPeriod: period }, suggestions };
+  return { score, maxScore: 10, breakdown: { hasRange: !!range, hasPeriod: period }, suggestions, findings };
 }
 
 // 7. Page Context & Cleanliness (10 pts)
@@ -282,52 +415,97 @@ function scorePageContextCleanliness({ job_html, job_body }) {
   const htmlLen = job_html ? job_html.length : textLen;
   const ratio = textLen / (htmlLen || 1);
   const ratioScore = ratio >= 0.5 ? 4 : ratio >= 0.35 ? 3 : ratio >= 0.2 ? 2 : 0;
-  if (ratioScore <= 1) suggestions.push('Increase substantive text or reduce page chrome/clutter.');
+  const findings = [];
+  const flag = (rule, severity, message) => {
+    suggestions.push(message);
+    findings.push(createFinding({ category: 'pageContext', rule, severity, message }));
+  };
+  if (ratioScore <= 1) flag('low_text_ratio', 'medium', 'Increase substantive text or reduce page chrome/clutter.');
   const headers = (job_html && job_html.match(/<h[1-6][^>]*>/g) || []).length;
   const lists = (job_html && job_html.match(/<li[^>]*>/g) || []).length;
   const headerScore = headers >= 3 ? 3 : headers === 2 ? 2 : headers === 1 ? 1 : 0;
-  if (headerScore < 2) suggestions.push('Use clear section headers (H2/H3) to structure content.');
+  if (headerScore < 2) flag('missing_headers', 'medium', 'Use clear section headers (H2/H3) to structure content.');
   const listScore = lists >= 6 ? 3 : lists >= 3 ? 2 : lists >= 1 ? 1 : 0;
-  if (listScore < 2) suggestions.push('Use bullet points for responsibilities and requirements.');
+  if (listScore < 2) flag('missing_lists', 'low', 'Use bullet points for responsibilities and requirements.');
   score = Math.min(10, ratioScore + headerScore + listScore);
 
-  return { score, maxScore: 10, breakdown: { ratio, headers, lists, ratioScore, headerScore, listScore }, suggestions };
+  return { score, maxScore: 10, breakdown: { ratio, headers, lists, ratioScore, headerScore, listScore }, suggestions, findings };
 }
 
-async function scoreJob7Category(jobData) {
+// Native maxScore of each V1 scorer; profiles without explicit weights keep these.
+const V1_CATEGORY_WEIGHTS = {
+  clarity: 20,
+  promptAlignment: 20,
+  structuredData: 15,
+  recency: 10,
+  keywordTargeting: 15,
+  compensation: 10,
+  pageContext: 10
+};
+
+function applyWeight(result, weight) {
+  if (result.maxScore === weight) return result;
+  const scaled = Math.round((result.score / (result.maxScore || 1)) * weight);
+  return { ...result, score: Math.min(weight, Math.max(0, scaled)), maxScore: weight };
+}
+
+/**
+ * Run the standard (V1) 7-category pipeline.
+ * @param {Object} jobData - { job_title, job_body, job_html }
+ * @param {Object} [options]
+ * @param {Function} [options.onCategory] - Called with (categoryKey, result) as each category finishes.
+ * @param {Object} [options.profile] - Rubric profile (services/rubricProfiles); defaults to the native weights.
+ * @param {string} [options.language] - Posting language code; detected from job_body when omitted.
+ */
+async function scoreJob7Category(rawJobData, { onCategory, profile = getRubricProfile(DEFAULT_PROFILE_ID), language: requestedLanguage = null } = {}) {
+  const language = resolveLanguage(rawJobData.job_body, requestedLanguage);
+  const jobData = { ...rawJobData, language };
   const { job_title, job_body, job_html } = jobData;
+  const weights = resolveCategoryWeights(profile, V1_CATEGORY_WEIGHTS, Object.keys(V1_CATEGORY_WEIGHTS));
+  const enabled = key => weights[key] !== undefined;
 
+  const notify = (key, result) => {
+    const weighted = ensureFindings(key, applyWeight(result, weights[key]));
+    if (typeof onCategory === 'function') {
+      try {
+        onCategory(key, weighted);
+      } catch (error) {
+        console.warn('[Scoring] onCategory listener failed:', error.message);
+      }
+    }
+    return weighted;
+  };
+  const run = (key, scorer) => (enabled(key) ? scorer(jobData) : null);
+
+  let timeoutId;
   const [clarity, promptAlignment] = await Promise.race([
     Promise.all([
-      scoreClarityReadability(jobData),
-      scorePromptAlignment(jobData)
+      enabled('clarity') ? scoreClarityReadability(jobData).then(r => notify('clarity', r)) : null,
+      enabled('promptAlignment') ? scorePromptAlignment(jobData).then(r => notify('promptAlignment', r)) : null
     ]),
-    new Promise((_, reject) => setTimeout(() => reject(new Error('LLM analysis timeout after 120 seconds')), 120000))
-  ]);
-
-  const structuredData = scoreStructuredDataPresence(jobData);
-  const recency = scoreRecencyFreshness(jobData);
-  const keywordTargeting = scoreKeywordTargeting(jobData);
-  const compensation = scoreCompensationTransparency(jobData);
-  const pageContext = scorePageContextCleanliness(jobData);
-
-  const total_score =
-    clarity.score + promptAlignment.score + structuredData.score +
-    recency.score + keywordTargeting.score + compensation.score + pageContext.score;
-
-  const categories = {
-    clarity,
-    promptAlignment,
-    structuredData,
-    recency,
-    keywordTargeting,
-    compensation,
-    pageContext
+    new Promise((_, reject) => {
+      timeoutId = setTimeout(() => reject(new Error('LLM analysis timeout after 120 seconds')), 120000);
+    })
+  ]).finally(() => clearTimeout(timeoutId));
+
+  const deterministic = {
+    structuredData: run('structuredData', scoreStructuredDataPresence),
+    recency: run('recency', scoreRecencyFreshness),
+    keywordTargeting: run('keywordTargeting', scoreKeywordTargeting),
+    compensation: run('compensation', scoreCompensationTransparency),
+    pageContext: run('pageContext', scorePageContextCleanliness)
   };
 
-  const red_flags = Object.entries(categories)
-    .filter(([_, v]) => v.score < v.maxScore * 0.5)
-    .map(([k]) => k);
+  // Disabled categories are left out entirely rather than reported as zero
+  const categories = Object.fromEntries(
+    Object.entries({ clarity, promptAlignment, ...deterministic })
+      .filter(([key]) => enabled(key))
+      .map(([key, result]) => [key, key === 'clarity' || key === 'promptAlignment' ? result : notify(key, result)])
+  );
+
+  const total_score = Object.values(categories).reduce((sum, cat) => sum + cat.score, 0);
+
+  const red_flags = findRedFlags(categories, profile);
 
   const recommendations = Object.values(categories)
     .flatMap(c => Array.isArray(c.suggestions) ? c.suggestions : [])
@@ -338,20 +516,32 @@ async function scoreJob7Category(jobData) {
   }
 
   const feedback = `This job posting scored ${total_score}/100. Key areas for improvement: ${recommendations.length ? recommendations.join('; ') : 'none'}.`;
+  const degradedCategories = Object.fromEntries(
+    Object.entries(categories)
+      .filter(([, category]) => category.degraded)
+      .map(([key, category]) => [key, category.degradedReason])
+  );
+  const degraded = Object.keys(degradedCategories).length > 0;
 
   return {
     total_score,
     categories,
     red_flags,
     recommendations,
+    annotations: collectAnnotations(categories),
     feedback,
     job_title,
     job_body,
-    job_html
+    job_html,
+    language,
+    degraded,
+    ...(degraded ? { degradedCategories } : {}),
+    rubric_profile: describeProfile(profile, weights)
   };
 }
 
 module.exports = {
+  V1_CATEGORY_WEIGHTS,
   scoreJob7Category,
   scoreClarityReadability,
   scorePromptAlignment,
@@ -1,7 +1,41 @@
 const crypto = require('crypto');
-const { callLLM } = require('../utils/llmHelpers');
+const fs = require('fs');
+const path = require('path');
+const { callLLM, describeLLMRouting } = require('../utils/llmHelpers');
 const { runLLMJsonPrompt } = require('../utils/llmPromptHelper');
+const { trackPrompts, promptSelectionKey } = require('./promptRegistry');
 const { scoreKeywordTargeting } = require('./scoringService');
+const { createScoringCache } = require('./scoringCache');
+const { scoreInclusivity } = require('./inclusivityScoring');
+const { getRuleset, findJurisdictionIds, evaluatePayTransparency } = require('./payTransparency');
+const { normalizeCompensation } = require('./compensationNormalization');
+const { resolveLocation, resolveCountryCode } = require('./locationResolver');
+const {
+  DEFAULT_LANGUAGE,
+  getLocale,
+  resolveLanguage,
+  languageCode,
+  lexiconPattern,
+  matchesLexicon,
+  detectPayPeriod,
+  readingEase
+} = require('./languageSupport');
+const { resolveScoringMode, assessClarity, assessAlignment } = require('./deterministicScoring');
+const {
+  createFinding,
+  findLongSentences,
+  findPattern,
+  findingsFromLLMSections,
+  ensureFindings,
+  collectAnnotations
+} = require('./annotations');
+const {
+  DEFAULT_PROFILE_ID,
+  getRubricProfile,
+  resolveCategoryWeights,
+  findRedFlags,
+  describeProfile
+} = require('./rubricProfiles');
 
 const {
   scoreStructuredDataPresence,
@@ -9,43 +43,79 @@ const {
   scorePageContextCleanliness
 } = require('./scoringServiceEnhanced');
 
-// Simple in-memory cache for scoring results (LRU with max 100 entries)
-const scoringCache = new Map();
-const MAX_CACHE_SIZE = 100;
-const CACHE_TTL = 1000 * 60 * 30; // 30 minutes
+// Scoring results cache; the store is picked by SCORING_CACHE_BACKEND (see services/scoringCache.js).
+// Keys carry a pipeline version fingerprinted from the category weights, the scoring/prompt sources
+// and the LLM model, plus the prompt template versions in use, so changing any of them invalidates
+// earlier results automatically.
+const PIPELINE_REVISION = 2; // bump for behaviour changes the fingerprint can't see
+const FINGERPRINTED_SOURCES = [
+  __filename,
+  path.join(__dirname, 'scoringServiceEnhanced.js'),
+  path.join(__dirname, 'scoringService.js'),
+  path.join(__dirname, 'inclusivityScoring.js'),
+  path.join(__dirname, 'payTransparency.js'),
+  path.join(__dirname, 'compensationNormalization.js'),
+  path.join(__dirname, 'locationResolver.js'),
+  path.join(__dirname, 'languageSupport.js'),
+  path.join(__dirname, 'skillsTaxonomy.js'),
+  path.join(__dirname, 'deterministicScoring.js'),
+  path.join(__dirname, 'data', 'skillsTaxonomy.json'),
+  path.join(__dirname, '..', 'utils', 'llmPromptHelper.js')
+];
 
-function getCacheKey(jobData) {
-  const content = JSON.stringify({
-    body: jobData.job_body,
-    html: jobData.job_html,
-    title: jobData.job_title
-  });
-  return crypto.createHash('sha256').update(content).digest('hex');
+// Prompt templates (services/promptTemplates.js) the V2 pipeline can render
+const V2_PROMPT_TEMPLATES = [
+  'v2.clarity',
+  'v2.prompt_alignment',
+  'v2.location',
+  'v2.compensation',
+  'enhanced.structured_info',
+  'enhanced.recency_signals',
+  'enhanced.content_quality',
+  'inclusivity.review'
+];
+let scoringCache = null;
+
+function getPipelineVersion() {
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify(V2_CATEGORY_WEIGHTS));
+  hash.update(describeLLMRouting());
+  for (const file of FINGERPRINTED_SOURCES) {
+    try {
+      hash.update(fs.readFileSync(file));
+    } catch {
+      hash.update(file);
+    }
+  }
+  return `v2.${PIPELINE_REVISION}-${hash.digest('hex').slice(0, 12)}`;
 }
 
-function getFromCache(key) {
-  const cached = scoringCache.get(key);
-  if (!cached) return null;
-  if (Date.now() - cached.timestamp > CACHE_TTL) {
-    scoringCache.delete(key);
-    return null;
+function getScoringCache() {
+  if (!scoringCache) {
+    scoringCache = createScoringCache({ pipelineVersion: getPipelineVersion() });
   }
-  return cached.data;
+  return scoringCache;
 }
 
-function setCache(key, data) {
-  // Simple LRU: if cache is full, remove oldest entry
-  if (scoringCache.size >= MAX_CACHE_SIZE) {
-    const firstKey = scoringCache.keys().next().value;
-    scoringCache.delete(firstKey);
-  }
-  scoringCache.set(key, { data, timestamp: Date.now() });
+function getCacheKey(jobData, profile, language = null, mode = 'llm') {
+  return getScoringCache().key({
+    body: jobData.job_body,
+    html: jobData.job_html,
+    title: jobData.job_title,
+    location: jobData.structured?.location || null,
+    language,
+    mode,
+    // The full definition, not just the id, so editing a profile invalidates its results
+    profile,
+    // Text of the prompt versions this context would use (experiments split the cache)
+    prompts: mode === 'deterministic' ? null : promptSelectionKey(V2_PROMPT_TEMPLATES)
+  });
 }
 
+function getScoringCacheStats() {
+  return getScoringCache().stats();
+}
 
-const US_STATE_ABBR = new Set([
-  'AL','AK','AZ','AR','CA','CO','CT','DE','FL','GA','HI','ID','IL','IN','IA','KS','KY','LA','ME','MD','MA','MI','MN','MS','MO','MT','NE','NV','NH','NJ','NM','NY','NC','ND','OH','OK','OR','PA','RI','SC','SD','TN','TX','UT','VT','VA','WA','WV','WI','WY','DC'
-]);
 
 const CURRENCY_SYMBOLS = {
   '$': 'USD',
@@ -61,15 +131,24 @@ const CURRENCY_SYMBOLS = {
   'A$': 'AUD'
 };
 
-const PERIOD_KEYWORDS = [
-  { regex: /(per\s*(year|yr|annum)|annual(?:ly)?|yearly)/i, value: 'year' },
-  { regex: /(per\s*(month|mo)|monthly)/i, value: 'month' },
-  { regex: /(per\s*(week|wk)|weekly)/i, value: 'week' },
-  { regex: /(per\s*(day)|daily)/i, value: 'day' },
-  { regex: /(per\s*(hour|hr)|hourly)/i, value: 'hour' }
-];
-
-const VAGUE_COMP_TERMS = /(competitive|commensurate|market rate|depends on experience|DOE|negotiable)/i;
+const CURRENCY_PATTERN = '\\$|US\\$|USD|£|GBP|€|EUR|C\\$|CAD|A\\$|AUD';
+
+// English postings keep the original patterns. Other locales also accept dot/space thousands
+// separators ("60.000", "45 000"), decimal commas, a currency after the amount and local range
+// words ("bis", "à", "hasta", "tot").
+const COMPENSATION_PATTERNS = {
+  en: {
+    range: /(?<currency>\$|US\$|USD|£|GBP|€|EUR|C\$|CAD|A\$|AUD)?\s*(?<min>\d{2,3}[\d,]*(?:\.\d{1,2})?)\s*(?:k|K)?\s*(?:-|to|–|—|through)\s*(?<currency2>\$|US\$|USD|£|GBP|€|EUR|C\$|CAD|A\$|AUD)?\s*(?<max>\d{2,3}[\d,]*(?:\.\d{1,2})?)\s*(?:k|K)?/i,
+    single: /(?<currency>\$|US\$|USD|£|GBP|€|EUR|C\$|CAD|A\$|AUD)\s*(?<amount>\d{2,3}[\d,]*(?:\.\d{1,2})?)\s*(?:k|K)?/i
+  },
+  intl: (() => {
+    const number = '\\d{1,3}(?:[.\\u00a0\\u202f ]\\d{3})+(?:,\\d{1,2})?|\\d{2,3}[\\d,]*(?:\\.\\d{1,2})?';
+    return {
+      range: new RegExp(`(?<currency>${CURRENCY_PATTERN})?\\s*(?<min>${number})\\s*(?:k|K)?\\s*(?<currencyMid>${CURRENCY_PATTERN})?\\s*(?:-|–|—|to|bis|à|a|y|hasta|tot)\\s*(?<currency2>${CURRENCY_PATTERN})?\\s*(?<max>${number})\\s*(?:k|K)?`, 'i'),
+      single: new RegExp(`(?<currency>${CURRENCY_PATTERN})\\s*(?<amount>${number})\\s*(?:k|K)?|(?<amountBefore>${number})\\s*(?:k|K)?\\s*(?<currencyAfter>${CURRENCY_PATTERN})`, 'i')
+    };
+  })()
+};
 
 const LOCATION_KEYWORDS = /(location|work location|job location|based in|onsite|on-site|remote|hybrid|headquarters|office)/i;
 
@@ -77,15 +156,6 @@ function normalizeWhitespace(value = '') {
   return value.replace(/\s+/g, ' ').trim();
 }
 
-function extractCityState(line) {
-  const match = line.match(/([A-Za-z .'-]+),\s*([A-Z]{2})(?:\s*,?\s*(USA|United States))?/);
-  if (!match) return null;
-  const city = normalizeWhitespace(match[1]);
-  const state = match[2].toUpperCase();
-  if (!US_STATE_ABBR.has(state)) return null;
-  return { city, state, country: 'United States' };
-}
-
 function detectCurrency(text) {
   for (const [symbol, code] of Object.entries(CURRENCY_SYMBOLS)) {
     if (text.includes(symbol)) return code;
@@ -95,6 +165,10 @@ function detectCurrency(text) {
 
 function parseAmount(value, hasKSuffix = false) {
   if (!value) return null;
+  // European grouping: "60.000" / "45 000" / "1.250,50"
+  if (/^\d{1,3}(?:[.\u00a0\u202f ]\d{3})+(?:,\d{1,2})?$/.test(value)) {
+    value = value.replace(/[.\u00a0\u202f ]/g, '').replace(',', '.');
+  }
   const numeric = value.replace(/[^0-9.]/g, '');
   if (!numeric) return null;
   let parsed = parseFloat(numeric.replace(/,/g, ''));
@@ -107,48 +181,40 @@ function parseAmount(value, hasKSuffix = false) {
   return Number.isFinite(parsed) ? parsed : null;
 }
 
-function detectPeriod(text) {
-  if (!text) return null;
-  for (const entry of PERIOD_KEYWORDS) {
-    if (entry.regex.test(text)) {
-      return entry.value;
-    }
-  }
-  return null;
-}
-
-const PAY_TRANSPARENCY_JURISDICTIONS = {
-  // States
-  CA: 'California',
-  CO: 'Colorado',
-  HI: 'Hawaii',
-  IL: 'Illinois',
-  MD: 'Maryland',
-  NY: 'New York',
-  WA: 'Washington',
-  // Cities
-  Cincinnati: 'OH',
-  'Jersey City': 'NJ',
-  'New York City': 'NY'
-};
+// Jurisdiction id -> name for every rule in the current pay transparency rule set
+const PAY_TRANSPARENCY_JURISDICTIONS = Object.fromEntries(
+  getRuleset().rules.map(rule => [rule.id, rule.name])
+);
 
 function computeJurisdictions(location) {
   if (!location) return [];
-  const matches = new Set();
-  if (location.state && PAY_TRANSPARENCY_JURISDICTIONS[location.state]) {
-    matches.add(location.state);
-  }
-  if (location.city) {
-    const key = Object.keys(PAY_TRANSPARENCY_JURISDICTIONS).find(k => k.toLowerCase() === location.city.toLowerCase());
-    if (key) matches.add(key);
-  }
+  const matches = new Set(findJurisdictionIds(location));
   if (location.jurisdictionMatches) {
     for (const item of location.jurisdictionMatches) matches.add(item);
   }
   return [...matches];
 }
 
-async function scoreClarityReadability({ job_title, job_body }) {
+/**
+ * Rated sections for an LLM-judged category: the LLM's answer, or the deterministic assessment
+ * when scoring without the LLM or when its output could not be used (reported as degraded).
+ * @returns {Promise<{sections: Object, source: 'llm'|'rule', degradedReason?: string}>}
+ */
+async function rateSections(deterministic, assess, prompt) {
+  if (deterministic) return { sections: assess(), source: 'rule' };
+  const { data, degraded, reason } = await runLLMJsonPrompt(prompt);
+  if (!degraded) return { sections: data, source: 'llm' };
+  console.warn(`[ScoringV2] ${prompt.userTag} fell back to heuristics: ${reason}`);
+  return { sections: assess(), source: 'rule', degradedReason: reason };
+}
+
+function degradation({ degradedReason }) {
+  return degradedReason ? { degraded: true, degradedReason } : {};
+}
+
+async function scoreClarityReadability({ job_title, job_body, language, scoringMode }) {
+  const deterministic = scoringMode === 'deterministic';
+  const locale = getLocale(languageCode(language));
   const sentences = job_body.match(/[^.!?]+[.!?]+/g) || [];
   const words = job_body.split(/\s+/).filter(w => /\w/.test(w));
   const avgLen = sentences.length ? (words.length / sentences.length) : words.length;
@@ -157,11 +223,14 @@ async function scoreClarityReadability({ job_title, job_body }) {
   const ttr = words.length ? unique / words.length : 0;
 
   const sentenceLenScore = avgLen <= 16 ? 10 : avgLen <= 20 ? 8 : avgLen <= 24 ? 6 : avgLen <= 28 ? 4 : 2;
-  const wordLenScore = avgWordLen <= 4.7 ? 10 : avgWordLen <= 5.2 ? 8 : avgWordLen <= 5.7 ? 6 : avgWordLen <= 6.2 ? 4 : 2;
+  // Word-length bands are shifted for languages with naturally longer words (German compounds)
+  const wordLen = avgWordLen - locale.wordLengthOffset;
+  const wordLenScore = wordLen <= 4.7 ? 10 : wordLen <= 5.2 ? 8 : wordLen <= 5.7 ? 6 : wordLen <= 6.2 ? 4 : 2;
   const ttrScore = Math.max(0, Math.min(10, 10 - Math.abs((ttr || 0) - 0.5) * 20));
+  const ease = readingEase(job_body, language);
 
-  const stop = new Set(['the','a','an','and','or','for','with','to','of','in','on','at','by','from','as','is','are','be','we']);
-  const titleTokens = (job_title || '').toLowerCase().split(/[^a-z0-9]+/).filter(t => t && !stop.has(t));
+  const stop = new Set(locale.stopwords);
+  const titleTokens = (job_title || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(t => t && !stop.has(t));
   const first200 = words.slice(0, 200).map(w => w.toLowerCase());
   const titleCovered = titleTokens.length ? titleTokens.filter(t => first200.includes(t)).length / titleTokens.length : 0;
   const titleOverlapScore = Math.round(Math.max(0, Math.min(10, titleCovered * 10)));
@@ -170,15 +239,18 @@ async function scoreClarityReadability({ job_title, job_body }) {
     .filter(Number.isFinite)
     .reduce((a, b) => a + b, 0) / 4 || 0;
 
-  const llm = await runLLMJsonPrompt({
-    task: 'title clarity, buzzwords/fluff, and readability',
+  const rated = await rateSections(deterministic, () => assessClarity({ job_title, job_body, language }), {
+    template: 'v2.clarity',
     schema: { title: {}, fluff: {}, readability: {} },
     job_title,
     job_body,
     userTag: 'services/scoringServiceV2/clarity',
-    maxOutputTokens: 80,
-    seed: 1234
-  }) || {};
+    maxOutputTokens: 200,
+    seed: 1234,
+    excerpts: true,
+    language
+  });
+  const llm = rated.sections;
 
   const safeScore = section => (section && Number.isFinite(section.score)) ? section.score : 0;
   const titleScore = safeScore(llm.title);
@@ -191,41 +263,65 @@ async function scoreClarityReadability({ job_title, job_body }) {
 
   const suggestions = [llm.title?.suggestion, llm.fluff?.suggestion, llm.readability?.suggestion]
     .filter(Boolean);
-  if (avgLen > 28) suggestions.push('Shorten sentences to improve readability (target < 20 words avg).');
-  if (titleCovered < 0.5 && titleTokens.length) suggestions.push('Include key title terms in the opening paragraph.');
-  if (ttr < 0.3) suggestions.push('Reduce repetition; vary wording.');
-  if (ttr > 0.7) suggestions.push('Avoid excessive jargon; simplify language.');
+  const findings = [
+    ...findingsFromLLMSections('clarity', { title: llm.title, fluff: llm.fluff, readability: llm.readability }, job_body, 10, rated.source),
+    ...findLongSentences(job_body)
+  ];
+  const flag = (rule, severity, message) => {
+    suggestions.push(message);
+    findings.push(createFinding({ category: 'clarity', rule, severity, message }));
+  };
+  if (avgLen > 28) flag('avg_sentence_length', 'medium', 'Shorten sentences to improve readability (target < 20 words avg).');
+  if (titleCovered < 0.5 && titleTokens.length) flag('title_terms_missing', 'low', 'Include key title terms in the opening paragraph.');
+  if (ttr < 0.3) flag('repetition', 'low', 'Reduce repetition; vary wording.');
+  if (ttr > 0.7) flag('jargon', 'low', 'Avoid excessive jargon; simplify language.');
 
   return {
     score: Math.min(total, 20),
     maxScore: 20,
-    breakdown: { title: titleScore, fluff: fluffScore, readability: readabilityScore, sentenceLenScore, wordLenScore, ttrScore, titleOverlapScore },
-    suggestions
+    breakdown: {
+      title: titleScore,
+      fluff: fluffScore,
+      readability: readabilityScore,
+      sentenceLenScore,
+      wordLenScore,
+      ttrScore,
+      titleOverlapScore,
+      readingEase: { formula: ease.formula, score: Math.round(ease.score) }
+    },
+    suggestions,
+    findings,
+    ...degradation(rated)
   };
 }
 
-async function scorePromptAlignment({ job_title, job_body }) {
-  const llm = await runLLMJsonPrompt({
-    task: 'query_match, grouping, and structure for alignment and scannability',
+async function scorePromptAlignment({ job_title, job_body, job_location, language, scoringMode }) {
+  const deterministic = scoringMode === 'deterministic';
+  const rated = await rateSections(deterministic, () => assessAlignment({ job_title, job_body, job_location, language }), {
+    template: 'v2.prompt_alignment',
     schema: { query_match: {}, grouping: {}, structure: {} },
     job_title,
     job_body,
     userTag: 'services/scoringServiceV2/prompt_alignment',
-    maxOutputTokens: 80,
-    seed: 1234
-  }) || {};
+    maxOutputTokens: 200,
+    seed: 1234,
+    excerpts: true,
+    language
+  });
+  const llm = rated.sections;
 
   const safeScore = section => (section && Number.isFinite(section.score)) ? section.score : 0;
   const queryScore = safeScore(llm.query_match);
   const groupingScore = safeScore(llm.grouping);
   const structureScore = safeScore(llm.structure);
 
-  const hasSections = /(Responsibilities|Requirements|Qualifications|Benefits|Compensation)/i.test(job_body);
+  const hasSections = matchesLexicon(language, 'headings', job_body);
   const bodyWords = job_body.split(/\s+/).filter(Boolean);
   const first100 = bodyWords.slice(0, 100).join(' ').toLowerCase();
-  const roleInTitle = /(engineer|developer|designer|manager|analyst|lead|director|scientist)/i.test(job_title);
-  const locationInTitle = /(remote|hybrid|onsite|[A-Z][a-z]+,?\s?[A-Z]{2})/.test(job_title);
-  const earlyPresence = /(remote|hybrid|onsite|responsibilit|requirement|qualification)/i.test(first100);
+  const roleInTitle = matchesLexicon(language, 'roles', job_title);
+  const locationInTitle = /(remote|hybrid|onsite|[A-Z][a-z]+,?\s?[A-Z]{2})/.test(job_title) || matchesLexicon(language, 'workModes', job_title);
+  const earlyPresence = /(remote|hybrid|onsite|responsibilit|requirement|qualification)/i.test(first100)
+    || matchesLexicon(language, 'workModes', first100) || matchesLexicon(language, 'headings', first100);
   let detBonus = 0;
   if (hasSections) detBonus += 1;
   if (roleInTitle && locationInTitle) detBonus += 1;
@@ -237,36 +333,57 @@ async function scorePromptAlignment({ job_title, job_body }) {
   const total = Math.round(adjusted * 2);
 
   const suggestions = [llm.query_match?.suggestion, llm.grouping?.suggestion, llm.structure?.suggestion].filter(Boolean);
-  if (!hasSections) suggestions.push('Add clear sections (Responsibilities, Requirements, Benefits).');
-  if (!(roleInTitle && locationInTitle)) suggestions.push('Include role, level, and location in the title.');
+  const findings = findingsFromLLMSections('promptAlignment', { query_match: llm.query_match, grouping: llm.grouping, structure: llm.structure }, job_body, 10, rated.source);
+  const flag = (rule, severity, message) => {
+    suggestions.push(message);
+    findings.push(createFinding({ category: 'promptAlignment', rule, severity, message }));
+  };
+  if (!hasSections) flag('missing_sections', 'high', 'Add clear sections (Responsibilities, Requirements, Benefits).');
+  if (!(roleInTitle && locationInTitle)) flag('title_incomplete', 'medium', 'Include role, level, and location in the title.');
 
   return {
     score: Math.min(total, 20),
     maxScore: 20,
     breakdown: { queryMatch: queryScore, grouping: groupingScore, structure: structureScore, detBonus },
-    suggestions
+    suggestions,
+    findings,
+    ...degradation(rated)
   };
 }
 
-async function llmExtractLocation(job_body) {
+// Field schemas for the LLM extraction prompts (utils/structuredOutput)
+const OPTIONAL_TEXT = { type: ['string', 'null'] };
+const OPTIONAL_FLAG = { type: ['boolean', 'null'] };
+
+/**
+ * LLM fallback for the posting location.
+ * @returns {Promise<{location: Object|null, degradedReason?: string}>} location is null when the
+ *   LLM found none; degradedReason is set when its answer could not be used.
+ */
+async function llmExtractLocation(job_body, language = null) {
   try {
-    const raw = await runLLMJsonPrompt({
-      task: 'job location summary with city, state, country, remote, hybrid flags',
+    const { data: raw, degraded, reason } = await runLLMJsonPrompt({
+      template: 'v2.location',
       schema: {
-        summary: {},
-        city: {},
-        state: {},
-        country: {},
-        remote: {},
-        hybrid: {}
+        summary: OPTIONAL_TEXT,
+        city: OPTIONAL_TEXT,
+        state: OPTIONAL_TEXT,
+        country: OPTIONAL_TEXT,
+        remote: OPTIONAL_FLAG,
+        hybrid: OPTIONAL_FLAG
       },
       job_title: '',
       job_body,
       userTag: 'services/scoringServiceV2/location',
       maxOutputTokens: 60,
-      seed: 4321
+      seed: 4321,
+      language,
+      reply: false
     });
-    if (!raw || typeof raw !== 'object') return null;
+    if (degraded) {
+      console.warn('[ScoringV2] LLM location extraction unavailable:', reason);
+      return { location: null, degradedReason: reason };
+    }
 
     const normalizeText = value => {
       if (value === null || value === undefined) return null;
@@ -316,26 +433,29 @@ async function llmExtractLocation(job_body) {
     if (result.state) result.state = result.state.toUpperCase();
 
     const hasData = result.summary || result.city || result.state || result.country || result.remote || result.hybrid;
-    return hasData ? result : null;
+    return { location: hasData ? result : null };
   } catch (error) {
     console.warn('[ScoringV2] LLM location extraction failed:', error.message);
-    return null;
+    return { location: null, degradedReason: error.message };
   }
 }
 
 function calculateLocationConfidence(location, candidate) {
   let confidence = 0;
   
-  // City + State match is strong signal
-  if (location.city && location.state) confidence += 0.4;
-  // State abbreviation alone
-  else if (location.state) confidence += 0.2;
+  // City with its state/province or country is a strong signal
+  if (location.city && (location.state || location.country)) confidence += 0.4;
+  // State/province or city alone
+  else if (location.state || location.city) confidence += 0.2;
   
   // Modality flags
   if (location.remote || location.hybrid || location.onsite) confidence += 0.2;
   
   // Country detected
   if (location.country) confidence += 0.1;
+
+  // Remote policy restricted to a country, region or timezone
+  if (location.remotePolicy && location.remotePolicy.scope) confidence += 0.2;
   
   // Has candidate line
   if (candidate) confidence += 0.1;
@@ -346,17 +466,41 @@ function calculateLocationConfidence(location, candidate) {
   return Math.min(1.0, confidence);
 }
 
-async function extractJobLocation(job_body = '') {
+/**
+ * Find the posting's location line and resolve it with the offline gazetteer (services/locationResolver).
+ * @param {string} job_body
+ * @param {string} [hint] - Location reported by the ATS (structured.location); preferred when present.
+ * @param {Object|string} [language] - Posting language, passed to the LLM fallback.
+ * @param {Object} [options]
+ * @param {boolean} [options.useLLM=true] - Allow the LLM fallback (off in deterministic mode).
+ * @returns {Promise<Object>} The location; `degradedReason` is set when the LLM fallback failed and
+ *   the deterministic result was kept.
+ */
+async function extractJobLocation(job_body = '', hint = null, language = null, { useLLM = true } = {}) {
   const lines = job_body.split(/\r?\n/).map(line => normalizeWhitespace(line)).filter(Boolean);
-  let candidate = null;
-  for (const line of lines) {
-    if (LOCATION_KEYWORDS.test(line) || line.match(/\b(Remote|Hybrid|On[-\s]?site)\b/i)) {
-      candidate = line;
-      break;
+  const names = resolved => resolved && (resolved.city || resolved.state || resolved.country);
+  let candidate = typeof hint === 'string' && hint.trim() ? normalizeWhitespace(hint) : null;
+  let resolved = candidate ? resolveLocation(candidate) : null;
+  if (!candidate) {
+    // First location-ish line that names a place, else the first location-ish line at all
+    const keywordLines = lines.filter(line => LOCATION_KEYWORDS.test(line) || /\b(Remote|Hybrid|On[-\s]?site)\b/i.test(line)
+      || matchesLexicon(language, 'locationLabels', line) || matchesLexicon(language, 'workModes', line));
+    for (const line of keywordLines) {
+      const lineLocation = resolveLocation(line);
+      if (names(lineLocation)) {
+        candidate = line;
+        resolved = lineLocation;
+        break;
+      }
+    }
+    if (!candidate && keywordLines.length) {
+      candidate = keywordLines[0];
+      resolved = resolveLocation(candidate);
     }
   }
   if (!candidate) {
-    candidate = lines.find(line => extractCityState(line));
+    candidate = lines.find(line => (resolveLocation(line)?.confidence || 0) >= 0.8) || null;
+    resolved = candidate ? resolveLocation(candidate) : null;
   }
 
   let location = {
@@ -364,35 +508,19 @@ async function extractJobLocation(job_body = '') {
     raw: candidate || null,
     city: null,
     state: null,
+    region: null,
     country: null,
+    countryCode: null,
     remote: false,
     hybrid: false,
+    remotePolicy: null,
     source: 'deterministic',
     confidence: 0
   };
 
-  if (candidate) {
-    const cityState = extractCityState(candidate);
-    if (cityState) {
-      location = { ...location, ...cityState };
-    }
-    if (/\bremote\b/i.test(candidate)) {
-      location.remote = true;
-    }
-    if (/\bhybrid\b/i.test(candidate)) {
-      location.hybrid = true;
-    }
-    if (/\b(on[-\s]?site|onsite)\b/i.test(candidate)) {
-      location.onsite = true;
-    }
-    const stateMatch = candidate.match(/\b([A-Z]{2})\b/);
-    if (!location.state && stateMatch && US_STATE_ABBR.has(stateMatch[1])) {
-      location.state = stateMatch[1];
-      location.country = location.country || 'United States';
-    }
-    if (!location.country && /United States|USA|U\.S\.|U\.S\.A\./i.test(candidate)) {
-      location.country = 'United States';
-    }
+  if (resolved) {
+    const { matchedText, confidence, ...fields } = resolved;
+    location = { ...location, ...fields };
   }
 
   // Calculate preliminary jurisdictions for confidence scoring
@@ -403,9 +531,10 @@ async function extractJobLocation(job_body = '') {
   location.confidence = calculateLocationConfidence(location, candidate);
   
   // Only call LLM if confidence is below threshold (0.5)
-  if (location.confidence < 0.5 && !location.summary) {
+  if (location.confidence < 0.5 && !location.summary && useLLM) {
     console.log('[ScoringV2] Location confidence low, invoking LLM fallback');
-    const llmResult = await llmExtractLocation(job_body);
+    const { location: llmResult, degradedReason } = await llmExtractLocation(job_body, language);
+    if (degradedReason) location.degradedReason = degradedReason;
     if (llmResult && llmResult.summary) {
       location = {
         summary: llmResult.summary,
@@ -413,6 +542,7 @@ async function extractJobLocation(job_body = '') {
         city: llmResult.city || null,
         state: llmResult.state ? llmResult.state.toUpperCase() : null,
         country: llmResult.country || null,
+        countryCode: resolveCountryCode(llmResult.country),
         remote: !!llmResult.remote,
         hybrid: !!llmResult.hybrid,
         source: 'llm',
@@ -429,7 +559,7 @@ async function extractJobLocation(job_body = '') {
   return location;
 }
 
-function findCompensationLine(job_body) {
+function findCompensationLine(job_body, language = null) {
   const rawLines = job_body.split(/\r?\n/);
   const currencyPattern = /(\$|US\$|USD|£|GBP|€|EUR|C\$|CAD|A\$|AUD)\s*\d/;
   const rangePattern = /\d[\d,]*(?:\.\d{1,2})?\s*(?:k|K)?\s*(?:-|to|–|—)\s*\d/;
@@ -439,7 +569,7 @@ function findCompensationLine(job_body) {
     const line = normalizeWhitespace(rawLines[i] || '');
     if (!line) continue;
 
-    const hasKeyword = /compensation|salary|pay|base pay|base salary/i.test(line);
+    const hasKeyword = matchesLexicon(language, 'compensation', line);
     const hasCurrency = currencyPattern.test(line);
     const hasRange = rangePattern.test(line);
 
@@ -468,29 +598,40 @@ function findCompensationLine(job_body) {
   return null;
 }
 
-async function llmExtractCompensation(job_body) {
+/**
+ * LLM fallback for the salary.
+ * @returns {Promise<{data: Object|null, degradedReason?: string}>}
+ */
+async function llmExtractCompensation(job_body, language = null) {
   try {
-    return await runLLMJsonPrompt({
-      task: 'compensation details with salary text, currency, min/max, frequency, range and perks',
+    const { data, degraded, reason } = await runLLMJsonPrompt({
+      template: 'v2.compensation',
       schema: {
-        salaryText: {},
-        currency: {},
-        minValue: {},
-        maxValue: {},
-        payFrequency: {},
-        isRange: {},
-        includesEquity: {},
-        includesBonus: {}
+        salaryText: OPTIONAL_TEXT,
+        currency: OPTIONAL_TEXT,
+        minValue: { type: ['number', 'null'], minimum: 0 },
+        maxValue: { type: ['number', 'null'], minimum: 0 },
+        payFrequency: { type: ['string', 'null'], enum: ['hour', 'day', 'week', 'month', 'year', null] },
+        isRange: OPTIONAL_FLAG,
+        includesEquity: OPTIONAL_FLAG,
+        includesBonus: OPTIONAL_FLAG
       },
       job_title: '',
       job_body,
       userTag: 'services/scoringServiceV2/compensation',
       maxOutputTokens: 80,
-      seed: 8765
+      seed: 8765,
+      language,
+      reply: false
     });
+    if (degraded) {
+      console.warn('[ScoringV2] LLM compensation extraction unavailable:', reason);
+      return { data: null, degradedReason: reason };
+    }
+    return { data };
   } catch (error) {
     console.warn('[ScoringV2] LLM compensation extraction failed:', error.message);
-    return null;
+    return { data: null, degradedReason: error.message };
   }
 }
 
@@ -519,21 +660,32 @@ function calculateCompensationConfidence(compensation) {
   return Math.max(0, Math.min(1.0, confidence));
 }
 
-async function extractCompensationData(job_body = '', job_location_string = '') {
-  const searchRegion = findCompensationLine(job_body) || job_body;
+/**
+ * Deterministic salary extraction with an LLM fallback.
+ * @param {string} job_body
+ * @param {string} [job_location_string]
+ * @param {Object|string} [language] - Posting language (services/languageSupport); selects number
+ *   formats, period and vague-pay lexicons.
+ * @param {Object} [options]
+ * @param {boolean} [options.useLLM=true] - Allow the LLM fallback (off in deterministic mode).
+ * @returns {Promise<Object>} The compensation; `degradedReason` is set when the LLM fallback failed
+ *   and the deterministic result was kept.
+ */
+async function extractCompensationData(job_body = '', job_location_string = '', language = null, { useLLM = true } = {}) {
+  const searchRegion = findCompensationLine(job_body, language) || job_body;
   
   // Enhanced regex patterns for better deterministic detection
-  const rangeRegex = /(?<currency>\$|US\$|USD|£|GBP|€|EUR|C\$|CAD|A\$|AUD)?\s*(?<min>\d{2,3}[\d,]*(?:\.\d{1,2})?)\s*(?:k|K)?\s*(?:-|to|–|—|through)\s*(?<currency2>\$|US\$|USD|£|GBP|€|EUR|C\$|CAD|A\$|AUD)?\s*(?<max>\d{2,3}[\d,]*(?:\.\d{1,2})?)\s*(?:k|K)?/i;
-  const singleRegex = /(?<currency>\$|US\$|USD|£|GBP|€|EUR|C\$|CAD|A\$|AUD)\s*(?<amount>\d{2,3}[\d,]*(?:\.\d{1,2})?)\s*(?:k|K)?/i;
+  const patterns = languageCode(language) === DEFAULT_LANGUAGE ? COMPENSATION_PATTERNS.en : COMPENSATION_PATTERNS.intl;
 
-  const rangeMatch = searchRegion.match(rangeRegex);
-  const singleMatch = !rangeMatch ? searchRegion.match(singleRegex) : null;
-  const period = detectPeriod(searchRegion);
+  const rangeMatch = searchRegion.match(patterns.range);
+  const singleMatch = !rangeMatch ? searchRegion.match(patterns.single) : null;
+  const period = detectPayPeriod(searchRegion, language);
   const currency = rangeMatch
-    ? CURRENCY_SYMBOLS[rangeMatch.groups.currency || rangeMatch.groups.currency2] || detectCurrency(searchRegion)
+    ? CURRENCY_SYMBOLS[rangeMatch.groups.currency || rangeMatch.groups.currency2 || rangeMatch.groups.currencyMid] || detectCurrency(searchRegion)
     : singleMatch
-      ? CURRENCY_SYMBOLS[singleMatch.groups.currency] || detectCurrency(searchRegion)
+      ? CURRENCY_SYMBOLS[singleMatch.groups.currency || singleMatch.groups.currencyAfter] || detectCurrency(searchRegion)
       : detectCurrency(searchRegion);
+  const vaguePattern = lexiconPattern(language, 'vagueCompensation', searchRegion);
 
   // Check for 'k' suffix in the matched text
   const hasKSuffix = rangeMatch 
@@ -549,11 +701,12 @@ async function extractCompensationData(job_body = '', job_location_string = '')
     payPeriod: period,
     min: rangeMatch ? parseAmount(rangeMatch.groups.min, hasKSuffix) : null,
     max: rangeMatch ? parseAmount(rangeMatch.groups.max, hasKSuffix) : null,
-    amount: singleMatch ? parseAmount(singleMatch.groups.amount, hasKSuffix) : null,
+    amount: singleMatch ? parseAmount(singleMatch.groups.amount || singleMatch.groups.amountBefore, hasKSuffix) : null,
     isRange: !!rangeMatch,
+    matchedText: (rangeMatch || singleMatch) ? (rangeMatch || singleMatch)[0].trim() : null,
     includesBonus: /bonus/i.test(searchRegion),
     includesEquity: /equity|stock/i.test(searchRegion),
-    vagueTerms: VAGUE_COMP_TERMS.test(searchRegion) ? searchRegion.match(VAGUE_COMP_TERMS) : null,
+    vagueTerms: vaguePattern ? searchRegion.match(vaguePattern) : null,
     fallbackUsed: false,
     locationContext: job_location_string,
     confidence: 0
@@ -563,9 +716,10 @@ async function extractCompensationData(job_body = '', job_location_string = '')
   compensation.confidence = calculateCompensationConfidence(compensation);
 
   // Only call LLM if confidence is below threshold (0.5) and no amount found
-  if (compensation.confidence < 0.5 && !compensation.min && compensation.amount === null) {
+  if (compensation.confidence < 0.5 && !compensation.min && compensation.amount === null && useLLM) {
     console.log('[ScoringV2] Compensation confidence low, invoking LLM fallback');
-    const llmResult = await llmExtractCompensation(job_body);
+    const { data: llmResult, degradedReason } = await llmExtractCompensation(job_body, language);
+    if (degradedReason) compensation.degradedReason = degradedReason;
     if (llmResult) {
       compensation.source = 'llm';
       compensation.originalText = llmResult.salaryText || compensation.originalText;
@@ -589,17 +743,49 @@ async function extractCompensationData(job_body = '', job_location_string = '')
   return compensation;
 }
 
+/**
+ * Mark a category result degraded when an extraction it relies on (location, compensation) lost
+ * its LLM fallback, so the result is reported as degraded and not cached.
+ */
+function extractionDegradation(result, location, compensation = null) {
+  const reasons = [
+    result.degradedReason,
+    location?.degradedReason && `location extraction: ${location.degradedReason}`,
+    compensation?.degradedReason && `compensation extraction: ${compensation.degradedReason}`
+  ].filter(Boolean);
+  return reasons.length ? { ...result, degraded: true, degradedReason: reasons.join('; ') } : result;
+}
+
 async function scoreCompensationAndCompliance(jobData) {
   const suggestions = [];
+  const findings = [];
+  const body = jobData.job_body || '';
   try {
     const jobLocation = jobData.job_location || {};
     const locationSummary = jobLocation.summary || jobLocation.raw || '';
-    const compensation = await extractCompensationData(jobData.job_body || '', locationSummary);
+    const compensation = await extractCompensationData(body, locationSummary, jobData.language, {
+      useLLM: jobData.scoringMode !== 'deterministic'
+    });
 
-    const jurisdictions = Array.isArray(jobLocation.jurisdictions)
-      ? jobLocation.jurisdictions
-      : computeJurisdictions(jobLocation);
-    const requiresDisclosure = jurisdictions.length > 0 || (!!jobLocation.remote && jobLocation.country === 'United States');
+    // Findings point at the salary figure when one was found, otherwise at the vague wording
+    const flag = (rule, severity, message, { first = false } = {}) => {
+      const vague = !compensation.matchedText && compensation.vagueTerms
+        ? findPattern(body, lexiconPattern(jobData.language, 'vagueCompensation', body) || getLocale(DEFAULT_LANGUAGE).vagueCompensation, { category: 'compensation', rule, severity, message })
+        : null;
+      const finding = vague || createFinding({ category: 'compensation', rule, severity, message, body, excerpt: compensation.matchedText });
+      if (first) {
+        suggestions.unshift(message);
+        findings.unshift(finding);
+      } else {
+        suggestions.push(message);
+        findings.push(finding);
+      }
+    };
+
+    const compliance = evaluatePayTransparency({ location: jobLocation, compensation, job_body: body });
+    const inForce = compliance.jurisdictions.filter(j => ['pass', 'fail', 'warning'].includes(j.status));
+    const jurisdictions = inForce.map(j => j.id);
+    const requiresDisclosure = inForce.some(j => j.disclosure === 'posting');
 
     let score = 0;
     let status = 'missing';
@@ -610,57 +796,63 @@ async function scoreCompensationAndCompliance(jobData) {
     } else if (compensation.isRange && compensation.currency) {
       score = 13;
       status = 'range_missing_period';
-      suggestions.push('Specify the pay period (e.g., per year or per hour) for the salary range.');
+      flag('missing_pay_period', 'medium', 'Specify the pay period (e.g., per year or per hour) for the salary range.');
     } else if (compensation.isRange) {
       score = 12;
       status = 'range_missing_currency_period';
-      suggestions.push('Include currency (USD, GBP, etc.) and pay period for the salary range.');
+      flag('missing_currency_period', 'medium', 'Include currency (USD, GBP, etc.) and pay period for the salary range.');
     } else if (compensation.amount !== null && compensation.currency && compensation.payPeriod) {
       score = 11;
       status = 'single_full';
-      suggestions.push('Provide a salary range instead of a single value to improve transparency.');
+      flag('single_figure', 'low', 'Provide a salary range instead of a single value to improve transparency.');
     } else if (compensation.amount !== null && compensation.currency) {
       score = 9;
       status = 'single_missing_period';
-      suggestions.push('Specify the pay period (e.g., per year, per hour) for the listed salary.');
+      flag('missing_pay_period', 'medium', 'Specify the pay period (e.g., per year, per hour) for the listed salary.');
     } else if (compensation.amount !== null) {
       score = 7;
       status = 'single_missing_currency_period';
-      suggestions.push('Add currency and pay period for the listed salary.');
+      flag('missing_currency_period', 'medium', 'Add currency and pay period for the listed salary.');
     } else if (compensation.vagueTerms) {
       score = 5;
       status = 'vague_terms';
-      suggestions.push('Replace vague compensation language with a specific salary range.');
+      flag('vague_terms', 'high', 'Replace vague compensation language with a specific salary range.');
     } else {
       score = 0;
       status = 'missing';
-      suggestions.push('Add compensation details with currency, range, and pay period.');
+      flag('missing', 'high', 'Add compensation details with currency, range, and pay period.');
     }
 
-    if (requiresDisclosure) {
-      if (status === 'missing') {
-        score = 0;
-        suggestions.unshift('This jurisdiction requires pay transparency. Publish a specific salary range.');
-      } else if (status !== 'range_full') {
-        score = Math.min(score, 8);
-        suggestions.unshift('Pay transparency law in the listed jurisdiction expects a full salary range with currency and period.');
+    // One finding per jurisdiction whose rule the posting breaks, with the law it cites
+    const describeMisses = j => j.requirements.filter(req => req.met === false).map(req => req.detail).join('; ');
+    const failed = compliance.jurisdictions.filter(j => j.status === 'fail');
+    if (failed.length) {
+      score = status === 'missing' ? 0 : Math.min(score, 8);
+      for (const j of [...failed].reverse()) {
+        flag('pay_transparency_law', 'high', `${j.name} requires pay disclosure in the posting: ${describeMisses(j)} (${j.citation.law}).`, { first: true });
       }
     }
+    for (const j of compliance.jurisdictions.filter(j => j.status === 'warning')) {
+      flag('pay_transparency_warning', 'medium', `${j.name}: ${describeMisses(j)} (${j.citation.law}).`);
+    }
 
     const breakdown = {
       status,
       requiresDisclosure,
       jurisdictions,
       locationSource: jobLocation.source || null,
-      compensation
+      compensation,
+      normalized: normalizeCompensation(compensation, { location: jobLocation }),
+      compliance
     };
 
-    return {
+    return extractionDegradation({
       score,
       maxScore: 15,
       breakdown,
-      suggestions
-    };
+      suggestions,
+      findings
+    }, jobLocation, compensation);
   } catch (error) {
     console.error('[ScoringV2] Compensation compliance scoring failed:', error);
     return {
@@ -672,81 +864,134 @@ async function scoreCompensationAndCompliance(jobData) {
   }
 }
 
-async function scoreJobEnhanced(jobData) {
-  console.log('[ScoringV2] Starting enhanced job analysis pipeline.');
+// Built-in weights. Changing them changes what a V2 score means: bump SCORE_RESULT_SCHEMA_VERSION
+// and the pipeline versions in services/scoringPipelines.js so stored reports stay comparable.
+const V2_CATEGORY_WEIGHTS = {
+  clarity: 15,
+  promptAlignment: 15,
+  structuredData: 10,
+  recency: 10,
+  keywordTargeting: 15,
+  compensation: 15,
+  pageContext: 10,
+  inclusivity: 10
+};
+
+function reweight(categoryKey, result, weights = V2_CATEGORY_WEIGHTS) {
+  const weight = weights[categoryKey];
+  const scaledScore = Math.round(
+    (result.score / (result.maxScore || 1)) * weight
+  );
+  return ensureFindings(categoryKey, {
+    ...result,
+    score: Math.min(weight, Math.max(0, scaledScore)),
+    maxScore: weight
+  });
+}
+
+/**
+ * Run the enhanced (V2) scoring pipeline.
+ * @param {Object} jobData - { job_title, job_body, job_html }
+ * @param {Object} [options]
+ * @param {Function} [options.onCategory] - Called with (categoryKey, weightedResult) as each category finishes.
+ * @param {Object} [options.profile] - Rubric profile (services/rubricProfiles); defaults to the built-in weights.
+ * @param {string} [options.language] - Posting language code; detected from job_body when omitted.
+ * @param {string} [options.mode] - 'llm' or 'deterministic' (no LLM calls); defaults to SCORING_MODE,
+ *   and to 'deterministic' when no LLM API key is configured.
+ * @param {boolean} [options.useCache=true] - Read and write the scoring cache; false always re-scores
+ *   (used by the stability harness, which needs independent runs).
+ */
+async function scoreJobEnhanced(jobData, {
+  onCategory,
+  profile = getRubricProfile(DEFAULT_PROFILE_ID),
+  language: requestedLanguage = null,
+  mode: requestedMode = null,
+  useCache = true
+} = {}) {
+  const language = resolveLanguage(jobData.job_body, requestedLanguage);
+  const mode = resolveScoringMode(requestedMode);
+  console.log(`[ScoringV2] Starting enhanced job analysis pipeline (profile: ${profile.id}, language: ${language.code}, mode: ${mode}).`);
+
+  const weights = resolveCategoryWeights(profile, V2_CATEGORY_WEIGHTS);
+  const enabled = key => weights[key] !== undefined;
+
+  const notify = (key, result) => {
+    if (typeof onCategory !== 'function') return result;
+    try {
+      onCategory(key, reweight(key, result, weights));
+    } catch (error) {
+      console.warn('[ScoringV2] onCategory listener failed:', error.message);
+    }
+    return result;
+  };
 
   // Check cache first
-  const cacheKey = getCacheKey(jobData);
-  const cached = getFromCache(cacheKey);
+  const cacheKey = getCacheKey(jobData, profile, requestedLanguage, mode);
+  const cached = useCache ? await getScoringCache().get(cacheKey) : null;
   if (cached) {
     console.log('[ScoringV2] Returning cached scoring result');
-    return cached;
+    if (typeof onCategory === 'function') {
+      for (const [key, category] of Object.entries(cached.categories)) {
+        try { onCategory(key, category); } catch {}
+      }
+    }
+    return { ...cached, cache_hit: true };
   }
 
-  const job_location = await extractJobLocation(jobData.job_body);
-  const enhancedJobData = { ...jobData, job_location };
-  const locationLabel = job_location?.summary || job_location?.raw || 'Unknown';
-  console.log(`[ScoringV2] Extracted job location: ${locationLabel} (confidence: ${job_location.confidence?.toFixed(2) || 'N/A'})`);
-
-  // Run deterministic scorers first (fast, no LLM calls)
-  console.log('[ScoringV2] Running deterministic scorers...');
-  const [structuredData, recency, keywordTargeting, pageContext] = await Promise.all([
-    scoreStructuredDataPresence(enhancedJobData),
-    scoreRecencyFreshness(enhancedJobData),
-    scoreKeywordTargeting(enhancedJobData),
-    scorePageContextCleanliness(enhancedJobData)
-  ]);
-
-  // Run LLM-dependent scorers sequentially to avoid rate limits
-  console.log('[ScoringV2] Running LLM-dependent scorers...');
-  const clarity = await scoreClarityReadability(enhancedJobData);
-  const promptAlignment = await scorePromptAlignment(enhancedJobData);
-  const compensation = await scoreCompensationAndCompliance(enhancedJobData);
+  // Prompt versions are recorded with the result, so cached results still report them
+  const { result: scored, prompts } = await trackPrompts(async () => {
+    const deterministic = mode === 'deterministic';
+    const job_location = await extractJobLocation(jobData.job_body, jobData.structured?.location, language, { useLLM: !deterministic });
+    const enhancedJobData = { ...jobData, job_location, language, scoringMode: mode };
+    const locationLabel = job_location?.summary || job_location?.raw || 'Unknown';
+    console.log(`[ScoringV2] Extracted job location: ${locationLabel} (confidence: ${job_location.confidence?.toFixed(2) || 'N/A'})`);
+
+    // Disabled categories are skipped entirely (no LLM call)
+    const runScorer = async (key, scorer) => (enabled(key) ? notify(key, await scorer(enhancedJobData)) : null);
+
+    // Run deterministic scorers first (fast, no LLM calls)
+    console.log('[ScoringV2] Running deterministic scorers...');
+    const [structuredData, recency, keywordTargeting, pageContext] = await Promise.all([
+      runScorer('structuredData', scoreStructuredDataPresence),
+      runScorer('recency', scoreRecencyFreshness),
+      runScorer('keywordTargeting', data => extractionDegradation(scoreKeywordTargeting(data), data.job_location)),
+      runScorer('pageContext', scorePageContextCleanliness)
+    ]);
+
+    // Run LLM-dependent scorers sequentially to avoid rate limits (heuristics only in deterministic mode)
+    console.log(deterministic ? '[ScoringV2] Running heuristic scorers...' : '[ScoringV2] Running LLM-dependent scorers...');
+    const clarity = await runScorer('clarity', scoreClarityReadability);
+    const promptAlignment = await runScorer('promptAlignment', scorePromptAlignment);
+    const compensation = await runScorer('compensation', scoreCompensationAndCompliance);
+    const inclusivity = await runScorer('inclusivity', data => scoreInclusivity(data, deterministic ? { useLLM: false } : undefined));
+
+    return { job_location, rawResults: { clarity, promptAlignment, structuredData, recency, keywordTargeting, compensation, pageContext, inclusivity } };
+  });
+  const { job_location, rawResults } = scored;
 
   console.log('[ScoringV2] All scoring categories completed.');
 
-  const newWeights = {
-    clarity: 15,
-    promptAlignment: 15,
-    structuredData: 15,
-    recency: 10,
-    keywordTargeting: 15,
-    compensation: 15,
-    pageContext: 15
-  };
-
-  function reweight(categoryKey, result) {
-    const weight = newWeights[categoryKey];
-    const scaledScore = Math.round(
-      (result.score / (result.maxScore || 1)) * weight
-    );
-    return {
-      ...result,
-      score: Math.min(weight, Math.max(0, scaledScore)),
-      maxScore: weight
-    };
-  }
-
-  const categories = {
-    clarity: reweight('clarity', clarity),
-    promptAlignment: reweight('promptAlignment', promptAlignment),
-    structuredData: reweight('structuredData', structuredData),
-    recency: reweight('recency', recency),
-    keywordTargeting: reweight('keywordTargeting', keywordTargeting),
-    compensation: reweight('compensation', compensation),
-    pageContext: reweight('pageContext', pageContext)
-  };
+  const categories = Object.fromEntries(
+    Object.entries(rawResults)
+      .filter(([key]) => enabled(key))
+      .map(([key, result]) => [key, reweight(key, result, weights)])
+  );
 
   const total_score = Object.values(categories)
     .reduce((sum, cat) => sum + (cat.score || 0), 0);
   const recommendations = Object.values(categories)
     .flatMap(cat => Array.isArray(cat.suggestions) ? cat.suggestions : [])
     .filter(Boolean);
-  const red_flags = Object.entries(categories)
-    .filter(([_, v]) => v.score < v.maxScore * 0.5)
-    .map(([k]) => k);
+  const red_flags = findRedFlags(categories, profile);
   const feedback = `This job posting scored ${total_score}/100 based on our enhanced analysis. `
     + `Key areas for improvement: ${recommendations.slice(0, 3).join('; ')}.`;
+  // Categories whose LLM output was unusable and were scored by heuristics instead
+  const degradedCategories = Object.fromEntries(
+    Object.entries(categories)
+      .filter(([, category]) => category.degraded)
+      .map(([key, category]) => [key, category.degradedReason])
+  );
+  const degraded = Object.keys(degradedCategories).length > 0;
 
   const result = {
     total_score,
@@ -754,12 +999,23 @@ async function scoreJobEnhanced(jobData) {
     recommendations,
     red_flags,
     categories,
-    job_location: job_location || null
+    annotations: collectAnnotations(categories),
+    job_location: job_location || null,
+    language,
+    mode,
+    degraded,
+    ...(degraded ? { degradedCategories } : {}),
+    rubric_profile: describeProfile(profile, weights),
+    prompts
   };
 
-  // Cache the result
-  setCache(cacheKey, result);
-  console.log('[ScoringV2] Result cached for future use');
+  // Cache the result (degraded results are not cached, so the next run gets another try)
+  if (degraded) {
+    console.warn('[ScoringV2] Degraded categories, result not cached:', Object.keys(degradedCategories).join(', '));
+  } else if (useCache) {
+    await getScoringCache().set(cacheKey, result);
+    console.log('[ScoringV2] Result cached for future use');
+  }
 
   return result;
 }
@@ -769,5 +1025,6 @@ module.exports = {
   extractJobLocation,
   extractCompensationData,
   scoreCompensationAndCompliance,
-  scoreJobEnhanced
+  scoreJobEnhanced,
+  getScoringCacheStats
 };
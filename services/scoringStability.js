@@ -0,0 +1,145 @@
+// Scoring stability: statistics over repeated scoring runs of the same postings, used by the
+// calibration command (api/scripts/scoringStability.js). LLM-rated categories can drift between
+// runs even with a fixed seed; deterministic ones should not move at all.
+//
+// For each category (and the total):
+//   mean          - mean score over every posting and run
+//   stdDev        - mean per-posting standard deviation across runs (run-to-run drift)
+//   maxStdDev     - the worst posting's standard deviation
+//   rankAgreement - mean Spearman correlation of the postings' scores between every pair of runs
+//                   (1 = every run ranks the postings the same way)
+// A category is flagged when stdDev exceeds `threshold` times its max score.
+
+const DEFAULT_THRESHOLD = 0.05;
+const TOTAL_KEY = 'total';
+
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// Population standard deviation
+function stdDev(values) {
+  if (!values.length) return null;
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+}
+
+function round(value, digits = 3) {
+  if (value === null || !Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// 1-based ranks; tied values share their average rank
+function ranks(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const result = new Array(values.length);
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+    const rank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) result[order[i].index] = rank;
+    start = end + 1;
+  }
+  return result;
+}
+
+/**
+ * Spearman rank correlation of two equal-length score lists. Identical lists agree fully (1) even
+ * when every score ties; otherwise a list without spread has no defined correlation (null).
+ */
+function spearman(a, b) {
+  if (a.length < 2) return null;
+  if (a.every((value, index) => value === b[index])) return 1;
+  const rankA = ranks(a);
+  const rankB = ranks(b);
+  const meanA = mean(rankA);
+  const meanB = mean(rankB);
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let i = 0; i < a.length; i++) {
+    covariance += (rankA[i] - meanA) * (rankB[i] - meanB);
+    varianceA += (rankA[i] - meanA) ** 2;
+    varianceB += (rankB[i] - meanB) ** 2;
+  }
+  return varianceA && varianceB ? covariance / Math.sqrt(varianceA * varianceB) : null;
+}
+
+// { key: { score, maxScore, degraded } } for one scoring result, including the total
+function runScores(result) {
+  const scores = { [TOTAL_KEY]: { score: result.total_score, maxScore: 100, degraded: !!result.degraded } };
+  for (const [key, category] of Object.entries(result.categories || {})) {
+    scores[key] = { score: category.score, maxScore: category.maxScore, degraded: !!category.degraded };
+  }
+  return scores;
+}
+
+/**
+ * Summarize repeated scoring runs.
+ * @param {Object[]} postings - [{ id, runs: [scoringResult] }]; every run of a posting comes from
+ *   the same pipeline (scoreJobEnhanced or scoreJob7Category results).
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0.05] - Flag categories whose stdDev exceeds this share of their max score.
+ * @returns {{threshold: number, runs: number, categories: Object, flagged: string[], postings: Object[]}}
+ *   `postings` lists each posting's per-category scores, mean and stdDev.
+ */
+function summarizeStability(postings, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const perPosting = postings
+    .filter(posting => posting.runs.length)
+    .map(posting => ({ id: posting.id, runs: posting.runs.map(runScores) }));
+  const keys = [...new Set(perPosting.flatMap(posting => posting.runs.flatMap(run => Object.keys(run))))];
+  const runCount = Math.max(0, ...perPosting.map(posting => posting.runs.length));
+
+  const categories = {};
+  for (const key of keys) {
+    const scored = perPosting
+      .map(posting => ({ id: posting.id, entries: posting.runs.map(run => run[key]).filter(entry => entry && Number.isFinite(entry.score)) }))
+      .filter(posting => posting.entries.length);
+    const allScores = scored.flatMap(posting => posting.entries.map(entry => entry.score));
+    const deviations = scored.filter(posting => posting.entries.length > 1).map(posting => stdDev(posting.entries.map(entry => entry.score)));
+    const maxScore = Math.max(0, ...scored.flatMap(posting => posting.entries.map(entry => entry.maxScore || 0)));
+
+    // Rank agreement needs the same postings in every run
+    const complete = scored.filter(posting => posting.entries.length === runCount);
+    const agreements = [];
+    for (let i = 0; i < runCount; i++) {
+      for (let j = i + 1; j < runCount; j++) {
+        const rho = spearman(complete.map(posting => posting.entries[i].score), complete.map(posting => posting.entries[j].score));
+        if (rho !== null) agreements.push(rho);
+      }
+    }
+
+    const drift = mean(deviations);
+    categories[key] = {
+      maxScore,
+      postings: scored.length,
+      mean: round(mean(allScores)),
+      stdDev: round(drift),
+      maxStdDev: round(deviations.length ? Math.max(...deviations) : null),
+      rankAgreement: round(mean(agreements)),
+      degradedRuns: scored.reduce((sum, posting) => sum + posting.entries.filter(entry => entry.degraded).length, 0),
+      flagged: drift !== null && maxScore > 0 && drift > threshold * maxScore
+    };
+  }
+
+  return {
+    threshold,
+    runs: runCount,
+    categories,
+    flagged: keys.filter(key => categories[key].flagged),
+    postings: perPosting.map(posting => ({
+      id: posting.id,
+      categories: Object.fromEntries(keys.map(key => {
+        const values = posting.runs.map(run => run[key]?.score).filter(Number.isFinite);
+        return [key, { scores: values, mean: round(mean(values)), stdDev: round(stdDev(values)) }];
+      }))
+    }))
+  };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  spearman,
+  summarizeStability
+};
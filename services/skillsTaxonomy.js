@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+
+// Offline skills and occupation taxonomy for keyword targeting. The bundled dataset
+// (data/skillsTaxonomy.json) is a curated O*NET/ESCO-style subset: `skills` maps a skill id to a
+// label and the aliases that mention it, and each occupation lists the title phrases that identify
+// it plus the skill ids a posting for it is expected to name (`essential` are the high-signal ones).
+// SKILLS_TAXONOMY_FILE names a JSON file in the same shape; its skills are merged over the bundled
+// ones and its occupations replace bundled occupations with the same id.
+
+const BUNDLED_TAXONOMY = path.join(__dirname, 'data', 'skillsTaxonomy.json');
+const MAX_MISSING_SKILLS = 3;
+
+let taxonomy = null;
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Word-bounded on letters/digits only, so "c++", "c#", ".net" and "ci/cd" match as written. A
+// hyphenated prefix makes the phrase part of a compound ("pre-tax", "after-tax"), not a mention.
+function phrasePattern(phrases, flags = 'i') {
+  const alternatives = [...phrases].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  return new RegExp(`(?<![a-zA-Z0-9])(?<![a-zA-Z]-)(?:${alternatives.join('|')})(?![a-zA-Z0-9])`, flags);
+}
+
+// Aliases written with capitals ("AI", "ML") are acronyms that are ordinary words in lowercase
+// (Italian "ai", "500 ml"), so they are matched case-sensitively; the rest ignore case
+function aliasPatterns(aliases) {
+  const cased = aliases.filter(alias => alias !== alias.toLowerCase());
+  const plain = aliases.filter(alias => alias === alias.toLowerCase());
+  return [
+    ...(plain.length ? [phrasePattern(plain)] : []),
+    ...(cased.length ? [phrasePattern(cased, '')] : [])
+  ];
+}
+
+function compile(raw) {
+  const skills = Object.entries(raw.skills || {}).map(([id, skill]) => ({
+    id,
+    label: skill.label || id,
+    patterns: aliasPatterns(skill.aliases || [id])
+  }));
+  const occupations = (raw.occupations || []).map(occupation => ({
+    ...occupation,
+    titles: (occupation.titles || []).map(title => ({ phrase: title.toLowerCase(), pattern: phrasePattern([title.toLowerCase()]) })),
+    skills: { essential: occupation.skills?.essential || [], optional: occupation.skills?.optional || [] }
+  }));
+  return { version: raw.version || null, skills, occupations, labels: Object.fromEntries(skills.map(skill => [skill.id, skill.label])) };
+}
+
+function loadTaxonomy() {
+  const raw = JSON.parse(fs.readFileSync(BUNDLED_TAXONOMY, 'utf8'));
+  const file = process.env.SKILLS_TAXONOMY_FILE;
+  if (file) {
+    try {
+      const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+      Object.assign(raw.skills, overrides.skills || {});
+      const replaced = new Map((overrides.occupations || []).map(occupation => [occupation.id, occupation]));
+      raw.occupations = [
+        ...raw.occupations.filter(occupation => !replaced.has(occupation.id)),
+        ...replaced.values()
+      ];
+      if (overrides.version) raw.version = overrides.version;
+      console.log(`[SkillsTaxonomy] Loaded overrides from ${file}`);
+    } catch (error) {
+      console.error(`[SkillsTaxonomy] Failed to load ${file}:`, error.message);
+    }
+  }
+  return compile(raw);
+}
+
+function getTaxonomy() {
+  if (!taxonomy) taxonomy = loadTaxonomy();
+  return taxonomy;
+}
+
+function longestTitleMatch(text, occupations) {
+  let best = null;
+  for (const occupation of occupations) {
+    for (const { phrase, pattern } of occupation.titles) {
+      if (best && phrase.length <= best.matched.length) continue;
+      if (pattern.test(text)) best = { occupation, matched: phrase };
+    }
+  }
+  return best;
+}
+
+/**
+ * Detect the occupation from the job title (the longest matching title phrase wins, so
+ * "licensed practical nurse" beats "nurse"). Falls back to the first lines of the body, where
+ * pasted postings usually repeat the title.
+ * @returns {{id: string, title: string, onetSoc: string|null, family: string, matchedTitle: string, source: 'title'|'body', confidence: number}|null}
+ */
+function detectOccupation(job_title = '', job_body = '') {
+  const { occupations } = getTaxonomy();
+  let source = 'title';
+  let match = longestTitleMatch(String(job_title || ''), occupations);
+  if (!match) {
+    source = 'body';
+    const opening = String(job_body || '').split(/\r?\n/).filter(line => line.trim()).slice(0, 3).join('\n');
+    match = longestTitleMatch(opening, occupations);
+  }
+  if (!match) return null;
+  const { occupation, matched } = match;
+  return {
+    id: occupation.id,
+    title: occupation.title,
+    onetSoc: occupation.onetSoc || null,
+    family: occupation.family,
+    matchedTitle: matched,
+    source,
+    confidence: source === 'title' ? 0.9 : 0.6
+  };
+}
+
+/**
+ * Skills mentioned in the text, in order of first mention.
+ * @returns {{id: string, label: string, matchedText: string, start: number}[]}
+ */
+function extractSkills(text = '') {
+  const found = [];
+  for (const skill of getTaxonomy().skills) {
+    const [match] = skill.patterns.map(pattern => pattern.exec(text)).filter(Boolean).sort((a, b) => a.index - b.index);
+    if (match) found.push({ id: skill.id, label: skill.label, matchedText: match[0], start: match.index });
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Coverage of the skills expected for an occupation.
+ * @param {string|Object} occupation - Occupation id or detectOccupation() result.
+ * @param {Object[]} skills - extractSkills() output.
+ * @returns {{expected: number, matched: string[], missing: string[], coverage: number, optionalMatched: string[]}|null}
+ *   Skill lists are labels; `missing` holds the essential skills not mentioned, most important first.
+ */
+function scoreSkillCoverage(occupation, skills) {
+  const id = typeof occupation === 'string' ? occupation : occupation?.id;
+  const entry = getTaxonomy().occupations.find(candidate => candidate.id === id);
+  if (!entry) return null;
+  const { labels } = getTaxonomy();
+  const mentioned = new Set(skills.map(skill => skill.id));
+  const essential = entry.skills.essential;
+  const matched = essential.filter(skillId => mentioned.has(skillId));
+  return {
+    expected: essential.length,
+    matched: matched.map(skillId => labels[skillId] || skillId),
+    missing: essential.filter(skillId => !mentioned.has(skillId)).map(skillId => labels[skillId] || skillId),
+    coverage: essential.length ? Math.round((matched.length / essential.length) * 100) / 100 : 0,
+    optionalMatched: entry.skills.optional.filter(skillId => mentioned.has(skillId)).map(skillId => labels[skillId] || skillId)
+  };
+}
+
+module.exports = {
+  BUNDLED_TAXONOMY,
+  MAX_MISSING_SKILLS,
+  getTaxonomy,
+  detectOccupation,
+  extractSkills,
+  scoreSkillCoverage
+};
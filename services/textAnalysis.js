@@ -0,0 +1,299 @@
+const { getRubricProfile, resolveTextWeights } = require('./rubricProfiles');
+const {
+  DEFAULT_LANGUAGE,
+  getLocale,
+  resolveLanguage,
+  languageCode,
+  matchesLexicon,
+  readingEase
+} = require('./languageSupport');
+
+// Heuristic text analysis behind POST /api/v1/analyze-text (the `text-heuristic` scoring
+// pipeline): readability, inclusivity, SEO, structure and compliance, each scored 0-100 and
+// blended with the rubric profile's textWeights. No LLM calls.
+
+/**
+ * Enhanced server-side job post analysis
+ * @param {string} text - The job posting text to analyze
+ * @param {Object} [profile] - Rubric profile whose textWeights set the blend
+ * @param {Object} [language] - resolveLanguage() result; detected from the text when omitted
+ * @returns {Object} Comprehensive analysis results
+ */
+function analyzeJobPostText(text, profile = getRubricProfile(), language = resolveLanguage(text)) {
+  const readability = analyzeReadability(text, language);
+  const inclusivity = analyzeInclusivity(text);
+  const seo = analyzeSEO(text);
+  const structure = analyzeStructure(text, language);
+  const compliance = analyzeCompliance(text, language);
+
+  // Weighted scoring
+  const weights = resolveTextWeights(profile);
+  const overallScore = Math.round(
+    (readability.score * weights.readability) + 
+    (inclusivity.score * weights.inclusivity) + 
+    (seo.score * weights.seo) + 
+    (structure.score * weights.structure) +
+    (compliance.score * weights.compliance)
+  );
+
+  return {
+    overallScore,
+    readability,
+    inclusivity,
+    seo,
+    structure,
+    compliance,
+    metadata: {
+      wordCount: text.trim().split(/\s+/).length,
+      characterCount: text.length,
+      paragraphCount: text.split(/\n\s*\n/).length,
+      analysisDate: new Date().toISOString(),
+      version: '1.0',
+      rubricProfile: profile.id,
+      language,
+      weights
+    }
+  };
+}
+
+function analyzeReadability(text, language) {
+  const words = text.trim().split(/\s+/);
+  // Flesch Reading Ease, or the locale's adaptation of it (Amstad, Kandel-Moles, ...)
+  const { formula, score: fleschScore, avgWordsPerSentence, avgSyllablesPerWord } = readingEase(text, language);
+  // Grade level is the English Flesch-Kincaid scale; other languages are judged on reading ease
+  const english = languageCode(language) === DEFAULT_LANGUAGE;
+  const gradeLevel = Math.max(1, Math.min(16, Math.round(0.39 * avgWordsPerSentence + 11.8 * avgSyllablesPerWord - 15.59)));
+  
+  let score = 85;
+  const feedback = [];
+  
+  if (avgWordsPerSentence > 25) {
+    score -= 15;
+    feedback.push('Break down sentences longer than 25 words for better readability');
+  }
+  
+  if (english ? gradeLevel > 12 : fleschScore < 30) {
+    score -= 10;
+    feedback.push('Consider simplifying language - current grade level is too high');
+  }
+  
+  if (words.length < 150) {
+    score -= 15;
+    feedback.push('Job posting needs more detail - aim for 150+ words');
+  }
+  
+  if (words.length > 800) {
+    score -= 10;
+    feedback.push('Job posting is quite long - consider condensing to 400-600 words');
+  }
+
+  return {
+    score: Math.max(0, Math.min(100, score)),
+    gradeLevel,
+    fleschScore: Math.round(fleschScore),
+    readabilityFormula: formula,
+    avgWordsPerSentence: Math.round(avgWordsPerSentence),
+    feedback: feedback.length ? feedback : ['Good readability and clarity']
+  };
+}
+
+function analyzeInclusivity(text) {
+  const lowerText = text.toLowerCase();
+  let score = 95;
+  const issuesFound = [];
+  const recommendations = [];
+
+  // Comprehensive gendered language detection
+  const genderedPatterns = [
+    { pattern: /\b(he|him|his)\b/g, replacement: 'they/them/their', severity: 'high' },
+    { pattern: /\b(she|her|hers)\b/g, replacement: 'they/them/their', severity: 'high' },
+    { pattern: /\bmankind\b/g, replacement: 'humanity', severity: 'medium' },
+    { pattern: /\bmanpower\b/g, replacement: 'workforce', severity: 'medium' },
+    { pattern: /\bguys?\b/g, replacement: 'team members', severity: 'low' }
+  ];
+
+  genderedPatterns.forEach(({ pattern, replacement, severity }) => {
+    const matches = text.match(pattern);
+    if (matches) {
+      const points = severity === 'high' ? 15 : severity === 'medium' ? 10 : 5;
+      score -= Math.min(points, points * matches.length);
+      
+      issuesFound.push({
+        type: 'gendered_language',
+        term: matches[0],
+        replacement,
+        severity,
+        count: matches.length
+      });
+      
+      recommendations.push(`Replace "${matches[0]}" with "${replacement}" for inclusive language`);
+    }
+  });
+
+  // Age-related bias
+  const ageTerms = ['young', 'energetic', 'fresh graduate', 'recent grad'];
+  ageTerms.forEach(term => {
+    if (lowerText.includes(term)) {
+      score -= 8;
+      recommendations.push(`Avoid age-related terms like "${term}"`);
+    }
+  });
+
+  // Exclusionary terms
+  const exclusionaryTerms = [
+    'ninja', 'rockstar', 'guru', 'wizard', 'superstar', 'legend'
+  ];
+  
+  exclusionaryTerms.forEach(term => {
+    if (lowerText.includes(term)) {
+      score -= 5;
+      recommendations.push(`Replace informal term "${term}" with professional descriptors`);
+    }
+  });
+
+  return {
+    score: Math.max(0, score),
+    issuesFound,
+    recommendations: recommendations.length ? recommendations : ['Excellent inclusive language usage']
+  };
+}
+
+function analyzeSEO(text) {
+  const lowerText = text.toLowerCase();
+  const words = lowerText.split(/\s+/);
+  let score = 70;
+  const keywords = [];
+  const missingKeywords = [];
+  const feedback = [];
+
+  // Industry keywords
+  const industryKeywords = [
+    'remote', 'hybrid', 'benefits', 'salary', 'compensation', 'experience', 
+    'skills', 'team', 'growth', 'opportunity', 'company', 'culture',
+    'flexible', 'work-life', 'professional', 'career', 'development'
+  ];
+
+  // Check keyword density
+  industryKeywords.forEach(keyword => {
+    if (words.includes(keyword) || words.includes(keyword + 's')) {
+      keywords.push(keyword);
+      score += 2;
+    } else {
+      missingKeywords.push(keyword);
+    }
+  });
+
+  // Location mentions
+  if (/(remote|hybrid|office|location|city|state|worldwide|global)/i.test(text)) {
+    score += 10;
+  } else {
+    feedback.push('Specify work location or remote options for better discoverability');
+  }
+
+  // Benefits and compensation
+  if (/(benefit|insurance|401k|pto|vacation|salary|compensation)/i.test(text)) {
+    score += 8;
+  } else {
+    feedback.push('Mention compensation and benefits to attract qualified candidates');
+  }
+
+  // Job level indicators
+  if (/(junior|senior|lead|principal|manager|director)/i.test(text)) {
+    score += 5;
+  } else {
+    feedback.push('Include experience level indicators (junior, senior, etc.)');
+  }
+
+  return {
+    score: Math.min(100, Math.max(0, score)),
+    keywords: keywords.slice(0, 10),
+    missingKeywords: missingKeywords.slice(0, 8),
+    feedback: feedback.length ? feedback : ['Good SEO optimization']
+  };
+}
+
+function analyzeStructure(text, language) {
+  let score = 80;
+  const feedback = [];
+  const foundSections = [];
+
+  // Essential sections; headings may be in the posting's language or in English
+  const sections = {
+    'Job Overview': 'overview',
+    'Requirements': 'requirements',
+    'Responsibilities': 'responsibilities',
+    'Benefits': 'benefits',
+    'Company Info': 'company',
+    'Application Process': 'application'
+  };
+  const localeSections = getLocale(languageCode(language)).sections;
+  const englishSections = getLocale(DEFAULT_LANGUAGE).sections;
+
+  Object.entries(sections).forEach(([section, key]) => {
+    if (localeSections[key].test(text) || englishSections[key].test(text)) {
+      foundSections.push(section);
+      score += 3;
+    } else {
+      feedback.push(`Consider adding a ${section} section`);
+    }
+  });
+
+  // Structure indicators
+  if (/[•\-\*]|\d+\./.test(text)) {
+    score += 10;
+  } else {
+    score -= 15;
+    feedback.push('Use bullet points or numbered lists to improve structure');
+  }
+
+  // Paragraph structure
+  const paragraphs = text.split(/\n\s*\n/).filter(p => p.trim().length > 0);
+  if (paragraphs.length < 3) {
+    score -= 10;
+    feedback.push('Break content into more paragraphs for better readability');
+  }
+
+  return {
+    score: Math.max(0, score),
+    foundSections,
+    feedback: feedback.length ? feedback : ['Well-structured job posting']
+  };
+}
+
+function analyzeCompliance(text, language) {
+  let score = 90;
+  const issues = [];
+  const recommendations = [];
+
+  // Discriminatory language patterns
+  const discriminatoryPatterns = [
+    { pattern: /\b(young|old|age)\b/gi, issue: 'Age discrimination' },
+    { pattern: /\b(native speaker|fluent english)\b/gi, issue: 'Language discrimination' },
+    { pattern: /\b(cultural fit|good fit)\b/gi, issue: 'Potentially exclusionary' }
+  ];
+
+  discriminatoryPatterns.forEach(({ pattern, issue }) => {
+    const matches = text.match(pattern);
+    if (matches) {
+      score -= 10;
+      issues.push(issue);
+      recommendations.push(`Avoid potentially discriminatory language: "${matches[0]}"`);
+    }
+  });
+
+  // Salary transparency
+  if (!/\$([\d,]+)|\bsalary\b|\bcompensation\b|\bpay\b/i.test(text) && !matchesLexicon(language, 'compensation', text)) {
+    score -= 5;
+    recommendations.push('Consider including salary range for transparency');
+  }
+
+  return {
+    score: Math.max(0, score),
+    issues,
+    recommendations: recommendations.length ? recommendations : ['Good compliance with hiring best practices']
+  };
+}
+
+module.exports = {
+  analyzeJobPostText
+};
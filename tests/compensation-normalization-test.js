@@ -0,0 +1,118 @@
+/**
+ * Compensation Normalization Test Script
+ *
+ * Checks services/compensationNormalization.js: currency conversion with the offline FX table,
+ * annualization of each pay period, the period guessed when a posting states none, the
+ * cost-of-living lookup and COMP_NORMALIZATION_FILE overrides. Fully offline.
+ *
+ * Usage: node tests/compensation-normalization-test.js
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The tables are loaded once, on first use, so the overrides file is set up front
+const OVERRIDES_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'comp-normalization-')), 'normalization.json');
+fs.writeFileSync(OVERRIDES_FILE, JSON.stringify({
+  fxRatesAsOf: '2026-09-01',
+  costOfLiving: { 'US-OR-portland': 118 },
+  minAnnualSalary: { AUD: 15000 }
+}));
+process.env.COMP_NORMALIZATION_FILE = OVERRIDES_FILE;
+delete process.env.COMP_BASE_CURRENCY;
+
+const {
+  annualMultiplier,
+  convertCurrency,
+  findCostOfLivingIndex,
+  normalizeCompensation
+} = require('../services/compensationNormalization');
+
+const SUCCESS_COLOR = '\x1b[32m'; // Green
+const ERROR_COLOR = '\x1b[31m';   // Red
+const INFO_COLOR = '\x1b[36m';    // Cyan
+const RESET_COLOR = '\x1b[0m';    // Reset
+
+function log(message, color = INFO_COLOR) {
+  console.log(`${color}${message}${RESET_COLOR}`);
+}
+
+// [sourcePeriod, annualMin, annualMax] for one normalization
+const annual = (compensation, options) => {
+  const result = normalizeCompensation(compensation, options);
+  return [result.sourcePeriod, result.annualMin, result.annualMax];
+};
+
+const checks = [
+  ['currencies are converted with the offline FX table', () => {
+    assert.strictEqual(convertCurrency(100, 'GBP', 'USD'), 127);
+    assert.strictEqual(convertCurrency(127, 'usd', 'gbp'), 100);
+    assert.strictEqual(convertCurrency(100, 'JPY', 'USD'), null);
+    const euros = normalizeCompensation({ min: 50000, max: 60000, currency: 'EUR', payPeriod: 'year' }, { baseCurrency: 'GBP' });
+    assert.deepStrictEqual([euros.baseCurrency, euros.annualMin, euros.annualMax, euros.assumptions.fxRate], ['GBP', 42913, 51496, 0.8583]);
+    // Unknown currencies keep the figures but cannot be annualized
+    const yen = normalizeCompensation({ amount: 5000000, currency: 'JPY', payPeriod: 'year' });
+    assert.deepStrictEqual([yen.annualMin, yen.midpoint, yen.assumptions.fxRate], [null, null, null]);
+  }],
+  ['every pay period is annualized with the full-time assumptions', () => {
+    assert.deepStrictEqual(
+      ['year', 'annually', 'month', 'week', 'day', 'hourly', 'fortnight'].map(period => annualMultiplier(period)),
+      [1, 1, 12, 52, 260, 2080, null]
+    );
+    assert.deepStrictEqual(annual({ min: 20, max: 25, currency: 'USD', payPeriod: 'hour' }), ['hour', 41600, 52000]);
+    assert.deepStrictEqual(annual({ amount: 200, currency: 'USD', payPeriod: 'day' }), ['day', 52000, 52000]);
+    assert.deepStrictEqual(annual({ amount: 1000, currency: 'USD', payPeriod: 'week' }), ['week', 52000, 52000]);
+    assert.deepStrictEqual(annual({ min: 3000, max: 3500, currency: 'GBP', payPeriod: 'month' }), ['month', 45720, 53340]);
+    assert.deepStrictEqual(annual({ min: 120000, max: 90000, currency: 'USD', payPeriod: 'year' }), ['year', 90000, 120000]);
+    assert.strictEqual(normalizeCompensation({ min: 20, max: 25, payPeriod: 'hour' }).assumptions.hoursPerYear, 2080);
+    assert.strictEqual(normalizeCompensation({ currency: 'USD' }), null);
+  }],
+  ['periods are guessed per currency when the posting states none', () => {
+    // Small figures are hourly wages
+    assert.deepStrictEqual(annual({ min: 18, max: 22 }), ['hour', 37440, 45760]);
+    // A UK part-time salary is yearly pay, not a monthly figure
+    assert.deepStrictEqual(annual({ min: 18000, max: 19500, currency: 'GBP' }), ['year', 22860, 24765]);
+    // Below the currency's lowest plausible yearly salary a figure is monthly
+    assert.deepStrictEqual(annual({ min: 2500, max: 3000, currency: 'EUR' }), ['month', 32700, 39240]);
+    assert.deepStrictEqual(annual({ amount: 7000, currency: 'USD' }), ['month', 84000, 84000]);
+    assert.deepStrictEqual(annual({ amount: 9000, currency: 'USD' }), ['year', 9000, 9000]);
+    assert.deepStrictEqual(annual({ amount: 14000, currency: 'AUD' }).slice(0, 2), ['month', 110880]);
+    // Currencies without an entry use the USD floor converted with fxRates
+    assert.strictEqual(annual({ amount: 5000, currency: 'JPY' })[0], 'year');
+    const guessed = normalizeCompensation({ min: 18000, max: 19500, currency: 'GBP' }).assumptions;
+    assert.deepStrictEqual([guessed.periodAssumed, guessed.currencyAssumed], [true, false]);
+  }],
+  ['cost of living uses the most specific known region', () => {
+    assert.deepStrictEqual(findCostOfLivingIndex({ city: 'San Francisco', state: 'CA', country: 'US' }), { index: 170, region: 'US-CA-san francisco' });
+    assert.deepStrictEqual(findCostOfLivingIndex({ city: 'Fresno', state: 'CA', country: 'United States' }), { index: 138, region: 'US-CA' });
+    assert.deepStrictEqual(findCostOfLivingIndex({ city: 'London', country: 'United Kingdom' }), { index: 128, region: 'GB--london' });
+    // A two-letter state without a country is a US state
+    assert.deepStrictEqual(findCostOfLivingIndex({ city: 'Austin', state: 'TX' }), { index: 103, region: 'US-TX-austin' });
+    assert.strictEqual(findCostOfLivingIndex({ remote: true, country: 'US' }), null);
+    assert.strictEqual(findCostOfLivingIndex({ country: 'Japan' }), null);
+    assert.strictEqual(findCostOfLivingIndex(null), null);
+    const seattle = normalizeCompensation({ min: 100000, max: 120000, currency: 'USD', payPeriod: 'year' }, { location: { city: 'Seattle', state: 'WA', country: 'US' } });
+    assert.deepStrictEqual(seattle.costOfLiving, { index: 150, region: 'US-WA-seattle', adjustedMidpoint: 73333 });
+    assert.deepStrictEqual([seattle.midpoint, seattle.rangeWidth, seattle.rangeWidthPct], [110000, 20000, 18.2]);
+  }],
+  ['COMP_NORMALIZATION_FILE entries are merged over the defaults', () => {
+    assert.deepStrictEqual(findCostOfLivingIndex({ city: 'Portland', state: 'OR', country: 'US' }), { index: 118, region: 'US-OR-portland' });
+    const result = normalizeCompensation({ amount: 60000, currency: 'USD', payPeriod: 'year' });
+    assert.deepStrictEqual([result.assumptions.fxRatesAsOf, result.assumptions.fxRate], ['2026-09-01', 1]);
+  }]
+];
+
+let failures = 0;
+for (const [name, check] of checks) {
+  try {
+    check();
+    log(`PASS ${name}`, SUCCESS_COLOR);
+  } catch (error) {
+    failures++;
+    log(`FAIL ${name}: ${error.message}`, ERROR_COLOR);
+  }
+}
+fs.rmSync(path.dirname(OVERRIDES_FILE), { recursive: true, force: true });
+log(`\n${checks.length - failures}/${checks.length} compensation normalization checks passed`, failures ? ERROR_COLOR : SUCCESS_COLOR);
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,191 @@
+/**
+ * Document Ingestion Test Script
+ *
+ * Extracts the PDF and DOCX fixtures in tests/fixtures/documents with services/documentIngestion,
+ * and checks the block parsing (htmlToBlocks, pdfTextToBlocks), text rendering (blocksToText) and
+ * title guessing (guessTitle) on small inputs. Fully offline.
+ *
+ * Usage: node tests/document-ingestion-test.js
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  extractDocument,
+  htmlToBlocks,
+  pdfTextToBlocks,
+  blocksToText,
+  guessTitle
+} = require('../services/documentIngestion');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'documents');
+const SUCCESS_COLOR = '\x1b[32m'; // Green
+const ERROR_COLOR = '\x1b[31m';   // Red
+const INFO_COLOR = '\x1b[36m';    // Cyan
+const RESET_COLOR = '\x1b[0m';    // Reset
+
+function log(message, color = INFO_COLOR) {
+  console.log(`${color}${message}${RESET_COLOR}`);
+}
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name));
+}
+
+const documentCases = [
+  {
+    fixture: 'posting.pdf',
+    mimetype: 'application/pdf',
+    format: 'pdf',
+    title: 'Senior Data Engineer',
+    bodyIncludes: [
+      '\n\nABOUT THE ROLE\nWe are hiring',
+      'analytics platform and to support the reporting team',
+      '- Build batch and streaming pipelines in Python and SQL',
+      'pipeline management and alerting.',
+      'Salary: $130,000 - $150,000 per year'
+    ],
+    bodyExcludes: ['Page 1 of 1', 'manage-', '•'],
+    htmlIncludes: ['<h2>ABOUT THE ROLE</h2>', '<li>Build batch and streaming pipelines in Python and SQL</li>']
+  },
+  {
+    fixture: 'posting.docx',
+    // Generic upload type: the format is sniffed from the bytes
+    mimetype: 'application/octet-stream',
+    format: 'docx',
+    title: 'Product Designer',
+    bodyIncludes: [
+      'travel app & work closely',
+      '\n\nResponsibilities\n- Lead end-to-end design for new features\n  - Prototype flows in Figma\n- Run usability studies',
+      'Salary | $120,000 - $140,000'
+    ],
+    bodyExcludes: ['&amp;'],
+    htmlIncludes: ['<h1>Product Designer</h1>']
+  }
+];
+
+async function runDocumentCase(testCase) {
+  const result = await extractDocument({ buffer: loadFixture(testCase.fixture), mimetype: testCase.mimetype, filename: testCase.fixture });
+  assert.strictEqual(result.format, testCase.format);
+  assert.strictEqual(result.job_title, testCase.title);
+  for (const snippet of testCase.bodyIncludes) {
+    assert.ok(result.job_body.includes(snippet), `body missing ${JSON.stringify(snippet)}`);
+  }
+  for (const snippet of testCase.bodyExcludes) {
+    assert.ok(!result.job_body.includes(snippet), `body should not contain ${JSON.stringify(snippet)}`);
+  }
+  for (const snippet of testCase.htmlIncludes) {
+    assert.ok(result.job_html.includes(snippet), `html missing ${JSON.stringify(snippet)}`);
+  }
+}
+
+async function runRejectionChecks() {
+  await assert.rejects(extractDocument({ buffer: Buffer.alloc(0) }), /empty/);
+  await assert.rejects(extractDocument({ buffer: Buffer.from('plain text'), mimetype: 'text/plain', filename: 'posting.txt' }), /Unsupported file type/);
+  // The PDF fixture with its text blanked (same length, so the xref offsets still hold), like a scanned page
+  const pdf = loadFixture('posting.pdf').toString('latin1').replace(/\(((?:[^()\\]|\\.)*)\) Tj/g, (_, text) => `(${' '.repeat(text.length)}) Tj`);
+  await assert.rejects(extractDocument({ buffer: Buffer.from(pdf, 'latin1'), mimetype: 'application/pdf' }), /No extractable text/);
+}
+
+function runHtmlToBlocksChecks() {
+  assert.deepStrictEqual(htmlToBlocks(
+    '<h2>What you&#39;ll do</h2><p>Line one<br />line two</p>'
+    + '<ul><li>Parent<ul><li>Child</li></ul></li><li>Sibling</li></ul>'
+    + '<table><tr><th>Pay</th><th>Hours</th></tr><tr><td><p>$20</p></td><td><p>30</p></td></tr></table><p>After</p>'
+  ), [
+    { type: 'heading', text: "What you'll do", level: 2 },
+    { type: 'paragraph', text: 'Line one line two', level: 0 },
+    { type: 'bullet', text: 'Parent', level: 0 },
+    { type: 'bullet', text: 'Child', level: 1 },
+    { type: 'bullet', text: 'Sibling', level: 0 },
+    { type: 'paragraph', text: 'Pay | Hours', level: 0 },
+    { type: 'paragraph', text: '$20 | 30', level: 0 },
+    { type: 'paragraph', text: 'After', level: 0 }
+  ]);
+  assert.deepStrictEqual(htmlToBlocks('<p> </p><p></p>'), []);
+}
+
+function runPdfTextToBlocksChecks() {
+  assert.deepStrictEqual(pdfTextToBlocks([
+    'Warehouse Lead',
+    'RESPONSIBILITIES',
+    '1. Run the morning shift',
+    '2) Train new starters on the',
+    'scanners and forklifts',
+    'What we offer:',
+    'A short line',
+    'Another short line',
+    '',
+    '3',
+    'Page 2 of 4'
+  ].join('\r\n')), [
+    { type: 'paragraph', text: 'Warehouse Lead', level: 0 },
+    { type: 'heading', text: 'RESPONSIBILITIES', level: 2 },
+    { type: 'bullet', text: 'Run the morning shift', level: 0 },
+    { type: 'bullet', text: 'Train new starters on the scanners and forklifts', level: 0 },
+    { type: 'heading', text: 'What we offer', level: 2 },
+    // Short lines without punctuation are hard breaks, not wrapped text
+    { type: 'paragraph', text: 'A short line', level: 0 },
+    { type: 'paragraph', text: 'Another short line', level: 0 }
+  ]);
+  // A heading-shaped last line has nothing to introduce
+  assert.deepStrictEqual(pdfTextToBlocks('Intro text.\nCONTACT'), [
+    { type: 'paragraph', text: 'Intro text.', level: 0 },
+    { type: 'paragraph', text: 'CONTACT', level: 0 }
+  ]);
+}
+
+function runBlocksToTextChecks() {
+  assert.strictEqual(blocksToText([
+    { type: 'paragraph', text: 'Warehouse Lead', level: 0 },
+    { type: 'paragraph', text: 'Join our team.', level: 0 },
+    { type: 'heading', text: 'Responsibilities', level: 2 },
+    { type: 'bullet', text: 'Run the shift', level: 0 },
+    { type: 'bullet', text: 'Including weekends', level: 1 },
+    { type: 'paragraph', text: 'Apply online.', level: 0 }
+  ]), 'Warehouse Lead\n\nJoin our team.\n\nResponsibilities\n- Run the shift\n  - Including weekends\n\nApply online.');
+  assert.strictEqual(blocksToText([]), '');
+}
+
+function runGuessTitleChecks() {
+  assert.strictEqual(guessTitle([{ type: 'paragraph', text: 'Barista:' }]), 'Barista');
+  // Generic section headings and bullets are not titles
+  assert.strictEqual(guessTitle([
+    { type: 'heading', text: 'About the role' },
+    { type: 'bullet', text: 'Pour coffee' },
+    { type: 'heading', text: 'Head Barista' }
+  ]), 'Head Barista');
+  assert.strictEqual(guessTitle([{ type: 'bullet', text: 'Pour coffee' }], 'uploads/senior_barista-job.pdf'), 'senior barista job');
+  assert.strictEqual(guessTitle([{ type: 'paragraph', text: 'x'.repeat(101) }]), 'Uploaded Job Posting');
+}
+
+async function run() {
+  let failures = 0;
+  const check = async (name, fn) => {
+    try {
+      await fn();
+      log(`PASS ${name}`, SUCCESS_COLOR);
+    } catch (error) {
+      failures++;
+      log(`FAIL ${name}: ${error.message}`, ERROR_COLOR);
+    }
+  };
+
+  for (const testCase of documentCases) {
+    await check(`${testCase.format.toUpperCase()} extraction (${testCase.fixture})`, () => runDocumentCase(testCase));
+  }
+  const checks = [
+    ['Rejected uploads', runRejectionChecks],
+    ['htmlToBlocks', runHtmlToBlocksChecks],
+    ['pdfTextToBlocks', runPdfTextToBlocksChecks],
+    ['blocksToText', runBlocksToTextChecks],
+    ['guessTitle', runGuessTitleChecks]
+  ];
+  for (const [name, fn] of checks) await check(name, fn);
+
+  const total = documentCases.length + checks.length;
+  log(`\n${total - failures}/${total} document ingestion checks passed`, failures ? ERROR_COLOR : SUCCESS_COLOR);
+  process.exitCode = failures ? 1 : 0;
+}
+
+run();
@@ -0,0 +1,216 @@
+/**
+ * ATS Extractor Test Script
+ *
+ * Runs every extractor in services/extractors against the saved HTML fixtures in
+ * tests/fixtures/extractors, and checks the ATS API URL parsing/mapping against saved
+ * API responses. Fully offline - no browser or network needed.
+ *
+ * Usage: node tests/extractors-test.js
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { findExtractorForUrl, getExtractor, extractFromHtml } = require('../services/extractors');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'extractors');
+const SUCCESS_COLOR = '\x1b[32m'; // Green
+const ERROR_COLOR = '\x1b[31m';   // Red
+const INFO_COLOR = '\x1b[36m';    // Cyan
+const RESET_COLOR = '\x1b[0m';    // Reset
+
+function log(message, color = INFO_COLOR) {
+  console.log(`${color}${message}${RESET_COLOR}`);
+}
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+const cases = [
+  {
+    fixture: 'greenhouse.html',
+    url: 'https://job-boards.greenhouse.io/remotecom/jobs/6644944003',
+    ats: 'greenhouse',
+    title: 'Senior Backend Engineer',
+    bodyIncludes: ['- Design and build Elixir services', 'Requirements'],
+    bodyExcludes: ['Apply'],
+    structured: { location: 'Remote - Europe', company: 'Remote', datePosted: '2025-06-02' },
+    compensation: { min: 70000, max: 95000, currency: 'EUR' }
+  },
+  {
+    fixture: 'greenhouse-legacy.html',
+    url: 'https://boards.greenhouse.io/embed/job_app?for=sentinellabs&token=6571460003',
+    ats: 'greenhouse',
+    title: 'Data Analyst',
+    bodyIncludes: ['- Build dashboards', 'What you bring'],
+    bodyExcludes: ['Submit Application'],
+    structured: { location: 'Mountain View, California', company: 'at SentinelOne' }
+  },
+  {
+    fixture: 'lever.html',
+    url: 'https://jobs.lever.co/plaid/0a1b2c3d-aaaa-bbbb-cccc-1234567890ab',
+    ats: 'lever',
+    title: 'Product Designer',
+    bodyIncludes: ['We believe the way people interact', '- Lead end-to-end design'],
+    bodyExcludes: ['Apply for this job'],
+    structured: { location: 'New York, NY', department: 'Design – Consumer', employmentType: 'Full-time', workplaceType: 'Hybrid' },
+    compensation: { min: 150000, max: 210000, currency: 'USD', period: 'year' }
+  },
+  {
+    fixture: 'ashby.html',
+    url: 'https://jobs.ashbyhq.com/notion/6b1c',
+    ats: 'ashby',
+    title: 'Staff Machine Learning Engineer',
+    bodyIncludes: ['tricky "quotes" and {braces}', '- Own evaluation pipelines'],
+    structured: { location: 'San Francisco, CA', department: 'Engineering', remote: false },
+    compensation: { min: 240000, max: 310000, currency: 'USD' }
+  },
+  {
+    fixture: 'workday.html',
+    url: 'https://providence.wd5.myworkdayjobs.com/en-US/Careers/job/Portland-OR/Registered-Nurse---ICU_R-0123456',
+    ats: 'workday',
+    title: 'Registered Nurse - ICU',
+    bodyIncludes: ['- Oregon RN license', 'Pay Range'],
+    structured: { location: 'Portland, OR', employmentType: 'Full time', requisitionId: 'R-0123456', company: 'Providence' }
+  },
+  {
+    fixture: 'smartrecruiters.html',
+    url: 'https://jobs.smartrecruiters.com/BoschGroup/743999912345678-warehouse-associate',
+    ats: 'smartrecruiters',
+    title: 'Warehouse Associate',
+    bodyIncludes: ['Company Description', '- Operate forklifts safely', 'Equal Opportunity Employer'],
+    structured: { location: 'Charleston, SC, United States', employmentType: 'Full-time', company: 'Bosch' }
+  },
+  {
+    fixture: 'workable.html',
+    url: 'https://apply.workable.com/hotjar/j/A1B2C3D4E5/',
+    ats: 'workable',
+    title: 'Customer Success Manager',
+    bodyIncludes: ['Hotjar helps product teams', '- 3+ years in B2B SaaS', 'Benefits'],
+    bodyExcludes: ['Apply for this job'],
+    structured: { location: 'Malta', employmentType: 'Full time', department: 'Customer Experience', remote: true }
+  }
+];
+
+function runCase(testCase) {
+  const extractor = findExtractorForUrl(testCase.url);
+  assert.ok(extractor, 'no extractor matched URL');
+  assert.strictEqual(extractor.name, testCase.ats);
+
+  assertResult(extractFromHtml(loadFixture(testCase.fixture), testCase.url), testCase);
+}
+
+function assertResult(result, testCase) {
+  assert.ok(result, 'extractor returned null');
+  assert.strictEqual(result.ats, testCase.ats);
+  assert.strictEqual(result.title, testCase.title);
+  assert.ok(result.html, 'missing html');
+  for (const snippet of testCase.bodyIncludes || []) {
+    assert.ok(result.body.includes(snippet), `body missing "${snippet}"`);
+  }
+  for (const snippet of testCase.bodyExcludes || []) {
+    assert.ok(!result.body.includes(snippet), `body should not contain "${snippet}"`);
+  }
+  for (const [key, value] of Object.entries(testCase.structured || {})) {
+    assert.deepStrictEqual(result.structured[key], value, `structured.${key}`);
+  }
+  for (const [key, value] of Object.entries(testCase.compensation || {})) {
+    assert.strictEqual(result.structured.compensation?.[key], value, `compensation.${key}`);
+  }
+}
+
+const apiUrlCases = [
+  ['https://job-boards.greenhouse.io/remotecom/jobs/6644944003', 'greenhouse', 'https://boards-api.greenhouse.io/v1/boards/remotecom/jobs/6644944003?pay_transparency=true'],
+  ['https://boards.greenhouse.io/embed/job_app?for=sentinellabs&token=6571460003', 'greenhouse', 'https://boards-api.greenhouse.io/v1/boards/sentinellabs/jobs/6571460003?pay_transparency=true'],
+  ['https://boards.greenhouse.io/sentinellabs?gh_jid=6571460003', 'greenhouse', 'https://boards-api.greenhouse.io/v1/boards/sentinellabs/jobs/6571460003?pay_transparency=true'],
+  ['https://job-boards.greenhouse.io/remotecom', 'greenhouse', null],
+  ['https://jobs.lever.co/plaid/0a1b2c3d-aaaa-bbbb-cccc-1234567890ab/apply', 'lever', 'https://api.lever.co/v0/postings/plaid/0a1b2c3d-aaaa-bbbb-cccc-1234567890ab'],
+  ['https://jobs.eu.lever.co/acme/0a1b2c3d-aaaa-bbbb-cccc-1234567890ab', 'lever', 'https://api.eu.lever.co/v0/postings/acme/0a1b2c3d-aaaa-bbbb-cccc-1234567890ab'],
+  ['https://jobs.lever.co/plaid', 'lever', null],
+  ['https://jobs.ashbyhq.com/notion/6b1c0d2e-9f8a-4b7c-8d6e-5f4a3b2c1d0e', 'ashby', 'https://api.ashbyhq.com/posting-api/job-board/notion?includeCompensation=true']
+];
+
+const apiMappingCases = [
+  {
+    fixture: 'greenhouse-api.json',
+    url: 'https://job-boards.greenhouse.io/remotecom/jobs/6644944003',
+    ats: 'greenhouse',
+    title: 'Senior Backend Engineer',
+    bodyIncludes: ["organizations' biggest challenge", '- Own features end to end'],
+    structured: { location: 'Remote - Europe', department: 'Engineering', updatedAt: '2025-06-18T15:02:41.000Z', requisitionId: 'ENG-412' },
+    compensation: { min: 70000, max: 95000, currency: 'EUR', period: 'year' }
+  },
+  {
+    fixture: 'lever-api.json',
+    url: 'https://jobs.lever.co/plaid/0a1b2c3d-aaaa-bbbb-cccc-1234567890ab',
+    ats: 'lever',
+    title: 'Product Designer',
+    bodyIncludes: ['Responsibilities', '- Run usability studies', 'equal opportunity employer'],
+    structured: { location: 'New York, NY', employmentType: 'Full-time', remote: false, datePosted: '2025-05-20T12:00:00.000Z' },
+    compensation: { min: 150000, max: 210000, currency: 'USD', period: 'year' }
+  },
+  {
+    fixture: 'ashby-api.json',
+    url: 'https://jobs.ashbyhq.com/notion/6b1c0d2e-9f8a-4b7c-8d6e-5f4a3b2c1d0e',
+    ats: 'ashby',
+    title: 'Staff Machine Learning Engineer',
+    bodyIncludes: ['- Own evaluation pipelines'],
+    structured: { department: 'Engineering', remote: false },
+    compensation: { min: 240000, max: 310000, currency: 'USD', period: 'year' }
+  }
+];
+
+function runApiUrlChecks() {
+  for (const [url, ats, apiUrl] of apiUrlCases) {
+    const target = getExtractor(ats).parseApiUrl(url);
+    assert.strictEqual(target ? target.apiUrl : null, apiUrl, url);
+  }
+}
+
+function runApiMappingCase(testCase) {
+  const extractor = getExtractor(testCase.ats);
+  const target = extractor.parseApiUrl(testCase.url);
+  const result = extractor.fromApiPosting(JSON.parse(loadFixture(testCase.fixture)), target);
+  assertResult(result, testCase);
+}
+
+function runGeneralChecks() {
+  assert.strictEqual(findExtractorForUrl('https://www.indeed.com/viewjob?jk=8d3c6ed7671af60e'), null);
+  assert.strictEqual(findExtractorForUrl('https://notgreenhouse.io.example.com/jobs/1'), null);
+  assert.strictEqual(findExtractorForUrl('not a url'), null);
+  // Right ATS, wrong page (e.g. a board index) should not produce a posting
+  assert.strictEqual(extractFromHtml('<html><body><h1>Open roles</h1></body></html>', 'https://jobs.lever.co/plaid'), null);
+}
+
+let failures = 0;
+for (const testCase of cases) {
+  try {
+    runCase(testCase);
+    log(`PASS ${testCase.ats} (${testCase.fixture})`, SUCCESS_COLOR);
+  } catch (error) {
+    failures++;
+    log(`FAIL ${testCase.ats} (${testCase.fixture}): ${error.message}`, ERROR_COLOR);
+  }
+}
+for (const testCase of apiMappingCases) {
+  try {
+    runApiMappingCase(testCase);
+    log(`PASS ${testCase.ats} API mapping (${testCase.fixture})`, SUCCESS_COLOR);
+  } catch (error) {
+    failures++;
+    log(`FAIL ${testCase.ats} API mapping (${testCase.fixture}): ${error.message}`, ERROR_COLOR);
+  }
+}
+for (const [name, check] of [['URL matching / non-posting pages', runGeneralChecks], ['API URL parsing', runApiUrlChecks]]) {
+  try {
+    check();
+    log(`PASS ${name}`, SUCCESS_COLOR);
+  } catch (error) {
+    failures++;
+    log(`FAIL ${name}: ${error.message}`, ERROR_COLOR);
+  }
+}
+
+const total = cases.length + apiMappingCases.length + 2;
+log(`\n${total - failures}/${total} extractor checks passed`, failures ? ERROR_COLOR : SUCCESS_COLOR);
+process.exitCode = failures ? 1 : 0;
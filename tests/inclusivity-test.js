@@ -0,0 +1,94 @@
+/**
+ * Inclusivity Test Script
+ *
+ * Checks the inclusivity lexicon and scorer (services/inclusivityScoring.js): which pronoun, age,
+ * physical-requirement and degree wording is flagged and which is left alone, and how findings
+ * are charged against the category score. The LLM review is off, so the checks are fully offline.
+ *
+ * Usage: node tests/inclusivity-test.js
+ */
+const assert = require('assert');
+const { findLexiconIssues, scoreInclusivity } = require('../services/inclusivityScoring');
+
+const SUCCESS_COLOR = '\x1b[32m'; // Green
+const ERROR_COLOR = '\x1b[31m';   // Red
+const INFO_COLOR = '\x1b[36m';    // Cyan
+const RESET_COLOR = '\x1b[0m';    // Reset
+
+function log(message, color = INFO_COLOR) {
+  console.log(`${color}${message}${RESET_COLOR}`);
+}
+
+// [text, category] for each lexicon finding
+const flagged = text => findLexiconIssues(text).map(span => [span.text, span.category]);
+
+const checks = [
+  ['bare he/his is flagged only when it refers to the hire', async () => {
+    assert.deepStrictEqual(flagged('The ideal candidate brings his own tools. He will report to the CTO.'), [
+      ['his', 'gendered_pronoun'],
+      ['He will', 'gendered_pronoun']
+    ]);
+    assert.deepStrictEqual(flagged('Our founder shares his vision with His Excellency the ambassador.'), []);
+    assert.deepStrictEqual(flagged('He or she will travel to client sites.'), [['He or she', 'gendered_pronoun']]);
+  }],
+  ['"young" is flagged only in phrases about the team or the hire', async () => {
+    assert.deepStrictEqual(flagged('Join a young and dynamic team.'), [['young and dynamic', 'age_coded']]);
+    assert.deepStrictEqual(flagged('Young team wanted.'), [['Young team', 'age_coded']]);
+    assert.deepStrictEqual(flagged('You will run our Young Adults program for young readers.'), []);
+  }],
+  ['physical requirements are flagged only without an accommodation statement', async () => {
+    assert.deepStrictEqual(flagged('Must be able to lift 50 lbs.'), [['Must be able to lift', 'ableist']]);
+    assert.deepStrictEqual(flagged('Must be able to lift 50 lbs, with or without reasonable accommodation.'), []);
+  }],
+  ['degree requirements are flagged only without "or equivalent"', async () => {
+    assert.deepStrictEqual(flagged("Bachelor's degree required."), [["Bachelor's degree required", 'degree_requirement']]);
+    assert.deepStrictEqual(flagged("Bachelor's degree required or equivalent experience."), []);
+    assert.deepStrictEqual(flagged('Must have a college degree or equivalent.'), []);
+  }],
+  ['"competitive" pay is not gender-coded wording', async () => {
+    assert.deepStrictEqual(flagged('Competitive salary and benefits. Pay is competitive.'), []);
+    assert.deepStrictEqual(flagged('A competitive rockstar.'), [['competitive', 'gender_coded'], ['rockstar', 'gender_coded']]);
+  }],
+  ['each distinct term is charged once by severity', async () => {
+    const job_body = 'We need a rockstar. Our rockstar team is young and dynamic. He will lead.';
+    const result = await scoreInclusivity({ job_body }, { useLLM: false });
+    // rockstar (medium, 2) + young and dynamic (high, 4) + He will (medium, 2); the repeat is free
+    assert.deepStrictEqual([result.score, result.maxScore], [7, 15]);
+    assert.deepStrictEqual(result.breakdown, {
+      issueCount: 4,
+      counts: { gender_coded: 2, age_coded: 1, gendered_pronoun: 1 },
+      llmReviewed: false,
+      lexiconApplied: true
+    });
+    assert.strictEqual(result.suggestions.length, 3);
+    // Every occurrence is highlighted, with offsets into job_body
+    assert.deepStrictEqual(result.findings.map(finding => job_body.slice(finding.start, finding.end)), ['rockstar', 'rockstar', 'young and dynamic', 'He will']);
+    assert.ok(result.findings.every(finding => finding.rule_id.startsWith('inclusivity.') && finding.source === 'rule'));
+  }],
+  ['the English lexicon is skipped for other languages', async () => {
+    const result = await scoreInclusivity({ job_body: 'Wir suchen einen Rockstar. He will.', language: 'de' }, { useLLM: false });
+    assert.deepStrictEqual([result.score, result.highlights, result.breakdown.lexiconApplied], [15, [], false]);
+  }]
+];
+
+async function run() {
+  let failures = 0;
+  for (const [name, check] of checks) {
+    try {
+      await check();
+      log(`PASS ${name}`, SUCCESS_COLOR);
+    } catch (error) {
+      failures++;
+      log(`FAIL ${name}: ${error.message}`, ERROR_COLOR);
+    }
+  }
+  log(`\n${checks.length - failures}/${checks.length} inclusivity checks passed`, failures ? ERROR_COLOR : SUCCESS_COLOR);
+  return failures;
+}
+
+run()
+  .then(failures => { process.exitCode = failures ? 1 : 0; })
+  .catch(error => {
+    log(`FAIL ${error.message}`, ERROR_COLOR);
+    process.exitCode = 1;
+  });
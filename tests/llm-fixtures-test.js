@@ -0,0 +1,113 @@
+/**
+ * LLM Fixture Test Script
+ *
+ * Checks the callLLM record/replay layer (utils/llmFixtures.js): responses recorded from an
+ * OpenAI-compatible server are replayed without it, replay falls back to the provider for unknown
+ * prompts, and strict mode rejects them. Fully offline - the "provider" is a local HTTP server.
+ *
+ * Usage: node tests/llm-fixtures-test.js
+ */
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+const SUCCESS_COLOR = '\x1b[32m'; // Green
+const ERROR_COLOR = '\x1b[31m';   // Red
+const INFO_COLOR = '\x1b[36m';    // Cyan
+const RESET_COLOR = '\x1b[0m';    // Reset
+
+function log(message, color = INFO_COLOR) {
+  console.log(`${color}${message}${RESET_COLOR}`);
+}
+
+// Answers every chat completion with a counter, so a replayed answer is distinguishable from a live one
+let served = 0;
+const server = http.createServer((req, res) => {
+  req.resume();
+  req.on('end', () => {
+    served++;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      id: `chatcmpl-${served}`,
+      object: 'chat.completion',
+      choices: [{ index: 0, message: { role: 'assistant', content: `{"answer":${served}}` }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 40, completion_tokens: 8, total_tokens: 48 }
+    }));
+  });
+});
+
+async function run() {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  Object.assign(process.env, {
+    LLM_PROVIDER: 'local',
+    LLM_FALLBACK_PROVIDERS: '',
+    LOCAL_LLM_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`,
+    LLM_FIXTURE_DIR: FIXTURE_DIR
+  });
+  const { callLLM, isLLMConfigured, trackLLMUsage } = require('../utils/llmHelpers');
+  const options = { user: 'tests/llm-fixtures', response_format: { type: 'json_object' }, seed: 7 };
+
+  const checks = [
+    ['record writes one fixture per request', async () => {
+      process.env.LLM_FIXTURE_MODE = 'record';
+      assert.strictEqual(await callLLM('first prompt', 0, options), '{"answer":1}');
+      assert.strictEqual(await callLLM('second prompt', 0, options), '{"answer":2}');
+      const files = fs.readdirSync(path.join(FIXTURE_DIR, 'tests_llm-fixtures'));
+      assert.strictEqual(files.length, 2);
+    }],
+    ['replay serves recorded responses without the provider', async () => {
+      process.env.LLM_FIXTURE_MODE = 'replay';
+      const { result, usage } = await trackLLMUsage(() => callLLM('second prompt', 0, options));
+      assert.strictEqual(result, '{"answer":2}');
+      assert.strictEqual(served, 2);
+      assert.deepStrictEqual(
+        { provider: usage.calls[0].provider, replayed: usage.calls[0].replayed, promptTokens: usage.calls[0].promptTokens },
+        { provider: 'local', replayed: true, promptTokens: 40 }
+      );
+    }],
+    ['any request option change misses the fixture', async () => {
+      process.env.LLM_FIXTURE_MODE = 'replay';
+      assert.strictEqual(await callLLM('first prompt', 0, { ...options, seed: 8 }), '{"answer":3}');
+    }],
+    ['strict rejects prompts without a fixture', async () => {
+      process.env.LLM_FIXTURE_MODE = 'strict';
+      assert.strictEqual(await callLLM('first prompt', 0, options), '{"answer":1}');
+      await assert.rejects(callLLM('unrecorded prompt', 0, options), error => error.code === 'LLM_FIXTURE_MISSING');
+      assert.strictEqual(served, 3);
+    }],
+    ['replay counts as a configured LLM', async () => {
+      delete process.env.LOCAL_LLM_BASE_URL;
+      process.env.LLM_FIXTURE_MODE = 'off';
+      assert.strictEqual(isLLMConfigured(), false);
+      process.env.LLM_FIXTURE_MODE = 'strict';
+      assert.strictEqual(isLLMConfigured(), true);
+    }]
+  ];
+
+  let failures = 0;
+  for (const [name, check] of checks) {
+    try {
+      await check();
+      log(`PASS ${name}`, SUCCESS_COLOR);
+    } catch (error) {
+      failures++;
+      log(`FAIL ${name}: ${error.message}`, ERROR_COLOR);
+    }
+  }
+  log(`\n${checks.length - failures}/${checks.length} LLM fixture checks passed`, failures ? ERROR_COLOR : SUCCESS_COLOR);
+  return failures;
+}
+
+run()
+  .then(failures => { process.exitCode = failures ? 1 : 0; })
+  .catch(error => {
+    log(`FAIL ${error.message}`, ERROR_COLOR);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    server.close();
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  });
@@ -0,0 +1,87 @@
+/**
+ * Location Resolver Test Script
+ *
+ * Resolves location lines with services/locationResolver.js and checks the city, subdivision,
+ * country and remote policy it returns, including lines that look like places but are not
+ * ("Team OR alone"). Fully offline.
+ *
+ * Usage: node tests/location-resolver-test.js
+ */
+const assert = require('assert');
+const { resolveLocation, resolveCountryCode } = require('../services/locationResolver');
+
+const SUCCESS_COLOR = '\x1b[32m'; // Green
+const ERROR_COLOR = '\x1b[31m';   // Red
+const INFO_COLOR = '\x1b[36m';    // Cyan
+const RESET_COLOR = '\x1b[0m';    // Reset
+
+function log(message, color = INFO_COLOR) {
+  console.log(`${color}${message}${RESET_COLOR}`);
+}
+
+// Compares only the fields a case lists
+function assertResolves(text, expected) {
+  const result = resolveLocation(text);
+  assert.ok(result, `${JSON.stringify(text)} did not resolve`);
+  const actual = Object.fromEntries(Object.keys(expected).map(key => [key, result[key]]));
+  assert.deepStrictEqual(actual, expected, JSON.stringify(text));
+}
+
+const checks = [
+  ['US city and state codes', () => {
+    assertResolves('Portland, OR', { city: 'Portland', state: 'OR', region: 'Oregon', countryCode: 'US', confidence: 0.9 });
+    // Without a comma, a postal code or a location lead-in marks the pair as a place
+    assertResolves('Boise ID 83702', { city: 'Boise', state: 'ID', countryCode: 'US', matchedText: 'Boise ID' });
+    assertResolves('Location: Austin TX', { city: 'Austin', state: 'TX', region: 'Texas', countryCode: 'US' });
+    assertResolves('Remote Boise ID', { city: 'Boise', state: 'ID', remote: true });
+  }],
+  ['capitalised words before a state code are not places without context', () => {
+    assert.strictEqual(resolveLocation('We work in a Team OR alone'), null);
+    assert.strictEqual(resolveLocation('Reading the docs is nice'), null);
+    assert.strictEqual(resolveLocation(''), null);
+    assert.strictEqual(resolveLocation(null), null);
+  }],
+  ['shared subdivision codes follow the gazetteer', () => {
+    assertResolves('Perth, WA', { city: 'Perth', state: 'WA', region: 'Western Australia', countryCode: 'AU' });
+    assertResolves('Seattle, WA', { city: 'Seattle', state: 'WA', region: 'Washington', countryCode: 'US' });
+    assertResolves('Sydney, NSW', { city: 'Sydney', state: 'NSW', countryCode: 'AU' });
+    assertResolves('Toronto, ON', { city: 'Toronto', state: 'ON', region: 'Ontario', country: 'Canada' });
+  }],
+  ['a stated country overrides the city guess', () => {
+    assertResolves('London, UK', { city: 'London', countryCode: 'GB' });
+    assertResolves('London, Canada', { city: 'London', countryCode: 'CA' });
+    assertResolves('Hybrid - Berlin, Germany', { city: 'Berlin', country: 'Germany', hybrid: true, remote: false });
+  }],
+  ['remote policies', () => {
+    assertResolves('Remote - US only', {
+      countryCode: 'US',
+      remote: true,
+      remotePolicy: { scope: 'country', regions: [], countries: ['US'], timezones: [] }
+    });
+    assertResolves('Remote (EMEA)', { countryCode: null, remote: true, remotePolicy: { scope: 'region', regions: ['EMEA'], countries: [], timezones: [] } });
+    assertResolves('Remote, anywhere', { remote: true, remotePolicy: { scope: 'worldwide', regions: [], countries: [], timezones: [] } });
+    // A timezone requirement implies distributed work even without the word "remote"
+    assertResolves('Work across US time zones', { remote: false, remotePolicy: { scope: 'timezone', regions: [], countries: [], timezones: ['US time zones'] } });
+    assertResolves('Seattle, WA', { remotePolicy: null });
+  }],
+  ['country codes, names and aliases', () => {
+    assert.strictEqual(resolveCountryCode('UK'), 'GB');
+    assert.strictEqual(resolveCountryCode('Deutschland'), 'DE');
+    assert.strictEqual(resolveCountryCode('de'), 'DE');
+    assert.strictEqual(resolveCountryCode('nowhere'), null);
+    assert.strictEqual(resolveCountryCode(''), null);
+  }]
+];
+
+let failures = 0;
+for (const [name, check] of checks) {
+  try {
+    check();
+    log(`PASS ${name}`, SUCCESS_COLOR);
+  } catch (error) {
+    failures++;
+    log(`FAIL ${name}: ${error.message}`, ERROR_COLOR);
+  }
+}
+log(`\n${checks.length - failures}/${checks.length} location resolver checks passed`, failures ? ERROR_COLOR : SUCCESS_COLOR);
+process.exitCode = failures ? 1 : 0;
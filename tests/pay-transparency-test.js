@@ -0,0 +1,113 @@
+/**
+ * Pay Transparency Test Script
+ *
+ * Checks the pay transparency rule set (services/payTransparency.js): which jurisdictions cover a
+ * job location (including remote US and EU roles) and the pass/fail/warning status of each one for
+ * a given compensation. Evaluated at a fixed date so effective dates do not drift. Fully offline.
+ *
+ * Usage: node tests/pay-transparency-test.js
+ */
+const assert = require('assert');
+const { evaluatePayTransparency, findApplicableRules, findJurisdictionIds } = require('../services/payTransparency');
+
+const SUCCESS_COLOR = '\x1b[32m'; // Green
+const ERROR_COLOR = '\x1b[31m';   // Red
+const INFO_COLOR = '\x1b[36m';    // Cyan
+const RESET_COLOR = '\x1b[0m';    // Reset
+
+function log(message, color = INFO_COLOR) {
+  console.log(`${color}${message}${RESET_COLOR}`);
+}
+
+const AS_OF = '2026-10-18';
+const RANGE = { isRange: true, min: 90000, max: 120000 };
+const NO_PAY = { isRange: false, min: null, max: null, amount: null };
+
+// { jurisdiction id: status } for one evaluation
+function statuses(params) {
+  const { jurisdictions } = evaluatePayTransparency({ asOf: AS_OF, ...params });
+  return Object.fromEntries(jurisdictions.map(jurisdiction => [jurisdiction.id, jurisdiction.status]));
+}
+
+function requirement(params, jurisdictionId, requirementId) {
+  const { jurisdictions } = evaluatePayTransparency({ asOf: AS_OF, ...params });
+  return jurisdictions.find(jurisdiction => jurisdiction.id === jurisdictionId).requirements.find(req => req.id === requirementId);
+}
+
+const checks = [
+  ['state rules pass with a range and fail without one', () => {
+    const denver = { city: 'Denver', state: 'CO', country: 'US' };
+    assert.deepStrictEqual(statuses({ location: denver, compensation: RANGE, job_body: 'Medical, dental and 401(k).' }), { 'US-CO': 'pass' });
+    // Colorado also requires a description of benefits
+    assert.deepStrictEqual(statuses({ location: denver, compensation: RANGE, job_body: 'Join us.' }), { 'US-CO': 'fail' });
+    assert.strictEqual(requirement({ location: denver, compensation: RANGE }, 'US-CO', 'benefits_description').met, false);
+    assert.deepStrictEqual(statuses({ location: denver, compensation: { ...NO_PAY, vagueTerms: ['competitive'] }, job_body: 'Benefits.' }), { 'US-CO': 'fail' });
+    assert.match(requirement({ location: denver, compensation: { ...NO_PAY, vagueTerms: ['competitive'] } }, 'US-CO', 'pay_range').detail, /Vague/);
+    // A single figure is enough where fixed pay is allowed, but not in Illinois
+    const fixed = { isRange: false, amount: 100000 };
+    assert.deepStrictEqual(statuses({ location: { state: 'CA', country: 'US' }, compensation: fixed }), { 'US-CA': 'pass' });
+    assert.deepStrictEqual(statuses({ location: { city: 'Chicago', state: 'IL', country: 'US' }, compensation: fixed, job_body: 'Health insurance.' }), { 'US-IL': 'fail' });
+    // States without a posting law have no jurisdictions
+    assert.deepStrictEqual(statuses({ location: { city: 'Austin', state: 'TX', country: 'US' }, compensation: NO_PAY }), {});
+  }],
+  ['city rules stack on the state rule', () => {
+    assert.deepStrictEqual(statuses({ location: { city: 'Brooklyn', state: 'NY', country: 'US' }, compensation: NO_PAY }), { 'US-NY': 'fail', 'US-NY-NYC': 'fail' });
+    assert.deepStrictEqual(statuses({ location: { city: 'Albany', state: 'NY', country: 'US' }, compensation: RANGE }), { 'US-NY': 'pass' });
+    // Cincinnati only requires pay on a conditional offer, so the posting cannot fail it
+    assert.deepStrictEqual(statuses({ location: { city: 'Cincinnati', state: 'OH', country: 'US' }, compensation: NO_PAY }), { 'US-OH-CINCINNATI': 'advisory' });
+  }],
+  ['remote US roles are covered by every state law that reaches remote work', () => {
+    const remote = { remote: true, country: 'US', summary: 'Remote (US)' };
+    const result = statuses({ location: remote, compensation: NO_PAY });
+    assert.deepStrictEqual(Object.keys(result).sort(), ['US-CA', 'US-CO', 'US-IL', 'US-MN', 'US-NY', 'US-WA']);
+    assert.ok(Object.values(result).every(status => status === 'fail'));
+    const covered = findApplicableRules(remote).find(({ rule }) => rule.id === 'US-CO');
+    assert.strictEqual(covered.reason, 'Remote role that could be performed in Colorado');
+    assert.ok(Object.values(statuses({ location: remote, compensation: RANGE, job_body: 'Full benefits.' })).every(status => status === 'pass'));
+    // A remote role limited to one state only answers to that state
+    assert.deepStrictEqual(statuses({ location: { remote: true, state: 'TX', country: 'US' }, compensation: NO_PAY }), {});
+    assert.deepStrictEqual(statuses({ location: { remote: true, state: 'WA', country: 'US' }, compensation: NO_PAY }), { 'US-WA': 'fail' });
+  }],
+  ['the good-faith heuristic warns, statutory spreads fail', () => {
+    const wide = { isRange: true, min: 50000, max: 150000 };
+    const seattle = { city: 'Seattle', state: 'WA', country: 'US' };
+    assert.deepStrictEqual(statuses({ location: seattle, compensation: wide, job_body: 'Benefits included.' }), { 'US-WA': 'warning' });
+    assert.match(requirement({ location: seattle, compensation: wide }, 'US-WA', 'good_faith_range').detail, /3\.0x the bottom/);
+    // Ontario caps the range width at $50,000 unless the top exceeds $200,000
+    const toronto = { city: 'Toronto', country: 'Canada' };
+    assert.deepStrictEqual(statuses({ location: toronto, compensation: { isRange: true, min: 60000, max: 120000 } }), { 'CA-ON': 'fail' });
+    assert.deepStrictEqual(statuses({ location: toronto, compensation: { isRange: true, min: 150000, max: 250000 } }), { 'CA-ON': 'pass' });
+  }],
+  ['EU roles need pay before the interview, so a missing range only warns', () => {
+    assert.deepStrictEqual(statuses({ location: { city: 'Berlin', country: 'Germany' }, compensation: NO_PAY }), { EU: 'warning' });
+    assert.deepStrictEqual(statuses({ location: { city: 'Berlin', country: 'DE' }, compensation: RANGE }), { EU: 'pass' });
+    const remoteEu = findApplicableRules({ remote: true, summary: 'Remote (EU)' });
+    assert.deepStrictEqual(remoteEu.map(({ rule, reason }) => [rule.id, reason]), [['EU', 'Remote role open to candidates in the EU']]);
+  }],
+  ['effective dates and employer size', () => {
+    const boston = { city: 'Boston', state: 'MA', country: 'US' };
+    assert.deepStrictEqual(statuses({ location: boston, compensation: NO_PAY, asOf: '2025-06-01' }), { 'US-MA': 'not_yet_effective' });
+    assert.deepStrictEqual(statuses({ location: boston, compensation: NO_PAY }), { 'US-MA': 'fail' });
+    assert.deepStrictEqual(statuses({ location: { state: 'CA', country: 'US' }, compensation: NO_PAY, employerSize: 10 }), { 'US-CA': 'exempt' });
+    const { summary } = evaluatePayTransparency({ location: { city: 'Brooklyn', state: 'NY', country: 'US' }, compensation: NO_PAY, asOf: AS_OF });
+    assert.deepStrictEqual(summary, { applicable: 2, passed: 0, failed: 2, warnings: 0, compliant: false });
+  }],
+  ['jurisdiction ids skip offer-stage and future rules', () => {
+    assert.deepStrictEqual(findJurisdictionIds({ city: 'Cincinnati', state: 'OH', country: 'US' }, AS_OF), []);
+    assert.deepStrictEqual(findJurisdictionIds({ city: 'Boston', state: 'MA', country: 'US' }, '2025-06-01'), []);
+    assert.deepStrictEqual(findJurisdictionIds({ city: 'Manhattan', state: 'NY' }, AS_OF), ['US-NY', 'US-NY-NYC']);
+  }]
+];
+
+let failures = 0;
+for (const [name, check] of checks) {
+  try {
+    check();
+    log(`PASS ${name}`, SUCCESS_COLOR);
+  } catch (error) {
+    failures++;
+    log(`FAIL ${name}: ${error.message}`, ERROR_COLOR);
+  }
+}
+log(`\n${checks.length - failures}/${checks.length} pay transparency checks passed`, failures ? ERROR_COLOR : SUCCESS_COLOR);
+process.exitCode = failures ? 1 : 0;
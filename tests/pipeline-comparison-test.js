@@ -0,0 +1,132 @@
+/**
+ * Pipeline Comparison Test Script
+ *
+ * Checks the pipeline comparison (services/pipelineComparison.js and comparePosting in
+ * api/compare-pipelines.js): aligned category rows, deltas from the reference pipeline, red flag
+ * disagreements, failed pipelines and the batch summary. Pipeline engines are replaced by stubs
+ * returning fixed results, so the checks are fully offline.
+ *
+ * Usage: node tests/pipeline-comparison-test.js
+ */
+const assert = require('assert');
+
+// utils/supabase needs a configuration to load; nothing is written without LLM calls or `persist`
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test';
+
+const { SCORING_PIPELINES } = require('../services/scoringPipelines');
+const { getRubricProfile } = require('../services/rubricProfiles');
+const { comparePipelineResults, summarizeComparisons } = require('../services/pipelineComparison');
+const { comparePosting } = require('../api/compare-pipelines');
+
+const SUCCESS_COLOR = '\x1b[32m'; // Green
+const ERROR_COLOR = '\x1b[31m';   // Red
+const INFO_COLOR = '\x1b[36m';    // Cyan
+const RESET_COLOR = '\x1b[0m';    // Reset
+
+function log(message, color = INFO_COLOR) {
+  console.log(`${color}${message}${RESET_COLOR}`);
+}
+
+const V1_RESULT = {
+  total_score: 60,
+  categories: { clarity: { score: 10, maxScore: 20 }, compensation: { score: 5, maxScore: 10 } },
+  red_flags: ['compensation']
+};
+const V2_RESULT = {
+  total_score: 72,
+  categories: { clarity: { score: 12, maxScore: 15 }, compensation: { score: 12, maxScore: 15 }, inclusivity: { score: 8, maxScore: 10 } },
+  red_flags: []
+};
+
+// Runs `fn` with the given pipelines' engines replaced: a result object is returned, an Error thrown
+async function withStubs(stubs, fn) {
+  const saved = Object.fromEntries(Object.keys(stubs).map(id => [id, SCORING_PIPELINES[id].score]));
+  for (const [id, outcome] of Object.entries(stubs)) {
+    SCORING_PIPELINES[id].score = async () => {
+      if (outcome instanceof Error) throw outcome;
+      return outcome;
+    };
+  }
+  try {
+    return await fn();
+  } finally {
+    for (const [id, score] of Object.entries(saved)) SCORING_PIPELINES[id].score = score;
+  }
+}
+
+const POSTING = { job_title: 'Barista', job_body: 'Barista wanted in Portland, OR. Pay: $18-$20 per hour.' };
+const compare = pipelineIds => comparePosting(POSTING, { pipelineIds, profile: getRubricProfile(), language: null, userId: null });
+
+const checks = [
+  ['categories are aligned and deltas are measured from the first pipeline', async () => {
+    const comparison = comparePipelineResults([{ pipeline: 'v1', result: V1_RESULT }, { pipeline: 'v2', result: V2_RESULT }]);
+    assert.deepStrictEqual([comparison.reference, comparison.pipelines], ['v1', ['v1', 'v2']]);
+    assert.deepStrictEqual(comparison.total, { scores: { v1: 60, v2: 72 }, deltas: { v2: 12 } });
+    assert.deepStrictEqual(comparison.categories.map(row => row.key), ['clarity', 'compensation', 'inclusivity']);
+    // Clarity is 50% of 20 points in V1 and 80% of 15 in V2
+    assert.deepStrictEqual(comparison.categories[0].deltas, { v2: { points: 2, share: 0.3 } });
+    // A category the reference does not score has no delta
+    assert.deepStrictEqual(comparison.categories[2].scores, { v1: null, v2: { score: 8, maxScore: 10, share: 0.8 } });
+    assert.deepStrictEqual(comparison.categories[2].deltas, { v2: null });
+  }],
+  ['red flag disagreements count only pipelines that score the category', async () => {
+    const comparison = comparePipelineResults([
+      { pipeline: 'v1', result: V1_RESULT },
+      { pipeline: 'v2', result: { ...V2_RESULT, red_flags: ['inclusivity'] } }
+    ]);
+    assert.deepStrictEqual(comparison.red_flags.raised, { compensation: ['v1'], inclusivity: ['v2'] });
+    assert.deepStrictEqual(comparison.red_flags.disagreements, [{ flag: 'compensation', raisedBy: ['v1'], notRaisedBy: ['v2'] }]);
+  }],
+  ['a failed pipeline other than the reference is reported and left out', async () => {
+    const compared = await withStubs({ v1: V1_RESULT, v2: V2_RESULT, legacy: new Error('engine down') }, () => compare(['v1', 'legacy', 'v2']));
+    assert.deepStrictEqual(compared.results.legacy, { name: 'Legacy analyzer', error: 'engine down' });
+    assert.deepStrictEqual(compared.comparison.pipelines, ['v1', 'v2']);
+    assert.strictEqual(compared.comparison.reference, 'v1');
+  }],
+  ['a failed reference pipeline fails the posting', async () => {
+    await assert.rejects(
+      withStubs({ v1: new Error('engine down'), v2: V2_RESULT, legacy: V1_RESULT }, () => compare(['v1', 'v2', 'legacy'])),
+      error => error.status === 500 && error.message === 'Reference pipeline v1 failed: engine down'
+    );
+    await assert.rejects(
+      withStubs({ v1: V1_RESULT, v2: new Error('engine down') }, () => compare(['v1', 'v2'])),
+      /Fewer than two pipelines scored the posting: v2: engine down/
+    );
+  }],
+  ['the batch summary averages comparisons with the same reference only', async () => {
+    const fromV1 = comparePipelineResults([{ pipeline: 'v1', result: V1_RESULT }, { pipeline: 'v2', result: V2_RESULT }]);
+    const fromV2 = comparePipelineResults([{ pipeline: 'v2', result: V2_RESULT }, { pipeline: 'v1', result: V1_RESULT }]);
+    const summary = summarizeComparisons([fromV1, fromV2, fromV1], 'v1');
+    assert.deepStrictEqual([summary.reference, summary.postings, summary.skipped], ['v1', 2, 1]);
+    assert.deepStrictEqual(summary.total, { v2: { postings: 2, meanDelta: 12, meanAbsDelta: 12 } });
+    assert.deepStrictEqual(summary.categories.clarity, { v2: { postings: 2, meanShareDelta: 0.3, meanAbsShareDelta: 0.3 } });
+    assert.deepStrictEqual(summary.redFlagDisagreements, { compensation: 2 });
+    // Without a reference the first comparison's is used
+    assert.strictEqual(summarizeComparisons([fromV2, fromV1]).reference, 'v2');
+    assert.deepStrictEqual(summarizeComparisons([]), { reference: null, postings: 0, skipped: 0, total: {}, categories: {}, redFlagDisagreements: {} });
+  }]
+];
+
+async function run() {
+  let failures = 0;
+  for (const [name, check] of checks) {
+    try {
+      await check();
+      log(`PASS ${name}`, SUCCESS_COLOR);
+    } catch (error) {
+      failures++;
+      log(`FAIL ${name}: ${error.message}`, ERROR_COLOR);
+    }
+  }
+  log(`\n${checks.length - failures}/${checks.length} pipeline comparison checks passed`, failures ? ERROR_COLOR : SUCCESS_COLOR);
+  return failures;
+}
+
+run()
+  .then(failures => { process.exitCode = failures ? 1 : 0; })
+  .catch(error => {
+    log(`FAIL ${error.message}`, ERROR_COLOR);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,157 @@
+/**
+ * Rubric Profile Test Script
+ *
+ * Checks services/rubricProfiles.js: profile lookup, profiles loaded from RUBRIC_PROFILES_FILE
+ * (invalid entries are skipped one by one), category weights rescaled to 100 with largest-remainder rounding, analyze-text blends and
+ * red-flag thresholds. Fully offline.
+ *
+ * Usage: node tests/rubric-profiles-test.js
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Profiles are loaded once, on first use, so the extra profiles file is set up front
+const PROFILES_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'rubric-profiles-')), 'profiles.json');
+// Invalid entries come first: each is skipped on its own, without dropping the ones after it
+const INVALID_PROFILES = [
+  { id: 'all-zero', weights: { clarity: 0, recency: 0 } },
+  { id: 'all-disabled', weights: { clarity: 5, recency: 5 }, disabledCategories: ['clarity', 'recency'] },
+  { id: 'nothing-left', weights: null, disabledCategories: ['clarity', 'promptAlignment', 'structuredData', 'recency', 'keywordTargeting', 'compensation', 'pageContext', 'inclusivity'] },
+  { id: 'zero-text', textWeights: { readability: 0, seo: 0 } },
+  { id: 'ratio-too-high', thresholds: { redFlagRatio: 1.5 } },
+  { id: 'ratio-text', thresholds: { redFlagRatio: '0.5' } },
+  { id: 'category-ratio', thresholds: { categories: { compensation: -0.1 } } },
+  { id: 'category-null', thresholds: { categories: { compensation: null } } },
+  { id: 'category-unknown', thresholds: { categories: { salary: 0.5 } } }
+];
+fs.writeFileSync(PROFILES_FILE, JSON.stringify([
+  ...INVALID_PROFILES,
+  { id: 'thirds', weights: { clarity: 1, promptAlignment: 1, structuredData: 1 } },
+  { id: 'tech', name: 'Tech (overridden)', weights: { clarity: 50, compensation: 50 } }
+]));
+process.env.RUBRIC_PROFILES_FILE = PROFILES_FILE;
+
+// Skipped profiles are logged; keep the messages to check which ones were rejected
+const skipped = [];
+const consoleError = console.error;
+console.error = (...args) => {
+  if (/Skipping a profile/.test(args[0])) skipped.push(args.slice(1).join(' '));
+  else consoleError(...args);
+};
+
+const {
+  getRubricProfile,
+  listRubricProfiles,
+  resolveCategoryWeights,
+  resolveTextWeights,
+  findRedFlags,
+  describeProfile
+} = require('../services/rubricProfiles');
+
+const SUCCESS_COLOR = '\x1b[32m'; // Green
+const ERROR_COLOR = '\x1b[31m';   // Red
+const INFO_COLOR = '\x1b[36m';    // Cyan
+const RESET_COLOR = '\x1b[0m';    // Reset
+
+function log(message, color = INFO_COLOR) {
+  console.log(`${color}${message}${RESET_COLOR}`);
+}
+
+const V2_WEIGHTS = { clarity: 15, promptAlignment: 15, structuredData: 10, recency: 10, keywordTargeting: 15, compensation: 15, pageContext: 10, inclusivity: 10 };
+const sum = weights => Object.values(weights).reduce((total, weight) => total + weight, 0);
+
+const checks = [
+  ['profile lookup', () => {
+    assert.strictEqual(getRubricProfile().id, 'default');
+    assert.strictEqual(getRubricProfile('  ').id, 'default');
+    assert.strictEqual(getRubricProfile(' Hourly-Retail ').id, 'hourly-retail');
+    assert.throws(() => getRubricProfile('nope'), error => error.status === 400 && /Unknown rubric profile "nope"/.test(error.message));
+  }],
+  ['profiles from RUBRIC_PROFILES_FILE are added or override built-ins', () => {
+    const ids = listRubricProfiles().map(profile => profile.id);
+    assert.ok(ids.includes('thirds') && ids.includes('eu-compliance'), ids.join(', '));
+    const thirds = getRubricProfile('thirds');
+    assert.strictEqual(thirds.name, 'thirds');
+    assert.deepStrictEqual(thirds.disabledCategories, []);
+    assert.strictEqual(getRubricProfile('tech').name, 'Tech (overridden)');
+  }],
+  ['invalid profiles in RUBRIC_PROFILES_FILE are skipped one by one', () => {
+    const ids = listRubricProfiles().map(profile => profile.id);
+    for (const { id } of INVALID_PROFILES) assert.ok(!ids.includes(id), `${id} was loaded`);
+    assert.deepStrictEqual(skipped.map(message => message.match(/"([a-z-]+)"/)[1]), INVALID_PROFILES.map(profile => profile.id));
+    assert.match(skipped[0], /no enabled category has a positive weight/);
+    assert.match(skipped[3], /no textWeights category has a positive weight/);
+    assert.match(skipped[4], /thresholds\.redFlagRatio must be a number between 0 and 1/);
+    assert.match(skipped[6], /thresholds\.categories\.compensation must be a number between 0 and 1/);
+    assert.match(skipped[8], /unknown threshold category "salary"/);
+  }],
+  ['weights are rescaled to 100 with largest-remainder rounding', () => {
+    // 33.3 each: the one leftover point goes to the first category
+    assert.deepStrictEqual(resolveCategoryWeights(getRubricProfile('thirds'), V2_WEIGHTS), { clarity: 34, promptAlignment: 33, structuredData: 33 });
+    // 28.57 / 14.29 / 57.14: the leftover point goes to the largest fraction (clarity), not the first floor
+    assert.deepStrictEqual(
+      resolveCategoryWeights({ id: 'mixed', weights: { recency: 1, clarity: 2, compensation: 4 } }, V2_WEIGHTS),
+      { clarity: 29, recency: 14, compensation: 57 }
+    );
+    // Weights that already sum to 100 are kept as they are
+    assert.deepStrictEqual(resolveCategoryWeights(getRubricProfile('eu-compliance'), V2_WEIGHTS), getRubricProfile('eu-compliance').weights);
+  }],
+  ['the default profile keeps the pipeline weights, disabled and zero-weight categories are dropped', () => {
+    assert.deepStrictEqual(resolveCategoryWeights(getRubricProfile(), V2_WEIGHTS), V2_WEIGHTS);
+    const withoutRecency = resolveCategoryWeights({ id: 'no-recency', weights: null, disabledCategories: ['recency'] }, V2_WEIGHTS);
+    assert.ok(!('recency' in withoutRecency));
+    assert.strictEqual(sum(withoutRecency), 100);
+    assert.deepStrictEqual(Object.values(withoutRecency).sort(), [11, 11, 11, 16, 17, 17, 17]);
+    const retail = resolveCategoryWeights(getRubricProfile('hourly-retail'), V2_WEIGHTS);
+    assert.ok(!('promptAlignment' in retail));
+    assert.strictEqual(sum(retail), 100);
+    assert.deepStrictEqual(resolveCategoryWeights({ id: 'zero', weights: { clarity: 0, recency: 3 } }, V2_WEIGHTS), { recency: 100 });
+    assert.throws(() => resolveCategoryWeights({ id: 'empty', weights: { clarity: 5 }, disabledCategories: ['clarity'] }, V2_WEIGHTS), /leaves no categories enabled/);
+  }],
+  ['analyze-text weights are fractions summing to 1', () => {
+    const weights = resolveTextWeights(getRubricProfile('hourly-retail'));
+    assert.strictEqual(weights.readability, 0.35);
+    assert.ok(Math.abs(sum(weights) - 1) < 1e-9);
+    // Profiles without text weights use the default blend
+    assert.deepStrictEqual(resolveTextWeights({ id: 'bare' }), resolveTextWeights(getRubricProfile()));
+  }],
+  ['red flags use the global and per-category thresholds', () => {
+    const categories = {
+      clarity: { score: 9, maxScore: 20 },
+      compensation: { score: 10, maxScore: 15 },
+      recency: { score: 5, maxScore: 10 }
+    };
+    // Below half of the max is a red flag; exactly half is not
+    assert.deepStrictEqual(findRedFlags(categories, getRubricProfile()), ['clarity']);
+    // hourly-retail flags compensation below 70%
+    assert.deepStrictEqual(findRedFlags(categories, getRubricProfile('hourly-retail')), ['clarity', 'compensation']);
+    assert.deepStrictEqual(findRedFlags(categories, { thresholds: { redFlagRatio: 0.3 } }), []);
+  }],
+  ['reports describe the profile that produced them', () => {
+    const profile = getRubricProfile('hourly-retail');
+    const weights = resolveCategoryWeights(profile, V2_WEIGHTS);
+    assert.deepStrictEqual(describeProfile(profile, weights), {
+      id: 'hourly-retail',
+      name: 'Hourly retail',
+      weights,
+      disabled_categories: ['promptAlignment'],
+      thresholds: { redFlagRatio: 0.5, categories: { compensation: 0.7 } }
+    });
+  }]
+];
+
+let failures = 0;
+for (const [name, check] of checks) {
+  try {
+    check();
+    log(`PASS ${name}`, SUCCESS_COLOR);
+  } catch (error) {
+    failures++;
+    log(`FAIL ${name}: ${error.message}`, ERROR_COLOR);
+  }
+}
+fs.rmSync(path.dirname(PROFILES_FILE), { recursive: true, force: true });
+log(`\n${checks.length - failures}/${checks.length} rubric profile checks passed`, failures ? ERROR_COLOR : SUCCESS_COLOR);
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,167 @@
+/**
+ * Scoring Benchmark Script
+ *
+ * Scores the golden postings in tests/benchmark/postings with the scoring pipelines
+ * (services/scoringPipelines.js), checks them against their labels (score bands, red flags) and
+ * diffs them per posting and category against the accepted baseline (tests/benchmark/baseline.json).
+ * Exits non-zero when a label fails, a delta exceeds its tolerance (tests/benchmark/tolerances.json)
+ * or a run fails. Offline: LLM pipelines replay fixtures from tests/benchmark/fixtures/llm in strict
+ * mode, so a prompt without a recorded response fails instead of calling a provider.
+ *
+ * Usage:
+ *   node tests/scoring-benchmark.js             - compare against the baseline
+ *   node tests/scoring-benchmark.js --accept    - write the results as the new baseline
+ *   BENCHMARK_PIPELINES=v1,v2 ...               - pipelines to run (default: those in the baseline)
+ *   LLM_FIXTURE_MODE=record ...                 - call the providers and (re)record the fixtures
+ *   BENCHMARK_REPORT=path                       - diff report (default results/benchmark-report.json)
+ */
+const fs = require('fs');
+const path = require('path');
+
+const BENCHMARK_DIR = path.join(__dirname, 'benchmark');
+const BASELINE_FILE = path.join(BENCHMARK_DIR, 'baseline.json');
+const TOLERANCES_FILE = path.join(BENCHMARK_DIR, 'tolerances.json');
+const REPORT_FILE = process.env.BENCHMARK_REPORT || path.join(__dirname, '..', 'results', 'benchmark-report.json');
+const ACCEPT = process.argv.includes('--accept');
+
+// Before the scorers load: replay recorded LLM responses and never fall through to a provider
+process.env.LLM_FIXTURE_MODE = process.env.LLM_FIXTURE_MODE || 'strict';
+process.env.LLM_FIXTURE_DIR = process.env.LLM_FIXTURE_DIR || path.join(BENCHMARK_DIR, 'fixtures', 'llm');
+delete process.env.SCORING_MODE;
+
+const { SCORING_PIPELINES, getScoringPipeline, runScoringPipeline } = require('../services/scoringPipelines');
+const { getRubricProfile } = require('../services/rubricProfiles');
+const {
+  DEFAULT_TOLERANCES,
+  loadGoldenSet,
+  snapshotResult,
+  checkExpectations,
+  diffSnapshot
+} = require('../services/scoringBenchmark');
+
+const SUCCESS_COLOR = '\x1b[32m'; // Green
+const ERROR_COLOR = '\x1b[31m';   // Red
+const WARN_COLOR = '\x1b[33m';    // Yellow
+const INFO_COLOR = '\x1b[36m';    // Cyan
+const RESET_COLOR = '\x1b[0m';    // Reset
+
+function log(message, color = INFO_COLOR) {
+  console.log(`${color}${message}${RESET_COLOR}`);
+}
+
+function readJson(file, fallback) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+}
+
+function formatDelta({ baseline, current, delta }) {
+  if (delta === null) return `${baseline ?? '-'} -> ${current ?? '-'}`;
+  return `${baseline} -> ${current} (${delta > 0 ? '+' : ''}${delta})`;
+}
+
+// Score one posting, or explain why its result cannot be benchmarked
+async function scorePosting(pipelineId, pipeline, posting) {
+  const result = await runScoringPipeline(
+    pipelineId,
+    { job_title: posting.job_title || '', job_body: posting.job_body, job_html: posting.job_html || null },
+    { profile: getRubricProfile(posting.rubricProfile), useCache: false }
+  );
+  const snapshot = snapshotResult(result);
+  if (snapshot.degraded.length) {
+    throw new Error(`degraded categories ${snapshot.degraded.join(', ')} (missing or invalid LLM fixture; record with LLM_FIXTURE_MODE=record)`);
+  }
+  if (pipeline.llm && result.mode === 'deterministic') {
+    throw new Error(`${pipelineId} scored deterministically; the LLM pipeline did not run`);
+  }
+  return snapshot;
+}
+
+async function run() {
+  const postings = loadGoldenSet(path.join(BENCHMARK_DIR, 'postings'));
+  const baseline = readJson(BASELINE_FILE, { pipelines: {} });
+  const tolerances = { ...DEFAULT_TOLERANCES, ...readJson(TOLERANCES_FILE, {}) };
+  const pipelineIds = (process.env.BENCHMARK_PIPELINES
+    ? process.env.BENCHMARK_PIPELINES.split(',').map(id => id.trim()).filter(Boolean)
+    : Object.keys(baseline.pipelines).length ? Object.keys(baseline.pipelines) : Object.keys(SCORING_PIPELINES));
+  pipelineIds.forEach(getScoringPipeline);
+
+  log(`Scoring benchmark: ${postings.length} golden postings, pipelines ${pipelineIds.join(', ')} (LLM fixtures: ${process.env.LLM_FIXTURE_MODE})`);
+
+  const report = { generatedAt: new Date().toISOString(), baselineAcceptedAt: baseline.acceptedAt || null, tolerances, pipelines: {} };
+  let failures = 0;
+  let errors = 0;
+
+  for (const pipelineId of pipelineIds) {
+    const pipeline = getScoringPipeline(pipelineId);
+    const accepted = baseline.pipelines[pipelineId]?.postings || {};
+    const entries = {};
+    log(`\n${pipelineId}${Object.keys(accepted).length ? '' : ' (no accepted baseline)'}`);
+
+    for (const posting of postings) {
+      let snapshot;
+      try {
+        snapshot = await scorePosting(pipelineId, pipeline, posting);
+      } catch (error) {
+        errors++;
+        entries[posting.id] = { error: error.message };
+        log(`FAIL ${posting.id}: ${error.message}`, ERROR_COLOR);
+        continue;
+      }
+
+      const labelFailures = checkExpectations(snapshot, posting.expected, pipelineId);
+      const diff = diffSnapshot(snapshot, accepted[posting.id] || null, tolerances);
+      entries[posting.id] = { snapshot, labelFailures, diff };
+
+      const regressed = labelFailures.length > 0 || (diff.status === 'exceeded' && !ACCEPT);
+      if (regressed) failures++;
+      const summary = diff.status === 'new' ? `total ${snapshot.total} (new)` : `total ${formatDelta(diff.total)}`;
+      log(`${regressed ? 'FAIL' : 'PASS'} ${posting.id}: ${summary}`, regressed ? ERROR_COLOR : diff.status === 'unchanged' ? SUCCESS_COLOR : WARN_COLOR);
+      labelFailures.forEach(message => log(`    label: ${message}`, ERROR_COLOR));
+      if (diff.categories) {
+        for (const [key, entry] of Object.entries(diff.categories)) {
+          if (entry.delta !== 0 || entry.maxScore) {
+            const max = entry.maxScore ? ` (max ${entry.maxScore.baseline} -> ${entry.maxScore.current})` : '';
+            log(`    ${key}: ${formatDelta(entry)}${max}${entry.exceeded ? ' exceeds tolerance' : ''}`, entry.exceeded ? ERROR_COLOR : WARN_COLOR);
+          }
+        }
+        if (diff.red_flags.added.length) log(`    red flags added: ${diff.red_flags.added.join(', ')}`, ERROR_COLOR);
+        if (diff.red_flags.removed.length) log(`    red flags removed: ${diff.red_flags.removed.join(', ')}`, ERROR_COLOR);
+      }
+    }
+
+    const removed = Object.keys(accepted).filter(id => !postings.some(posting => posting.id === id));
+    if (removed.length) log(`    baseline postings no longer in the golden set: ${removed.join(', ')}`, WARN_COLOR);
+    report.pipelines[pipelineId] = { postings: entries, removed };
+  }
+
+  fs.mkdirSync(path.dirname(REPORT_FILE), { recursive: true });
+  fs.writeFileSync(REPORT_FILE, JSON.stringify(report, null, 2));
+  log(`\nDiff report: ${REPORT_FILE}`);
+
+  if (ACCEPT) {
+    if (errors) {
+      log('Baseline not updated: some runs failed', ERROR_COLOR);
+    } else {
+      const acceptedAt = report.generatedAt;
+      const pipelines = { ...baseline.pipelines };
+      for (const [pipelineId, { postings: entries }] of Object.entries(report.pipelines)) {
+        pipelines[pipelineId] = {
+          acceptedAt,
+          postings: Object.fromEntries(Object.entries(entries).map(([id, entry]) => [id, entry.snapshot]))
+        };
+      }
+      fs.writeFileSync(BASELINE_FILE, `${JSON.stringify({ acceptedAt, pipelines }, null, 2)}\n`);
+      log(`Baseline updated for ${pipelineIds.join(', ')}: ${BASELINE_FILE}`, SUCCESS_COLOR);
+    }
+  }
+
+  const total = postings.length * pipelineIds.length;
+  log(`\n${total - failures - errors}/${total} benchmark checks passed`, failures || errors ? ERROR_COLOR : SUCCESS_COLOR);
+  return failures + errors;
+}
+
+run()
+  .then(failures => { process.exitCode = failures ? 1 : 0; })
+  .catch(error => {
+    log(`FAIL ${error.message}`, ERROR_COLOR);
+    process.exitCode = 1;
+  });
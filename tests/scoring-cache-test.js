@@ -0,0 +1,135 @@
+/**
+ * Scoring Cache Test Script
+ *
+ * Checks the scoring cache stores (services/scoringCache.js): LRU and TTL eviction in the memory
+ * store, atomic writes and expiry in the file store, and the tiered cache's miss-on-error
+ * behaviour. Fully offline - the file store writes to a temporary directory.
+ *
+ * Usage: node tests/scoring-cache-test.js
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'scoring-cache-'));
+process.env.SCORING_CACHE_DIR = CACHE_DIR;
+
+const { createScoringCache, createMemoryStore, createFileStore } = require('../services/scoringCache');
+
+const SUCCESS_COLOR = '\x1b[32m'; // Green
+const ERROR_COLOR = '\x1b[31m';   // Red
+const INFO_COLOR = '\x1b[36m';    // Cyan
+const RESET_COLOR = '\x1b[0m';    // Reset
+
+function log(message, color = INFO_COLOR) {
+  console.log(`${color}${message}${RESET_COLOR}`);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function run() {
+  const checks = [
+    ['memory store evicts the least recently used entry', async () => {
+      const store = createMemoryStore({ maxEntries: 2 });
+      await store.set('a', { n: 1 }, 60000);
+      await store.set('b', { n: 2 }, 60000);
+      // Reading "a" makes "b" the least recently used
+      assert.deepStrictEqual(await store.get('a'), { n: 1 });
+      await store.set('c', { n: 3 }, 60000);
+      assert.strictEqual(await store.get('b'), null);
+      assert.deepStrictEqual(await store.get('a'), { n: 1 });
+      assert.deepStrictEqual(await store.get('c'), { n: 3 });
+      // Overwriting a present key never evicts another one
+      await store.set('c', { n: 4 }, 60000);
+      assert.deepStrictEqual(await store.get('a'), { n: 1 });
+      assert.deepStrictEqual(await store.get('c'), { n: 4 });
+    }],
+    ['memory store expires entries after their TTL', async () => {
+      const store = createMemoryStore({ maxEntries: 10 });
+      await store.set('short', 'x', 20);
+      await store.set('long', 'y', 60000);
+      assert.strictEqual(await store.get('short'), 'x');
+      await sleep(40);
+      assert.strictEqual(await store.get('short'), null);
+      assert.strictEqual(await store.get('long'), 'y');
+    }],
+    ['file store round-trips and expires entries', async () => {
+      const store = createFileStore({ dir: CACHE_DIR });
+      await store.set('round-trip', { total_score: 72 }, 60000);
+      assert.deepStrictEqual(await store.get('round-trip'), { total_score: 72 });
+      assert.strictEqual(await store.get('never-written'), null);
+      await store.set('expiring', { total_score: 10 }, 20);
+      await sleep(40);
+      assert.strictEqual(await store.get('expiring'), null);
+      assert.ok(!fs.existsSync(path.join(CACHE_DIR, 'expiring.json')), 'expired file not removed');
+    }],
+    ['file store writes are atomic', async () => {
+      const store = createFileStore({ dir: CACHE_DIR });
+      // Concurrent writers of one key (many within the same millisecond) and readers: every write
+      // lands and readers see a whole entry or none, never a torn file
+      await Promise.all(Array.from({ length: 20 }, (_, n) => store.set('same-tick', { n }, 60000)));
+      assert.ok(Number.isInteger((await store.get('same-tick')).n));
+      const payload = n => ({ n, padding: 'x'.repeat(200000) });
+      const results = await Promise.all(Array.from({ length: 20 }, (_, n) => (n % 2
+        ? store.set('contended', payload(n), 60000).then(() => 'written')
+        : store.get('contended'))));
+      for (const result of results) {
+        if (result === 'written' || result === null) continue;
+        assert.strictEqual(result.padding.length, 200000);
+      }
+      const final = await store.get('contended');
+      assert.ok(final && final.n % 2 === 1, 'last write not readable');
+      assert.deepStrictEqual(fs.readdirSync(CACHE_DIR).filter(name => name.endsWith('.tmp')), [], 'temporary files left behind');
+    }],
+    ['cache treats unreadable entries as misses', async () => {
+      const cache = createScoringCache({ pipelineVersion: 'test', backend: 'file', ttlMs: 60000 });
+      const key = cache.key({ job_body: 'corrupt' });
+      fs.writeFileSync(path.join(CACHE_DIR, `${key}.json`), '{"expiresAt": 9999999999999, "data": {');
+      assert.strictEqual(await cache.get(key), null);
+      const stats = cache.stats();
+      assert.strictEqual(stats.backend, 'file');
+      assert.strictEqual(stats.errors, 1);
+      assert.strictEqual(stats.misses, 1);
+    }],
+    ['cache serves file entries through the memory tier', async () => {
+      const writer = createScoringCache({ pipelineVersion: 'test', backend: 'file', ttlMs: 60000 });
+      const key = writer.key({ job_body: 'shared' });
+      await writer.set(key, { total_score: 55 });
+      // A second cache (another process) finds the entry on disk
+      const reader = createScoringCache({ pipelineVersion: 'test', backend: 'file', ttlMs: 60000 });
+      assert.deepStrictEqual(await reader.get(key), { total_score: 55 });
+      fs.unlinkSync(path.join(CACHE_DIR, `${key}.json`));
+      assert.deepStrictEqual(await reader.get(key), { total_score: 55 });
+      assert.strictEqual(reader.stats().hit_rate, 1);
+    }],
+    ['keys depend on the pipeline version and unknown backends fall back to memory', async () => {
+      const v1 = createScoringCache({ pipelineVersion: 'v1', backend: 'nonsense' });
+      const v2 = createScoringCache({ pipelineVersion: 'v2' });
+      assert.strictEqual(v1.stats().backend, 'memory');
+      assert.strictEqual(v1.key({ a: 1 }), v1.key({ a: 1 }));
+      assert.notStrictEqual(v1.key({ a: 1 }), v2.key({ a: 1 }));
+    }]
+  ];
+
+  let failures = 0;
+  for (const [name, check] of checks) {
+    try {
+      await check();
+      log(`PASS ${name}`, SUCCESS_COLOR);
+    } catch (error) {
+      failures++;
+      log(`FAIL ${name}: ${error.message}`, ERROR_COLOR);
+    }
+  }
+  log(`\n${checks.length - failures}/${checks.length} scoring cache checks passed`, failures ? ERROR_COLOR : SUCCESS_COLOR);
+  return failures;
+}
+
+run()
+  .then(failures => { process.exitCode = failures ? 1 : 0; })
+  .catch(error => {
+    log(`FAIL ${error.message}`, ERROR_COLOR);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rmSync(CACHE_DIR, { recursive: true, force: true }));
@@ -0,0 +1,179 @@
+/**
+ * Scoring Pipeline Test Script
+ *
+ * Checks the scoring pipeline registry (services/scoringPipelines.js): lookups, and how each
+ * engine's native result is mapped onto the result schema - the default V1/V2 mapping and the
+ * `toResult` mappings of the legacy analyzer and the text heuristics. LLM engines are replaced by
+ * stubs returning a fixed native result, so the checks are fully offline.
+ *
+ * Usage: node tests/scoring-pipelines-test.js
+ */
+const assert = require('assert');
+const {
+  SCORE_RESULT_SCHEMA_VERSION,
+  SCORING_PIPELINES,
+  listScoringPipelines,
+  getScoringPipeline,
+  runScoringPipeline
+} = require('../services/scoringPipelines');
+const { getRubricProfile } = require('../services/rubricProfiles');
+const { analyzeJobPostText } = require('../services/textAnalysis');
+
+const SUCCESS_COLOR = '\x1b[32m'; // Green
+const ERROR_COLOR = '\x1b[31m';   // Red
+const INFO_COLOR = '\x1b[36m';    // Cyan
+const RESET_COLOR = '\x1b[0m';    // Reset
+
+function log(message, color = INFO_COLOR) {
+  console.log(`${color}${message}${RESET_COLOR}`);
+}
+
+const JOB = {
+  job_title: 'Barista',
+  job_body: 'Barista wanted in Portland, OR.\n\nResponsibilities:\n- Make coffee\n- Clean the bar\n\nPay: $18-$20 per hour. Full-time. Equal opportunity employer.'
+};
+
+// Runs a pipeline with its engine replaced by one resolving to `raw`
+async function runStubbed(id, raw, options = {}) {
+  const pipeline = SCORING_PIPELINES[id];
+  const { score } = pipeline;
+  pipeline.score = async () => raw;
+  try {
+    return await runScoringPipeline(id, JOB, options);
+  } finally {
+    pipeline.score = score;
+  }
+}
+
+// A native analyzeJobText() result: clarity 80, inclusivity 40, completeness 60
+const LEGACY_RAW = {
+  total_score: 62,
+  breakdown: { clarity: { score: 80, feedback: 'Clear.' }, inclusivity: { score: 40, feedback: 'Gendered terms.' }, completeness: { score: 60, feedback: 'Missing pay.' } },
+  categories: {
+    clarity: { score: 80, feedback: 'Clear.' },
+    promptAlignment: { score: 40, feedback: 'Gendered terms.' },
+    structuredData: { score: 60, feedback: 'Based on completeness of structured data elements' },
+    recency: { score: 60, feedback: '' },
+    keywordTargeting: { score: 60, feedback: 'Based on keyword presence and targeting' },
+    compensation: { score: 60, feedback: 'Based on compensation transparency' },
+    pageContext: { score: 60, feedback: 'Based on context and presentation' }
+  },
+  red_flags: ['promptAlignment'],
+  recommendations: ['Clear.', 'Gendered terms.', 'Missing pay.'],
+  job_title: 'Job Posting',
+  feedback: { summary: 'Overall Score: 62/100', details: ['Clarity & Readability (20%): 80/100 - Clear.'] }
+};
+
+const checks = [
+  ['pipelines are listed and unknown ids are rejected', async () => {
+    assert.deepStrictEqual(listScoringPipelines().map(({ id, rubric, llm }) => [id, rubric, llm]), [
+      ['v1', 'audit', true],
+      ['v2', 'audit', true],
+      ['v2-deterministic', 'audit', false],
+      ['legacy', 'audit', true],
+      ['text-heuristic', 'text', false]
+    ]);
+    assert.strictEqual(getScoringPipeline('legacy').name, 'Legacy analyzer');
+    assert.throws(() => getScoringPipeline('v3'), error => error.status === 400 && /Unknown scoring pipeline "v3"/.test(error.message));
+    await assert.rejects(runScoringPipeline('v3', JOB), error => error.status === 400);
+  }],
+  ['the legacy analyzer is mapped onto weighted categories', async () => {
+    const streamed = [];
+    const result = await runStubbed('legacy', LEGACY_RAW, { onCategory: (key, category) => streamed.push([key, category.score]) });
+    assert.deepStrictEqual(result.pipeline, { id: 'legacy', name: 'Legacy analyzer', version: 1 });
+    assert.strictEqual(result.schema_version, SCORE_RESULT_SCHEMA_VERSION);
+    assert.strictEqual(result.total_score, 62);
+    // Ratings out of 100 are scaled by the category weights (20/20/15/10/15/10/10 points)
+    assert.deepStrictEqual(result.categories.clarity, {
+      score: 16,
+      maxScore: 20,
+      breakdown: { rawScore: 80, scale: 100 },
+      suggestions: ['Clear.'],
+      findings: []
+    });
+    assert.deepStrictEqual(result.categories.promptAlignment.score, 8);
+    assert.deepStrictEqual(result.categories.structuredData.score, 9);
+    assert.deepStrictEqual(result.categories.recency.suggestions, []);
+    assert.strictEqual(Object.values(result.categories).reduce((total, category) => total + category.maxScore, 0), 100);
+    assert.strictEqual(result.feedback, 'Overall Score: 62/100');
+    assert.deepStrictEqual(result.details, { breakdown: LEGACY_RAW.breakdown, feedback: LEGACY_RAW.feedback.details });
+    assert.deepStrictEqual([result.mode, result.degraded, result.language, result.rubric_profile], ['llm', false, null, null]);
+    // A non-streaming engine's categories are reported once it finishes
+    assert.deepStrictEqual(streamed, Object.entries(result.categories).map(([key, category]) => [key, category.score]));
+  }],
+  ['text heuristics are mapped onto the profile text weights', async () => {
+    const streamed = [];
+    const result = await runScoringPipeline('text-heuristic', JOB, { onCategory: key => streamed.push(key) });
+    const raw = analyzeJobPostText(JOB.job_body);
+    assert.deepStrictEqual(Object.keys(result.categories), ['readability', 'inclusivity', 'seo', 'structure', 'compliance']);
+    assert.deepStrictEqual(streamed, Object.keys(result.categories));
+    assert.strictEqual(result.total_score, raw.overallScore);
+    assert.deepStrictEqual(result.categories.inclusivity.breakdown, { issuesFound: raw.inclusivity.issuesFound, rawScore: raw.inclusivity.score, scale: 100 });
+    assert.strictEqual(result.categories.inclusivity.maxScore, 30);
+    assert.strictEqual(result.categories.inclusivity.score, Math.round(raw.inclusivity.score * 0.3 * 10) / 10);
+    assert.deepStrictEqual(result.categories.seo.suggestions, raw.seo.feedback);
+    assert.deepStrictEqual([result.mode, result.language.code, result.rubric_profile.id], ['deterministic', 'en', 'default']);
+    assert.strictEqual(result.feedback, `This job posting scored ${raw.overallScore}/100 on the text analysis.`);
+    assert.ok(!('language' in result.details.metadata) && !('weights' in result.details.metadata));
+
+    const retail = await runScoringPipeline('text-heuristic', JOB, { profile: getRubricProfile('hourly-retail') });
+    assert.strictEqual(retail.categories.readability.maxScore, 35);
+    assert.strictEqual(retail.rubric_profile.id, 'hourly-retail');
+  }],
+  ['text heuristics flag categories below the profile threshold', async () => {
+    const result = await runScoringPipeline('text-heuristic', JOB, { profile: { ...getRubricProfile(), thresholds: { redFlagRatio: 0.95 } } });
+    const expected = Object.entries(result.categories).filter(([, category]) => category.score < category.maxScore * 0.95).map(([key]) => key);
+    assert.ok(expected.length > 0);
+    assert.deepStrictEqual(result.red_flags, expected);
+  }],
+  ['V1/V2 results pass through the default mapping', async () => {
+    const streamed = [];
+    const result = await runStubbed('v2', {
+      total_score: 71,
+      categories: { clarity: { score: 12, maxScore: 15, suggestions: ['Shorten the intro.'] }, compensation: { score: 5, maxScore: 15, degraded: true } },
+      red_flags: ['compensation'],
+      feedback: 'Solid posting.',
+      language: { code: 'en' },
+      degradedCategories: { compensation: 'compensation extraction: timeout' },
+      job_location: { city: 'Portland', state: 'OR' },
+      cache_hit: true,
+      prompts: { clarity: 'v3' }
+    }, { onCategory: key => streamed.push(key) });
+    assert.deepStrictEqual(result.categories.clarity, { score: 12, maxScore: 15, suggestions: ['Shorten the intro.'], findings: [] });
+    assert.deepStrictEqual(result.categories.compensation.suggestions, []);
+    assert.deepStrictEqual([result.total_score, result.mode, result.feedback, result.red_flags], [71, 'llm', 'Solid posting.', ['compensation']]);
+    assert.strictEqual(result.degraded, true);
+    assert.deepStrictEqual(result.degradedCategories, { compensation: 'compensation extraction: timeout' });
+    assert.deepStrictEqual(result.details, { job_location: { city: 'Portland', state: 'OR' }, cache_hit: true });
+    assert.deepStrictEqual(result.prompts, { clarity: 'v3' });
+    assert.deepStrictEqual([result.recommendations, result.annotations], [[], []]);
+    // Streaming engines call onCategory themselves; the stub did not, so nothing is replayed
+    assert.deepStrictEqual(streamed, []);
+
+    const clean = await runStubbed('v2-deterministic', { total_score: 40, categories: {}, mode: 'deterministic', feedback: { summary: 'not a string' } });
+    assert.deepStrictEqual([clean.degraded, 'degradedCategories' in clean, 'prompts' in clean, clean.feedback, clean.mode], [false, false, false, '', 'deterministic']);
+    assert.deepStrictEqual(clean.details, {});
+  }]
+];
+
+async function run() {
+  let failures = 0;
+  for (const [name, check] of checks) {
+    try {
+      await check();
+      log(`PASS ${name}`, SUCCESS_COLOR);
+    } catch (error) {
+      failures++;
+      log(`FAIL ${name}: ${error.message}`, ERROR_COLOR);
+    }
+  }
+  log(`\n${checks.length - failures}/${checks.length} scoring pipeline checks passed`, failures ? ERROR_COLOR : SUCCESS_COLOR);
+  return failures;
+}
+
+run()
+  .then(failures => { process.exitCode = failures ? 1 : 0; })
+  .catch(error => {
+    log(`FAIL ${error.message}`, ERROR_COLOR);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,104 @@
+/**
+ * Skills Taxonomy Test Script
+ *
+ * Checks the skills and occupation taxonomy (services/skillsTaxonomy.js): occupation detection
+ * from titles, skill extraction (including aliases that must not match inside other words or in
+ * lowercase prose), coverage scoring and SKILLS_TAXONOMY_FILE overrides. Fully offline.
+ *
+ * Usage: node tests/skills-taxonomy-test.js
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The taxonomy is loaded once, on first use, so the overrides file is set up front
+const OVERRIDES_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'skills-taxonomy-')), 'taxonomy.json');
+fs.writeFileSync(OVERRIDES_FILE, JSON.stringify({
+  version: 'test',
+  skills: { knife_skills: { label: 'Knife skills', aliases: ['knife skills', 'KSC'] } },
+  occupations: [{ id: 'cook', title: 'Line Cook', family: 'hospitality', titles: ['line cook'], skills: { essential: ['knife_skills'] } }]
+}));
+process.env.SKILLS_TAXONOMY_FILE = OVERRIDES_FILE;
+
+const { getTaxonomy, detectOccupation, extractSkills, scoreSkillCoverage } = require('../services/skillsTaxonomy');
+
+const SUCCESS_COLOR = '\x1b[32m'; // Green
+const ERROR_COLOR = '\x1b[31m';   // Red
+const INFO_COLOR = '\x1b[36m';    // Cyan
+const RESET_COLOR = '\x1b[0m';    // Reset
+
+function log(message, color = INFO_COLOR) {
+  console.log(`${color}${message}${RESET_COLOR}`);
+}
+
+const skillIds = text => extractSkills(text).map(skill => skill.id);
+
+const checks = [
+  ['occupations are detected from the longest matching title', () => {
+    const nurse = detectOccupation('Licensed Practical Nurse - Nights', '');
+    assert.strictEqual(nurse.id, 'licensed_practical_nurse');
+    assert.strictEqual(nurse.source, 'title');
+    assert.strictEqual(detectOccupation('Senior Software Engineer').onetSoc, '15-1252.00');
+    // Pasted postings repeat the title in their first lines
+    const fromBody = detectOccupation('', '\nRegistered Nurse\nJoin our ward team.');
+    assert.deepStrictEqual([fromBody.id, fromBody.source, fromBody.confidence], ['registered_nurse', 'body', 0.6]);
+    assert.strictEqual(detectOccupation('Chief Happiness Officer', 'We love fun.'), null);
+  }],
+  ['skills are found in order of first mention', () => {
+    assert.deepStrictEqual(extractSkills('Write C++ and C#, ship with CI/CD.').map(skill => [skill.id, skill.matchedText]), [
+      ['cpp', 'C++'],
+      ['csharp', 'C#'],
+      ['ci_cd', 'CI/CD']
+    ]);
+    assert.deepStrictEqual(skillIds('Python-based services backed by SQL'), ['python', 'sql']);
+    assert.deepStrictEqual(skillIds(''), []);
+  }],
+  ['aliases inside hyphenated compounds are not mentions', () => {
+    assert.deepStrictEqual(skillIds('Pre-tax commuter benefits and after-tax savings.'), []);
+    assert.deepStrictEqual(skillIds('Prepare tax returns for clients.'), ['tax']);
+    // Hyphens inside an alias still match
+    assert.deepStrictEqual(skillIds('Trained in de-escalation.'), ['conflict_resolution']);
+  }],
+  ['acronym aliases only match in capitals', () => {
+    assert.deepStrictEqual(skillIds('Build AI features and ML pipelines.'), ['machine_learning']);
+    assert.deepStrictEqual(skillIds("Offriamo formazione ai nuovi colleghi. J'ai 500 ml."), []);
+    assert.deepStrictEqual(skillIds('Experience with deep learning.'), ['machine_learning']);
+  }],
+  ['coverage reports matched and missing essential skills', () => {
+    const coverage = scoreSkillCoverage('software_developer', extractSkills('Python, SQL, Git, REST APIs and AWS'));
+    assert.deepStrictEqual(coverage, {
+      expected: 8,
+      matched: ['Python', 'SQL', 'Git', 'REST APIs'],
+      missing: ['JavaScript', 'Java', 'Automated testing', 'Cloud platforms'],
+      coverage: 0.5,
+      optionalMatched: ['AWS']
+    });
+    assert.strictEqual(scoreSkillCoverage(detectOccupation('Staff Accountant'), []).coverage, 0);
+    assert.strictEqual(scoreSkillCoverage('no_such_occupation', []), null);
+  }],
+  ['SKILLS_TAXONOMY_FILE adds skills and replaces occupations', () => {
+    assert.strictEqual(getTaxonomy().version, 'test');
+    assert.deepStrictEqual(skillIds('Holds a KSC certificate'), ['knife_skills']);
+    assert.deepStrictEqual(skillIds('ksc'), []);
+    const cook = detectOccupation('Line Cook');
+    assert.deepStrictEqual([cook.id, cook.title], ['cook', 'Line Cook']);
+    // The replaced occupation's other titles are gone
+    assert.strictEqual(detectOccupation('Sous Chef'), null);
+    assert.deepStrictEqual(scoreSkillCoverage(cook, extractSkills('Strong knife skills')).matched, ['Knife skills']);
+  }]
+];
+
+let failures = 0;
+for (const [name, check] of checks) {
+  try {
+    check();
+    log(`PASS ${name}`, SUCCESS_COLOR);
+  } catch (error) {
+    failures++;
+    log(`FAIL ${name}: ${error.message}`, ERROR_COLOR);
+  }
+}
+fs.rmSync(path.dirname(OVERRIDES_FILE), { recursive: true, force: true });
+log(`\n${checks.length - failures}/${checks.length} skills taxonomy checks passed`, failures ? ERROR_COLOR : SUCCESS_COLOR);
+process.exitCode = failures ? 1 : 0;
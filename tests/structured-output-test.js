@@ -0,0 +1,184 @@
+/**
+ * Structured Output Test Script
+ *
+ * Checks utils/structuredOutput.js: schema validation with coercion and clamping, JSON parsing of
+ * chatty responses, and callLLMStructured's repair round, retry and degraded results. Fully
+ * offline - the "provider" is a local HTTP server that plays back a scripted list of answers.
+ *
+ * Usage: node tests/structured-output-test.js
+ */
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'structured-output-'));
+const SUCCESS_COLOR = '\x1b[32m'; // Green
+const ERROR_COLOR = '\x1b[31m';   // Red
+const INFO_COLOR = '\x1b[36m';    // Cyan
+const RESET_COLOR = '\x1b[0m';    // Reset
+
+function log(message, color = INFO_COLOR) {
+  console.log(`${color}${message}${RESET_COLOR}`);
+}
+
+// Each request takes the next scripted answer: a string is the completion content, a number an
+// HTTP error status. Request bodies are kept so checks can read the repair prompt.
+let script = [];
+const requests = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push(JSON.parse(body));
+    const answer = script.shift();
+    res.setHeader('Content-Type', 'application/json');
+    if (typeof answer === 'number') {
+      res.statusCode = answer;
+      res.end(JSON.stringify({ error: { message: `scripted ${answer}` } }));
+      return;
+    }
+    res.end(JSON.stringify({
+      id: `chatcmpl-${requests.length}`,
+      object: 'chat.completion',
+      choices: [{ index: 0, message: { role: 'assistant', content: answer }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 40, completion_tokens: 8, total_tokens: 48 }
+    }));
+  });
+});
+
+const SECTION_SCHEMA = {
+  type: 'object',
+  required: ['score', 'level'],
+  properties: {
+    score: { type: 'number', minimum: 0, maximum: 10 },
+    level: { type: 'string', enum: ['low', 'high'] }
+  }
+};
+
+async function run() {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  Object.assign(process.env, {
+    LLM_PROVIDER: 'local',
+    LLM_FALLBACK_PROVIDERS: '',
+    LOCAL_LLM_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`,
+    LLM_FIXTURE_DIR: FIXTURE_DIR,
+    LLM_FIXTURE_MODE: 'off'
+  });
+  const { validateJson, parseJsonText, callLLMStructured, scoredSectionSchema } = require('../utils/structuredOutput');
+  const options = { user: 'tests/structured-output', schema: SECTION_SCHEMA };
+  const scripted = async answers => {
+    script = [...answers];
+    requests.length = 0;
+    const result = await callLLMStructured('Rate the posting.', options);
+    assert.deepStrictEqual(script, [], 'not every scripted answer was requested');
+    return result;
+  };
+
+  const checks = [
+    ['numbers are coerced and clamped to the schema', async () => {
+      const schema = {
+        type: 'object',
+        properties: {
+          score: { type: 'number', minimum: 0, maximum: 10 },
+          count: { type: 'integer', minimum: 1 },
+          tags: { type: 'array', maxItems: 2, items: { type: 'string' } }
+        }
+      };
+      assert.deepStrictEqual(validateJson({ score: '14.5', count: -2.6, tags: ['a', 'b', 'c'], extra: true }, schema), {
+        value: { score: 10, count: 1, tags: ['a', 'b'], extra: true },
+        errors: [],
+        clamped: ['$.score 14.5 -> 10', '$.count -3 -> 1']
+      });
+      assert.deepStrictEqual(validateJson({ score: -1 }, scoredSectionSchema(20)).value, { score: 0 });
+      assert.deepStrictEqual(validateJson({ score: 25 }, scoredSectionSchema(20)).value, { score: 20 });
+    }],
+    ['schema violations are reported with their paths', async () => {
+      const { errors } = validateJson({ score: 'high', level: 'medium', items: [{ name: 3 }] }, {
+        type: 'object',
+        required: ['score', 'level', 'summary'],
+        properties: {
+          score: { type: 'number' },
+          level: { enum: ['low', 'high'] },
+          items: { type: 'array', items: { type: 'object', properties: { name: { type: ['string', 'null'] } } } }
+        }
+      });
+      assert.deepStrictEqual(errors, [
+        '$.summary is required',
+        '$.score must be number, got string',
+        '$.level must be one of "low", "high"',
+        '$.items[0].name must be string or null, got integer'
+      ]);
+      assert.deepStrictEqual(validateJson(null, { type: 'object' }).errors, ['$ must be object, got null']);
+    }],
+    ['JSON is parsed out of fences and surrounding text', async () => {
+      assert.deepStrictEqual(parseJsonText('```json\n{"score": 7}\n```'), { score: 7 });
+      assert.deepStrictEqual(parseJsonText('Sure! Here it is: {"score": 7, "nested": {"a": 1}} Hope that helps.'), { score: 7, nested: { a: 1 } });
+      assert.throws(() => parseJsonText('no json here'), SyntaxError);
+      assert.throws(() => parseJsonText(undefined), SyntaxError);
+    }],
+    ['valid responses are returned without a repair', async () => {
+      const result = await scripted(['{"score": "12", "level": "high"}']);
+      assert.deepStrictEqual(result, { data: { score: 10, level: 'high' }, degraded: false, repaired: false, clamped: ['$.score 12 -> 10'] });
+      assert.deepStrictEqual(requests[0].response_format, { type: 'json_object' });
+    }],
+    ['invalid responses get one repair round with the errors fed back', async () => {
+      const result = await scripted(['{"score": 7, "level": "medium"}', 'Fixed: {"score": 7, "level": "low"}']);
+      assert.deepStrictEqual(result, { data: { score: 7, level: 'low' }, degraded: false, repaired: true, clamped: [] });
+      const repair = requests[1].messages;
+      assert.deepStrictEqual(repair[repair.length - 2], { role: 'assistant', content: '{"score": 7, "level": "medium"}' });
+      assert.match(repair[repair.length - 1].content, /- \$\.level must be one of "low", "high"\nReturn the corrected JSON object only\./);
+    }],
+    ['a response still invalid after the repair degrades', async () => {
+      const result = await scripted(['not json', '{"score": 3}']);
+      assert.strictEqual(result.data, null);
+      assert.strictEqual(result.degraded, true);
+      assert.strictEqual(result.reason, 'Invalid LLM response after repair: $.level is required');
+      assert.match(requests[1].messages[requests[1].messages.length - 1].content, /response is not valid JSON/);
+    }],
+    ['a failed call is retried once, then degrades', async () => {
+      const retried = await scripted([400, '{"score": 5, "level": "low"}']);
+      assert.deepStrictEqual(retried.data, { score: 5, level: 'low' });
+      const failed = await scripted([400, 400]);
+      assert.strictEqual(failed.degraded, true);
+      assert.match(failed.reason, /^LLM call failed: /);
+    }],
+    ['calls that cannot succeed are not retried', async () => {
+      // Strict replay with no fixtures: the missing fixture is final
+      process.env.LLM_FIXTURE_MODE = 'strict';
+      try {
+        const result = await scripted([]);
+        assert.strictEqual(result.degraded, true);
+        assert.match(result.reason, /^LLM call failed: /);
+        assert.strictEqual(requests.length, 0);
+      } finally {
+        process.env.LLM_FIXTURE_MODE = 'off';
+      }
+    }]
+  ];
+
+  let failures = 0;
+  for (const [name, check] of checks) {
+    try {
+      await check();
+      log(`PASS ${name}`, SUCCESS_COLOR);
+    } catch (error) {
+      failures++;
+      log(`FAIL ${name}: ${error.message}`, ERROR_COLOR);
+    }
+  }
+  log(`\n${checks.length - failures}/${checks.length} structured output checks passed`, failures ? ERROR_COLOR : SUCCESS_COLOR);
+  return failures;
+}
+
+run()
+  .then(failures => { process.exitCode = failures ? 1 : 0; })
+  .catch(error => {
+    log(`FAIL ${error.message}`, ERROR_COLOR);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    server.close();
+    fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+  });
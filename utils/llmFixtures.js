@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Record/replay fixtures for callLLM, so the scoring pipeline can be tested offline.
+//   LLM_FIXTURE_MODE=record - calls providers as usual and writes each response to a fixture file
+//   LLM_FIXTURE_MODE=replay - serves recorded responses; prompts without a fixture go to the providers
+//   LLM_FIXTURE_MODE=strict - serves recorded responses; a prompt without a fixture is an error
+// Fixtures live in LLM_FIXTURE_DIR (default tests/fixtures/llm), one JSON file per request under a
+// directory named after the caller tag. A request is identified by what the caller asked for
+// (messages, model hint, sampling options, caller tag), not by the provider that answered, so
+// fixtures recorded against one provider replay under any LLM_PROVIDER.
+
+const FIXTURE_MODES = ['off', 'record', 'replay', 'strict'];
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', 'tests', 'fixtures', 'llm');
+
+function getFixtureMode() {
+  const mode = String(process.env.LLM_FIXTURE_MODE || 'off').trim().toLowerCase();
+  if (FIXTURE_MODES.includes(mode)) return mode;
+  console.warn(`[LLMFixtures] Unknown LLM_FIXTURE_MODE "${mode}" ignored. Known: ${FIXTURE_MODES.join(', ')}`);
+  return 'off';
+}
+
+function isReplaying() {
+  const mode = getFixtureMode();
+  return mode === 'replay' || mode === 'strict';
+}
+
+function fixtureDir() {
+  return process.env.LLM_FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+}
+
+// Stable JSON: object keys sorted so property order never changes a fingerprint
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Fingerprint of an LLM request.
+ * @param {Object} request - { task, messages, model, temperature, top_p, response_format, seed, max_tokens, stop }
+ */
+function fingerprintRequest(request) {
+  return crypto.createHash('sha256').update(canonicalJson(request)).digest('hex');
+}
+
+function fixturePath(task, fingerprint) {
+  const folder = String(task || 'untagged').replace(/[^a-z0-9._-]+/gi, '_');
+  return path.join(fixtureDir(), folder, `${fingerprint.slice(0, 24)}.json`);
+}
+
+/**
+ * Recorded fixture for a request, or null when there is none.
+ * @returns {{fingerprint: string, task: string, request: Object, response: string, provider: string, model: string, promptTokens: number|null, completionTokens: number|null, recordedAt: string}|null}
+ */
+function loadFixture(request) {
+  const fingerprint = fingerprintRequest(request);
+  try {
+    const fixture = JSON.parse(fs.readFileSync(fixturePath(request.task, fingerprint), 'utf8'));
+    return fixture.fingerprint === fingerprint ? fixture : null;
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn('[LLMFixtures] Failed to read fixture:', error.message);
+    return null;
+  }
+}
+
+function missingFixture(request) {
+  const fingerprint = fingerprintRequest(request);
+  const error = new Error(`No LLM fixture for ${request.task} (${fingerprint.slice(0, 24)}); record it with LLM_FIXTURE_MODE=record`);
+  error.status = 500;
+  error.code = 'LLM_FIXTURE_MISSING';
+  return error;
+}
+
+/**
+ * Write a fixture. Failures are logged, never thrown, so recording cannot break a run.
+ * @param {Object} request - As passed to fingerprintRequest().
+ * @param {Object} served - { response, provider, model, promptTokens, completionTokens }
+ */
+function saveFixture(request, served) {
+  const fingerprint = fingerprintRequest(request);
+  const file = fixturePath(request.task, fingerprint);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify({
+      fingerprint,
+      task: request.task,
+      request,
+      response: served.response,
+      provider: served.provider,
+      model: served.model,
+      promptTokens: served.promptTokens ?? null,
+      completionTokens: served.completionTokens ?? null,
+      recordedAt: new Date().toISOString()
+    }, null, 2)}\n`);
+  } catch (error) {
+    console.warn(`[LLMFixtures] Failed to write ${file}:`, error.message);
+  }
+}
+
+module.exports = {
+  FIXTURE_MODES,
+  getFixtureMode,
+  isReplaying,
+  fingerprintRequest,
+  loadFixture,
+  saveFixture,
+  missingFixture
+};
@@ -1,70 +1,332 @@
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
 const OpenAI = require('openai');
+const { getFixtureMode, isReplaying, loadFixture, saveFixture, missingFixture } = require('./llmFixtures');
 
-function createLLMClient() {
- // const provider = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
-  const provider = ('groq').toLowerCase();
+const { AzureOpenAI } = OpenAI;
 
-  switch (provider) {
-    case 'groq': {
-      const apiKey = process.env.GROQ_API_KEY;
-      if (!apiKey) {
-        throw new Error('GROQ_API_KEY is required when LLM_PROVIDER=groq');
-      }
-      return {
-        provider,
-        client: new OpenAI({
-          apiKey,
-          baseURL: process.env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1'
-        }),
-        defaultModel: process.env.GROQ_MODEL || 'llama-3.1-8b-instant',
-        supportsTemperatureOverride: true,
-        useResponsesAPI: false
-      };
-    }
-    case 'openai':
-    default: {
-      const apiKey = process.env.OPENAI_API_KEY || process.env.VITE_OPENAI;
-      if (!apiKey) {
-        throw new Error('OPENAI_API_KEY (or VITE_OPENAI) is required when LLM_PROVIDER=openai');
-      }
-      return {
-        provider: 'openai',
-        client: new OpenAI({ apiKey }),
-        defaultModel: process.env.OPENAI_CHAT_MODEL || 'gpt-5',
-        supportsTemperatureOverride: true,
-        useResponsesAPI: false
-      };
+// LLM provider registry and routing. Every provider is reached through the OpenAI SDK (Groq,
+// Anthropic and local servers such as Ollama or llama.cpp expose OpenAI-compatible endpoints), and
+// declares what it supports so callLLM only sends parameters the provider accepts:
+//   jsonMode    - honours response_format: { type: 'json_object' }
+//   seed        - honours `seed`
+//   temperature - honours `temperature` (never sent to gpt-5 models, which only allow the default)
+//
+// LLM_PROVIDER picks the primary provider (default groq) and LLM_FALLBACK_PROVIDERS
+// ("openai,anthropic") the order tried when it errors or times out; unconfigured providers are
+// skipped. LLM_ROUTES (JSON) or LLM_ROUTES_FILE routes tasks by caller tag (the `user` option,
+// longest prefix wins) to a provider and model:
+//   { "services/scoringServiceV2/clarity": "openai:gpt-5-mini",
+//     "services/inclusivityScoring": { "provider": "anthropic", "model": "claude-haiku-4-5", "fallback": ["groq"] } }
+// Callers ask for OpenAI model names ('gpt-5', 'gpt-5-mini') as a size hint; other providers map
+// them through their modelMap or use their default model.
+
+const DEFAULT_PROVIDER = 'groq';
+
+const PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    configured: () => !!(process.env.OPENAI_API_KEY || process.env.VITE_OPENAI),
+    missing: 'OPENAI_API_KEY (or VITE_OPENAI)',
+    createClient: () => new OpenAI({ apiKey: process.env.OPENAI_API_KEY || process.env.VITE_OPENAI }),
+    defaultModel: () => process.env.OPENAI_CHAT_MODEL || 'gpt-5',
+    modelPattern: /^(gpt-|o\d|chatgpt-)/i,
+    modelMap: { 'openai/gpt-oss-20b': 'gpt-5-mini' },
+    capabilities: { jsonMode: true, seed: true, temperature: true }
+  },
+  groq: {
+    label: 'Groq',
+    configured: () => !!process.env.GROQ_API_KEY,
+    missing: 'GROQ_API_KEY',
+    createClient: () => new OpenAI({
+      apiKey: process.env.GROQ_API_KEY,
+      baseURL: process.env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1'
+    }),
+    defaultModel: () => process.env.GROQ_MODEL || 'llama-3.1-8b-instant',
+    modelPattern: /^(?!gpt-|claude-)/i,
+    modelMap: {
+      'gpt-4o-mini': 'llama-3.1-8b-instant',
+      'gpt-4o': 'openai/gpt-oss-20b',
+      'gpt-4.1-mini': 'llama-3.1-8b-instant',
+      'gpt-4.1': 'openai/gpt-oss-20b',
+      'gpt-5-mini': 'llama-3.1-8b-instant',
+      'gpt-5': 'openai/gpt-oss-20b'
+    },
+    capabilities: { jsonMode: true, seed: true, temperature: true }
+  },
+  anthropic: {
+    label: 'Anthropic',
+    configured: () => !!process.env.ANTHROPIC_API_KEY,
+    missing: 'ANTHROPIC_API_KEY',
+    createClient: () => new OpenAI({
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1/'
+    }),
+    defaultModel: () => process.env.ANTHROPIC_MODEL || 'claude-haiku-4-5',
+    modelPattern: /^claude-/i,
+    modelMap: {
+      'gpt-4o-mini': 'claude-haiku-4-5',
+      'gpt-4.1-mini': 'claude-haiku-4-5',
+      'gpt-5-mini': 'claude-haiku-4-5',
+      'gpt-4o': 'claude-sonnet-4-5',
+      'gpt-4.1': 'claude-sonnet-4-5',
+      'gpt-5': 'claude-sonnet-4-5'
+    },
+    // The compatibility endpoint ignores response_format and seed; prompts already demand JSON
+    capabilities: { jsonMode: false, seed: false, temperature: true },
+    defaultMaxTokens: 1024
+  },
+  azure: {
+    label: 'Azure OpenAI',
+    configured: () => !!(process.env.AZURE_OPENAI_API_KEY && process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_DEPLOYMENT),
+    missing: 'AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_DEPLOYMENT',
+    createClient: () => new AzureOpenAI({
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+      deployment: process.env.AZURE_OPENAI_DEPLOYMENT
+    }),
+    // Azure addresses models by deployment name; routes can name another deployment
+    defaultModel: () => process.env.AZURE_OPENAI_DEPLOYMENT,
+    modelPattern: null,
+    modelMap: {},
+    capabilities: { jsonMode: true, seed: true, temperature: true }
+  },
+  local: {
+    label: 'Local (OpenAI-compatible)',
+    configured: () => !!process.env.LOCAL_LLM_BASE_URL,
+    missing: 'LOCAL_LLM_BASE_URL',
+    createClient: () => new OpenAI({
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+      baseURL: process.env.LOCAL_LLM_BASE_URL
+    }),
+    defaultModel: () => process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    modelPattern: null,
+    modelMap: {},
+    capabilities: {
+      jsonMode: !/^(0|false|off)$/i.test(String(process.env.LOCAL_LLM_JSON_MODE ?? '1')),
+      seed: true,
+      temperature: true
     }
   }
+};
+
+function llmUnavailable(message) {
+  const error = new Error(message);
+  error.status = 503;
+  error.code = 'LLM_UNAVAILABLE';
+  return error;
 }
 
-const {
-  client: llmClient,
-  provider: llmProvider,
+function parseProviderList(value) {
+  return String(value || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
 
-  defaultModel,
-  supportsTemperatureOverride,
-  useResponsesAPI
-} = createLLMClient();
+function unknownProviders(names) {
+  return names.filter(name => !PROVIDERS[name]);
+}
 
-const GROQ_MODEL_MAP = {
-  'gpt-4o-mini': 'llama-3.1-8b-instant',
-  'gpt-4o': 'openai/gpt-oss-20b',
-  'gpt-4.1-mini': 'llama-3.1-8b-instant',
-  'gpt-4.1': 'openai/gpt-oss-20b',
-  'gpt-5-mini': 'llama-3.1-8b-instant',
-  'gpt-5': 'openai/gpt-oss-20b',
-};
+function parseRoute(route) {
+  if (typeof route === 'string') {
+    const [provider, ...model] = route.split(':');
+    return { provider: provider.trim().toLowerCase(), model: model.join(':').trim() || null, fallback: null };
+  }
+  return {
+    provider: String(route?.provider || '').trim().toLowerCase(),
+    model: route?.model || null,
+    fallback: Array.isArray(route?.fallback) ? route.fallback.map(name => String(name).toLowerCase()) : null
+  };
+}
+
+function loadRoutes() {
+  let raw = {};
+  try {
+    if (process.env.LLM_ROUTES_FILE) raw = JSON.parse(fs.readFileSync(process.env.LLM_ROUTES_FILE, 'utf8'));
+    else if (process.env.LLM_ROUTES) raw = JSON.parse(process.env.LLM_ROUTES);
+  } catch (error) {
+    console.error('[LLM] Failed to load LLM routes:', error.message);
+  }
+  const routes = Object.entries(raw)
+    .map(([task, route]) => ({ task, ...parseRoute(route) }))
+    .filter(route => {
+      if (PROVIDERS[route.provider]) return true;
+      console.warn(`[LLM] Ignoring route for ${route.task}: unknown provider "${route.provider}".`);
+      return false;
+    });
+  // Longest (most specific) task prefix first
+  return routes.sort((a, b) => b.task.length - a.task.length);
+}
+
+let routing = null;
+
+function getRouting() {
+  if (routing) return routing;
+  const primary = String(process.env.LLM_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase();
+  const fallbacks = parseProviderList(process.env.LLM_FALLBACK_PROVIDERS);
+  for (const name of unknownProviders([primary, ...fallbacks])) {
+    console.warn(`[LLM] Unknown provider "${name}" ignored. Known: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  const chain = [...new Set([primary, ...fallbacks])].filter(name => PROVIDERS[name]);
+  routing = { chain, routes: loadRoutes(), clients: {} };
+  return routing;
+}
+
+function getClient(name) {
+  const { clients } = getRouting();
+  if (!clients[name]) clients[name] = PROVIDERS[name].createClient();
+  return clients[name];
+}
+
+/**
+ * Providers to try for a task, in order: its route's provider (with the route's model), then the
+ * route's own fallbacks or the default chain. Unconfigured providers are left out.
+ * @param {string} task - Caller tag (callLLM `user` option).
+ * @returns {{provider: string, model: string|null}[]}
+ */
+function resolveProviderChain(task = '') {
+  const { chain, routes } = getRouting();
+  const route = routes.find(candidate => task.startsWith(candidate.task));
+  const steps = route
+    ? [{ provider: route.provider, model: route.model }, ...(route.fallback || chain).map(provider => ({ provider, model: null }))]
+    : chain.map(provider => ({ provider, model: null }));
+  const seen = new Set();
+  return steps.filter(step => {
+    if (!PROVIDERS[step.provider] || seen.has(step.provider) || !PROVIDERS[step.provider].configured()) return false;
+    seen.add(step.provider);
+    return true;
+  });
+}
+
+/**
+ * Whether at least one provider in the default chain has its credentials set (or recorded
+ * fixtures are being replayed). Without one the server still starts; callLLM rejects and the V2
+ * pipeline switches to deterministic scoring.
+ */
+function isLLMConfigured() {
+  return isReplaying() || getRouting().chain.some(name => PROVIDERS[name].configured());
+}
+
+/**
+ * Short description of the default routing (primary/fallback providers, default models, routes),
+ * used to version cached scoring results.
+ */
+function describeLLMRouting() {
+  const { chain, routes } = getRouting();
+  const providers = chain.map(name => `${name}:${PROVIDERS[name].defaultModel() || ''}`).join(',');
+  const routed = routes.map(route => `${route.task}=${route.provider}:${route.model || ''}`).join(',');
+  return routed ? `${providers}|${routed}` : providers;
+}
+
+function resolveModel(name, requestedModel, routeModel) {
+  const provider = PROVIDERS[name];
+  const defaultModel = provider.defaultModel();
+  if (routeModel) return routeModel;
+  if (!requestedModel) return defaultModel;
+  if (provider.modelMap[requestedModel]) return provider.modelMap[requestedModel];
+  if (provider.modelPattern && provider.modelPattern.test(requestedModel)) return requestedModel;
+  if (provider.modelPattern) {
+    console.warn(`[LLM] Provider ${name} does not support model ${requestedModel}; falling back to ${defaultModel}.`);
+  }
+  return defaultModel;
+}
+
+// Calls made inside trackLLMUsage() are recorded here
+const usageStore = new AsyncLocalStorage();
 
 /**
- * Call the OpenAI API with a prompt
+ * Run `fn` and record every LLM call it makes (including calls from concurrent work it awaits).
+ * @returns {Promise<{result: *, usage: {calls: Object[], providers: Object<string, number>}}>}
+ *   Each call is { task, provider, model, attempts, promptTokens, completionTokens, latencyMs, fallbackFrom } where
+ *   `fallbackFrom` lists providers that failed first (calls served from a fixture also carry
+ *   `replayed: true`); `providers` counts calls served per provider.
+ */
+async function trackLLMUsage(fn) {
+  const calls = [];
+  const result = await usageStore.run(calls, fn);
+  const providers = {};
+  for (const call of calls) {
+    if (call.provider) providers[call.provider] = (providers[call.provider] || 0) + 1;
+  }
+  return { result, usage: { calls, providers } };
+}
+
+function recordUsage(entry) {
+  const calls = usageStore.getStore();
+  if (calls) calls.push(entry);
+}
+
+function isRetryable(error) {
+  const status = (error && error.status) || (error && error.code) || 0;
+  return status === 429 || (typeof status === 'number' && status >= 500) || /timeout/i.test(String(error && error.message));
+}
+
+// Servers that omit `usage` (some local ones) are recorded as null rather than 0
+function tokenCounts(response) {
+  const usage = response?.usage;
+  if (!usage) return { promptTokens: null, completionTokens: null };
+  return { promptTokens: usage.prompt_tokens ?? null, completionTokens: usage.completion_tokens ?? null };
+}
+
+async function callProvider(name, params, { timeout, requestedModel }) {
+  const client = getClient(name);
+  const maxAttempts = 3;
+  let attempts = 0;
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    attempts = attempt;
+    try {
+      const response = await client.chat.completions.create(params, { timeout });
+      return { content: response.choices?.[0]?.message?.content, attempts, tokens: tokenCounts(response) };
+    } catch (error) {
+      lastError = error;
+      const message = String((error && error.message) || '');
+
+      // If model doesn't support custom temperature (only default=1), retry once without temperature
+      const tempUnsupported = /Unsupported value: 'temperature'|Only the default \(1\) value is supported/i.test(message);
+      if (tempUnsupported && Object.prototype.hasOwnProperty.call(params, 'temperature')) {
+        console.warn('LLM rejected custom temperature; retrying without temperature.');
+        const { temperature: _omit, ...safeParams } = params;
+        try {
+          const response = await client.chat.completions.create(safeParams, { timeout });
+          return { content: response.choices?.[0]?.message?.content, attempts: attempt + 1, tokens: tokenCounts(response) };
+        } catch (e2) {
+          const failure = new Error(`LLM provider API error: ${String((e2 && e2.message) || '')}`);
+          failure.attempts = attempt + 1;
+          throw failure;
+        }
+      }
+
+      if (attempt < maxAttempts && isRetryable(error)) {
+        const backoffMs = 300 * Math.pow(2, attempt - 1) + Math.floor(Math.random() * 100);
+        console.warn(`LLM call to ${name} failed (attempt ${attempt}/${maxAttempts}). Retrying in ${backoffMs}ms...`, error?.message || error);
+        await new Promise(r => setTimeout(r, backoffMs));
+        continue;
+      }
+      break;
+    }
+  }
+  const failure = new Error(`LLM provider API error: ${lastError?.message || `no response for ${requestedModel}`}`);
+  failure.status = lastError?.status;
+  failure.attempts = attempts;
+  throw failure;
+}
+
+/**
+ * Call the configured LLM providers with a prompt, falling back down the provider chain on errors
+ * or timeouts.
  * @param {string} prompt - The prompt to send to the API
  * @param {number} temperature - Temperature parameter (0-1)
+ * @param {Object} [options] - model (OpenAI name used as a size hint), user (task tag used for
+ *   routing), response_format, systemMessage, seed, messages/messagesOverride, timeout, max_tokens, stop
  * @returns {string} - The generated text response
  */
 async function callLLM(prompt, temperature = null, options = {}) {
   const {
-    model = defaultModel,
+    model: requestedModel,
     top_p = 1,
     user = 'utils/llmHelpers',
     response_format,
@@ -78,118 +340,107 @@ async function callLLM(prompt, temperature = null, options = {}) {
     stop
   } = options || {};
 
-  const requestedModel = model || defaultModel;
-  let effectiveModel = requestedModel;
-  if (llmProvider === 'groq') {
-    if (GROQ_MODEL_MAP[requestedModel]) {
-      effectiveModel = GROQ_MODEL_MAP[requestedModel];
-    } else if (/^gpt-/i.test(requestedModel)) {
-      console.warn(`[LLM] Provider groq does not support model ${requestedModel}; falling back to ${defaultModel}.`);
-      effectiveModel = defaultModel;
-    }
-  }
-
   const messageList = messagesOverride && messages ? messages : [
     { role: 'system', content: systemMessage },
     { role: 'user', content: prompt }
   ];
 
-  let params;
-  if (useResponsesAPI) {
-    const input = messageList.map(({ role, content }) => ({
-      role,
-      content: Array.isArray(content)
-        ? content
-        : [{ type: 'text', text: typeof content === 'string' ? content : JSON.stringify(content) }]
-    }));
-    params = {
-      model,
-      input
-    };
-    if (typeof top_p === 'number') params.top_p = top_p;
-    params.metadata = { caller: user };
-  } else {
-    params = {
+  // Record/replay fixtures (utils/llmFixtures.js) are keyed on what the caller asked for
+  const fixtureMode = getFixtureMode();
+  const fixtureRequest = fixtureMode === 'off' ? null : {
+    task: user,
+    messages: messageList,
+    model: requestedModel || null,
+    temperature,
+    top_p,
+    response_format: response_format || null,
+    seed: typeof seed === 'number' ? seed : null,
+    max_tokens: max_tokens ?? max_output_tokens ?? null,
+    stop: stop || null
+  };
+  if (isReplaying()) {
+    const fixture = loadFixture(fixtureRequest);
+    if (fixture) {
+      recordUsage({
+        task: user,
+        provider: fixture.provider,
+        model: fixture.model,
+        attempts: 0,
+        promptTokens: fixture.promptTokens,
+        completionTokens: fixture.completionTokens,
+        latencyMs: 0,
+        fallbackFrom: [],
+        replayed: true
+      });
+      return fixture.response;
+    }
+    if (fixtureMode === 'strict') throw missingFixture(fixtureRequest);
+    console.warn(`[LLM] No fixture for ${user}; calling the provider.`);
+  }
+
+  const steps = resolveProviderChain(user);
+  if (!steps.length) {
+    const { chain } = getRouting();
+    const needed = chain.map(name => PROVIDERS[name].missing).join(' or ') || 'a known LLM_PROVIDER';
+    throw llmUnavailable(`No LLM provider is configured: set ${needed}`);
+  }
+
+  // Latency covers the whole call, including providers that failed before one answered
+  const started = Date.now();
+  const failed = [];
+  let lastError;
+  for (const step of steps) {
+    const provider = PROVIDERS[step.provider];
+    const { capabilities } = provider;
+    const effectiveModel = resolveModel(step.provider, requestedModel, step.model);
+    const params = {
       model: effectiveModel,
       messages: messageList,
       top_p,
       user
     };
-  }
-  
-  // Only add temperature if it's explicitly provided, not null, and model supports it
-  // Note: gpt-5 and gpt-5-mini models don't support custom temperature
-  const supportsTemperature = supportsTemperatureOverride && !requestedModel.includes('gpt-5');
-  if (temperature !== null && supportsTemperature) {
-    params.temperature = temperature;
-  }
-  if (response_format) params.response_format = response_format;
-  if (typeof seed === 'number') params.seed = seed;
-  if (typeof max_tokens === 'number') params.max_tokens = max_tokens;
-  else if (typeof max_output_tokens === 'number') params.max_tokens = max_output_tokens;
-  if (stop) params.stop = stop;
 
-  const maxAttempts = 3;
-  let lastError;
-  
-  // Log model usage for performance monitoring (always enabled for optimization tracking)
-  console.log(`[LLM] Provider: ${llmProvider} | Model: ${params.model} | Requested: ${requestedModel} | Caller: ${user}`);
-  
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    // Only add temperature if it's explicitly provided, not null, and the provider/model supports it
+    // Note: gpt-5 and gpt-5-mini models don't support custom temperature
+    const sizeHint = requestedModel || effectiveModel;
+    if (temperature !== null && capabilities.temperature && !sizeHint.includes('gpt-5')) {
+      params.temperature = temperature;
+    }
+    if (response_format && capabilities.jsonMode) params.response_format = response_format;
+    if (typeof seed === 'number' && capabilities.seed) params.seed = seed;
+    if (typeof max_tokens === 'number') params.max_tokens = max_tokens;
+    else if (typeof max_output_tokens === 'number') params.max_tokens = max_output_tokens;
+    else if (provider.defaultMaxTokens) params.max_tokens = provider.defaultMaxTokens;
+    if (stop) params.stop = stop;
+
+    // Log model usage for performance monitoring (always enabled for optimization tracking)
+    console.log(`[LLM] Provider: ${step.provider} | Model: ${params.model} | Requested: ${requestedModel || 'default'} | Caller: ${user}`);
+
     try {
-      if (useResponsesAPI) {
-        const response = await llmClient.responses.create(params, { timeout });
-        const output = response?.output_text
-          || response?.content?.map(part => part?.text || '').join('').trim();
-        if (!output) {
-          throw new Error('LLM provider returned an empty response');
-        }
-        return output;
+      const { content, attempts, tokens } = await callProvider(step.provider, params, { timeout, requestedModel: effectiveModel });
+      recordUsage({
+        task: user,
+        provider: step.provider,
+        model: effectiveModel,
+        attempts,
+        ...tokens,
+        latencyMs: Date.now() - started,
+        fallbackFrom: failed.map(entry => entry.provider)
+      });
+      if (fixtureMode === 'record') {
+        saveFixture(fixtureRequest, { response: content, provider: step.provider, model: effectiveModel, ...tokens });
       }
-
-      const response = await llmClient.chat.completions.create(params, { timeout });
-      return response.choices?.[0]?.message?.content;
+      return content;
     } catch (error) {
       lastError = error;
-      const status = (error && error.status) || (error && error.code) || 0;
-      const message = String((error && error.message) || '');
-
-      // If model doesn't support custom temperature (only default=1), retry once without temperature
-      const tempUnsupported = /Unsupported value: 'temperature'|Only the default \(1\) value is supported/i.test(message);
-      if (tempUnsupported && params && Object.prototype.hasOwnProperty.call(params, 'temperature')) {
-        console.warn('LLM rejected custom temperature; retrying without temperature.');
-        const { temperature: _omit, ...safeParams } = params;
-        try {
-          if (useResponsesAPI) {
-            const response = await llmClient.responses.create(safeParams, { timeout });
-            const output = response?.output_text
-              || response?.content?.map(part => part?.text || '').join('').trim();
-            if (!output) {
-              throw new Error('LLM provider returned an empty response');
-            }
-            return output;
-          }
-
-          const response = await llmClient.chat.completions.create(safeParams, { timeout });
-          return response.choices?.[0]?.message?.content;
-        } catch (e2) {
-          // If retry without temperature also fails, throw that error
-          lastError = e2;
-          const e2Message = String((e2 && e2.message) || '');
-          throw new Error(`LLM provider API error: ${e2Message}`);
-        }
+      failed.push({ provider: step.provider, error: error.message });
+      if (failed.length < steps.length) {
+        console.warn(`[LLM] ${provider.label} failed for ${user} (${error.message}); falling back to ${steps[failed.length].provider}.`);
       }
-
-      const retryable = status === 429 || (typeof status === 'number' && status >= 500) || /timeout/i.test(String(error && error.message));
-      if (attempt < maxAttempts && retryable) {
-        const backoffMs = 300 * Math.pow(2, attempt - 1) + Math.floor(Math.random() * 100);
-        console.warn(`LLM call failed (attempt ${attempt}/${maxAttempts}). Retrying in ${backoffMs}ms...`, error?.message || error);
-        await new Promise(r => setTimeout(r, backoffMs));
-        continue;
-      }
-      throw new Error(`LLM provider API error: ${error.message}`);
     }
   }
+
+  recordUsage({ task: user, provider: null, model: null, attempts: 0, promptTokens: null, completionTokens: null, latencyMs: Date.now() - started, fallbackFrom: failed.map(entry => entry.provider), error: lastError?.message });
   throw lastError;
 }
 
@@ -234,6 +485,11 @@ function extractJsonFromResponse(response) {
 }
 
 module.exports = {
+  PROVIDERS,
   callLLM,
+  isLLMConfigured,
+  describeLLMRouting,
+  resolveProviderChain,
+  trackLLMUsage,
   extractJsonFromResponse
 };
@@ -1,79 +1,109 @@
-const { callLLM } = require('./llmHelpers');
+const { languageInstruction } = require('../services/languageSupport');
+const { renderPrompt } = require('../services/promptRegistry');
+const { callLLMStructured, scoredSectionSchema } = require('./structuredOutput');
+
+// Placeholder shown in the prompt's Format line for a field of the given JSON Schema
+function formatPlaceholder(fieldSchema) {
+  const type = [].concat(fieldSchema.type || 'string').find(candidate => candidate !== 'null') || 'null';
+  if (type === 'number' || type === 'integer') return '#';
+  if (type === 'boolean') return 'false';
+  if (type === 'null') return 'null';
+  return '""';
+}
 
 /**
- * Execute a compact JSON-only LLM prompt with consistent defaults.
+ * Execute a compact JSON-only LLM prompt with consistent defaults. The prompt is a registered
+ * template (services/promptRegistry) filled with {{format}}, {{excerptRule}}, {{languageRule}},
+ * {{job_title}} and {{job_body}}. The response is validated
+ * against the declared fields (utils/structuredOutput): scores are clamped to 0-10, and an invalid
+ * response gets one repair round before the call is reported as degraded.
  * @param {Object} params
- * @param {string} params.task - Description of what to rate (e.g. "title clarity, buzzwords").
- * @param {Object} params.schema - Keys defining JSON fields (e.g. { title: {}, fluff: {} }).
+ * @param {string} params.template - Prompt template id (e.g. 'v2.clarity').
+ * @param {Object} params.schema - Keys defining JSON fields. `{}` asks for a rated section
+ *   ({ score 0-10, suggestion }); any other value is the JSON Schema of a plain field
+ *   (e.g. { city: { type: ['string', 'null'] } }).
  * @param {string} params.job_title
  * @param {string} params.job_body
  * @param {string} params.userTag - Identifier for telemetry/user field.
  * @param {number} [params.timeoutMs=60000]
  * @param {number} [params.maxOutputTokens=80]
  * @param {number} [params.seed=1234]
- * @returns {Promise<Object>} Parsed JSON object with score/suggestion pairs.
+ * @param {boolean} [params.excerpts=false] - Also ask for the verbatim body passage each suggestion refers to.
+ * @param {Object|string} [params.language] - Posting language (services/languageSupport); non-English
+ *   postings are judged in, and answered in, that language.
+ * @param {boolean} [params.reply=true] - With `language`, whether suggestions should be written in it.
+ * @returns {Promise<{data: Object|null, degraded: boolean, reason?: string}>} `data` holds the
+ *   validated fields; when `degraded`, it is null and `reason` says why.
  */
 async function runLLMJsonPrompt({
-  task,
+  template,
   schema,
   job_title,
   job_body,
   userTag,
   timeoutMs = 60000,
   maxOutputTokens = 80,
-  seed = 1234
+  seed = 1234,
+  excerpts = false,
+  language = null,
+  reply = true
 }) {
-  if (!task || !schema || typeof schema !== 'object') {
-    throw new Error('runLLMJsonPrompt requires task description and schema object');
+  if (!template || !schema || typeof schema !== 'object') {
+    throw new Error('runLLMJsonPrompt requires a prompt template id and schema object');
   }
 
-  const schemaKeys = Object.keys(schema)
-    .map(key => `"${key}":{"score":#,"suggestion":""}`)
+  const isRated = fieldSchema => !fieldSchema || !Object.keys(fieldSchema).length;
+  const schemaKeys = Object.entries(schema)
+    .map(([key, fieldSchema]) => {
+      if (!isRated(fieldSchema)) return `"${key}":${formatPlaceholder(fieldSchema)}`;
+      return excerpts
+        ? `"${key}":{"score":#,"suggestion":"","excerpt":""}`
+        : `"${key}":{"score":#,"suggestion":""}`;
+    })
     .join(',');
+  const responseSchema = {
+    type: 'object',
+    required: Object.keys(schema),
+    properties: Object.fromEntries(Object.entries(schema)
+      .map(([key, fieldSchema]) => [key, isRated(fieldSchema) ? scoredSectionSchema(10) : fieldSchema]))
+  };
+  const excerptRule = excerpts
+    ? '\nexcerpt = the exact Body passage the suggestion is about, copied verbatim ("" if it applies to the whole posting).'
+    : '';
+  const languageLine = language ? languageInstruction(language, { reply }) : '';
+  const languageRule = languageLine ? `\n${languageLine}` : '';
+  const prompt = renderPrompt(template, {
+    format: `{${schemaKeys}}`,
+    excerptRule,
+    languageRule,
+    job_title: job_title || '',
+    job_body: job_body || ''
+  });
 
-  const prompt = `
-JSON only.
-Rate ${task} (0–10, 10=best). Include short suggestions.
-
-Format:
-{${schemaKeys}}
-
-Title: "${job_title || ''}"
-Body: "${job_body || ''}"
-`;
-
-  const llmPromise = (async () => {
-    const response = await callLLM(prompt, null, {
-      systemMessage: 'Expert job post auditor. Return one valid JSON object only.',
-      response_format: { type: 'json_object' },
-      user: userTag,
-      seed,
-      temperature: 0,
-      max_output_tokens: maxOutputTokens
-    });
-    return JSON.parse(response);
-  })();
+  const llmPromise = callLLMStructured(prompt.text, {
+    schema: responseSchema,
+    systemMessage: prompt.system,
+    response_format: { type: 'json_object' },
+    user: userTag,
+    seed,
+    temperature: 0,
+    max_output_tokens: maxOutputTokens
+  });
 
   let timeoutId;
-  const timeoutPromise = new Promise((_, reject) => {
+  const timeoutPromise = new Promise(resolve => {
     timeoutId = setTimeout(() => {
-      reject(new Error('LLM timeout'));
+      resolve({ data: null, degraded: true, reason: `LLM timeout after ${timeoutMs}ms` });
     }, timeoutMs);
   });
 
-  try {
-    const result = await Promise.race([llmPromise, timeoutPromise]);
-    if (timeoutId) clearTimeout(timeoutId);
-    return result;
-  } catch (error) {
-    if (timeoutId) clearTimeout(timeoutId);
-    const fallback = {};
-    for (const key of Object.keys(schema)) {
-      fallback[key] = { score: 5, suggestion: '' };
-    }
-    console.warn('[runLLMJsonPrompt] Falling back to neutral scores:', error.message);
-    return fallback;
+  const result = await Promise.race([llmPromise, timeoutPromise]);
+  clearTimeout(timeoutId);
+  if (result.degraded) {
+    console.warn(`[runLLMJsonPrompt] ${userTag} degraded: ${result.reason}`);
+    return { data: null, degraded: true, reason: result.reason };
   }
+  return { data: result.data, degraded: false };
 }
 
 module.exports = { runLLMJsonPrompt };
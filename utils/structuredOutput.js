@@ -0,0 +1,202 @@
+const { callLLM } = require('./llmHelpers');
+
+// Structured LLM output: every JSON-returning call declares a JSON Schema. Responses are parsed,
+// validated and normalized (numeric strings become numbers, integers are rounded, out-of-range
+// numbers are clamped to minimum/maximum). A response that is not valid JSON or breaks the schema gets one repair round
+// with the validation errors fed back; a failed call gets one retry. If that still fails the
+// caller receives { data: null, degraded: true, reason } and must fall back openly instead of
+// inventing values.
+//
+// Supported schema keywords: type (string or array), properties, required, items, enum, minimum,
+// maximum, maxItems.
+
+const MAX_REPORTED_ERRORS = 8;
+const NOT_RETRYABLE = ['LLM_UNAVAILABLE', 'LLM_FIXTURE_MISSING'];
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validate `value` against `schema`, coercing and clamping where the intent is unambiguous.
+ * @returns {{value: *, errors: string[], clamped: string[]}} `errors` are JSONPath-prefixed messages.
+ */
+function validateJson(value, schema = {}, path = '$') {
+  const errors = [];
+  const clamped = [];
+  const visit = (current, rule, at) => {
+    const types = rule.type ? [].concat(rule.type) : null;
+    let next = current;
+    if (types && !types.some(type => matchesType(next, type))) {
+      // Numeric strings, and fractions where an integer is expected (rounded below)
+      const numeric = (typeof next === 'number' || (typeof next === 'string' && next.trim() !== '')) && Number.isFinite(Number(next));
+      if (numeric && types.some(type => type === 'number' || type === 'integer')) {
+        next = Number(next);
+      } else {
+        errors.push(`${at} must be ${types.join(' or ')}, got ${typeOf(next)}`);
+        return next;
+      }
+    }
+    if (types && types.includes('integer') && !types.includes('number') && typeof next === 'number') next = Math.round(next);
+    if (rule.enum && !rule.enum.includes(next)) {
+      errors.push(`${at} must be one of ${rule.enum.map(option => JSON.stringify(option)).join(', ')}`);
+      return next;
+    }
+    if (typeof next === 'number') {
+      if (rule.minimum !== undefined && next < rule.minimum) {
+        clamped.push(`${at} ${next} -> ${rule.minimum}`);
+        next = rule.minimum;
+      }
+      if (rule.maximum !== undefined && next > rule.maximum) {
+        clamped.push(`${at} ${next} -> ${rule.maximum}`);
+        next = rule.maximum;
+      }
+    }
+    if (typeOf(next) === 'object') {
+      const out = { ...next };
+      for (const key of rule.required || []) {
+        if (out[key] === undefined) errors.push(`${at}.${key} is required`);
+      }
+      for (const [key, childRule] of Object.entries(rule.properties || {})) {
+        if (out[key] !== undefined) out[key] = visit(out[key], childRule, `${at}.${key}`);
+      }
+      return out;
+    }
+    if (Array.isArray(next)) {
+      const items = rule.maxItems !== undefined ? next.slice(0, rule.maxItems) : next;
+      return rule.items ? items.map((item, index) => visit(item, rule.items, `${at}[${index}]`)) : items;
+    }
+    return next;
+  };
+  const result = visit(value, schema, path);
+  return { value: result, errors, clamped };
+}
+
+/**
+ * Parse a JSON object out of an LLM response, tolerating code fences and text around it.
+ * @throws {SyntaxError} when no JSON object can be parsed.
+ */
+function parseJsonText(text) {
+  let candidate = String(text ?? '').trim();
+  const fenced = candidate.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+  if (fenced) candidate = fenced[1].trim();
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    const first = candidate.indexOf('{');
+    const last = candidate.lastIndexOf('}');
+    if (first === -1 || last <= first) throw error;
+    return JSON.parse(candidate.slice(first, last + 1));
+  }
+}
+
+function checkResponse(text, schema) {
+  let parsed;
+  try {
+    parsed = parseJsonText(text);
+  } catch (error) {
+    return { errors: [`response is not valid JSON (${error.message})`] };
+  }
+  return validateJson(parsed, schema);
+}
+
+function repairMessages(messages, response, errors) {
+  return [
+    ...messages,
+    { role: 'assistant', content: String(response ?? '') },
+    {
+      role: 'user',
+      content: `That response does not match the required JSON schema:\n${errors.slice(0, MAX_REPORTED_ERRORS).map(error => `- ${error}`).join('\n')}\n`
+        + 'Return the corrected JSON object only.'
+    }
+  ];
+}
+
+/**
+ * Call the LLM for a JSON object matching `schema`.
+ * @param {string} prompt - Prompt (ignored when options.messagesOverride supplies messages).
+ * @param {Object} options - callLLM options plus:
+ * @param {Object} options.schema - JSON Schema the response must match.
+ * @returns {Promise<{data: Object|null, degraded: boolean, reason?: string, repaired: boolean, clamped: string[]}>}
+ *   Never rejects; `degraded` is true (and `data` null) when no valid response was obtained.
+ */
+async function callLLMStructured(prompt, { schema, ...options } = {}) {
+  const user = options.user || 'utils/structuredOutput';
+  const messages = options.messagesOverride && options.messages ? options.messages : [
+    { role: 'system', content: options.systemMessage || 'You are an expert in job posting analysis and improvement.' },
+    { role: 'user', content: prompt }
+  ];
+  // JSON mode unless the caller passes response_format: null (e.g. for prompts too long for it)
+  const request = { ...options, user, response_format: options.response_format === undefined ? { type: 'json_object' } : options.response_format };
+
+  let response;
+  try {
+    response = await callLLM(prompt, null, request);
+  } catch (error) {
+    // No provider / no fixture: a retry cannot succeed
+    if (NOT_RETRYABLE.includes(error.code)) {
+      return { data: null, degraded: true, reason: `LLM call failed: ${error.message}`, repaired: false, clamped: [] };
+    }
+    console.warn(`[StructuredOutput] ${user}: call failed (${error.message}); retrying once.`);
+    try {
+      response = await callLLM(prompt, null, request);
+    } catch (retryError) {
+      return { data: null, degraded: true, reason: `LLM call failed: ${retryError.message}`, repaired: false, clamped: [] };
+    }
+  }
+
+  let checked = checkResponse(response, schema);
+  if (!checked.errors.length) return { data: checked.value, degraded: false, repaired: false, clamped: checked.clamped };
+
+  console.warn(`[StructuredOutput] ${user}: invalid response (${checked.errors.join('; ')}); asking for a repair.`);
+  try {
+    const repaired = await callLLM(prompt, null, {
+      ...request,
+      messagesOverride: true,
+      messages: repairMessages(messages, response, checked.errors)
+    });
+    checked = checkResponse(repaired, schema);
+  } catch (error) {
+    return { data: null, degraded: true, reason: `Repair call failed: ${error.message}`, repaired: false, clamped: [] };
+  }
+  if (!checked.errors.length) return { data: checked.value, degraded: false, repaired: true, clamped: checked.clamped };
+  return {
+    data: null,
+    degraded: true,
+    reason: `Invalid LLM response after repair: ${checked.errors.slice(0, MAX_REPORTED_ERRORS).join('; ')}`,
+    repaired: false,
+    clamped: []
+  };
+}
+
+/**
+ * Schema for a rated section: { score, suggestion?, excerpt? }.
+ * @param {number} [maxScore=10]
+ */
+function scoredSectionSchema(maxScore = 10) {
+  return {
+    type: 'object',
+    required: ['score'],
+    properties: {
+      score: { type: 'number', minimum: 0, maximum: maxScore },
+      suggestion: { type: 'string' },
+      excerpt: { type: 'string' }
+    }
+  };
+}
+
+module.exports = {
+  validateJson,
+  parseJsonText,
+  callLLMStructured,
+  scoredSectionSchema
+};